@@ -0,0 +1,81 @@
+"use strict";
+
+/**
+ * Fill CallLog.contactNumber on calls stored before caller memory keyed calls by it.
+ * New calls get it on save; calls without it are invisible to caller memory and purges.
+ *
+ * Usage:
+ *   node scripts/backfillContactNumbers.js [batchSize=500]
+ */
+
+const { connectDB, disconnectDB } = require("../server/config/db");
+const { CallLog } = require("../server/models/CallLog");
+const { toContactKey } = require("../server/utils/phoneValidator");
+const { logger } = require("../server/utils/logger");
+
+const parseBatchSize = () => {
+  const arg = process.argv.slice(2).find((value) => value.replace(/^--/, "").startsWith("batchSize="));
+  const batchSize = arg ? parseInt(arg.split("=")[1], 10) : 500;
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error("batchSize must be a positive integer");
+  }
+  return batchSize;
+};
+
+const backfillContactNumbers = async () => {
+  const batchSize = parseBatchSize();
+
+  await connectDB();
+
+  const cursor = CallLog.find({ contactNumber: { $exists: false } })
+    .select("direction fromPhone toPhone")
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  let skipped = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) {
+      return;
+    }
+    const result = await CallLog.bulkWrite(operations, { ordered: false });
+    updated += result.modifiedCount;
+    operations = [];
+    logger.info("Contact number backfill progress", { updated, skipped });
+  };
+
+  for await (const call of cursor) {
+    const contactNumber = toContactKey(call.direction === "inbound" ? call.fromPhone : call.toPhone);
+    if (!contactNumber) {
+      skipped++;
+      continue;
+    }
+    operations.push({
+      updateOne: {
+        filter: { _id: call._id },
+        update: { $set: { contactNumber } },
+      },
+    });
+    if (operations.length >= batchSize) {
+      await flush();
+    }
+  }
+  await flush();
+
+  logger.info("Contact number backfill complete", { updated, skipped });
+};
+
+(async () => {
+  try {
+    await backfillContactNumbers();
+  } catch (error) {
+    logger.error("Failed to backfill contact numbers", { error: error.message });
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await disconnectDB();
+    process.exit();
+  }
+})();
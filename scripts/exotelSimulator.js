@@ -0,0 +1,548 @@
+"use strict";
+
+/**
+ * Local Exotel simulator - places a fake call against a running server.
+ *
+ * Acts as Exotel end to end: hits /exotel/voice/connect like the Voicebot applet, opens the
+ * returned /ws/exotel/voice/:callLogId stream, sends start/media/dtmf/stop frames at real-time
+ * pacing (caller audio from WAV files or stub speech), plays back outbound media like a phone
+ * would (honouring "clear" and echoing marks), then posts the status webhook.
+ *
+ * Writes <out>.wav (caller left, agent right) and <out>.json (transcript, per-turn response
+ * latency, expectations). With STUB_PROVIDERS=all on the server the whole call runs offline
+ * and the agent's speech is decoded back to text, so transcripts can be asserted exactly.
+ *
+ * Usage:
+ *   node scripts/exotelSimulator.js to=+918000000000 say="Hello|I want to book a table|Goodbye"
+ *   node scripts/exotelSimulator.js script=./calls/booking.json out=./tmp/booking
+ *
+ * Options:
+ *   server=http://localhost:5000  API base URL (apiPrefix=/bulk/api)
+ *   to=<number>                   Number the agent's Phone is configured with (inbound call)
+ *   callLogId=<id>                Existing outbound CallLog instead (sent as CustomField)
+ *   from=+919000000000            Caller number
+ *   say="a|b|c"                   Caller turns as stub speech (or script=<file.json>)
+ *   ws=ws://localhost:5000        Override the WebSocket host returned by the connect webhook
+ *   chunkMs=20  idleMs=1200  maxWaitMs=20000  maxLatencyMs=<n>  out=./simulator-output/<CallSid>
+ *
+ * Script file: { "from", "to", "callLogId", "steps": [...] } or just the steps array.
+ *   { "say": "text" }                  speak after the agent finishes its turn
+ *   { "wav": "file.wav" }              play a recording (16-bit PCM, resampled to 8kHz)
+ *   { "dtmf": "12#" }                  press keys
+ *   { "silence": 3000 }                stay silent (ms)
+ *   { "say": "stop", "bargeIn": true, "afterMs": 500 }   talk over the agent
+ *   { "expect": "You said" }           the agent's last reply must contain this text
+ *   { "hangup": true }                 caller hangs up
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const axios = require("axios");
+const WebSocket = require("ws");
+const { encodeText, decodeSpeech } = require("../server/utils/stubSpeech");
+const { parseWav, buildWav } = require("../server/utils/wav");
+
+const SAMPLE_RATE = 8000;
+const BYTES_PER_MS = (SAMPLE_RATE * 2) / 1000;
+
+const parseArgs = () => {
+  return process.argv.slice(2).reduce((acc, arg) => {
+    const cleanArg = arg.replace(/^--/, "");
+    const [key, ...rest] = cleanArg.split("=");
+    if (!key) {
+      return acc;
+    }
+    acc[key] = rest.join("=") || "";
+    return acc;
+  }, {});
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const loadScenario = (args) => {
+  let scenario = {};
+  if (args.script) {
+    const raw = JSON.parse(fs.readFileSync(args.script, "utf8"));
+    scenario = Array.isArray(raw) ? { steps: raw } : raw;
+  }
+  const steps = scenario.steps || [];
+  if (args.say) {
+    steps.push(...args.say.split("|").map((text) => ({ say: text.trim() })));
+  }
+  const config = {
+    server: (args.server || scenario.server || "http://localhost:5000").replace(/\/$/, ""),
+    apiPrefix: args.apiPrefix || scenario.apiPrefix || "/bulk/api",
+    to: args.to || scenario.to,
+    from: args.from || scenario.from || "+919000000000",
+    callLogId: args.callLogId || scenario.callLogId,
+    ws: args.ws || scenario.ws,
+    chunkMs: Number(args.chunkMs || scenario.chunkMs || 20),
+    idleMs: Number(args.idleMs || scenario.idleMs || 1200),
+    maxWaitMs: Number(args.maxWaitMs || scenario.maxWaitMs || 20000),
+    maxLatencyMs: args.maxLatencyMs || scenario.maxLatencyMs ? Number(args.maxLatencyMs || scenario.maxLatencyMs) : undefined,
+    callSid: `sim-${crypto.randomUUID()}`,
+    steps,
+  };
+  if (!config.to && !config.callLogId) {
+    throw new Error(
+      "Either to=<agent phone number> or callLogId=<outbound CallLog id> is required\n" +
+        'Example: node scripts/exotelSimulator.js to=+918000000000 say="Hello|Goodbye"'
+    );
+  }
+  config.out = args.out || scenario.out || path.join("simulator-output", config.callSid);
+  return config;
+};
+
+/**
+ * 16-bit PCM WAV file -> 8kHz mono PCM
+ */
+const loadWavAsTelephonyPCM = (file) => {
+  const wav = parseWav(fs.readFileSync(file));
+  if (!wav || wav.audioFormat !== 1 || wav.bitsPerSample !== 16) {
+    throw new Error(`${file} is not a 16-bit PCM WAV file`);
+  }
+  const frames = Math.floor(wav.data.length / (2 * wav.channels));
+  const outFrames = Math.floor((frames * SAMPLE_RATE) / wav.sampleRate);
+  const pcm = Buffer.alloc(outFrames * 2);
+  const sampleAt = (frame) => {
+    let sum = 0;
+    for (let channel = 0; channel < wav.channels; channel++) {
+      sum += wav.data.readInt16LE((frame * wav.channels + channel) * 2);
+    }
+    return sum / wav.channels;
+  };
+  for (let i = 0; i < outFrames; i++) {
+    const position = (i * wav.sampleRate) / SAMPLE_RATE;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, frames - 1);
+    const fraction = position - index;
+    const value = sampleAt(index) * (1 - fraction) + sampleAt(next) * fraction;
+    pcm.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(value))), i * 2);
+  }
+  return pcm;
+};
+
+/**
+ * Low-level line noise (deterministic), so the server's VAD sees a realistic noise floor
+ */
+const createComfortNoise = () => {
+  let seed = 12345;
+  return (bytes) => {
+    const chunk = Buffer.alloc(bytes);
+    for (let i = 0; i < bytes / 2; i++) {
+      seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+      chunk.writeInt16LE(Math.round(((seed / 0x7fffffff) * 2 - 1) * 150), i * 2);
+    }
+    return chunk;
+  };
+};
+
+const postForm = (url, data) =>
+  axios.post(url, new URLSearchParams(Object.entries(data).filter(([, value]) => value !== undefined)).toString(), {
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    timeout: 15000,
+  });
+
+class SimulatedCall {
+  constructor(config) {
+    this.config = config;
+    this.streamSid = `stream-${config.callSid}`;
+    this.noise = createComfortNoise();
+    this.callerChunks = [];
+    this.callerQueue = [];
+    this.agentSegments = []; // { atMs, pcm } in playback time
+    this.playbackEndMs = 0;
+    this.pendingMarks = [];
+    this.callerTurns = [];
+    this.expectations = [];
+    this.counters = { inboundFrames: 0, outboundFrames: 0, clears: 0, marks: 0 };
+    this.closed = false;
+    this.endedBy = undefined;
+    this.sequence = 0;
+  }
+
+  elapsedMs() {
+    return Date.now() - this.startedAt;
+  }
+
+  isAgentSpeaking() {
+    return this.elapsedMs() < this.playbackEndMs;
+  }
+
+  async connect() {
+    const { server, apiPrefix, callSid, from, to, callLogId } = this.config;
+    const response = await postForm(`${server}${apiPrefix}/exotel/voice/connect`, {
+      CallSid: callSid,
+      CallFrom: from,
+      CallTo: to,
+      Direction: callLogId ? "outbound-api" : "incoming",
+      CustomField: callLogId,
+      CurrentTime: new Date().toISOString(),
+    });
+    let url = response.data?.url;
+    if (!url) {
+      throw new Error(`Connect webhook returned no stream URL: ${JSON.stringify(response.data)}`);
+    }
+    if (this.config.ws) {
+      url = url.replace(/^wss?:\/\/[^/]+/, this.config.ws.replace(/\/$/, ""));
+    }
+    this.callLogId = url.match(/\/ws\/exotel\/voice\/([^/?]+)/)?.[1];
+    console.log(`📞 ${callSid} -> ${url}`);
+
+    this.socket = new WebSocket(url);
+    await new Promise((resolve, reject) => {
+      this.socket.once("open", resolve);
+      this.socket.once("error", reject);
+    });
+    this.startedAt = Date.now();
+    this.socket.on("message", (data) => this.handleServerMessage(data));
+    this.socket.on("close", (code, reason) => {
+      if (this.closed) {
+        return;
+      }
+      this.closed = true;
+      this.endedBy = this.endedBy || "agent";
+      console.log(`📴 Stream closed by server (${code} ${reason.toString()})`);
+    });
+
+    this.send({ event: "connected" });
+    this.send({
+      event: "start",
+      stream_sid: this.streamSid,
+      callSid,
+      start: {
+        stream_sid: this.streamSid,
+        call_sid: callSid,
+        from,
+        to,
+        media_format: { encoding: "base64", sample_rate: String(SAMPLE_RATE), bit_rate: "128kbps" },
+      },
+    });
+    this.startMediaPump();
+  }
+
+  send(message) {
+    if (this.socket.readyState !== WebSocket.OPEN) {
+      return;
+    }
+    this.socket.send(JSON.stringify({ sequence_number: ++this.sequence, ...message }));
+  }
+
+  /**
+   * Caller audio at real-time pacing: queued speech, otherwise line noise
+   */
+  startMediaPump() {
+    const chunkBytes = this.config.chunkMs * BYTES_PER_MS;
+    let sentMs = 0;
+    const tick = () => {
+      if (this.closed) {
+        return;
+      }
+      while (sentMs <= this.elapsedMs()) {
+        let chunk;
+        const next = this.callerQueue[0];
+        if (next) {
+          chunk = next.pcm.subarray(next.offset, next.offset + chunkBytes);
+          next.offset += chunk.length;
+          if (next.offset >= next.pcm.length) {
+            this.callerQueue.shift();
+            next.done(sentMs + (chunk.length / BYTES_PER_MS));
+          }
+          if (chunk.length < chunkBytes) {
+            chunk = Buffer.concat([chunk, this.noise(chunkBytes - chunk.length)]);
+          }
+        } else {
+          chunk = this.noise(chunkBytes);
+        }
+        this.callerChunks.push(chunk);
+        this.send({
+          event: "media",
+          stream_sid: this.streamSid,
+          media: { chunk: this.counters.inboundFrames + 1, timestamp: String(sentMs), payload: chunk.toString("base64") },
+        });
+        this.counters.inboundFrames++;
+        sentMs += this.config.chunkMs;
+      }
+      this.pumpTimer = setTimeout(tick, this.config.chunkMs / 2);
+    };
+    tick();
+  }
+
+  /**
+   * Queue caller audio; resolves with { startMs, endMs } once it has been sent
+   */
+  speak(pcm) {
+    return new Promise((resolve) => {
+      const startMs = this.elapsedMs();
+      this.callerQueue.push({
+        pcm,
+        offset: 0,
+        done: (endMs) => resolve({ startMs, endMs }),
+      });
+    });
+  }
+
+  /**
+   * Outbound audio is played back like a handset would: in order, in real time
+   */
+  handleServerMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch {
+      return;
+    }
+    const nowMs = this.elapsedMs();
+    if (message.event === "media" && message.media?.payload) {
+      const pcm = Buffer.from(message.media.payload, "base64");
+      const atMs = Math.max(nowMs, this.playbackEndMs);
+      this.agentSegments.push({ atMs, pcm });
+      this.playbackEndMs = atMs + pcm.length / BYTES_PER_MS;
+      this.counters.outboundFrames++;
+    } else if (message.event === "clear") {
+      // Exotel drops everything not yet played
+      this.counters.clears++;
+      this.agentSegments = this.agentSegments
+        .filter((segment) => segment.atMs < nowMs)
+        .map((segment) => {
+          const playedBytes = Math.floor(((nowMs - segment.atMs) * BYTES_PER_MS) / 2) * 2;
+          return segment.pcm.length > playedBytes ? { atMs: segment.atMs, pcm: segment.pcm.subarray(0, playedBytes) } : segment;
+        });
+      this.playbackEndMs = Math.min(this.playbackEndMs, nowMs);
+      this.flushMarks();
+    } else if (message.event === "mark") {
+      this.counters.marks++;
+      const name = message.mark?.name;
+      const timer = setTimeout(() => this.echoMark(name), Math.max(0, this.playbackEndMs - nowMs));
+      this.pendingMarks.push({ name, timer });
+    }
+  }
+
+  echoMark(name) {
+    this.pendingMarks = this.pendingMarks.filter((mark) => mark.name !== name);
+    this.send({ event: "mark", stream_sid: this.streamSid, mark: { name } });
+  }
+
+  flushMarks() {
+    for (const mark of [...this.pendingMarks]) {
+      clearTimeout(mark.timer);
+      this.echoMark(mark.name);
+    }
+  }
+
+  /**
+   * Wait until the agent has replied (audio after sinceMs) and then gone quiet for idleMs
+   */
+  async waitForAgentTurn(sinceMs, requireReply = true) {
+    const deadline = this.elapsedMs() + this.config.maxWaitMs;
+    while (!this.closed && this.elapsedMs() < deadline) {
+      const replied = this.agentSegments.some((segment) => segment.atMs >= sinceMs);
+      const quietFor = this.elapsedMs() - this.playbackEndMs;
+      if ((replied || !requireReply) && quietFor >= this.config.idleMs) {
+        return replied;
+      }
+      await sleep(50);
+    }
+    return this.agentSegments.some((segment) => segment.atMs >= sinceMs);
+  }
+
+  async waitUntilAgentSpeaks(afterMs) {
+    const deadline = this.elapsedMs() + this.config.maxWaitMs;
+    while (!this.closed && !this.isAgentSpeaking() && this.elapsedMs() < deadline) {
+      await sleep(20);
+    }
+    await sleep(afterMs || 0);
+  }
+
+  async runSteps() {
+    // Greeting (agents may also wait for the caller to speak first)
+    await this.waitForAgentTurn(0, false);
+    for (const [index, step] of this.config.steps.entries()) {
+      if (this.closed) {
+        console.log(`⚠️  Call ended before step ${index + 1}`);
+        break;
+      }
+      if (step.expect !== undefined) {
+        this.checkExpectation(index, step.expect);
+        continue;
+      }
+      if (step.hangup) {
+        this.endedBy = "caller";
+        break;
+      }
+      if (step.silence) {
+        await sleep(step.silence);
+        continue;
+      }
+      if (step.bargeIn) {
+        await this.waitUntilAgentSpeaks(step.afterMs);
+      }
+      if (step.dtmf) {
+        const startMs = this.elapsedMs();
+        for (const digit of String(step.dtmf)) {
+          this.send({ event: "dtmf", stream_sid: this.streamSid, dtmf: { digit, duration: "250" } });
+          await sleep(300);
+        }
+        this.callerTurns.push({ text: `[DTMF ${step.dtmf}]`, startMs, endMs: this.elapsedMs(), dtmf: true });
+      } else if (step.say !== undefined || step.wav) {
+        const pcm = step.wav ? loadWavAsTelephonyPCM(step.wav) : encodeText(step.say, SAMPLE_RATE);
+        console.log(`🗣️  Caller: ${step.say ?? step.wav}`);
+        const timing = await this.speak(pcm);
+        this.callerTurns.push({ text: step.say ?? `[${path.basename(step.wav)}]`, ...timing });
+      } else {
+        throw new Error(`Step ${index + 1} has nothing to do: ${JSON.stringify(step)}`);
+      }
+      const lastTurn = this.callerTurns[this.callerTurns.length - 1];
+      const replied = await this.waitForAgentTurn(lastTurn.endMs);
+      if (!replied && !this.closed) {
+        console.log(`⚠️  No agent reply within ${this.config.maxWaitMs}ms`);
+      }
+    }
+    this.endedBy = this.endedBy || (this.closed ? "agent" : "caller");
+  }
+
+  checkExpectation(index, expected) {
+    const agentUtterances = this.decodeAgent();
+    const lastCaller = this.callerTurns[this.callerTurns.length - 1];
+    const reply = agentUtterances
+      .filter((utterance) => !lastCaller || utterance.startMs >= lastCaller.endMs)
+      .map((utterance) => utterance.text)
+      .join(" ");
+    const passed = reply.toLowerCase().includes(String(expected).toLowerCase());
+    this.expectations.push({ step: index + 1, expected, actual: reply, passed });
+    console.log(`${passed ? "✅" : "❌"} expect "${expected}" - agent said "${reply}"`);
+  }
+
+  async hangup() {
+    clearTimeout(this.pumpTimer);
+    for (const mark of this.pendingMarks) {
+      clearTimeout(mark.timer);
+    }
+    if (!this.closed) {
+      this.send({ event: "stop", stream_sid: this.streamSid, stop: { call_sid: this.config.callSid, reason: "callended" } });
+      await sleep(200);
+      this.closed = true;
+      this.socket.close(1000, "Call ended");
+    }
+    this.endedAt = new Date();
+    const { server, apiPrefix, callSid, from, to, callLogId } = this.config;
+    await postForm(`${server}${apiPrefix}/exotel/webhook/status`, {
+      CallSid: callSid,
+      CallFrom: from,
+      CallTo: to,
+      Direction: callLogId ? "outbound-api" : "incoming",
+      CustomField: callLogId,
+      Status: "completed",
+      Duration: String(Math.round(this.elapsedMs() / 1000)),
+      StartTime: new Date(this.startedAt).toISOString(),
+      EndTime: this.endedAt.toISOString(),
+    }).catch((error) => {
+      console.log(`⚠️  Status webhook failed: ${error.message}`);
+    });
+  }
+
+  agentChannel(lengthBytes) {
+    const channel = Buffer.alloc(lengthBytes);
+    for (const segment of this.agentSegments) {
+      const offset = Math.floor((segment.atMs * BYTES_PER_MS) / 2) * 2;
+      if (offset < channel.length) {
+        segment.pcm.copy(channel, offset, 0, Math.min(segment.pcm.length, channel.length - offset));
+      }
+    }
+    return channel;
+  }
+
+  decodeAgent() {
+    const lengthBytes = Math.ceil(Math.max(this.elapsedMs(), this.playbackEndMs) * BYTES_PER_MS / 2) * 2;
+    return decodeSpeech(this.agentChannel(lengthBytes), SAMPLE_RATE);
+  }
+
+  buildReport() {
+    const caller = Buffer.concat(this.callerChunks);
+    const lengthBytes = Math.max(caller.length, Math.ceil((this.playbackEndMs * BYTES_PER_MS) / 2) * 2);
+    const agent = this.agentChannel(lengthBytes);
+    const stereo = Buffer.alloc(lengthBytes * 2);
+    for (let i = 0; i < lengthBytes / 2; i++) {
+      stereo.writeInt16LE(i * 2 < caller.length ? caller.readInt16LE(i * 2) : 0, i * 4);
+      stereo.writeInt16LE(agent.readInt16LE(i * 2), i * 4 + 2);
+    }
+    const agentUtterances = decodeSpeech(agent, SAMPLE_RATE);
+    const transcript = [
+      ...this.callerTurns.map((turn) => ({ speaker: "caller", text: turn.text, startMs: turn.startMs, endMs: turn.endMs })),
+      ...agentUtterances.map((utterance) => ({ speaker: "agent", ...utterance })),
+    ].sort((a, b) => a.startMs - b.startMs);
+    const turns = this.callerTurns.map((turn, index) => {
+      const nextStart = this.callerTurns[index + 1]?.startMs ?? Infinity;
+      const firstReply = this.agentSegments.find((segment) => segment.atMs >= turn.endMs && segment.atMs < nextStart);
+      return {
+        caller: turn.text,
+        agent: agentUtterances
+          .filter((utterance) => utterance.startMs >= turn.endMs && utterance.startMs < nextStart)
+          .map((utterance) => utterance.text)
+          .join(" "),
+        responseLatencyMs: firstReply ? Math.round(firstReply.atMs - turn.endMs) : null,
+      };
+    });
+    if (this.config.maxLatencyMs) {
+      for (const [index, turn] of turns.entries()) {
+        const passed = turn.responseLatencyMs !== null && turn.responseLatencyMs <= this.config.maxLatencyMs;
+        this.expectations.push({ turn: index + 1, expected: `responseLatencyMs <= ${this.config.maxLatencyMs}`, actual: turn.responseLatencyMs, passed });
+      }
+    }
+    return {
+      report: {
+        callSid: this.config.callSid,
+        callLogId: this.callLogId,
+        startedAt: new Date(this.startedAt).toISOString(),
+        endedAt: this.endedAt.toISOString(),
+        durationMs: this.endedAt.getTime() - this.startedAt,
+        endedBy: this.endedBy,
+        transcript,
+        turns,
+        frames: this.counters,
+        expectations: this.expectations,
+        passed: this.expectations.every((expectation) => expectation.passed),
+        recording: `${this.config.out}.wav`,
+      },
+      wav: buildWav(stereo, SAMPLE_RATE, 2),
+    };
+  }
+}
+
+const simulateCall = async () => {
+  const config = loadScenario(parseArgs());
+  const call = new SimulatedCall(config);
+  await call.connect();
+  try {
+    await call.runSteps();
+  } finally {
+    await call.hangup();
+  }
+  const { report, wav } = call.buildReport();
+  fs.mkdirSync(path.dirname(path.resolve(config.out)), { recursive: true });
+  fs.writeFileSync(`${config.out}.wav`, wav);
+  fs.writeFileSync(`${config.out}.json`, JSON.stringify(report, null, 2));
+  for (const entry of report.transcript) {
+    console.log(`[${(entry.startMs / 1000).toFixed(1)}s] ${entry.speaker.toUpperCase()}: ${entry.text}`);
+  }
+  for (const [index, turn] of report.turns.entries()) {
+    console.log(`Turn ${index + 1}: response latency ${turn.responseLatencyMs ?? "-"}ms`);
+  }
+  console.log(`📝 ${config.out}.json  🎧 ${config.out}.wav`);
+  return report;
+};
+
+(async () => {
+  try {
+    const report = await simulateCall();
+    process.exitCode = report.passed ? 0 : 1;
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    process.exit();
+  }
+})();
+
+// npm run simulate:call -- to=+918000000000 say="Hello|I want to book a table|Goodbye"
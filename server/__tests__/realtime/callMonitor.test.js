@@ -0,0 +1,78 @@
+/**
+ * Call Monitor Gateway Tests
+ * Subscriptions are released even when the supervisor disconnects mid-setup
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-at-least-32-characters';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'sk-test';
+
+jest.mock('../../utils/logger', () => ({
+  logger: { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() }
+}));
+
+const { EventEmitter } = require('events');
+const { callMonitorHandler } = require('../../realtime/handlers/callMonitor.gateway');
+const { callMonitorService } = require('../../services/callMonitor.service');
+
+const CALL_ID = '507f1f77bcf86cd799439011';
+
+const newClient = () => Object.assign(new EventEmitter(), {
+  id: 'client-1',
+  readyState: 1,
+  send: jest.fn(),
+  close: jest.fn()
+});
+
+const request = { url: `/ws/monitor/${CALL_ID}`, headers: {} };
+
+describe('CallMonitorHandler.handleConnection', () => {
+  let unsubscribe;
+
+  beforeEach(() => {
+    unsubscribe = jest.fn().mockResolvedValue(undefined);
+    jest.spyOn(callMonitorHandler, 'authenticate').mockResolvedValue({ _id: 'user-1' });
+    jest.spyOn(callMonitorHandler, 'getCallSnapshot').mockResolvedValue({ callLogId: CALL_ID });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('unsubscribes when the socket closes after connecting', async () => {
+    const client = newClient();
+    jest.spyOn(callMonitorService, 'subscribe').mockResolvedValue(unsubscribe);
+
+    await callMonitorHandler.handleConnection(client, request);
+    expect(client.send).toHaveBeenCalledWith(expect.stringContaining('"type":"connected"'));
+
+    client.emit('close');
+    expect(unsubscribe).toHaveBeenCalledTimes(1);
+  });
+
+  it('releases a subscription that completes after the socket closed', async () => {
+    const client = newClient();
+    jest.spyOn(callMonitorService, 'subscribe').mockImplementation(async () => {
+      client.emit('close');
+      return unsubscribe;
+    });
+
+    await callMonitorHandler.handleConnection(client, request);
+
+    expect(unsubscribe).toHaveBeenCalledTimes(1);
+    expect(client.send).not.toHaveBeenCalled();
+  });
+
+  it('does not subscribe when the socket errored while loading the snapshot', async () => {
+    const client = newClient();
+    const subscribe = jest.spyOn(callMonitorService, 'subscribe').mockResolvedValue(unsubscribe);
+    callMonitorHandler.getCallSnapshot.mockImplementation(async () => {
+      client.emit('error', new Error('socket hang up'));
+      return { callLogId: CALL_ID };
+    });
+
+    await callMonitorHandler.handleConnection(client, request);
+
+    expect(subscribe).not.toHaveBeenCalled();
+    expect(client.send).not.toHaveBeenCalled();
+  });
+});
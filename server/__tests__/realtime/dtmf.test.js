@@ -0,0 +1,98 @@
+/**
+ * DTMF Tests
+ * Keypad buffering and masking of entered digits
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-at-least-32-characters';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'sk-test';
+
+jest.mock('../../utils/logger', () => ({
+  logger: { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() }
+}));
+// The real collector starts an export interval on load
+jest.mock('../../utils/metrics', () => ({ metrics: {} }));
+
+const { exotelVoiceHandler } = require('../../realtime/handlers/exotelVoice.gateway');
+
+const client = { id: 'client-1', readyState: 1 };
+
+const newSession = (dtmf = {}) => ({
+  callLogId: 'call-1',
+  agent: { config: { dtmf } },
+  config: {},
+  timings: {}
+});
+
+const press = (session, digit) => exotelVoiceHandler.handleDtmf(client, session, { dtmf: { digit } });
+
+describe('ExotelVoiceHandler DTMF', () => {
+  let session;
+  let saveTranscript;
+
+  beforeEach(() => {
+    saveTranscript = jest.spyOn(exotelVoiceHandler, 'saveTranscript').mockResolvedValue(undefined);
+    jest.spyOn(exotelVoiceHandler, 'speakText').mockResolvedValue(0);
+    jest.spyOn(exotelVoiceHandler, 'processUserSpeechFromTranscript').mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    clearTimeout(session?.dtmfTimeout);
+    exotelVoiceHandler.sessions.delete(client.id);
+    jest.restoreAllMocks();
+  });
+
+  it('ignores a terminator pressed before any digits', async () => {
+    session = newSession();
+
+    await press(session, '#');
+
+    expect(session.dtmfDigits).toBeFalsy();
+    expect(session.dtmfTimeout).toBeUndefined();
+  });
+
+  it('still lets the terminator key select a menu option of its own', async () => {
+    session = newSession({ menu: [{ digits: '#', action: 'say', message: 'Repeating the menu.' }] });
+    exotelVoiceHandler.sessions.set(client.id, session);
+
+    await press(session, '#');
+
+    expect(exotelVoiceHandler.speakText).toHaveBeenCalledWith(client, 'Repeating the menu.', session);
+  });
+
+  it('hands the real digits to the LLM turn', async () => {
+    session = newSession();
+    exotelVoiceHandler.sessions.set(client.id, session);
+
+    for (const digit of '4321#') {
+      await press(session, digit);
+    }
+
+    expect(exotelVoiceHandler.processUserSpeechFromTranscript).toHaveBeenCalledWith(client, session, {
+      type: 'dtmf',
+      digits: '4321',
+      option: undefined
+    });
+  });
+
+  it('masks digits for storage unless the menu option is marked non-sensitive', () => {
+    expect(exotelVoiceHandler.maskDtmfDigits('4321')).toBe('••••');
+    expect(exotelVoiceHandler.maskDtmfDigits('4321', { digits: '4321' })).toBe('••••');
+    expect(exotelVoiceHandler.maskDtmfDigits('2', { digits: '2', sensitive: false })).toBe('2');
+  });
+
+  it('masks menu selections unless the option is marked non-sensitive', async () => {
+    session = newSession({
+      menu: [
+        { digits: '1', action: 'say', label: 'Balance', message: 'Your balance is ready.' },
+        { digits: '2', action: 'say', label: 'Hours', message: 'We are open nine to five.', sensitive: false }
+      ]
+    });
+    exotelVoiceHandler.sessions.set(client.id, session);
+
+    await press(session, '1');
+    await press(session, '2');
+
+    expect(saveTranscript).toHaveBeenCalledWith('call-1', 'user', 'Pressed • (Balance)', { type: 'dtmf', digits: '•' });
+    expect(saveTranscript).toHaveBeenCalledWith('call-1', 'user', 'Pressed 2 (Hours)', { type: 'dtmf', digits: '2' });
+  });
+});
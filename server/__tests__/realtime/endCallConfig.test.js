@@ -0,0 +1,53 @@
+/**
+ * End-Call Config Tests
+ * When the gateway hangs up on the caller's end-call phrases
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-at-least-32-characters';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'sk-test';
+
+jest.mock('../../utils/logger', () => ({
+  logger: { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() }
+}));
+// The real collector starts an export interval on load
+jest.mock('../../utils/metrics', () => ({ metrics: {} }));
+
+const { exotelVoiceHandler } = require('../../realtime/handlers/exotelVoice.gateway');
+const { Agent } = require('../../models/Agent');
+
+/**
+ * Session for an agent built from the schema defaults, so it carries the default endCallPhrases
+ */
+const sessionFor = (config = {}) => ({
+  agent: new Agent({ name: 'Test agent', config: { prompt: 'You are a helpful agent.', ...config } }).toObject()
+});
+
+describe('ExotelVoiceHandler end-call config', () => {
+  it('hangs up on phrases for agents that leave the LLM out of it', () => {
+    const session = sessionFor();
+
+    expect(session.agent.config.endCallPhrases).toContain('bye');
+    expect(exotelVoiceHandler.getEndCallConfig(session)).toMatchObject({ llm: false, keywordFallback: true });
+    expect(exotelVoiceHandler.shouldEndCallOnPhrase('okay, bye', session)).toBe(true);
+  });
+
+  it('leaves hanging up to the LLM once it is opted in, despite the default phrases', () => {
+    const session = sessionFor({ endCall: { llm: true } });
+
+    expect(session.agent.config.endCallPhrases).toContain('bye');
+    expect(exotelVoiceHandler.getEndCallConfig(session)).toMatchObject({ llm: true, keywordFallback: false });
+    expect(exotelVoiceHandler.shouldEndCallOnPhrase("I can't say bye to my EMI", session)).toBe(false);
+  });
+
+  it('keeps phrase matching as a fallback when asked to', () => {
+    const session = sessionFor({ endCall: { llm: true, keywordFallback: true } });
+
+    expect(exotelVoiceHandler.shouldEndCallOnPhrase('okay, bye', session)).toBe(true);
+  });
+
+  it('lets agents turn phrase matching off', () => {
+    const session = sessionFor({ endCall: { keywordFallback: false } });
+
+    expect(exotelVoiceHandler.shouldEndCallOnPhrase('okay, bye', session)).toBe(false);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * End-Call Playback Tests
+ * Closing lines play to the end before the call is hung up
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-at-least-32-characters';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'sk-test';
+
+jest.mock('../../utils/logger', () => ({
+  logger: { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() }
+}));
+// The real collector starts an export interval on load
+jest.mock('../../utils/metrics', () => ({ metrics: {} }));
+
+const { exotelVoiceHandler } = require('../../realtime/handlers/exotelVoice.gateway');
+
+const CLOSING_MS = 3000;
+
+describe('ExotelVoiceHandler.endCallWithMessage', () => {
+  let session;
+  let hangUp;
+
+  beforeEach(() => {
+    session = { callLogId: 'call-1', agent: { config: {} }, config: {} };
+    jest.useFakeTimers();
+    jest.spyOn(exotelVoiceHandler, 'hasStreamingTTS').mockReturnValue(false);
+    jest.spyOn(exotelVoiceHandler, 'synthesizeForCall').mockResolvedValue(Buffer.alloc(0));
+    // Exotel plays what was sent in real time - the closing line ends CLOSING_MS from now
+    jest.spyOn(exotelVoiceHandler, 'sendAudioToExotel').mockImplementation(async () => {
+      session.outboundAudioEndAt = Date.now() + CLOSING_MS;
+      return CLOSING_MS;
+    });
+    jest.spyOn(exotelVoiceHandler, 'saveTranscript').mockResolvedValue(undefined);
+    hangUp = jest.spyOn(exotelVoiceHandler, 'hangUpCall').mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('hangs up only after the whole closing line has played', async () => {
+    const client = { id: 'client-1', readyState: 1 };
+
+    const ending = exotelVoiceHandler.endCallWithMessage(client, session, 'max_duration', 'Goodbye!', 'Max call duration reached');
+
+    await jest.advanceTimersByTimeAsync(CLOSING_MS * 0.9);
+    expect(hangUp).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(CLOSING_MS * 0.1 + exotelVoiceHandler.END_CALL_PLAYBACK_MARGIN_MS);
+    await ending;
+    expect(hangUp).toHaveBeenCalledWith(client, session, 'Max call duration reached');
+    expect(session.endReason).toBe('max_duration');
+  });
+});
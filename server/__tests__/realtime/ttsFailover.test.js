@@ -0,0 +1,115 @@
+/**
+ * TTS Failover Tests
+ * When a mid-call TTS error retries the same voice and when it switches voices
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-at-least-32-characters';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'sk-test';
+
+jest.mock('../../utils/logger', () => ({
+  logger: { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() }
+}));
+// The real collector starts an export interval on load
+jest.mock('../../utils/metrics', () => ({ metrics: {} }));
+
+const { exotelVoiceHandler } = require('../../realtime/handlers/exotelVoice.gateway');
+const { voicePipelineService } = require('../../services/voicePipeline.service');
+
+const AUDIO = Buffer.from('audio');
+
+const newSession = () => ({
+  callLogId: 'call-1',
+  agent: { config: {} },
+  config: { voiceProvider: 'elevenlabs', voiceId: 'voice-a', language: 'en' }
+});
+
+describe('ExotelVoiceHandler.synthesizeForCall', () => {
+  const retryDelayMs = exotelVoiceHandler.TTS_RETRY.delayMs;
+  let synthesize;
+
+  beforeEach(() => {
+    synthesize = jest.spyOn(voicePipelineService, 'synthesizeText');
+    jest.spyOn(voicePipelineService, 'getActiveLanguage').mockReturnValue('en');
+    jest.spyOn(voicePipelineService, 'getFailoverVoice').mockReturnValue({ provider: 'cartesia', voiceId: 'voice-b' });
+    jest.spyOn(exotelVoiceHandler, 'recordProviderEvent').mockImplementation(() => undefined);
+    jest.spyOn(exotelVoiceHandler, 'prewarmFillerAudio').mockImplementation(() => undefined);
+    exotelVoiceHandler.TTS_RETRY.delayMs = 0;
+  });
+
+  afterEach(() => {
+    exotelVoiceHandler.TTS_RETRY.delayMs = retryDelayMs;
+    jest.restoreAllMocks();
+  });
+
+  it('retries a transient failure with the same voice', async () => {
+    const session = newSession();
+    synthesize.mockRejectedValueOnce(new Error('timeout of 5000ms exceeded')).mockResolvedValueOnce(AUDIO);
+
+    await expect(exotelVoiceHandler.synthesizeForCall(session, 'Hello')).resolves.toBe(AUDIO);
+    expect(synthesize).toHaveBeenCalledTimes(2);
+    expect(session.config).toMatchObject({ voiceProvider: 'elevenlabs', voiceId: 'voice-a' });
+  });
+
+  it('drops a clip that keeps failing without switching voices', async () => {
+    const session = newSession();
+    synthesize.mockRejectedValue(new Error('Text could not be synthesized'));
+
+    await expect(exotelVoiceHandler.synthesizeForCall(session, 'Hello')).rejects.toThrow('could not be synthesized');
+    expect(synthesize).toHaveBeenCalledTimes(2);
+    expect(session.config.voiceProvider).toBe('elevenlabs');
+  });
+
+  it('fails over once the voice has failed consecutive clips', async () => {
+    const session = newSession();
+    synthesize.mockImplementation(async (text, config) => {
+      if (config.voiceProvider === 'elevenlabs') {
+        throw new Error('timeout of 5000ms exceeded');
+      }
+      return AUDIO;
+    });
+
+    await expect(exotelVoiceHandler.synthesizeForCall(session, 'First')).rejects.toThrow('timeout');
+    await expect(exotelVoiceHandler.synthesizeForCall(session, 'Second')).resolves.toBe(AUDIO);
+    expect(session.config).toMatchObject({ voiceProvider: 'cartesia', voiceId: 'voice-b' });
+  });
+
+  it('forgets earlier failures once a clip succeeds', async () => {
+    const session = newSession();
+    synthesize
+      .mockRejectedValueOnce(new Error('bad clip'))
+      .mockRejectedValueOnce(new Error('bad clip'))
+      .mockResolvedValueOnce(AUDIO)
+      .mockRejectedValueOnce(new Error('bad clip'))
+      .mockRejectedValueOnce(new Error('bad clip'));
+
+    await expect(exotelVoiceHandler.synthesizeForCall(session, 'One')).rejects.toThrow();
+    await exotelVoiceHandler.synthesizeForCall(session, 'Two');
+    await expect(exotelVoiceHandler.synthesizeForCall(session, 'Three')).rejects.toThrow();
+    expect(session.config.voiceProvider).toBe('elevenlabs');
+  });
+
+  it('fails over right away when the provider is down', async () => {
+    const session = newSession();
+    synthesize
+      .mockRejectedValueOnce(new Error('ElevenLabs TTS error: Request failed with status code 401'))
+      .mockResolvedValueOnce(AUDIO);
+
+    await expect(exotelVoiceHandler.synthesizeForCall(session, 'Hello')).resolves.toBe(AUDIO);
+    expect(synthesize).toHaveBeenCalledTimes(2);
+    expect(synthesize.mock.calls[1][1].voiceProvider).toBe('cartesia');
+  });
+});
+
+describe('ExotelVoiceHandler.isTTSProviderDown', () => {
+  it('treats auth, server and connection errors as the provider being down', () => {
+    expect(exotelVoiceHandler.isTTSProviderDown({ message: 'x', response: { status: 503 } })).toBe(true);
+    expect(exotelVoiceHandler.isTTSProviderDown(new Error('Request failed with status code 403'))).toBe(true);
+    expect(exotelVoiceHandler.isTTSProviderDown(Object.assign(new Error('connect failed'), { code: 'ECONNREFUSED' }))).toBe(true);
+    expect(exotelVoiceHandler.isTTSProviderDown(new Error('Cartesia TTS service not available'))).toBe(true);
+  });
+
+  it('treats timeouts and request errors as transient', () => {
+    expect(exotelVoiceHandler.isTTSProviderDown(new Error('timeout of 5000ms exceeded'))).toBe(false);
+    expect(exotelVoiceHandler.isTTSProviderDown(new Error('Request failed with status code 400'))).toBe(false);
+  });
+});
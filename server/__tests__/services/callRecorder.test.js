@@ -0,0 +1,194 @@
+/**
+ * Call Recorder Tests
+ * Dual-channel WAV rendering (caller = left, agent = right)
+ */
+
+jest.mock('../../config/env', () => ({ env: {} }));
+jest.mock('../../models/CallLog', () => ({ CallLog: {} }));
+jest.mock('../../services/storage.service', () => ({ storageService: {} }));
+
+const { CallRecorder } = require('../../services/callRecording.service');
+const { parseWav, buildWav } = require('../../utils/wav');
+
+const START = 1_700_000_000_000;
+
+/**
+ * 16-bit mono PCM of `ms` milliseconds, every sample set to `value`
+ */
+const tone = (ms, value, sampleRate = 8000) => {
+  const buffer = Buffer.alloc((sampleRate * ms * 2) / 1000);
+  for (let offset = 0; offset < buffer.length; offset += 2) {
+    buffer.writeInt16LE(value, offset);
+  }
+  return buffer;
+};
+
+/**
+ * [left, right] sample at a millisecond offset of a rendered recording
+ */
+const sampleAt = (wav, ms) => {
+  const frame = Math.floor((wav.sampleRate * ms) / 1000);
+  return [wav.data.readInt16LE(frame * 4), wav.data.readInt16LE(frame * 4 + 2)];
+};
+
+describe('CallRecorder', () => {
+  let now;
+
+  beforeEach(() => {
+    now = START;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('writes a 16-bit stereo PCM header', async () => {
+    const recorder = new CallRecorder();
+    recorder.addCallerAudio(tone(100, 1000));
+
+    const raw = await recorder.toWav();
+    const wav = parseWav(raw);
+
+    expect(wav).toMatchObject({ audioFormat: 1, channels: 2, sampleRate: 8000, bitsPerSample: 16 });
+    expect(wav.data.length).toBe(100 * 8 * 4);
+    expect(raw.readUInt32LE(4)).toBe(raw.length - 8);
+    expect(raw.readUInt32LE(28)).toBe(8000 * 4); // byte rate
+    expect(raw.readUInt16LE(32)).toBe(4); // block align
+  });
+
+  it('puts the caller on the left and the agent on the right', async () => {
+    const recorder = new CallRecorder();
+    recorder.addCallerAudio(tone(200, 1000));
+    recorder.addAgentAudio(tone(100, -2000), START + 50);
+
+    const wav = parseWav(await recorder.toWav());
+
+    expect(sampleAt(wav, 10)).toEqual([1000, 0]);
+    expect(sampleAt(wav, 60)).toEqual([1000, -2000]);
+    expect(sampleAt(wav, 160)).toEqual([1000, 0]);
+  });
+
+  it('starts the caller channel at the first caller frame', async () => {
+    const recorder = new CallRecorder();
+    now = START + 300;
+    recorder.addCallerAudio(tone(100, 500));
+
+    const wav = parseWav(await recorder.toWav());
+
+    expect(wav.data.length).toBe(400 * 8 * 4);
+    expect(sampleAt(wav, 299)).toEqual([0, 0]);
+    expect(sampleAt(wav, 300)).toEqual([500, 0]);
+  });
+
+  it('lays caller chunks down back to back', async () => {
+    const recorder = new CallRecorder();
+    recorder.addCallerAudio(tone(100, 100));
+    now = START + 500; // Late delivery doesn't open a gap
+    recorder.addCallerAudio(tone(100, 200));
+
+    const wav = parseWav(await recorder.toWav());
+
+    expect(wav.data.length).toBe(200 * 8 * 4);
+    expect(sampleAt(wav, 150)).toEqual([200, 0]);
+  });
+
+  it('extends the recording to the last agent audio', async () => {
+    const recorder = new CallRecorder();
+    recorder.addCallerAudio(tone(100, 100));
+    recorder.addAgentAudio(tone(100, 300), START + 1000);
+
+    const wav = parseWav(await recorder.toWav());
+
+    expect(wav.data.length).toBe(1100 * 8 * 4);
+    expect(sampleAt(wav, 1050)).toEqual([0, 300]);
+  });
+
+  it('cuts agent audio that Exotel dropped on a barge-in', async () => {
+    const recorder = new CallRecorder();
+    recorder.addCallerAudio(tone(400, 100));
+    recorder.addAgentAudio(tone(100, 300), START);
+    recorder.addAgentAudio(tone(100, 400), START + 100);
+    recorder.addAgentAudio(tone(100, 500), START + 200);
+
+    recorder.truncateAgentAudio(START + 150);
+    const wav = parseWav(await recorder.toWav());
+
+    expect(recorder.agentSegments).toHaveLength(2);
+    expect(recorder.agentSegments[1].data.length).toBe(50 * 8 * 2);
+    expect(sampleAt(wav, 120)).toEqual([100, 400]);
+    expect(sampleAt(wav, 160)).toEqual([100, 0]);
+    expect(sampleAt(wav, 250)).toEqual([100, 0]);
+  });
+
+  it('yields to other calls while rendering long recordings', async () => {
+    const recorder = new CallRecorder();
+    recorder.addCallerAudio(tone(10000, 100));
+    recorder.addAgentAudio(tone(1000, 300), START + 9000);
+
+    let yielded = false;
+    setImmediate(() => {
+      yielded = true;
+    });
+    const wav = parseWav(await recorder.toWav());
+
+    expect(yielded).toBe(true);
+    expect(wav.data.length).toBe(10000 * 8 * 4);
+    expect(sampleAt(wav, 9999)).toEqual([100, 300]);
+  });
+
+  it('stops recording at the duration cap', () => {
+    const recorder = new CallRecorder(8000, 200);
+    recorder.addCallerAudio(tone(150, 100));
+    recorder.addCallerAudio(tone(100, 100));
+    recorder.addCallerAudio(tone(100, 100));
+    recorder.addAgentAudio(tone(100, 300), START + 250);
+
+    expect(recorder.callerBytes).toBe(250 * 8 * 2);
+    expect(recorder.agentSegments).toHaveLength(0);
+  });
+
+  it('knows whether anything was recorded', () => {
+    const recorder = new CallRecorder();
+    expect(recorder.hasAudio()).toBe(false);
+    recorder.addAgentAudio(tone(20, 1), START);
+    expect(recorder.hasAudio()).toBe(true);
+  });
+
+  it('records wideband calls at their own rate', async () => {
+    const recorder = new CallRecorder(16000);
+    recorder.addCallerAudio(tone(100, 700, 16000));
+    recorder.addAgentAudio(tone(50, 900, 16000), START + 25);
+
+    const wav = parseWav(await recorder.toWav());
+
+    expect(wav.sampleRate).toBe(16000);
+    expect(wav.data.length).toBe(100 * 16 * 4);
+    expect(sampleAt(wav, 30)).toEqual([700, 900]);
+  });
+});
+
+describe('WAV helpers', () => {
+  it('round-trips PCM through buildWav and parseWav', () => {
+    const pcm = tone(40, 1234);
+    const wav = parseWav(buildWav(pcm, 16000));
+
+    expect(wav).toMatchObject({ audioFormat: 1, channels: 1, sampleRate: 16000, bitsPerSample: 16 });
+    expect(wav.data.equals(pcm)).toBe(true);
+  });
+
+  it('skips chunks before the audio data', () => {
+    const built = buildWav(tone(20, 42));
+    const list = Buffer.alloc(8 + 5); // Odd-sized LIST chunk with its pad byte
+    list.write('LIST', 0);
+    list.writeUInt32LE(5, 4);
+    const wav = parseWav(Buffer.concat([built.subarray(0, 36), list, Buffer.alloc(1), built.subarray(36)]));
+
+    expect(wav.data.equals(tone(20, 42))).toBe(true);
+  });
+
+  it('returns null for anything that is not a WAV file', () => {
+    expect(parseWav(Buffer.from('not a wav file at all'))).toBeNull();
+    expect(parseWav(Buffer.alloc(4))).toBeNull();
+  });
+});
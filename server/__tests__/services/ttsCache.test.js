@@ -0,0 +1,87 @@
+/**
+ * TTS Cache Tests
+ * Which synthesized phrases are kept in the hot and cold tiers
+ */
+
+jest.mock('../../config/env', () => ({
+  env: {
+    TTS_CACHE_HOT_TTL_SEC: 86400,
+    TTS_CACHE_COLD_TTL_DAYS: 30,
+    TTS_CACHE_COLD_MAX_MB: 100,
+    TTS_CACHE_MAX_ENTRY_KB: 512
+  }
+}));
+jest.mock('../../config/redis', () => {
+  const strings = new Map();
+  const index = new Map();
+  return {
+    redis: {
+      strings,
+      index,
+      get: jest.fn(async (key) => strings.get(key) ?? null),
+      set: jest.fn(async (key, value, options = {}) => {
+        if (options.NX && strings.has(key)) {
+          return null;
+        }
+        strings.set(key, value);
+        return 'OK';
+      }),
+      zAdd: jest.fn(async (key, { score, value }, options = {}) => {
+        if (options.NX && index.has(value)) {
+          return 0;
+        }
+        index.set(value, score);
+        return 1;
+      }),
+      zScore: jest.fn(async (key, member) => index.get(member) ?? null),
+      hSet: jest.fn(async () => 1),
+      hIncrBy: jest.fn(async () => 1)
+    }
+  };
+});
+jest.mock('../../services/storage.service', () => ({
+  storageService: { put: jest.fn(async () => undefined), get: jest.fn(async () => null) }
+}));
+
+const { redis } = require('../../config/redis');
+const { storageService } = require('../../services/storage.service');
+const { ttsCacheService } = require('../../services/ttsCache.service');
+
+const AUDIO = Buffer.from('rendered audio');
+const params = (text) => ({ provider: 'elevenlabs', voiceId: 'voice-a', language: 'en', text });
+const hotKeys = () => [...redis.strings.keys()].filter((key) => key.startsWith(ttsCacheService.HOT_PREFIX));
+
+describe('TTSCacheService.set', () => {
+  beforeEach(() => {
+    redis.strings.clear();
+    redis.index.clear();
+    storageService.put.mockClear();
+    // Keep eviction out of these tests
+    ttsCacheService.lastEvictionAt = Date.now();
+  });
+
+  it('keeps only a marker for the first rendition of dynamic text', async () => {
+    await ttsCacheService.set(params('Your order ships on Tuesday.'), AUDIO);
+
+    expect(hotKeys()).toHaveLength(0);
+    expect(storageService.put).not.toHaveBeenCalled();
+    expect(await ttsCacheService.get(params('Your order ships on Tuesday.'))).toBeNull();
+  });
+
+  it('caches dynamic text once it is synthesized again', async () => {
+    await ttsCacheService.set(params('Your order ships on Tuesday.'), AUDIO);
+    await ttsCacheService.set(params('Your order ships on Tuesday.'), AUDIO);
+
+    expect(hotKeys()).toHaveLength(1);
+    expect(storageService.put).toHaveBeenCalledTimes(1);
+    expect(await ttsCacheService.get(params('Your order ships on Tuesday.'))).toEqual(AUDIO);
+  });
+
+  it('caches persisted phrases right away', async () => {
+    await ttsCacheService.set(params('Hello! How can I help you today?'), AUDIO, { persist: true });
+
+    expect(hotKeys()).toHaveLength(1);
+    expect(storageService.put).toHaveBeenCalledTimes(1);
+    expect(await ttsCacheService.get(params('Hello! How can I help you today?'))).toEqual(AUDIO);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Audio Converter Tests
+ * Wire codecs (G.711 μ-law / A-law), resampling and media format negotiation
+ */
+
+const { audioConverter, parseMediaFormat, pcmBytesPerMs } = require('../../utils/audioConverter');
+const { buildWav } = require('../../utils/wav');
+
+const pcm = (samples) => {
+  const buffer = Buffer.alloc(samples.length * 2);
+  samples.forEach((sample, i) => buffer.writeInt16LE(sample, i * 2));
+  return buffer;
+};
+
+const samplesOf = (buffer) => Array.from({ length: buffer.length / 2 }, (_, i) => buffer.readInt16LE(i * 2));
+
+/**
+ * Same bytes at an odd byteOffset, as slices of a larger network buffer can be
+ */
+const unaligned = (buffer) => Buffer.concat([Buffer.alloc(1), buffer]).subarray(1);
+
+describe('parseMediaFormat', () => {
+  it('reads an Exotel start event by its bit rate', () => {
+    expect(parseMediaFormat({ encoding: 'base64', sample_rate: '8000', bit_rate: '64kbps' }))
+      .toEqual({ encoding: 'mulaw', sampleRate: 8000 });
+    expect(parseMediaFormat({ encoding: 'base64', sample_rate: '16000', bit_rate: '256kbps' }))
+      .toEqual({ encoding: 'pcm', sampleRate: 16000 });
+  });
+
+  it('recognises codec names and aliases in any case', () => {
+    expect(parseMediaFormat({ encoding: 'audio/x-mulaw', sampleRate: 8000 })).toEqual({ encoding: 'mulaw', sampleRate: 8000 });
+    expect(parseMediaFormat({ encoding: 'PCMA' })).toEqual({ encoding: 'alaw', sampleRate: 8000 });
+    expect(parseMediaFormat({ encoding: 'linear16', sampleRate: '16000' })).toEqual({ encoding: 'pcm', sampleRate: 16000 });
+  });
+
+  it('defaults unknown encodings without a bit rate to PCM', () => {
+    expect(parseMediaFormat({ encoding: 'weird' })).toEqual({ encoding: 'pcm', sampleRate: 8000 });
+  });
+
+  it('rejects missing descriptions and unsupported sample rates', () => {
+    expect(parseMediaFormat(undefined)).toBeUndefined();
+    expect(parseMediaFormat({ encoding: 'pcm', sampleRate: 44100 })).toBeUndefined();
+  });
+});
+
+describe('pcmBytesPerMs', () => {
+  it('counts 16-bit mono bytes', () => {
+    expect(pcmBytesPerMs(8000)).toBe(16);
+    expect(pcmBytesPerMs(16000)).toBe(32);
+  });
+});
+
+describe('AudioConverter wire codecs', () => {
+  it('encodes μ-law with the G.711 code points', () => {
+    const encoded = audioConverter.encodeForWire(pcm([0, 1000, -1000, 32767, -32768]), { encoding: 'mulaw' });
+    expect([...encoded]).toEqual([0xff, 0xce, 0x4e, 0x80, 0x00]);
+  });
+
+  it('encodes A-law with the G.711 code points', () => {
+    const encoded = audioConverter.encodeForWire(pcm([0, 1000, -1000, 32767, -32768]), { encoding: 'alaw' });
+    expect([...encoded]).toEqual([0xd5, 0xfa, 0x7a, 0xaa, 0x2a]);
+  });
+
+  it('decodes μ-law and A-law to 16-bit PCM', () => {
+    expect(samplesOf(audioConverter.decodeFromWire(Buffer.from([0xff, 0x00, 0x80]), { encoding: 'mulaw' })))
+      .toEqual([0, -32124, 32124]);
+    expect(samplesOf(audioConverter.decodeFromWire(Buffer.from([0xd5, 0x2a, 0xaa]), { encoding: 'alaw' })))
+      .toEqual([8, -32256, 32256]);
+  });
+
+  it('round-trips speech-level samples within companding error', () => {
+    const input = [0, 1000, -1000, 12345, -20000];
+    for (const encoding of ['mulaw', 'alaw']) {
+      const decoded = samplesOf(audioConverter.decodeFromWire(audioConverter.encodeForWire(pcm(input), { encoding }), { encoding }));
+      decoded.forEach((sample, i) => {
+        expect(Math.abs(sample - input[i])).toBeLessThanOrEqual(Math.max(16, Math.abs(input[i]) * 0.05));
+      });
+    }
+  });
+
+  it('encodes unaligned buffers', () => {
+    const input = pcm([0, 1000, -1000]);
+    expect(audioConverter.encodeForWire(unaligned(input), { encoding: 'mulaw' }))
+      .toEqual(audioConverter.encodeForWire(input, { encoding: 'mulaw' }));
+  });
+
+  it('passes PCM through untouched', () => {
+    const input = pcm([1, 2, 3]);
+    expect(audioConverter.encodeForWire(input, { encoding: 'pcm' })).toBe(input);
+    expect(audioConverter.decodeFromWire(input, { encoding: 'pcm' })).toBe(input);
+  });
+});
+
+describe('AudioConverter.resamplePCM', () => {
+  it('upsamples by interpolating between samples', () => {
+    expect(samplesOf(audioConverter.resamplePCM(pcm([0, 100, 200, 300]), 8000, 16000)))
+      .toEqual([0, 50, 100, 150, 200, 250, 300, 300]);
+  });
+
+  it('downsamples to the target length', () => {
+    expect(samplesOf(audioConverter.resamplePCM(pcm([0, 100, 200, 300, 400, 500]), 16000, 8000)))
+      .toEqual([0, 200, 400]);
+  });
+
+  it('converts between 8kHz and 24kHz TTS output', () => {
+    const output = audioConverter.resamplePCM(pcm(new Array(240).fill(500)), 24000, 8000);
+    expect(output.length).toBe(80 * 2);
+    expect(samplesOf(output).every((sample) => sample === 500)).toBe(true);
+  });
+
+  it('returns the input when there is nothing to do', () => {
+    const input = pcm([1, 2, 3]);
+    expect(audioConverter.resamplePCM(input, 8000, 8000)).toBe(input);
+    const single = Buffer.alloc(1);
+    expect(audioConverter.resamplePCM(single, 8000, 16000)).toBe(single);
+  });
+
+  it('resamples unaligned buffers', () => {
+    expect(samplesOf(audioConverter.resamplePCM(unaligned(pcm([0, 100, 200, 300])), 8000, 16000)))
+      .toEqual([0, 50, 100, 150, 200, 250, 300, 300]);
+  });
+});
+
+describe('AudioConverter.convertToPCM', () => {
+  it('unwraps 16-bit mono WAV without ffmpeg, resampling to the call rate', async () => {
+    const wav = buildWav(pcm([0, 100, 200, 300, 400, 500]), 16000);
+    expect(samplesOf(await audioConverter.convertToPCM(wav, 8000))).toEqual([0, 200, 400]);
+    expect(samplesOf(await audioConverter.convertToPCM(wav, 16000))).toEqual([0, 100, 200, 300, 400, 500]);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Endpointing Tests
+ */
+
+const { getEndpointDelay, isLikelyUnfinished, isShortAnswer } = require('../../utils/endpointing');
+
+describe('isLikelyUnfinished', () => {
+  it('is false for empty transcripts', () => {
+    expect(isLikelyUnfinished('')).toBe(false);
+    expect(isLikelyUnfinished('   ')).toBe(false);
+    expect(isLikelyUnfinished(undefined)).toBe(false);
+  });
+
+  it('is false for complete sentences', () => {
+    expect(isLikelyUnfinished('I need help with my account.')).toBe(false);
+    expect(isLikelyUnfinished('Yes.')).toBe(false);
+    expect(isLikelyUnfinished('I have one')).toBe(false);
+  });
+
+  it('detects trailing connectors and fillers, English and Hinglish', () => {
+    expect(isLikelyUnfinished('I want to book and')).toBe(true);
+    expect(isLikelyUnfinished('mujhe loan chahiye aur')).toBe(true);
+    expect(isLikelyUnfinished('It was, umm')).toBe(true);
+  });
+
+  it('detects trailing-off punctuation', () => {
+    expect(isLikelyUnfinished('I want to book,')).toBe(true);
+    expect(isLikelyUnfinished('wait...')).toBe(true);
+  });
+
+  it('detects a number still being read out', () => {
+    expect(isLikelyUnfinished('my number is 98450')).toBe(true);
+    expect(isLikelyUnfinished('call me at 98-45')).toBe(true);
+  });
+
+  it('treats ten digits and short numbers as complete', () => {
+    expect(isLikelyUnfinished('my number is 9845012345')).toBe(false);
+    expect(isLikelyUnfinished('pin is 12')).toBe(false);
+  });
+
+  it('detects spelled-out digits, but not a single number word', () => {
+    expect(isLikelyUnfinished('nine eight four')).toBe(true);
+    expect(isLikelyUnfinished('ek do teen')).toBe(true);
+    expect(isLikelyUnfinished('I am forty')).toBe(false);
+  });
+});
+
+describe('isShortAnswer', () => {
+  it('needs the agent to have asked a question', () => {
+    expect(isShortAnswer('yes', 'I will book it.')).toBe(false);
+    expect(isShortAnswer('yes', 'Shall I book it?')).toBe(true);
+  });
+
+  it('accepts short replies and answers that start with yes/no words', () => {
+    expect(isShortAnswer('haan ji', 'Kya aap free hain?')).toBe(true);
+    expect(isShortAnswer('tomorrow evening', 'When can we call?')).toBe(true);
+    expect(isShortAnswer('okay so what happens next with my refund', 'Shall I?')).toBe(true);
+  });
+
+  it('rejects long replies and empty transcripts', () => {
+    expect(isShortAnswer('I would like to change the date please', 'When?')).toBe(false);
+    expect(isShortAnswer('', 'Ready?')).toBe(false);
+  });
+});
+
+describe('getEndpointDelay', () => {
+  const config = { endpointMs: 700, unfinishedEndpointMs: 1500, answerEndpointMs: 300 };
+
+  it('waits longer for unfinished turns', () => {
+    expect(getEndpointDelay('my number is 98450', 'What is your number?', config))
+      .toEqual({ delayMs: 1500, reason: 'unfinished' });
+  });
+
+  it('answers quickly after a short reply to a question', () => {
+    expect(getEndpointDelay('yes', 'Ready?', config)).toEqual({ delayMs: 300, reason: 'answer' });
+  });
+
+  it('prefers unfinished over answer', () => {
+    expect(getEndpointDelay('yes and', 'Ready?', config)).toEqual({ delayMs: 1500, reason: 'unfinished' });
+  });
+
+  it('falls back to the default delay', () => {
+    expect(getEndpointDelay('I need help with my account.', 'Hello!', config))
+      .toEqual({ delayMs: 700, reason: 'default' });
+  });
+});
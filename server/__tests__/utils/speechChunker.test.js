@@ -0,0 +1,105 @@
+/**
+ * Speech Chunker Tests
+ */
+
+const { SpeechChunker } = require('../../utils/speechChunker');
+
+/**
+ * Stream text through a chunker in small pieces, like LLM tokens
+ * Returns the clauses emitted while streaming and what flush() left over
+ */
+const stream = (text, options, pieceLength = 3) => {
+  const chunker = new SpeechChunker(options);
+  const chunks = [];
+  for (let i = 0; i < text.length; i += pieceLength) {
+    chunks.push(...chunker.push(text.substring(i, i + pieceLength)));
+  }
+  return { chunks, rest: chunker.flush() };
+};
+
+describe('SpeechChunker', () => {
+  it('emits each sentence once the whitespace after it arrives', () => {
+    expect(stream('Hello there! How can I help you today? I am here.')).toEqual({
+      chunks: ['Hello there!', 'How can I help you today?'],
+      rest: 'I am here.'
+    });
+  });
+
+  it('waits for the whitespace, so a sentence end is never guessed', () => {
+    const chunker = new SpeechChunker();
+    expect(chunker.push('Hello there!')).toEqual([]);
+    expect(chunker.push(' How')).toEqual(['Hello there!']);
+  });
+
+  it('does not split decimals or abbreviations', () => {
+    expect(stream('The rate is 3.5 percent. Dr. Rao will call you at 5 p.m. tomorrow. Thanks')).toEqual({
+      chunks: ['The rate is 3.5 percent.', 'Dr. Rao will call you at 5 p.m. tomorrow.'],
+      rest: 'Thanks'
+    });
+    expect(stream('No. 5 is fine. Also e.g. this one. ').chunks).toEqual(['No. 5 is fine.', 'Also e.g. this one.']);
+  });
+
+  it('keeps very short sentences with the next one', () => {
+    expect(stream('Ok. Yes! Hi.')).toEqual({ chunks: ['Ok. Yes!'], rest: 'Hi.' });
+  });
+
+  it('splits at clause breaks once clauses are long enough, with a lower bar for the first', () => {
+    expect(stream('Sure, I can help with that, and I will also check your account balance, which may take a moment; please hold on.')).toEqual({
+      chunks: ['Sure, I can help with that,', 'and I will also check your account balance,'],
+      rest: 'which may take a moment; please hold on.'
+    });
+  });
+
+  it('keeps short clauses together until the sentence ends', () => {
+    expect(stream('Yes, sure, I will do it. ').chunks).toEqual(['Yes, sure, I will do it.']);
+  });
+
+  it('honours custom clause lengths', () => {
+    expect(stream('Yes, sure, okay.', { minFirstClauseChars: 3, minClauseChars: 5 })).toEqual({
+      chunks: ['Yes,', 'sure,'],
+      rest: 'okay.'
+    });
+  });
+
+  it('splits on the Devanagari danda', () => {
+    expect(stream('नमस्ते। आप कैसे हैं? मैं ठीक हूँ।')).toEqual({
+      chunks: ['नमस्ते।', 'आप कैसे हैं?'],
+      rest: 'मैं ठीक हूँ।'
+    });
+  });
+
+  it('keeps closing quotes with their sentence', () => {
+    expect(stream('He said "Stop." Then left. ').chunks).toEqual(['He said "Stop."', 'Then left.']);
+  });
+
+  it('splits on newlines', () => {
+    expect(stream('Line one\nLine two\n')).toEqual({ chunks: ['Line one', 'Line two'], rest: '' });
+  });
+
+  it('hard-splits run-on text at a space', () => {
+    const { chunks, rest } = stream('word '.repeat(60), undefined, 7);
+    expect(chunks.length).toBeGreaterThan(0);
+    for (const chunk of chunks) {
+      expect(chunk.length).toBeLessThanOrEqual(200);
+      expect(chunk.startsWith('word')).toBe(true);
+      expect(chunk.endsWith('word')).toBe(true);
+    }
+    expect([...chunks, rest].join(' ').split(' ')).toHaveLength(60);
+  });
+
+  it('flushes whatever is left, once', () => {
+    const chunker = new SpeechChunker();
+    chunker.push('Wait');
+    expect(chunker.flush()).toBe('Wait');
+    expect(chunker.flush()).toBe('');
+    expect(new SpeechChunker().flush()).toBe('');
+  });
+
+  it('counts emitted chunks', () => {
+    const chunker = new SpeechChunker();
+    chunker.push('Hello there! How are you? ');
+    chunker.push('Fine');
+    chunker.flush();
+    expect(chunker.chunkCount).toBe(3);
+  });
+});
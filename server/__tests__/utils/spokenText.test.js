@@ -0,0 +1,152 @@
+/**
+ * Spoken Text Normalization Tests
+ */
+
+const { normalizeSpokenText } = require('../../utils/spokenText');
+
+const say = (text, language, lexicon) => normalizeSpokenText(text, { language, lexicon });
+
+describe('normalizeSpokenText', () => {
+  it('leaves empty text and text without numbers alone', () => {
+    expect(normalizeSpokenText('')).toBe('');
+    expect(normalizeSpokenText(undefined)).toBeUndefined();
+    expect(say('Thank you for calling', 'en')).toBe('Thank you for calling');
+  });
+
+  describe('currency', () => {
+    it('reads rupee amounts with lakh grouping', () => {
+      expect(say('You owe Rs. 1,00,000 today.', 'en-IN')).toBe('You owe one lakh rupees today.');
+      expect(say('₹1,25,000.50', 'en')).toBe('one lakh twenty-five thousand rupees and fifty paise');
+    });
+
+    it('uses singular units for one', () => {
+      expect(say('₹1.01 only', 'en')).toBe('one rupee and one paisa only');
+    });
+
+    it('handles scale words, /- and trailing currency codes', () => {
+      expect(say('₹1.5 lakh', 'en-IN')).toBe('one point five lakh rupees');
+      expect(say('₹1 and ₹5,000/-', 'en')).toBe('one rupee and five thousand rupees');
+      expect(say('5000 INR', 'en')).toBe('five thousand rupees');
+    });
+
+    it('reads dollars, pounds and euros with their minor units', () => {
+      expect(say('Pay $1,250.75', 'en-US')).toBe('Pay one thousand two hundred fifty dollars and seventy-five cents');
+      expect(say('£3 and €2.50', 'en-GB')).toBe('three pounds and two euros and fifty cents');
+    });
+
+    it('reads amounts in Hindi', () => {
+      expect(say('₹2 crore', 'hi')).toBe('दो करोड़ रुपये');
+      expect(say('₹12,500', 'hi-IN')).toBe('बारह हज़ार पाँच सौ रुपये');
+    });
+  });
+
+  describe('dates', () => {
+    it('reads day-first dates outside the US', () => {
+      expect(say('Due on 05/11/2026.', 'en-IN')).toBe('Due on the fifth of November twenty twenty-six.');
+      expect(say('1.5.2024', 'en')).toBe('the first of May twenty twenty-four');
+      expect(say('Open 24/7 and on 5/6.', 'en-GB')).toBe('Open 24/7 and on the fifth of June.');
+    });
+
+    it('reads month-first dates for en-US', () => {
+      expect(say('Due 03/12/2024', 'en-US')).toBe('Due March twelfth twenty twenty-four');
+    });
+
+    it('reads ISO dates', () => {
+      expect(say('Due 2024-12-25.', 'en')).toBe('Due the twenty-fifth of December twenty twenty-four.');
+      expect(say('by 2026-03-01.', 'en-US')).toBe('by March first twenty twenty-six.');
+    });
+
+    it('reads years the way they are spoken', () => {
+      expect(say('01/01/1998', 'en')).toBe('the first of January nineteen ninety-eight');
+      expect(say('01/01/2005', 'en')).toBe('the first of January two thousand five');
+      expect(say('01/01/1905', 'en')).toBe('the first of January nineteen oh five');
+      expect(say('01/01/2100', 'en')).toBe('the first of January twenty-one hundred');
+      expect(say('01/01/26', 'en')).toBe('the first of January twenty twenty-six');
+    });
+
+    it('leaves impossible dates as written', () => {
+      expect(say('13/13/2024', 'en')).toBe('13/13/2024');
+    });
+
+    it('reads dates in Hindi', () => {
+      expect(say('05/11/2026', 'hi-IN')).toBe('पाँच नवंबर दो हज़ार छब्बीस');
+    });
+  });
+
+  describe('digit-by-digit numbers', () => {
+    it('reads phone numbers digit by digit', () => {
+      expect(say('Call us on 9876543210 anytime.', 'en-IN'))
+        .toBe('Call us on nine eight seven six five four three two one zero anytime.');
+      expect(say('Dial +91 98765 43210', 'en'))
+        .toBe('Dial plus nine one nine eight seven six five four three two one zero');
+    });
+
+    it('reads account, OTP and order numbers digit by digit', () => {
+      expect(say('account number 004512', 'en')).toBe('account number zero zero four five one two');
+      expect(say('OTP: 4821', 'hi')).toBe('OTP: चार आठ दो एक');
+      expect(say('Order 0042 shipped', 'en')).toBe('Order zero zero four two shipped');
+    });
+  });
+
+  describe('numbers', () => {
+    it('reads plain numbers and decimals', () => {
+      expect(say('He is 42 years old.', 'en-IN')).toBe('He is forty-two years old.');
+      expect(say('100 items', 'en')).toBe('one hundred items');
+      expect(say('It is 3.14159', 'en')).toBe('It is three point one four one five nine');
+    });
+
+    it('reads percentages', () => {
+      expect(say('Interest is 10.5% per year.', 'en-IN')).toBe('Interest is ten point five percent per year.');
+      expect(say('ब्याज 10.5% है', 'hi')).toBe('ब्याज दस दशमलव पाँच प्रतिशत है');
+    });
+
+    it('uses lakh and crore for Indian locales and Indian grouping', () => {
+      expect(say('100000 votes', 'en-IN')).toBe('one lakh votes');
+      expect(say('1,00,000 votes', 'en')).toBe('one lakh votes');
+      expect(say('12,34,56,789 people', 'en'))
+        .toBe('twelve crore thirty-four lakh fifty-six thousand seven hundred eighty-nine people');
+    });
+
+    it('uses thousand and million otherwise', () => {
+      expect(say('100000 votes', 'en')).toBe('one hundred thousand votes');
+      expect(say('1,234,567 people', 'en'))
+        .toBe('one million two hundred thirty-four thousand five hundred sixty-seven people');
+    });
+
+    it('reads numbers in Hindi', () => {
+      expect(say('42 साल', 'hi')).toBe('बयालीस साल');
+      expect(say('100 items', 'hi')).toBe('एक सौ items');
+    });
+
+    it('leaves times and ordinals to the voice', () => {
+      expect(say('Meeting at 10:30', 'en')).toBe('Meeting at 10:30');
+      expect(say('The 21st item', 'en')).toBe('The 21st item');
+    });
+
+    it('only drops grouping commas for languages without number words', () => {
+      expect(say('costs 1,25,000 in tamil', 'ta')).toBe('costs 125000 in tamil');
+      expect(say('Pay ₹1,25,000 by 12/03/2024', 'fr')).toBe('Pay ₹125000 by 12/03/2024');
+    });
+  });
+
+  describe('lexicon', () => {
+    const lexicon = [
+      { term: 'HDFC', spoken: 'H D F C' },
+      { term: 'HDFC Bank', spoken: 'H D F C bank' },
+      { term: 'EMI', spoken: 'ई एम आई', language: 'hi' },
+      { term: 'EMI', spoken: 'E M I' }
+    ];
+
+    it('replaces whole terms in any case, longest first', () => {
+      expect(say('hdfc Bank and HDFC, EMI', 'en', lexicon)).toBe('H D F C bank and H D F C, E M I');
+    });
+
+    it('prefers entries for the call language', () => {
+      expect(say('HDFC EMI', 'hi-IN', lexicon)).toBe('H D F C ई एम आई');
+    });
+
+    it('does not replace inside longer words', () => {
+      expect(say('HDFCs', 'en', lexicon)).toBe('HDFCs');
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Outbound URL Guard Tests
+ */
+
+const http = require('http');
+const { isPrivateAddress, assertPublicUrl, publicOnlyLookup } = require('../../utils/urlGuard');
+
+describe('isPrivateAddress', () => {
+  it('flags loopback, private, link-local and metadata addresses', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.5', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0']) {
+      expect(isPrivateAddress(address)).toBe(true);
+    }
+    for (const address of ['::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe']) {
+      expect(isPrivateAddress(address)).toBe(true);
+    }
+  });
+
+  it('allows public addresses', () => {
+    for (const address of ['8.8.8.8', '172.32.0.1', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+      expect(isPrivateAddress(address)).toBe(false);
+    }
+  });
+
+  it('treats anything that is not an IP address as private', () => {
+    expect(isPrivateAddress('example.com')).toBe(true);
+  });
+});
+
+describe('assertPublicUrl', () => {
+  it('accepts public IP hosts', async () => {
+    await expect(assertPublicUrl('https://8.8.8.8/lookup?x=1')).resolves.toBeUndefined();
+  });
+
+  it('rejects private hosts however they are written', async () => {
+    for (const url of [
+      'http://169.254.169.254/latest/meta-data',
+      'http://0x7f000001/',
+      'http://[::1]:8080/',
+      'http://[::ffff:127.0.0.1]/',
+      'http://localhost:5000/admin'
+    ]) {
+      await expect(assertPublicUrl(url)).rejects.toThrow('private or reserved address');
+    }
+  });
+
+  it('rejects other protocols and malformed URLs', async () => {
+    await expect(assertPublicUrl('file:///etc/passwd')).rejects.toThrow('http or https');
+    await expect(assertPublicUrl('not a url')).rejects.toThrow('Invalid URL');
+  });
+});
+
+describe('publicOnlyLookup', () => {
+  it('refuses to connect to a hostname that resolves to a private address', async () => {
+    const server = http.createServer((req, res) => res.end('internal'));
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const agent = new http.Agent({ lookup: publicOnlyLookup });
+
+    try {
+      const error = await new Promise((resolve, reject) => {
+        http.get({ host: 'localhost', port: server.address().port, agent }, () => reject(new Error('connected')))
+          .on('error', resolve);
+      });
+      expect(error.code).toBe('EADDRBLOCKED');
+    } finally {
+      agent.destroy();
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Voice Activity Detector Tests
+ */
+
+const { VoiceActivityDetector } = require('../../utils/voiceActivityDetector');
+
+// Deterministic noise so the thresholds see the same audio on every run
+let seed = 1;
+const random = () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+};
+
+const pcm = (ms, sampleRate, sampleAt) => {
+  const samples = (sampleRate * ms) / 1000;
+  const buffer = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    const value = Math.max(-1, Math.min(1, sampleAt(i / sampleRate)));
+    buffer.writeInt16LE(Math.round(value * 32767), i * 2);
+  }
+  return buffer;
+};
+
+const quiet = (ms, sampleRate = 8000) => pcm(ms, sampleRate, () => (random() - 0.5) * 0.002);
+const hiss = (ms, level, sampleRate = 8000) => pcm(ms, sampleRate, () => (random() - 0.5) * level);
+// Harmonic stack on a 150Hz fundamental - voiced speech, as far as the detector can tell
+const voice = (ms, sampleRate = 8000) => pcm(ms, sampleRate, (t) =>
+  [1, 2, 3, 4, 5].reduce((sum, harmonic) => sum + Math.sin(2 * Math.PI * 150 * harmonic * t) / harmonic, 0) * 0.2 +
+  (random() - 0.5) * 0.002);
+
+/**
+ * Feed chunks back to back, each dated by where it ends on the timeline (ms)
+ */
+const run = (detector, chunks) => {
+  const events = [];
+  let now = 0;
+  for (const chunk of chunks) {
+    now += (chunk.length / 2 / detector.sampleRate) * 1000;
+    events.push(...detector.process(chunk, now));
+  }
+  return events;
+};
+
+describe('VoiceActivityDetector', () => {
+  beforeEach(() => {
+    seed = 1;
+  });
+
+  it('sizes its FFT to the sample rate', () => {
+    expect(new VoiceActivityDetector().fftSize).toBe(256);
+    expect(new VoiceActivityDetector({ sampleRate: 16000 }).fftSize).toBe(512);
+  });
+
+  it('reports the start and end of speech', () => {
+    const events = run(new VoiceActivityDetector(), [quiet(500), voice(600), quiet(500)]);
+
+    expect(events.map((event) => event.type)).toEqual(['speech_start', 'speech_end']);
+    expect(events[0].at).toBe(500);
+    expect(events[1]).toMatchObject({ at: 1100, speechMs: 600 });
+  });
+
+  it('works the same on 16kHz audio', () => {
+    const events = run(new VoiceActivityDetector({ sampleRate: 16000 }), [
+      quiet(500, 16000),
+      voice(600, 16000),
+      quiet(500, 16000)
+    ]);
+
+    expect(events.map((event) => [event.type, event.at])).toEqual([['speech_start', 500], ['speech_end', 1100]]);
+  });
+
+  it('ignores bursts shorter than minSpeechMs', () => {
+    expect(run(new VoiceActivityDetector(), [quiet(500), voice(60), quiet(500)])).toEqual([]);
+  });
+
+  it('bridges pauses shorter than the hangover', () => {
+    const events = run(new VoiceActivityDetector(), [quiet(500), voice(400), quiet(100), voice(400), quiet(500)]);
+
+    expect(events.map((event) => event.type)).toEqual(['speech_start', 'speech_end']);
+    expect(events[1].speechMs).toBe(900);
+  });
+
+  it('does not treat loud broadband noise as speech', () => {
+    expect(run(new VoiceActivityDetector(), [quiet(500), hiss(1000, 0.6), quiet(500)])).toEqual([]);
+  });
+
+  it('raises the noise floor on a noisy line and still hears speech above it', () => {
+    const detector = new VoiceActivityDetector();
+    const events = run(detector, [hiss(2000, 0.05), voice(600), hiss(500, 0.05)]);
+
+    expect(detector.noiseFloorDb).toBeGreaterThan(-45);
+    expect(events.map((event) => [event.type, event.at])).toEqual([['speech_start', 2000], ['speech_end', 2600]]);
+  });
+
+  it('keeps partial frames until the next chunk', () => {
+    const detector = new VoiceActivityDetector();
+    expect(detector.process(Buffer.alloc(100), 0)).toEqual([]);
+    expect(detector.pending.length).toBe(100);
+
+    // Odd-sized chunks that split frames (and samples) still add up to the same speech
+    const audio = Buffer.concat([quiet(500), voice(600), quiet(500)]);
+    const chunks = [];
+    for (let offset = 0; offset < audio.length; offset += 70) {
+      chunks.push(audio.subarray(offset, offset + 70));
+    }
+    const events = run(new VoiceActivityDetector(), chunks);
+
+    expect(events.map((event) => event.type)).toEqual(['speech_start', 'speech_end']);
+    expect(events[0].at).toBeCloseTo(500, -1);
+    expect(events[1].speechMs).toBeCloseTo(600, -1);
+  });
+});
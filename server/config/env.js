@@ -16,6 +16,8 @@ const envSchema = zod_1.z.object({
     // Database
     MONGODB_URI: zod_1.z.string().default('mongodb://localhost:27017/ai-calling-platform'),
     REDIS_URL: zod_1.z.string().default('redis://localhost:6379'),
+    // Name of this API instance in the call ownership registry (default: hostname:pid:random)
+    INSTANCE_ID: zod_1.z.string().optional(),
     // JWT
     JWT_SECRET: zod_1.z.string().min(32),
     JWT_EXPIRE: zod_1.z.string().default('7d'),
@@ -32,13 +34,34 @@ const envSchema = zod_1.z.object({
     DEEPGRAM_API_KEY: zod_1.z.string().optional(),
     ELEVENLABS_API_KEY: zod_1.z.string().optional(),
     SARVAM_API_KEY: zod_1.z.string().optional(), // Sarvam.ai for Indian languages
+    CARTESIA_API_KEY: zod_1.z.string().optional(), // Cartesia Sonic streaming TTS
+    // Whisper STT: OpenAI by default, or any OpenAI-compatible server (e.g. http://localhost:8000/v1)
+    WHISPER_API_URL: zod_1.z.string().url().optional(),
+    WHISPER_API_KEY: zod_1.z.string().optional(),
+    WHISPER_MODEL: zod_1.z.string().default('whisper-1'),
     // AWS
     AWS_ACCESS_KEY_ID: zod_1.z.string().optional(),
     AWS_SECRET_ACCESS_KEY: zod_1.z.string().optional(),
     AWS_S3_BUCKET: zod_1.z.string().default('ai-calling-recordings'),
     AWS_REGION: zod_1.z.string().default('us-east-1'),
+    // Object storage (call recordings): 'local' filesystem or any S3-compatible bucket
+    STORAGE_DRIVER: zod_1.z.enum(['local', 's3']).default('local'),
+    STORAGE_LOCAL_DIR: zod_1.z.string().default('./storage'),
+    S3_ENDPOINT: zod_1.z.string().url().optional(), // Non-AWS S3-compatible endpoint (MinIO, R2, ...)
+    S3_FORCE_PATH_STYLE: zod_1.z.enum(['true', 'false']).default('false'),
+    CALL_RECORDING_ENABLED: zod_1.z.enum(['true', 'false']).default('true'),
+    // TTS audio cache (Redis hot tier + object storage cold tier)
+    TTS_CACHE_ENABLED: zod_1.z.enum(['true', 'false']).default('true'),
+    TTS_CACHE_HOT_TTL_SEC: zod_1.z.string().transform(Number).default('86400'),
+    TTS_CACHE_COLD_TTL_DAYS: zod_1.z.string().transform(Number).default('30'),
+    TTS_CACHE_COLD_MAX_MB: zod_1.z.string().transform(Number).default('1024'),
+    TTS_CACHE_MAX_ENTRY_KB: zod_1.z.string().transform(Number).default('512'),
     // Webhooks
-    WEBHOOK_BASE_URL: zod_1.z.string().url().default('http://localhost:5000')
+    WEBHOOK_BASE_URL: zod_1.z.string().url().default('http://localhost:5000'),
+    // Call transfer - fallback human number when an agent has none configured
+    TRANSFER_DEFAULT_NUMBER: zod_1.z.string().optional(),
+    // Deterministic offline providers for end-to-end tests: comma list of stt,llm,tts or "all"
+    STUB_PROVIDERS: zod_1.z.string().default('')
 });
 // Parse and validate environment variables
 exports.env = envSchema.parse(process.env);
@@ -18,7 +18,7 @@ exports.SUPPORTED_LANGUAGES = {
         name: 'English',
         nativeName: 'English',
         sttProviders: ['whisper', 'deepgram', 'sarvam'], // Added Sarvam for English (Indian variant)
-        ttsProviders: ['elevenlabs', 'deepgram', 'openai'],
+        ttsProviders: ['elevenlabs', 'deepgram', 'openai', 'cartesia', 'sarvam'], // Sarvam speaks Indian English (en-IN)
         defaultVoice: {
             provider: 'deepgram',
             voiceId: 'aura-asteria-en'
@@ -30,7 +30,7 @@ exports.SUPPORTED_LANGUAGES = {
         name: 'Spanish',
         nativeName: 'Español',
         sttProviders: ['whisper', 'deepgram'],
-        ttsProviders: ['elevenlabs', 'deepgram', 'openai'],
+        ttsProviders: ['elevenlabs', 'deepgram', 'openai', 'cartesia'],
         defaultVoice: {
             provider: 'deepgram',
             voiceId: 'aura-luna-es'
@@ -42,7 +42,7 @@ exports.SUPPORTED_LANGUAGES = {
         name: 'French',
         nativeName: 'Français',
         sttProviders: ['whisper'],
-        ttsProviders: ['elevenlabs', 'openai'],
+        ttsProviders: ['elevenlabs', 'openai', 'cartesia'],
         defaultVoice: {
             provider: 'elevenlabs',
             voiceId: 'EXAVITQu4vr4xnSDxMaL' // Rachel (multilingual)
@@ -54,7 +54,7 @@ exports.SUPPORTED_LANGUAGES = {
         name: 'German',
         nativeName: 'Deutsch',
         sttProviders: ['whisper'],
-        ttsProviders: ['elevenlabs', 'openai'],
+        ttsProviders: ['elevenlabs', 'openai', 'cartesia'],
         defaultVoice: {
             provider: 'elevenlabs',
             voiceId: 'EXAVITQu4vr4xnSDxMaL'
@@ -66,7 +66,7 @@ exports.SUPPORTED_LANGUAGES = {
         name: 'Hindi',
         nativeName: 'हिन्दी',
         sttProviders: ['sarvam', 'whisper'], // Sarvam preferred for Indian languages
-        ttsProviders: ['sarvam', 'elevenlabs'],
+        ttsProviders: ['sarvam', 'elevenlabs', 'cartesia'],
         defaultVoice: {
             provider: 'sarvam',
             voiceId: 'anushka' // Sarvam's Hindi female voice
@@ -78,7 +78,7 @@ exports.SUPPORTED_LANGUAGES = {
         name: 'Japanese',
         nativeName: '日本語',
         sttProviders: ['whisper'],
-        ttsProviders: ['elevenlabs', 'openai'],
+        ttsProviders: ['elevenlabs', 'openai', 'cartesia'],
         defaultVoice: {
             provider: 'elevenlabs',
             voiceId: 'EXAVITQu4vr4xnSDxMaL'
@@ -90,7 +90,7 @@ exports.SUPPORTED_LANGUAGES = {
         name: 'Korean',
         nativeName: '한국어',
         sttProviders: ['whisper'],
-        ttsProviders: ['elevenlabs'],
+        ttsProviders: ['elevenlabs', 'cartesia'],
         defaultVoice: {
             provider: 'elevenlabs',
             voiceId: 'EXAVITQu4vr4xnSDxMaL'
@@ -102,7 +102,7 @@ exports.SUPPORTED_LANGUAGES = {
         name: 'Chinese',
         nativeName: '中文',
         sttProviders: ['whisper'],
-        ttsProviders: ['elevenlabs', 'openai'],
+        ttsProviders: ['elevenlabs', 'openai', 'cartesia'],
         defaultVoice: {
             provider: 'elevenlabs',
             voiceId: 'EXAVITQu4vr4xnSDxMaL'
@@ -114,7 +114,7 @@ exports.SUPPORTED_LANGUAGES = {
         name: 'Italian',
         nativeName: 'Italiano',
         sttProviders: ['whisper'],
-        ttsProviders: ['elevenlabs', 'openai'],
+        ttsProviders: ['elevenlabs', 'openai', 'cartesia'],
         defaultVoice: {
             provider: 'elevenlabs',
             voiceId: 'EXAVITQu4vr4xnSDxMaL'
@@ -126,7 +126,7 @@ exports.SUPPORTED_LANGUAGES = {
         name: 'Portuguese',
         nativeName: 'Português',
         sttProviders: ['whisper'],
-        ttsProviders: ['elevenlabs', 'openai'],
+        ttsProviders: ['elevenlabs', 'openai', 'cartesia'],
         defaultVoice: {
             provider: 'elevenlabs',
             voiceId: 'EXAVITQu4vr4xnSDxMaL'
@@ -138,7 +138,7 @@ exports.SUPPORTED_LANGUAGES = {
         name: 'Polish',
         nativeName: 'Polski',
         sttProviders: ['whisper'],
-        ttsProviders: ['elevenlabs'],
+        ttsProviders: ['elevenlabs', 'cartesia'],
         defaultVoice: {
             provider: 'elevenlabs',
             voiceId: 'EXAVITQu4vr4xnSDxMaL'
@@ -150,7 +150,7 @@ exports.SUPPORTED_LANGUAGES = {
         name: 'Dutch',
         nativeName: 'Nederlands',
         sttProviders: ['whisper'],
-        ttsProviders: ['elevenlabs'],
+        ttsProviders: ['elevenlabs', 'cartesia'],
         defaultVoice: {
             provider: 'elevenlabs',
             voiceId: 'EXAVITQu4vr4xnSDxMaL'
@@ -162,7 +162,7 @@ exports.SUPPORTED_LANGUAGES = {
         name: 'Turkish',
         nativeName: 'Türkçe',
         sttProviders: ['whisper'],
-        ttsProviders: ['elevenlabs'],
+        ttsProviders: ['elevenlabs', 'cartesia'],
         defaultVoice: {
             provider: 'elevenlabs',
             voiceId: 'EXAVITQu4vr4xnSDxMaL'
@@ -174,7 +174,7 @@ exports.SUPPORTED_LANGUAGES = {
         name: 'Swedish',
         nativeName: 'Svenska',
         sttProviders: ['whisper'],
-        ttsProviders: ['elevenlabs'],
+        ttsProviders: ['elevenlabs', 'cartesia'],
         defaultVoice: {
             provider: 'elevenlabs',
             voiceId: 'EXAVITQu4vr4xnSDxMaL'
@@ -99,6 +99,63 @@ function buildLLMPrompt(params) {
         parts.push('# YOUR PERSONA AND ROLE');
         parts.push(params.agentPersona);
     }
+    // Earlier calls with the same number (caller memory)
+    if (params.callerMemory) {
+        parts.push('\n---\n');
+        parts.push('# EARLIER CALLS WITH THIS CALLER');
+        parts.push('You have spoken with this number before. Newest first:');
+        parts.push(params.callerMemory);
+        parts.push('Use this to pick up where you left off (e.g. a requested callback) instead of starting from scratch. Do not read it out or list past details unprompted, and confirm anything that may have changed.');
+    }
+    // Explain keypad input and any DTMF menu the agent declares
+    if (params.dtmf && params.dtmf.enabled !== false) {
+        parts.push('\n---\n');
+        parts.push('# KEYPAD (DTMF) INPUT');
+        parts.push('The caller can also press phone keys. Key presses arrive as user messages starting with [KEYPAD] followed by JSON, e.g. [KEYPAD] {"digits":"1234"}.');
+        parts.push('Treat the digits as exactly what the caller entered. Never read back long digit strings like PINs in full.');
+        parts.push('Keypad input from earlier turns is masked (e.g. "••••") - ask again if you need those digits.');
+        const menu = (params.dtmf.menu || []).filter((option) => option.label);
+        if (menu.length > 0) {
+            parts.push('Keypad menu offered to the caller:');
+            for (const option of menu) {
+                parts.push(`- Press ${option.digits}: ${option.label}`);
+            }
+        }
+    }
+    // Human handoff via the built-in transfer_call tool
+    if (params.transfer) {
+        parts.push('\n---\n');
+        parts.push('# TRANSFER TO A HUMAN');
+        parts.push('You can hand the call to a human colleague with the transfer_call tool.');
+        parts.push('Use it when the caller asks for a person or you cannot help them. First tell the caller in one short sentence that you are connecting them.');
+        if (params.transfer.onNegativeSentiment) {
+            parts.push('Also transfer (reason "negative_sentiment") if the caller is clearly angry or frustrated.');
+        }
+    }
+    // LLM-decided hangup via the built-in end_call tool
+    if (params.endCall) {
+        parts.push('\n---\n');
+        parts.push('# ENDING THE CALL');
+        parts.push('You can hang up with the end_call tool. Use it only when the conversation is really over: the caller\'s need is handled, they are not interested, you reached the wrong person, or they asked to be called back.');
+        parts.push('In the same reply, say a short goodbye first (confirm any callback time). A caller merely saying "bye" in passing, e.g. "I can\'t say bye to my EMI", is not a reason to hang up.');
+    }
+    // Call is close to its duration limit
+    if (params.wrapUp) {
+        parts.push('\n---\n');
+        parts.push('# TIME IS ALMOST UP');
+        parts.push('This call is about to reach its time limit. Wrap up naturally in your next reply:');
+        parts.push('briefly confirm anything agreed or the next step, thank the caller and say goodbye. Do not start new topics or ask new questions.');
+    }
+    // Instructions whispered by a supervisor watching the call
+    if (params.supervisorInstructions && params.supervisorInstructions.length > 0) {
+        parts.push('\n---\n');
+        parts.push('# SUPERVISOR INSTRUCTIONS');
+        parts.push('A supervisor is listening to this call. Follow these instructions in your next reply, in your own words.');
+        parts.push('Never mention the supervisor or that you received instructions.');
+        for (const instruction of params.supervisorInstructions) {
+            parts.push(`- ${instruction}`);
+        }
+    }
     // Add RAG context if provided
     if (params.ragContext) {
         parts.push('\n---\n');
@@ -45,6 +45,9 @@ exports.TTL_CONFIG = {
     reconciliationInterval: 900000, // 15min
     invariantInterval: 30000, // 30s
     metricsExportInterval: 60000, // 60s
+    // Call ownership (voice gateway instances)
+    instanceHeartbeatInterval: 5000, // 5s
+    instanceTTL: 20, // Seconds without a heartbeat before an instance is presumed dead
 };
 /**
  * Get pre-dial TTL with jitter
@@ -157,6 +157,31 @@ exports.VOICES_BY_LANGUAGE = {
             name: 'Nova',
             gender: 'female',
             description: 'Energetic female voice'
+        },
+        // Cartesia Sonic voices (Multilingual, native 8kHz streaming)
+        {
+            id: 'f786b574-daa5-4673-aa0c-cbe3e8534c02',
+            provider: 'cartesia',
+            name: 'Katie',
+            gender: 'female',
+            accent: 'American',
+            description: 'Friendly, conversational American female (MULTILINGUAL)'
+        },
+        {
+            id: 'a0e99841-438c-4a64-b679-ae501e7d6091',
+            provider: 'cartesia',
+            name: 'Barbershop Man',
+            gender: 'male',
+            accent: 'American',
+            description: 'Casual, warm American male (MULTILINGUAL)'
+        },
+        {
+            id: '79a125e8-cd45-4c13-8a67-188112f4dd22',
+            provider: 'cartesia',
+            name: 'British Lady',
+            gender: 'female',
+            accent: 'British',
+            description: 'Elegant British female (MULTILINGUAL)'
         }
     ],
     // ===== SPANISH =====
@@ -184,6 +209,21 @@ exports.VOICES_BY_LANGUAGE = {
             name: 'Adam',
             gender: 'male',
             description: 'Confident Spanish-speaking male'
+        },
+        // Cartesia (same voices speak every Sonic language)
+        {
+            id: 'f786b574-daa5-4673-aa0c-cbe3e8534c02',
+            provider: 'cartesia',
+            name: 'Katie',
+            gender: 'female',
+            description: 'Friendly Spanish-speaking female'
+        },
+        {
+            id: 'a0e99841-438c-4a64-b679-ae501e7d6091',
+            provider: 'cartesia',
+            name: 'Barbershop Man',
+            gender: 'male',
+            description: 'Warm Spanish-speaking male'
         }
     ],
     // ===== FRENCH =====
@@ -208,6 +248,21 @@ exports.VOICES_BY_LANGUAGE = {
             name: 'Dorothy',
             gender: 'female',
             description: 'Pleasant French-speaking female'
+        },
+        // Cartesia (same voices speak every Sonic language)
+        {
+            id: 'f786b574-daa5-4673-aa0c-cbe3e8534c02',
+            provider: 'cartesia',
+            name: 'Katie',
+            gender: 'female',
+            description: 'Friendly French-speaking female'
+        },
+        {
+            id: 'a0e99841-438c-4a64-b679-ae501e7d6091',
+            provider: 'cartesia',
+            name: 'Barbershop Man',
+            gender: 'male',
+            description: 'Warm French-speaking male'
         }
     ],
     // ===== GERMAN =====
@@ -225,6 +280,21 @@ exports.VOICES_BY_LANGUAGE = {
             name: 'Adam',
             gender: 'male',
             description: 'Confident German-speaking male'
+        },
+        // Cartesia (same voices speak every Sonic language)
+        {
+            id: 'f786b574-daa5-4673-aa0c-cbe3e8534c02',
+            provider: 'cartesia',
+            name: 'Katie',
+            gender: 'female',
+            description: 'Friendly German-speaking female'
+        },
+        {
+            id: 'a0e99841-438c-4a64-b679-ae501e7d6091',
+            provider: 'cartesia',
+            name: 'Barbershop Man',
+            gender: 'male',
+            description: 'Warm German-speaking male'
         }
     ],
     // ===== HINDI =====
@@ -293,6 +363,21 @@ exports.VOICES_BY_LANGUAGE = {
             name: 'Adam',
             gender: 'male',
             description: 'Clear Hindi-speaking male'
+        },
+        // Cartesia (same voices speak every Sonic language)
+        {
+            id: 'f786b574-daa5-4673-aa0c-cbe3e8534c02',
+            provider: 'cartesia',
+            name: 'Katie',
+            gender: 'female',
+            description: 'Friendly Hindi-speaking female'
+        },
+        {
+            id: 'a0e99841-438c-4a64-b679-ae501e7d6091',
+            provider: 'cartesia',
+            name: 'Barbershop Man',
+            gender: 'male',
+            description: 'Warm Hindi-speaking male'
         }
     ],
     // ===== MARATHI =====
@@ -336,6 +421,21 @@ exports.VOICES_BY_LANGUAGE = {
             name: 'Adam',
             gender: 'male',
             description: 'Clear Japanese-speaking male'
+        },
+        // Cartesia (same voices speak every Sonic language)
+        {
+            id: 'f786b574-daa5-4673-aa0c-cbe3e8534c02',
+            provider: 'cartesia',
+            name: 'Katie',
+            gender: 'female',
+            description: 'Friendly Japanese-speaking female'
+        },
+        {
+            id: 'a0e99841-438c-4a64-b679-ae501e7d6091',
+            provider: 'cartesia',
+            name: 'Barbershop Man',
+            gender: 'male',
+            description: 'Warm Japanese-speaking male'
         }
     ],
     // ===== KOREAN =====
@@ -353,6 +453,21 @@ exports.VOICES_BY_LANGUAGE = {
             name: 'Adam',
             gender: 'male',
             description: 'Confident Korean-speaking male'
+        },
+        // Cartesia (same voices speak every Sonic language)
+        {
+            id: 'f786b574-daa5-4673-aa0c-cbe3e8534c02',
+            provider: 'cartesia',
+            name: 'Katie',
+            gender: 'female',
+            description: 'Friendly Korean-speaking female'
+        },
+        {
+            id: 'a0e99841-438c-4a64-b679-ae501e7d6091',
+            provider: 'cartesia',
+            name: 'Barbershop Man',
+            gender: 'male',
+            description: 'Warm Korean-speaking male'
         }
     ],
     // ===== CHINESE =====
@@ -370,6 +485,21 @@ exports.VOICES_BY_LANGUAGE = {
             name: 'Adam',
             gender: 'male',
             description: 'Clear Mandarin-speaking male'
+        },
+        // Cartesia (same voices speak every Sonic language)
+        {
+            id: 'f786b574-daa5-4673-aa0c-cbe3e8534c02',
+            provider: 'cartesia',
+            name: 'Katie',
+            gender: 'female',
+            description: 'Friendly Chinese-speaking female'
+        },
+        {
+            id: 'a0e99841-438c-4a64-b679-ae501e7d6091',
+            provider: 'cartesia',
+            name: 'Barbershop Man',
+            gender: 'male',
+            description: 'Warm Chinese-speaking male'
         }
     ],
     // ===== ITALIAN =====
@@ -387,6 +517,21 @@ exports.VOICES_BY_LANGUAGE = {
             name: 'Adam',
             gender: 'male',
             description: 'Expressive Italian-speaking male'
+        },
+        // Cartesia (same voices speak every Sonic language)
+        {
+            id: 'f786b574-daa5-4673-aa0c-cbe3e8534c02',
+            provider: 'cartesia',
+            name: 'Katie',
+            gender: 'female',
+            description: 'Friendly Italian-speaking female'
+        },
+        {
+            id: 'a0e99841-438c-4a64-b679-ae501e7d6091',
+            provider: 'cartesia',
+            name: 'Barbershop Man',
+            gender: 'male',
+            description: 'Warm Italian-speaking male'
         }
     ],
     // ===== PORTUGUESE =====
@@ -404,6 +549,21 @@ exports.VOICES_BY_LANGUAGE = {
             name: 'Adam',
             gender: 'male',
             description: 'Warm Portuguese-speaking male'
+        },
+        // Cartesia (same voices speak every Sonic language)
+        {
+            id: 'f786b574-daa5-4673-aa0c-cbe3e8534c02',
+            provider: 'cartesia',
+            name: 'Katie',
+            gender: 'female',
+            description: 'Friendly Portuguese-speaking female'
+        },
+        {
+            id: 'a0e99841-438c-4a64-b679-ae501e7d6091',
+            provider: 'cartesia',
+            name: 'Barbershop Man',
+            gender: 'male',
+            description: 'Warm Portuguese-speaking male'
         }
     ],
     // ===== POLISH =====
@@ -421,6 +581,21 @@ exports.VOICES_BY_LANGUAGE = {
             name: 'Adam',
             gender: 'male',
             description: 'Clear Polish-speaking male'
+        },
+        // Cartesia (same voices speak every Sonic language)
+        {
+            id: 'f786b574-daa5-4673-aa0c-cbe3e8534c02',
+            provider: 'cartesia',
+            name: 'Katie',
+            gender: 'female',
+            description: 'Friendly Polish-speaking female'
+        },
+        {
+            id: 'a0e99841-438c-4a64-b679-ae501e7d6091',
+            provider: 'cartesia',
+            name: 'Barbershop Man',
+            gender: 'male',
+            description: 'Warm Polish-speaking male'
         }
     ],
     // ===== DUTCH =====
@@ -438,6 +613,21 @@ exports.VOICES_BY_LANGUAGE = {
             name: 'Adam',
             gender: 'male',
             description: 'Friendly Dutch-speaking male'
+        },
+        // Cartesia (same voices speak every Sonic language)
+        {
+            id: 'f786b574-daa5-4673-aa0c-cbe3e8534c02',
+            provider: 'cartesia',
+            name: 'Katie',
+            gender: 'female',
+            description: 'Friendly Dutch-speaking female'
+        },
+        {
+            id: 'a0e99841-438c-4a64-b679-ae501e7d6091',
+            provider: 'cartesia',
+            name: 'Barbershop Man',
+            gender: 'male',
+            description: 'Warm Dutch-speaking male'
         }
     ],
     // ===== TURKISH =====
@@ -455,10 +645,28 @@ exports.VOICES_BY_LANGUAGE = {
             name: 'Adam',
             gender: 'male',
             description: 'Clear Turkish-speaking male'
+        },
+        // Cartesia (same voices speak every Sonic language)
+        {
+            id: 'f786b574-daa5-4673-aa0c-cbe3e8534c02',
+            provider: 'cartesia',
+            name: 'Katie',
+            gender: 'female',
+            description: 'Friendly Turkish-speaking female'
+        },
+        {
+            id: 'a0e99841-438c-4a64-b679-ae501e7d6091',
+            provider: 'cartesia',
+            name: 'Barbershop Man',
+            gender: 'male',
+            description: 'Warm Turkish-speaking male'
         }
     ],
     // Add remaining languages with ElevenLabs default voices
-    'sv': [{ id: 'EXAVITQu4vr4xnSDxMaL', provider: 'elevenlabs', name: 'Rachel', gender: 'female', description: 'Swedish' }],
+    'sv': [
+        { id: 'EXAVITQu4vr4xnSDxMaL', provider: 'elevenlabs', name: 'Rachel', gender: 'female', description: 'Swedish' },
+        { id: 'f786b574-daa5-4673-aa0c-cbe3e8534c02', provider: 'cartesia', name: 'Katie', gender: 'female', description: 'Swedish' }
+    ],
     'id': [{ id: 'EXAVITQu4vr4xnSDxMaL', provider: 'elevenlabs', name: 'Rachel', gender: 'female', description: 'Indonesian' }],
     'fil': [{ id: 'EXAVITQu4vr4xnSDxMaL', provider: 'elevenlabs', name: 'Rachel', gender: 'female', description: 'Filipino' }],
     'uk': [{ id: 'EXAVITQu4vr4xnSDxMaL', provider: 'elevenlabs', name: 'Rachel', gender: 'female', description: 'Ukrainian' }],
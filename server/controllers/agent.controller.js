@@ -2,6 +2,7 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.agentController = exports.AgentController = void 0;
 const agent_service_1 = require("../services/agent.service");
+const ttsCache_service_1 = require("../services/ttsCache.service");
 class AgentController {
     /**
      * Create a new agent
@@ -137,6 +138,40 @@ class AgentController {
             next(error);
         }
     }
+    /**
+     * Pre-synthesize the agent's greeting, closings, voicemail message and fillers
+     * POST /bulk/api/agents/:id/tts-cache/prewarm
+     */
+    async prewarmTTSCache(req, res, next) {
+        try {
+            const userId = req.user._id.toString();
+            const agentId = req.params.id;
+            const result = await agent_service_1.agentService.prewarmTTSCache(agentId, userId);
+            res.json({
+                success: true,
+                data: result
+            });
+        }
+        catch (error) {
+            next(error);
+        }
+    }
+    /**
+     * TTS cache hit rates (overall and per provider)
+     * GET /bulk/api/agents/tts-cache/stats
+     */
+    async getTTSCacheStats(_req, res, next) {
+        try {
+            const stats = await ttsCache_service_1.ttsCacheService.getStats();
+            res.json({
+                success: true,
+                data: { stats }
+            });
+        }
+        catch (error) {
+            next(error);
+        }
+    }
 }
 exports.AgentController = AgentController;
 exports.agentController = new AgentController();
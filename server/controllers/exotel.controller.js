@@ -42,6 +42,9 @@ const logger_1 = require("../utils/logger");
 const errors_1 = require("../utils/errors");
 const uuid_1 = require("uuid");
 const transcriptGeneration_service_1 = require("../services/transcriptGeneration.service");
+const callRecording_service_1 = require("../services/callRecording.service");
+const storage_service_1 = require("../services/storage.service");
+const callerMemory_service_1 = require("../services/callerMemory.service");
 class ExotelController {
     /**
      * Make an outbound call
@@ -224,7 +227,8 @@ class ExotelController {
                 });
             }
             // Update call log
-            callLog.status = newStatus;
+            // A transferred call keeps its outcome - the final 'completed' is the human leg ending
+            callLog.status = previousStatus === 'transferred' && newStatus === 'completed' ? previousStatus : newStatus;
             // Update outboundStatus for outbound calls
             if (callLog.direction === 'outbound' && webhookData.Status) {
                 const outboundStatusMap = {
@@ -672,7 +676,7 @@ class ExotelController {
                     if (!endTime) {
                         // For ended calls, use updatedAt as fallback
                         // For active calls, we can't calculate duration yet
-                        if (['completed', 'failed', 'no-answer', 'busy', 'canceled', 'user-ended', 'agent-ended'].includes(callObj.status)) {
+                        if (['completed', 'failed', 'no-answer', 'busy', 'canceled', 'user-ended', 'agent-ended', 'transferred'].includes(callObj.status)) {
                             endTime = callObj.updatedAt;
                         }
                     }
@@ -741,6 +745,10 @@ class ExotelController {
                                 ]
                             }
                         },
+                        // Dead air: caller never responded and the gateway hung up
+                        inactiveCalls: {
+                            $sum: { $cond: [{ $eq: ['$endReason', 'caller_inactivity'] }, 1, 0] }
+                        },
                         totalDuration: { $sum: '$durationSec' },
                         avgDuration: { $avg: '$durationSec' }
                     }
@@ -750,6 +758,7 @@ class ExotelController {
                 totalCalls: 0,
                 completedCalls: 0,
                 failedCalls: 0,
+                inactiveCalls: 0,
                 totalDuration: 0,
                 avgDuration: 0
             };
@@ -799,6 +808,76 @@ class ExotelController {
             next(error);
         }
     }
+    /**
+     * Forget earlier calls with a number: agents with caller memory no longer see them
+     * Account owners purge their own contacts; admins may name another account with ?userId=
+     */
+    async purgeCallerMemory(req, res, next) {
+        try {
+            const isAdmin = req.user.role === 'admin' || req.user.role === 'super_admin';
+            if (req.query.userId && !isAdmin) {
+                throw new errors_1.ForbiddenError('Admin access required to purge another account');
+            }
+            const userId = req.query.userId || req.user._id.toString();
+            const { phone } = req.params;
+            const purged = await callerMemory_service_1.callerMemoryService.purge(userId, phone);
+            res.status(200).json({
+                success: true,
+                message: 'Caller memory purged',
+                data: { purgedCalls: purged }
+            });
+        }
+        catch (error) {
+            next(error);
+        }
+    }
+    /**
+     * Get a short-lived playback URL for a call recording
+     */
+    async getRecordingUrl(req, res, next) {
+        try {
+            const userId = req.user._id.toString();
+            const { callId } = req.params;
+            const callLog = await CallLog_1.CallLog.findOne({ _id: callId, userId });
+            if (!callLog) {
+                throw new errors_1.NotFoundError('Call not found');
+            }
+            const playback = await callRecording_service_1.callRecordingService.getPlaybackUrl(callLog);
+            if (!playback) {
+                throw new errors_1.NotFoundError('No recording available for this call');
+            }
+            res.status(200).json({
+                success: true,
+                data: playback
+            });
+        }
+        catch (error) {
+            next(error);
+        }
+    }
+    /**
+     * Serve a locally stored recording (STORAGE_DRIVER=local)
+     * Access is granted by the signed URL from getRecordingUrl, not by a session
+     */
+    async streamLocalRecording(req, res, next) {
+        try {
+            const { key, expires, signature } = req.query;
+            if (!storage_service_1.storageService.verifyLocalSignature(key, expires, signature)) {
+                throw new errors_1.ForbiddenError('Invalid or expired recording link');
+            }
+            const audio = await storage_service_1.storageService.get(key);
+            if (!audio) {
+                throw new errors_1.NotFoundError('Recording not found');
+            }
+            res.setHeader('Content-Type', 'audio/wav');
+            res.setHeader('Content-Length', audio.length);
+            res.setHeader('Cache-Control', 'private, max-age=300');
+            res.send(audio);
+        }
+        catch (error) {
+            next(error);
+        }
+    }
     /**
      * Get formatted transcript for a call
      */
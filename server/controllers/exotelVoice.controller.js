@@ -7,6 +7,7 @@ const logger_1 = require("../utils/logger");
 const uuid_1 = require("uuid");
 const voicePipeline_service_1 = require("../services/voicePipeline.service");
 const exotel_service_1 = require("../services/exotel.service");
+const callTransfer_service_1 = require("../services/callTransfer.service");
 /**
  * Exotel Voice Controller
  * Handles voice call flows with AI agent integration
@@ -226,6 +227,7 @@ class ExotelVoiceController {
                 voiceProvider: agent.config.voice.provider || 'openai',
                 voiceId: agent.config.voice.voiceId,
                 language: agent.config.language || 'en',
+                pronunciations: agent.config.pronunciations,
                 voiceSettings: {
                     stability: agent.config.voice.settings?.stability ?? 0.5,
                     similarityBoost: agent.config.voice.settings?.similarityBoost ?? 0.75,
@@ -305,6 +307,7 @@ class ExotelVoiceController {
                 voiceProvider: agent.config.voice.provider || 'openai',
                 voiceId: agent.config.voice.voiceId,
                 language: agent.config.language || 'en',
+                pronunciations: agent.config.pronunciations,
                 voiceSettings: {
                     stability: agent.config.voice.settings?.stability ?? 0.5,
                     similarityBoost: agent.config.voice.settings?.similarityBoost ?? 0.75,
@@ -360,8 +363,10 @@ class ExotelVoiceController {
                 res.status(200).json({ success: true });
                 return;
             }
-            // Update call log with final details
-            callLog.status = 'completed';
+            // Update call log with final details (transferred calls keep their outcome)
+            if (callLog.status !== 'transferred') {
+                callLog.status = 'completed';
+            }
             callLog.endedAt = new Date();
             if (webhookData.Duration) {
                 callLog.durationSec = parseInt(webhookData.Duration, 10);
@@ -395,6 +400,50 @@ class ExotelVoiceController {
             res.status(200).json({ success: true }); // Still return success to Exotel
         }
     }
+    /**
+     * Transfer target webhook - dynamic URL of the Connect applet placed after the Voicebot applet
+     * Returns the human agent numbers (and whisper) for calls the AI handed off in 'flow' mode
+     */
+    async handleTransferConnect(req, res, _next) {
+        try {
+            const webhookData = exotel_service_1.exotelService.parseWebhook(req.method === 'GET' ? req.query : req.body);
+            logger_1.logger.info('Transfer connect webhook called', {
+                callSid: webhookData.CallSid,
+                customField: webhookData.CustomField
+            });
+            let callLog = webhookData.CustomField
+                ? await CallLog_1.CallLog.findById(webhookData.CustomField).catch(() => null)
+                : null;
+            if (!callLog && webhookData.CallSid) {
+                callLog = await CallLog_1.CallLog.findOne({
+                    $or: [
+                        { exotelCallSid: webhookData.CallSid },
+                        { 'metadata.exotelCallSid': webhookData.CallSid }
+                    ]
+                });
+            }
+            const connectResponse = callLog
+                ? await callTransfer_service_1.callTransferService.getFlowConnectResponse(callLog)
+                : null;
+            if (!connectResponse) {
+                logger_1.logger.warn('No pending transfer for call', {
+                    callSid: webhookData.CallSid,
+                    callLogId: callLog?._id
+                });
+                res.status(404).json({ error: 'No pending transfer for this call' });
+                return;
+            }
+            logger_1.logger.info('📲 Returning transfer target to Exotel', {
+                callLogId: callLog._id,
+                numbers: connectResponse.destination.numbers
+            });
+            res.status(200).json(connectResponse);
+        }
+        catch (error) {
+            logger_1.logger.error('Error in transfer connect handler', { error: error.message });
+            res.status(500).json({ error: 'Failed to resolve transfer target' });
+        }
+    }
     /**
      * Generate Exotel Flow XML for voice interaction
      */
@@ -0,0 +1,124 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.monitorController = exports.MonitorController = void 0;
+const CallLog_1 = require("../models/CallLog");
+const callMonitor_service_1 = require("../services/callMonitor.service");
+const callOwnership_service_1 = require("../services/callOwnership.service");
+const errors_1 = require("../utils/errors");
+class MonitorController {
+    /**
+     * GET /bulk/api/monitor/calls
+     * Calls currently in progress (across all server instances)
+     * Live events: /ws/monitor/:callLogId or /ws/monitor/campaign/:campaignId
+     */
+    async getActiveCalls(req, res, next) {
+        try {
+            const calls = await callMonitor_service_1.callMonitorService.getActiveCalls({
+                userId: req.user.role === 'super_admin' ? undefined : req.user._id.toString(),
+                campaignId: req.query.campaignId
+            });
+            res.status(200).json({
+                success: true,
+                data: {
+                    calls,
+                    total: calls.length
+                }
+            });
+        }
+        catch (error) {
+            next(error);
+        }
+    }
+    /**
+     * GET /bulk/api/monitor/calls/:callLogId
+     * Live state of one call, answered by the instance holding it
+     */
+    async getCall(req, res, next) {
+        try {
+            const call = await this.findMonitoredCall(req);
+            const response = await callOwnership_service_1.callOwnershipService.request(call.callLogId, 'status');
+            if (!response.delivered) {
+                throw new errors_1.ConflictError('Call is not in progress');
+            }
+            res.status(200).json({
+                success: true,
+                data: {
+                    ...call,
+                    ...response.result,
+                    instanceId: response.instanceId
+                }
+            });
+        }
+        catch (error) {
+            next(error);
+        }
+    }
+    /**
+     * POST /bulk/api/monitor/calls/:callLogId/whisper
+     * Hidden instruction for the agent's next reply (the caller never hears it verbatim)
+     */
+    async whisper(req, res, next) {
+        try {
+            const result = await this.sendCommand(req, { type: 'whisper', message: req.body.message });
+            res.status(202).json({
+                success: true,
+                data: result,
+                message: 'Instruction queued for the next agent reply'
+            });
+        }
+        catch (error) {
+            next(error);
+        }
+    }
+    /**
+     * POST /bulk/api/monitor/calls/:callLogId/hangup
+     * End the call now, after the agent says the closing line
+     */
+    async hangup(req, res, next) {
+        try {
+            const result = await this.sendCommand(req, { type: 'hangup', message: req.body.closingMessage });
+            res.status(202).json({
+                success: true,
+                data: result,
+                message: 'Call is being ended'
+            });
+        }
+        catch (error) {
+            next(error);
+        }
+    }
+    /**
+     * The supervisor's call (404 otherwise) - 409 unless a live instance holds it
+     */
+    async findMonitoredCall(req) {
+        const { callLogId } = req.params;
+        const ownerFilter = req.user.role === 'super_admin' ? {} : { userId: req.user._id };
+        const callLog = await CallLog_1.CallLog.findOne({ _id: callLogId, ...ownerFilter }).select('_id').lean();
+        if (!callLog) {
+            throw new errors_1.NotFoundError('Call not found');
+        }
+        const call = await callMonitor_service_1.callMonitorService.getActiveCall(callLogId);
+        if (!call || !(await callOwnership_service_1.callOwnershipService.getOwner(callLogId))) {
+            throw new errors_1.ConflictError('Call is not in progress');
+        }
+        return call;
+    }
+    /**
+     * Check the supervisor may steer the call, then route the command to its owner instance
+     */
+    async sendCommand(req, command) {
+        const { callLogId } = req.params;
+        await this.findMonitoredCall(req);
+        const result = await callMonitor_service_1.callMonitorService.sendSupervisorCommand(callLogId, {
+            ...command,
+            userId: req.user._id.toString()
+        });
+        if (!result.delivered) {
+            throw new errors_1.ConflictError('Call is not in progress');
+        }
+        return result;
+    }
+}
+exports.MonitorController = MonitorController;
+exports.monitorController = new MonitorController();
+//# sourceMappingURL=monitor.controller.js.map
@@ -2,7 +2,9 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.settingsController = exports.SettingsController = void 0;
 const settings_service_1 = require("../services/settings.service");
+const providerRegistry_service_1 = require("../services/providerRegistry.service");
 const logger_1 = require("../utils/logger");
+const TTS_PROVIDERS = ['deepgram', 'elevenlabs', 'sarvam', 'cartesia'];
 class SettingsController {
     /**
      * GET /bulk/api/settings
@@ -34,7 +36,7 @@ class SettingsController {
             const userId = req.user.id;
             const updateData = req.body;
             // Validate required fields
-            if (updateData.defaultTtsProvider && !['deepgram', 'elevenlabs', 'sarvam'].includes(updateData.defaultTtsProvider)) {
+            if (updateData.defaultTtsProvider && !TTS_PROVIDERS.includes(updateData.defaultTtsProvider)) {
                 return res.status(400).json({
                     success: false,
                     message: 'Invalid TTS provider'
@@ -68,7 +70,7 @@ class SettingsController {
                     message: 'Provider and voiceId are required'
                 });
             }
-            if (!['deepgram', 'elevenlabs', 'sarvam'].includes(provider)) {
+            if (!TTS_PROVIDERS.includes(provider)) {
                 return res.status(400).json({
                     success: false,
                     message: 'Invalid TTS provider'
@@ -93,7 +95,7 @@ class SettingsController {
         try {
             const { provider } = req.params;
             const { apiKey } = req.query;
-            if (!['deepgram', 'elevenlabs', 'sarvam'].includes(provider)) {
+            if (!TTS_PROVIDERS.includes(provider)) {
                 return res.status(400).json({
                     success: false,
                     message: 'Invalid TTS provider'
@@ -113,6 +115,16 @@ class SettingsController {
             });
         }
     }
+    /**
+     * GET /bulk/api/settings/providers
+     * Registered STT, TTS and LLM providers with their capabilities and availability
+     */
+    async getProviders(_req, res) {
+        return res.json({
+            success: true,
+            data: providerRegistry_service_1.providerRegistry.describe()
+        });
+    }
 }
 exports.SettingsController = SettingsController;
 exports.settingsController = new SettingsController();
@@ -45,7 +45,7 @@ const adminSettingsSchema = new mongoose_1.Schema({
     defaultTtsProvider: {
         type: String,
         required: true,
-        enum: ['deepgram', 'elevenlabs'],
+        enum: ['deepgram', 'elevenlabs', 'cartesia'],
         default: 'deepgram'
     },
     ttsProviders: {
@@ -88,6 +88,21 @@ const adminSettingsSchema = new mongoose_1.Schema({
                     default: 0.75
                 }
             }
+        },
+        cartesia: {
+            enabled: {
+                type: Boolean,
+                default: false
+            },
+            defaultVoiceId: {
+                type: String,
+                default: ''
+            },
+            model: {
+                type: String,
+                default: 'sonic-2'
+            },
+            apiKey: String
         }
     }
 }, {
@@ -76,11 +76,45 @@ const agentSchema = new mongoose_1.Schema({
             type: [String],
             default: ['goodbye', 'bye', 'end call', 'thank you goodbye', 'talk to you later']
         },
+        // Summaries of earlier calls with the same number, given to the LLM at call start
+        callerMemory: {
+            type: {
+                enabled: {
+                    type: Boolean,
+                    default: false
+                },
+                maxCalls: {
+                    type: Number,
+                    min: 1,
+                    max: 10,
+                    default: 3
+                },
+                lookbackDays: {
+                    type: Number,
+                    min: 1,
+                    max: 365,
+                    default: 30
+                }
+            },
+            required: false,
+            default: undefined
+        },
+        endCall: {
+            type: {
+                llm: {
+                    type: Boolean,
+                    default: false // Opt-in: the LLM hangs up with the end_call tool and a reason code
+                },
+                keywordFallback: Boolean, // Also hang up on endCallPhrases (default: on unless llm is on)
+                closingMessage: String // Spoken when the call ends without a goodbye from the LLM
+            },
+            required: false,
+            default: undefined
+        },
         voice: {
             provider: {
                 type: String,
-                required: true,
-                enum: ['openai', 'elevenlabs', 'cartesia', 'deepgram', 'sarvam']
+                required: true // TTS provider ID from the provider registry
             },
             voiceId: {
                 type: String,
@@ -89,6 +123,26 @@ const agentSchema = new mongoose_1.Schema({
             model: String,
             settings: mongoose_1.Schema.Types.Mixed
         },
+        // Voice to switch to when the caller changes language mid-call (voicesByLanguage defaults otherwise)
+        languageVoices: {
+            type: [{
+                    language: String,
+                    provider: String, // TTS provider ID from the provider registry
+                    voiceId: String
+                }],
+            required: false,
+            default: undefined
+        },
+        // How the voice should say brand names and acronyms (e.g. EMI -> "ee em eye")
+        pronunciations: {
+            type: [{
+                    term: String,
+                    spoken: String,
+                    language: String // Only for this language when set
+                }],
+            required: false,
+            default: undefined
+        },
         language: {
             type: String,
             required: true,
@@ -99,11 +153,11 @@ const agentSchema = new mongoose_1.Schema({
             default: false
         },
         sttProvider: {
-            type: String,
-            enum: ['deepgram', 'sarvam', 'whisper'],
+            type: String, // STT provider ID from the provider registry
             default: 'deepgram' // Default to Deepgram for international languages
         },
         llm: {
+            provider: String, // LLM provider ID - picked from the model name when not set
             model: {
                 type: String,
                 required: true,
@@ -153,7 +207,111 @@ const agentSchema = new mongoose_1.Schema({
             default: undefined
         },
         firstMessage: String,
-        sessionTimeout: Number,
+        sessionTimeout: Number, // Maximum call duration in seconds
+        durationLimit: {
+            type: {
+                warningSec: {
+                    type: Number,
+                    min: 10,
+                    max: 600,
+                    default: 60 // Seconds before the limit at which the LLM is asked to wrap up
+                },
+                closingMessage: String // Spoken at the hard limit before hanging up
+            },
+            required: false,
+            default: undefined
+        },
+        // Pre-rendered filler clips played while a slow turn is being prepared
+        filler: {
+            type: {
+                enabled: {
+                    type: Boolean,
+                    default: false
+                },
+                thresholdMs: {
+                    type: Number,
+                    min: 300,
+                    max: 5000,
+                    default: 1200 // Silence after the caller's turn before a filler is played
+                },
+                thinkingPhrases: [String], // e.g. "Hmm.", "One moment." (defaults per language)
+                lookupPhrases: [String] // Played while a tool or knowledge-base lookup is pending
+            },
+            required: false,
+            default: undefined
+        },
+        // Voice activity detection and adaptive endpointing on the caller's audio
+        vad: {
+            type: {
+                enabled: {
+                    type: Boolean,
+                    default: true
+                },
+                speechThresholdDb: {
+                    type: Number,
+                    min: 3,
+                    max: 30,
+                    default: 9 // How far above the line's noise floor counts as speech
+                },
+                minSpeechMs: {
+                    type: Number,
+                    min: 40,
+                    max: 1000,
+                    default: 120 // Shorter bursts (clicks, coughs) don't start a turn
+                },
+                hangoverMs: {
+                    type: Number,
+                    min: 60,
+                    max: 1000,
+                    default: 200 // Silence bridged between words
+                },
+                endpointMs: {
+                    type: Number,
+                    min: 100,
+                    max: 5000,
+                    default: 600 // Silence before a normal turn is considered over
+                },
+                unfinishedEndpointMs: {
+                    type: Number,
+                    min: 100,
+                    max: 5000,
+                    default: 1500 // ...when the caller trails off mid-sentence or mid-number
+                },
+                answerEndpointMs: {
+                    type: Number,
+                    min: 100,
+                    max: 5000,
+                    default: 300 // ...for a short answer to the agent's question
+                },
+                maxSpeechMs: {
+                    type: Number,
+                    min: 3000,
+                    max: 60000,
+                    default: 15000 // Caller monologue cut-off
+                },
+                echoCooldownMs: {
+                    type: Number,
+                    min: 0,
+                    max: 5000,
+                    default: 1500 // Ignore caller speech this soon after the agent stopped talking
+                }
+            },
+            required: false,
+            default: undefined
+        },
+        // Providers to switch to when the call's STT stream or TTS voice fails mid-call
+        // (unset: sttProvider.service / voicePipeline.service default chains)
+        failover: {
+            type: {
+                stt: [String], // Streaming STT provider IDs, in order
+                tts: [{
+                        provider: String,
+                        voiceId: String // Provider's voice for the call language when omitted
+                    }]
+            },
+            required: false,
+            default: undefined
+        },
         flow: {
             type: {
                 userStartFirst: Boolean,
@@ -164,7 +322,145 @@ const agentSchema = new mongoose_1.Schema({
             },
             required: false,
             default: undefined
-        }
+        },
+        dtmf: {
+            type: {
+                enabled: {
+                    type: Boolean,
+                    default: true
+                },
+                interDigitTimeoutMs: {
+                    type: Number,
+                    min: 500,
+                    max: 15000,
+                    default: 3000 // Flush buffered digits after 3s without a key press
+                },
+                terminator: {
+                    type: String,
+                    enum: ['#', '*', ''],
+                    default: '#' // Key that submits the buffered digits immediately
+                },
+                maxDigits: {
+                    type: Number,
+                    min: 1,
+                    max: 32,
+                    default: 16
+                },
+                // Keypad menu handled directly by the gateway (no LLM round trip)
+                menu: [{
+                        digits: {
+                            type: String,
+                            required: true
+                        },
+                        action: {
+                            type: String,
+                            enum: ['say', 'end_call', 'transfer', 'llm'],
+                            default: 'say'
+                        },
+                        label: String, // What the option means, shown to the LLM
+                        message: String, // Spoken for 'say' / 'end_call'
+                        sensitive: {
+                            type: Boolean,
+                            default: true // Mask the digits in transcripts, logs and live monitoring
+                        }
+                    }]
+            },
+            required: false,
+            default: undefined
+        },
+        transfer: {
+            type: {
+                enabled: {
+                    type: Boolean,
+                    default: false
+                },
+                numbers: [String], // Human agents to dial, in order (falls back to TRANSFER_DEFAULT_NUMBER)
+                mode: {
+                    type: String,
+                    enum: ['flow', 'api'],
+                    default: 'flow'
+                },
+                whisper: {
+                    type: Boolean,
+                    default: true // Read an LLM summary of the call to the human before bridging
+                },
+                handoffMessage: String,
+                failureMessage: String, // Spoken when the transfer fails and the AI keeps the call
+                triggerPhrases: [String], // Caller phrases that transfer without asking the LLM
+                onNegativeSentiment: {
+                    type: Boolean,
+                    default: false
+                }
+            },
+            required: false,
+            default: undefined
+        },
+        // Caller silence handling: reprompt, then hang up on a dead line
+        noInput: {
+            type: {
+                enabled: {
+                    type: Boolean,
+                    default: false
+                },
+                timeoutSec: {
+                    type: Number,
+                    min: 3,
+                    max: 60,
+                    default: 8 // Silence after the agent stops talking before reprompting
+                },
+                reprompts: [String], // Used in rotation (falls back to built-in phrases)
+                generateReprompts: {
+                    type: Boolean,
+                    default: false // Let the LLM write each reprompt from the conversation
+                },
+                maxReprompts: {
+                    type: Number,
+                    min: 0,
+                    max: 5,
+                    default: 2
+                },
+                closingMessage: String // Spoken before hanging up
+            },
+            required: false,
+            default: undefined
+        },
+        // HTTP tools the LLM can call mid-call (order lookup, stock check, tickets...)
+        tools: [{
+                name: {
+                    type: String,
+                    required: true,
+                    match: /^[a-zA-Z0-9_-]{1,64}$/
+                },
+                description: {
+                    type: String,
+                    required: true,
+                    maxlength: 1000
+                },
+                parameters: mongoose_1.Schema.Types.Mixed, // JSON schema for the tool arguments
+                endpoint: {
+                    method: {
+                        type: String,
+                        enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+                        default: 'POST'
+                    },
+                    url: {
+                        type: String,
+                        required: true // May contain {{param}} placeholders
+                    }
+                },
+                headers: mongoose_1.Schema.Types.Mixed, // Values may contain {{param}} placeholders
+                timeoutMs: {
+                    type: Number,
+                    min: 500,
+                    max: 30000,
+                    default: 5000
+                },
+                fillerMessage: String, // Spoken while a slow tool runs
+                enabled: {
+                    type: Boolean,
+                    default: true
+                }
+            }]
     },
     isActive: {
         type: Boolean,
@@ -35,6 +35,7 @@ var __importStar = (this && this.__importStar) || (function () {
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.CallLog = void 0;
 const mongoose_1 = __importStar(require("mongoose"));
+const phoneValidator_1 = require("../utils/phoneValidator");
 const callLogSchema = new mongoose_1.Schema({
     sessionId: {
         type: String,
@@ -74,7 +75,7 @@ const callLogSchema = new mongoose_1.Schema({
     status: {
         type: String,
         required: true,
-        enum: ['initiated', 'ringing', 'in-progress', 'completed', 'failed', 'no-answer', 'busy', 'canceled', 'user-ended', 'agent-ended'],
+        enum: ['initiated', 'ringing', 'in-progress', 'completed', 'failed', 'no-answer', 'busy', 'canceled', 'user-ended', 'agent-ended', 'transferred'],
         default: 'initiated'
     },
     // Outbound-specific fields
@@ -96,6 +97,35 @@ const callLogSchema = new mongoose_1.Schema({
         type: String,
         enum: ['no_answer', 'busy', 'voicemail', 'invalid_number', 'network_error', 'cancelled']
     },
+    // Why a connected call was ended by the gateway (unset = normal hangup)
+    endReason: {
+        type: String,
+        enum: ['caller_inactivity', 'max_duration', 'supervisor_hangup', 'api_hangup', 'agent_hangup', 'end_call_phrase', 'dtmf_menu']
+    },
+    // Why the agent hung up (end_call tool): completed, not_interested, wrong_person, callback_requested, do_not_call, other
+    endCallReason: String,
+    contactNumber: String, // Last 10 digits of the other party's number (caller memory lookups)
+    callerMemoryExcluded: Boolean, // Purged from caller memory - not shown to agents on later calls with the number
+    // Audit trail of supervisor commands sent to the live call
+    supervisorActions: [{
+            type: {
+                type: String,
+                enum: ['whisper', 'hangup'],
+                required: true
+            },
+            userId: {
+                type: mongoose_1.Schema.Types.ObjectId,
+                ref: 'User',
+                required: true
+            },
+            message: String, // Whisper instruction or closing line
+            delivered: Boolean, // An instance owning the call received the command
+            appliedAt: Date, // Whisper injected into an LLM turn / hangup executed
+            createdAt: {
+                type: Date,
+                default: Date.now
+            }
+        }],
     startedAt: Date,
     endedAt: Date,
     durationSec: {
@@ -115,7 +145,13 @@ const callLogSchema = new mongoose_1.Schema({
                 type: Date,
                 required: true
             },
-            language: String // Detected or configured language for this entry
+            language: String, // Detected or configured language for this entry
+            interrupted: Boolean, // Assistant turn cut short by caller barge-in
+            type: {
+                type: String,
+                enum: ['speech', 'dtmf'] // Unset entries are speech
+            },
+            digits: String // Keypad digits for DTMF entries, masked (•) unless the menu option is sensitive: false
         }],
     // Language tracking fields
     configuredLanguage: String,
@@ -125,8 +161,107 @@ const callLogSchema = new mongoose_1.Schema({
             timestamp: Date,
             fromLanguage: String,
             toLanguage: String,
-            confidence: Number
+            confidence: Number,
+            fromVoice: {
+                provider: String,
+                voiceId: String
+            },
+            toVoice: {
+                provider: String,
+                voiceId: String
+            }
+        }],
+    // Warm transfer to a human agent (status 'transferred')
+    transfer: {
+        to: String, // First number dialed
+        numbers: [String],
+        mode: {
+            type: String,
+            enum: ['flow', 'api']
+        },
+        reason: String,
+        summary: String, // Whisper read to the human
+        requestedAt: Date,
+        transferredAt: Date, // When Exotel started dialing the human
+        exotelCallSid: String // Bridge call ('api' mode)
+    },
+    // HTTP tool invocations made by the LLM during the call
+    toolCalls: [{
+            name: String,
+            arguments: mongoose_1.Schema.Types.Mixed,
+            request: mongoose_1.Schema.Types.Mixed, // { method, url, query | body } - headers omitted
+            response: mongoose_1.Schema.Types.Mixed,
+            statusCode: Number,
+            success: Boolean,
+            error: String,
+            latencyMs: Number,
+            timestamp: Date
         }],
+    // STT stream drops and reconnects, STT/TTS provider failovers
+    providerEvents: [{
+            kind: {
+                type: String,
+                enum: ['stt', 'tts']
+            },
+            type: {
+                type: String,
+                enum: ['stream_lost', 'reconnected', 'failover', 'exhausted']
+            },
+            provider: String, // Provider that failed
+            toProvider: String, // 'reconnected' / 'failover': provider now in use
+            reason: String,
+            attempts: Number,
+            gapMs: Number, // STT: time the call had no live stream
+            replayedMs: Number, // STT: buffered caller audio sent to the new stream
+            timestamp: Date
+        }],
+    // Latency waterfall of each agent turn - stages in ms after the caller stopped speaking
+    turnLatencies: [{
+            turn: Number,
+            flow: {
+                type: String,
+                enum: ['streaming', 'batch', 'early'] // early = LLM started on a partial transcript
+            },
+            speechEndAt: Date,
+            finalTranscriptMs: Number,
+            ragMs: Number, // Knowledge base lookup duration (unset = no lookup)
+            llmFirstTokenMs: Number,
+            llmDoneMs: Number,
+            ttsFirstByteMs: Number,
+            firstAudioMs: Number, // First response audio sent to the caller
+            sttProvider: String,
+            llmProvider: String,
+            llmModel: String,
+            ttsProvider: String,
+            language: String,
+            interrupted: Boolean
+        }],
+    // Media format of the call's audio stream and where it came from
+    audioFormat: {
+        encoding: {
+            type: String,
+            enum: ['pcm', 'mulaw', 'alaw']
+        },
+        sampleRate: Number,
+        source: {
+            type: String,
+            enum: ['start_event', 'phone', 'default']
+        }
+    },
+    // Server-side dual-channel recording (caller left, agent right)
+    recording: {
+        storageKey: String,
+        driver: {
+            type: String,
+            enum: ['local', 's3']
+        },
+        format: String,
+        channels: Number,
+        sampleRate: Number,
+        durationSec: Number,
+        sizeBytes: Number,
+        uploadedAt: Date
+    },
     summary: String,
     recordingUrl: String,
     exotelCallSid: String,
@@ -154,6 +289,7 @@ callLogSchema.index({ status: 1, createdAt: -1 });
 callLogSchema.index({ direction: 1, createdAt: -1 });
 callLogSchema.index({ fromPhone: 1 });
 callLogSchema.index({ toPhone: 1 });
+callLogSchema.index({ userId: 1, contactNumber: 1, createdAt: -1 });
 callLogSchema.index({ exotelCallSid: 1 });
 callLogSchema.index({ startedAt: -1, endedAt: -1 });
 // Outbound-specific indexes
@@ -167,8 +303,11 @@ callLogSchema.index({ 'metadata.batchId': 1 });
 callLogSchema.index({ failureReason: 1, createdAt: -1 });
 callLogSchema.index({ outboundStatus: 1, createdAt: -1 });
 callLogSchema.index({ 'metadata.voicemailDetected': 1 });
-// Pre-save hook to calculate duration if not set
+// Pre-save hook to calculate duration if not set and key the call by its contact's number
 callLogSchema.pre('save', function (next) {
+    if (this.isNew || this.isModified('fromPhone') || this.isModified('toPhone') || this.isModified('direction')) {
+        this.contactNumber = (0, phoneValidator_1.toContactKey)(this.direction === 'inbound' ? this.fromPhone : this.toPhone);
+    }
     // If durationSec is not set but we have startedAt and endedAt, calculate it
     if (!this.durationSec && this.startedAt && this.endedAt) {
         const durationMs = this.endedAt.getTime() - this.startedAt.getTime();
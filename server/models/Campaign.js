@@ -133,6 +133,11 @@ const campaignSchema = new mongoose_1.Schema({
             min: 1,
             max: 50,
             default: 3
+        },
+        maxCallDurationSec: {
+            type: Number,
+            min: 30,
+            max: 7200 // Caps every call in the campaign (the agent's sessionTimeout may be stricter)
         }
     },
     scheduledFor: {
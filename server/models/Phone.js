@@ -84,7 +84,19 @@ const phoneSchema = new mongoose_1.Schema({
         subdomain: String,
         appId: String // Voicebot App ID for outbound calls
     },
-    agentConfigOverride: mongoose_1.Schema.Types.Mixed
+    agentConfigOverride: mongoose_1.Schema.Types.Mixed,
+    // Media format the carrier streams for this number, used when the stream's start event
+    // doesn't describe it (unset: 16-bit PCM at 8kHz)
+    audioFormat: {
+        encoding: {
+            type: String,
+            enum: ['pcm', 'mulaw', 'alaw']
+        },
+        sampleRate: {
+            type: Number,
+            enum: [8000, 16000]
+        }
+    }
 }, {
     timestamps: true
 });
@@ -0,0 +1,34 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.registerBuiltinProviders = registerBuiltinProviders;
+const providerRegistry_service_1 = require("../services/providerRegistry.service");
+const stubProviders_service_1 = require("../services/stubProviders.service");
+const logger_1 = require("../utils/logger");
+const stt_providers_1 = require("./stt.providers");
+const tts_providers_1 = require("./tts.providers");
+const llm_providers_1 = require("./llm.providers");
+/**
+ * Register every built-in STT, TTS and LLM engine (server startup)
+ * A new engine is one provider object in the matching file, listed in its array
+ */
+function registerBuiltinProviders() {
+    for (const provider of [...stt_providers_1.sttProviders, ...tts_providers_1.ttsProviders, ...llm_providers_1.llmProviders]) {
+        // Stubs only exist when STUB_PROVIDERS asks for them, so agents can't be saved with canned audio
+        if (provider.id === 'stub' && !stubProviders_service_1.stubProviderService.isEnabled(provider.kind)) {
+            continue;
+        }
+        providerRegistry_service_1.providerRegistry.register(provider);
+    }
+    // STUB_PROVIDERS routes every request of those kinds to the offline stubs
+    for (const kind of ['stt', 'tts', 'llm']) {
+        if (stubProviders_service_1.stubProviderService.isEnabled(kind)) {
+            providerRegistry_service_1.providerRegistry.setOverride(kind, 'stub');
+        }
+    }
+    const described = providerRegistry_service_1.providerRegistry.describe();
+    logger_1.logger.info('🔌 Providers registered', Object.fromEntries(Object.entries(described).map(([kind, providers]) => [
+        kind,
+        providers.map((provider) => `${provider.id}${provider.available ? '' : ' (unavailable)'}`)
+    ])));
+}
+//# sourceMappingURL=index.js.map
@@ -0,0 +1,68 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.llmProviders = exports.stubLLMProvider = exports.anthropicLLMProvider = exports.openaiLLMProvider = void 0;
+const openai_service_1 = require("../services/openai.service");
+const anthropic_service_1 = require("../services/anthropic.service");
+const stubProviders_service_1 = require("../services/stubProviders.service");
+/**
+ * LLM providers
+ *
+ * Messages are OpenAI-style ({ role, content }, system prompt as the first message);
+ * options: { model, temperature, maxTokens, systemPrompt?, tools? }
+ * capabilities.toolFormat decides how agentTools describes tools and replays tool results
+ * capabilities.modelPrefixes picks the provider for agents that only set llm.model
+ */
+exports.openaiLLMProvider = {
+    id: 'openai',
+    kind: 'llm',
+    name: 'OpenAI',
+    capabilities: {
+        streaming: true,
+        tools: true,
+        toolFormat: 'openai',
+        modelPrefixes: ['gpt-'],
+        defaultModel: 'gpt-4o-mini'
+    },
+    isAvailable: () => true, // OpenAI is required to start the server
+    chat: (messages, options) => openai_service_1.openaiService.getChatCompletion(messages, options),
+    chatStream: (messages, options) => openai_service_1.openaiService.getChatCompletionStream(messages, options),
+    chatStreamWithTools: (messages, options) => openai_service_1.openaiService.streamChatWithTools(messages, options)
+};
+exports.anthropicLLMProvider = {
+    id: 'anthropic',
+    kind: 'llm',
+    name: 'Anthropic Claude',
+    capabilities: {
+        streaming: true,
+        tools: true,
+        toolFormat: 'anthropic',
+        modelPrefixes: ['claude-'],
+        defaultModel: 'claude-3-5-haiku-20241022'
+    },
+    isAvailable: () => anthropic_service_1.anthropicService.isAvailable(),
+    chat: (messages, options) => anthropic_service_1.anthropicService.getChatCompletion(messages, options),
+    chatStream: (messages, options) => anthropic_service_1.anthropicService.getChatCompletionStream(messages, options),
+    chatStreamWithTools: (messages, options) => anthropic_service_1.anthropicService.streamChatWithTools(messages, options)
+};
+exports.stubLLMProvider = {
+    id: 'stub',
+    kind: 'llm',
+    name: 'Stub echo',
+    capabilities: {
+        streaming: true,
+        tools: false,
+        toolFormat: 'openai',
+        modelPrefixes: [],
+        defaultModel: 'stub'
+    },
+    isAvailable: () => true,
+    chat: (messages, options) => stubProviders_service_1.stubProviderService.getChatCompletion(messages, options),
+    chatStream: (messages, options) => stubProviders_service_1.stubProviderService.getChatCompletionStream(messages, options),
+    chatStreamWithTools: (messages, options) => stubProviders_service_1.stubProviderService.streamChatWithTools(messages, options)
+};
+exports.llmProviders = [
+    exports.openaiLLMProvider,
+    exports.anthropicLLMProvider,
+    exports.stubLLMProvider
+];
+//# sourceMappingURL=llm.providers.js.map
@@ -0,0 +1,189 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.sttProviders = exports.stubSTTProvider = exports.whisperSTTProvider = exports.sarvamSTTProvider = exports.deepgramSTTProvider = void 0;
+const deepgram_service_1 = require("../services/deepgram.service");
+const deepgramConnectionPool_service_1 = require("../services/deepgramConnectionPool.service");
+const sarvam_service_1 = require("../services/sarvam.service");
+const whisperSTT_service_1 = require("../services/whisperSTT.service");
+const stubProviders_service_1 = require("../services/stubProviders.service");
+/**
+ * Speech-to-Text providers
+ *
+ * resolveLanguage(language, { autoDetect, streaming }) maps the agent's language setting
+ * ('hi', 'multilingual-indian'...) to what the engine expects; undefined = let it detect
+ * Stream transcripts are delivered as onTranscript({ text, isFinal, detectedLanguage?, confidence? })
+ * and onSpeechEnded() when the engine's own endpointing decides the caller stopped;
+ * onClose(reason) fires when the engine drops the stream (not after closeStream)
+ */
+const isMultilingual = (language) => language === 'multilingual-intl' || language === 'multilingual-indian';
+exports.deepgramSTTProvider = {
+    id: 'deepgram',
+    kind: 'stt',
+    name: 'Deepgram Nova-3',
+    capabilities: {
+        languages: ['*'],
+        sampleRates: [8000, 16000],
+        streaming: true,
+        languageDetection: true,
+        echoSuppression: false
+    },
+    isAvailable: () => deepgram_service_1.deepgramService.isAvailable(),
+    resolveLanguage(language, { autoDetect, streaming } = {}) {
+        // Multilingual modes and auto-detection both need the 'multi' model
+        if (autoDetect) {
+            return streaming ? 'multi' : undefined;
+        }
+        return isMultilingual(language) ? 'multi' : language;
+    },
+    transcribe: (audio, language) => deepgram_service_1.deepgramService.transcribeAudio(audio, language),
+    async createStream(streamId, options) {
+        // Acquire connection from pool (queues if at capacity)
+        const connection = await deepgramConnectionPool_service_1.deepgramConnectionPool.acquireConnection(streamId, {
+            endpointing: 200, // 200ms silence to trigger UtteranceEnd
+            vadEvents: true,
+            language: options.language,
+            autoDetection: options.autoDetection,
+            sampleRate: options.sampleRate,
+            onTranscript: options.onTranscript,
+            onSpeechEnded: options.onSpeechEnded
+        });
+        const stream = {
+            connection,
+            closed: false,
+            // Deepgram accepts raw audio bytes
+            send: (audioChunk) => {
+                connection.send(audioChunk);
+                return true;
+            }
+        };
+        // The pool releases the connection on close as well (its listener runs first)
+        connection.on('close', () => {
+            if (!stream.closed) {
+                stream.closed = true;
+                options.onClose?.('Deepgram connection closed by server');
+            }
+        });
+        return stream;
+    },
+    closeStream: (streamId, stream) => {
+        if (stream) {
+            stream.closed = true;
+        }
+        deepgramConnectionPool_service_1.deepgramConnectionPool.releaseConnection(streamId);
+    }
+};
+exports.sarvamSTTProvider = {
+    id: 'sarvam',
+    kind: 'stt',
+    name: 'Sarvam Saarika',
+    capabilities: {
+        languages: ['hi', 'bn', 'ta', 'te', 'kn', 'ml', 'mr', 'gu', 'pa', 'or', 'multilingual-indian'],
+        sampleRates: [8000, 16000],
+        streaming: true,
+        languageDetection: false,
+        // Sarvam's VAD picks up the agent's own voice - transcripts while the agent is
+        // talking only count as a barge-in
+        echoSuppression: true
+    },
+    isAvailable: () => sarvam_service_1.sarvamService.isAvailable(),
+    resolveLanguage(language, { autoDetect, streaming } = {}) {
+        if (streaming) {
+            return language === 'multilingual-indian' ? 'multi' : language;
+        }
+        if (autoDetect) {
+            return undefined;
+        }
+        return isMultilingual(language) ? 'hi' : language; // Hindi is the default for multilingual
+    },
+    transcribe: (audio, language) => sarvam_service_1.sarvamService.transcribeAudio(audio, language),
+    async createStream(_streamId, options) {
+        const connection = await sarvam_service_1.sarvamService.createLiveConnection({
+            language: options.language,
+            model: 'saarika:v2.5',
+            sampleRate: options.sampleRate || 8000, // Call audio rate
+            encoding: 'pcm',
+            vadEnabled: true,
+            endpointing: 100,
+            onTranscript: options.onTranscript,
+            onSpeechEnded: options.onSpeechEnded
+        });
+        const stream = {
+            connection,
+            closed: false,
+            // Sarvam expects audio in a JSON envelope with base64 data
+            send: (audioChunk) => {
+                if (connection.readyState !== 1) {
+                    return false;
+                }
+                connection.send(JSON.stringify({
+                    audio: {
+                        data: audioChunk.toString('base64'),
+                        encoding: 'audio/wav',
+                        sample_rate: options.sampleRate || 8000
+                    }
+                }));
+                return true;
+            }
+        };
+        connection.on('close', (code) => {
+            if (!stream.closed) {
+                stream.closed = true;
+                options.onClose?.(`Sarvam connection closed (${code})`);
+            }
+        });
+        return stream;
+    },
+    closeStream: (_streamId, stream) => {
+        stream.closed = true;
+        stream.connection.close();
+    }
+};
+exports.whisperSTTProvider = {
+    id: 'whisper',
+    kind: 'stt',
+    name: 'Whisper',
+    capabilities: {
+        languages: ['*'],
+        sampleRates: [8000, 16000],
+        // Pseudo-streaming: VAD segments, partials by re-transcribing the open segment
+        streaming: true,
+        languageDetection: true,
+        echoSuppression: false
+    },
+    isAvailable: () => true, // OpenAI is required to start the server
+    resolveLanguage(language, { autoDetect } = {}) {
+        return autoDetect || isMultilingual(language) ? undefined : language;
+    },
+    transcribe: (audio, language) => whisperSTT_service_1.whisperSTTService.transcribe(audio, language),
+    createStream(streamId, options) {
+        const stream = whisperSTT_service_1.whisperSTTService.createStream(streamId, options);
+        return {
+            connection: stream,
+            send: (audioChunk) => stream.send(audioChunk)
+        };
+    },
+    closeStream: (_streamId, stream) => {
+        stream.connection.close();
+    }
+};
+exports.stubSTTProvider = {
+    id: 'stub',
+    kind: 'stt',
+    name: 'Stub speech decoder',
+    capabilities: {
+        languages: ['*'],
+        sampleRates: [8000, 16000],
+        streaming: false,
+        languageDetection: false
+    },
+    isAvailable: () => true,
+    resolveLanguage: (language) => language,
+    transcribe: (audio, language) => stubProviders_service_1.stubProviderService.transcribeAudio(audio, language)
+};
+exports.sttProviders = [
+    exports.deepgramSTTProvider,
+    exports.sarvamSTTProvider,
+    exports.whisperSTTProvider,
+    exports.stubSTTProvider
+];
+//# sourceMappingURL=stt.providers.js.map
@@ -0,0 +1,167 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ttsProviders = exports.stubTTSProvider = exports.cartesiaTTSProvider = exports.sarvamTTSProvider = exports.openaiTTSProvider = exports.elevenlabsTTSProvider = exports.deepgramTTSProvider = void 0;
+const deepgramTTS_service_1 = require("../services/deepgramTTS.service");
+const elevenlabsTTS_service_1 = require("../services/elevenlabsTTS.service");
+const sarvamTTS_service_1 = require("../services/sarvamTTS.service");
+const cartesiaTTS_service_1 = require("../services/cartesiaTTS.service");
+const openai_service_1 = require("../services/openai.service");
+const stubProviders_service_1 = require("../services/stubProviders.service");
+const languageSupport_1 = require("../config/languageSupport");
+/**
+ * Text-to-Speech providers
+ *
+ * synthesize/synthesizeStreaming options: { voiceId, voiceSettings, language }
+ * synthesizeStreaming also gets sampleRate - the call's rate when the provider lists it in sampleRates
+ * capabilities.streamFormat is what synthesizeStreaming hands to onChunk:
+ * 'pcm' = raw 16-bit PCM at options.sampleRate, 'mp3' = MP3 fragments to convert
+ * cacheSettings(voiceSettings) returns what else changes the rendered audio (TTS cache key)
+ * isValidVoiceId(voiceId) rejects voices the engine cannot render (checked when an agent is saved)
+ */
+const languagesFor = (providerId) => Object.values(languageSupport_1.SUPPORTED_LANGUAGES)
+    .filter((language) => language.ttsProviders.includes(providerId))
+    .map((language) => language.code);
+const OPENAI_VOICES = ['alloy', 'ash', 'coral', 'echo', 'fable', 'nova', 'onyx', 'sage', 'shimmer'];
+const defaultCacheSettings = (settings = {}) => ({
+    model: undefined,
+    voiceSettings: { stability: settings.stability, similarityBoost: settings.similarityBoost }
+});
+exports.deepgramTTSProvider = {
+    id: 'deepgram',
+    kind: 'tts',
+    name: 'Deepgram Aura',
+    defaultVoiceId: 'aura-asteria-en',
+    capabilities: {
+        languages: languagesFor('deepgram'),
+        sampleRates: [8000, 16000],
+        streaming: true,
+        streamFormat: 'pcm'
+    },
+    isAvailable: () => deepgramTTS_service_1.deepgramTTSService.isAvailable(),
+    isValidVoiceId: (voiceId) => /^aura-(2-)?[a-z]+-[a-z]{2}$/.test(voiceId),
+    cacheSettings: defaultCacheSettings,
+    synthesize: (text, options) => deepgramTTS_service_1.deepgramTTSService.synthesizeText(text, options.voiceId || 'aura-asteria-en'),
+    synthesizeStreaming: (text, onChunk, options) => deepgramTTS_service_1.deepgramTTSService.synthesizeStreaming(text, onChunk, options.voiceId || 'aura-asteria-en', options.sampleRate)
+};
+exports.elevenlabsTTSProvider = {
+    id: 'elevenlabs',
+    kind: 'tts',
+    name: 'ElevenLabs',
+    defaultVoiceId: 'EXAVITQu4vr4xnSDxMaL', // Rachel
+    capabilities: {
+        languages: languagesFor('elevenlabs'),
+        sampleRates: [44100],
+        streaming: true,
+        streamFormat: 'mp3'
+    },
+    isAvailable: () => elevenlabsTTS_service_1.elevenlabsTTSService.isAvailable(),
+    // Library and cloned voices are 20-character IDs
+    isValidVoiceId: (voiceId) => /^[A-Za-z0-9]{20}$/.test(voiceId),
+    cacheSettings: (settings = {}) => ({
+        ...defaultCacheSettings(settings),
+        model: settings.modelId || 'eleven_multilingual_v2'
+    }),
+    synthesize: (text, options) => elevenlabsTTS_service_1.elevenlabsTTSService.synthesizeText(text, options.voiceId || 'EXAVITQu4vr4xnSDxMaL', options.voiceSettings?.modelId || 'eleven_multilingual_v2', // Use multilingual model
+    options.language),
+    // Streaming always uses the fastest model
+    synthesizeStreaming: (text, onChunk, options) => elevenlabsTTS_service_1.elevenlabsTTSService.synthesizeStreaming(text, onChunk, options.voiceId || 'EXAVITQu4vr4xnSDxMaL', 'eleven_turbo_v2_5')
+};
+exports.openaiTTSProvider = {
+    id: 'openai',
+    kind: 'tts',
+    name: 'OpenAI TTS',
+    defaultVoiceId: 'alloy',
+    capabilities: {
+        languages: languagesFor('openai'),
+        sampleRates: [24000],
+        streaming: false
+    },
+    isAvailable: () => true, // OpenAI is required to start the server
+    isValidVoiceId: (voiceId) => OPENAI_VOICES.includes(voiceId),
+    cacheSettings: (settings = {}) => ({
+        ...defaultCacheSettings(settings),
+        model: settings.modelId
+    }),
+    synthesize: (text, options) => openai_service_1.openaiService.textToSpeech({
+        text,
+        voice: options.voiceId,
+        model: options.voiceSettings?.modelId
+    })
+};
+exports.sarvamTTSProvider = {
+    id: 'sarvam',
+    kind: 'tts',
+    name: 'Sarvam Bulbul',
+    defaultVoiceId: 'anushka',
+    capabilities: {
+        languages: languagesFor('sarvam'),
+        sampleRates: [8000],
+        streaming: false
+    },
+    isAvailable: () => sarvamTTS_service_1.sarvamTTSService.isAvailable(),
+    isValidVoiceId: (voiceId) => !!sarvamTTS_service_1.sarvamTTSService.getVoiceById(voiceId),
+    cacheSettings: (settings = {}) => ({
+        model: undefined,
+        voiceSettings: { pitch: settings.pitch ?? 0.0, pace: settings.pace ?? 1.0, loudness: settings.loudness ?? 1.2 }
+    }),
+    synthesize: (text, options) => sarvamTTS_service_1.sarvamTTSService.synthesize({
+        text,
+        speaker: options.voiceId || 'anushka',
+        targetLanguageCode: options.language, // Sarvam requires language code
+        pitch: options.voiceSettings?.pitch ?? 0.0,
+        pace: options.voiceSettings?.pace ?? 1.0,
+        loudness: options.voiceSettings?.loudness ?? 1.2
+    })
+};
+exports.cartesiaTTSProvider = {
+    id: 'cartesia',
+    kind: 'tts',
+    name: 'Cartesia Sonic',
+    defaultVoiceId: 'f786b574-daa5-4673-aa0c-cbe3e8534c02', // Katie
+    capabilities: {
+        languages: languagesFor('cartesia'),
+        sampleRates: [8000, 16000],
+        streaming: true,
+        streamFormat: 'pcm'
+    },
+    isAvailable: () => cartesiaTTS_service_1.cartesiaTTSService.isAvailable(),
+    // Library and cloned voices are UUIDs
+    isValidVoiceId: (voiceId) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(voiceId),
+    cacheSettings: (settings = {}) => ({
+        model: settings.modelId || 'sonic-2',
+        voiceSettings: {}
+    }),
+    synthesize: (text, options) => cartesiaTTS_service_1.cartesiaTTSService.synthesizeText(text, options.voiceId || 'f786b574-daa5-4673-aa0c-cbe3e8534c02', {
+        language: options.language,
+        modelId: options.voiceSettings?.modelId
+    }),
+    synthesizeStreaming: (text, onChunk, options) => cartesiaTTS_service_1.cartesiaTTSService.synthesizeStreaming(text, onChunk, options.voiceId || 'f786b574-daa5-4673-aa0c-cbe3e8534c02', {
+        language: options.language,
+        modelId: options.voiceSettings?.modelId,
+        sampleRate: options.sampleRate
+    })
+};
+exports.stubTTSProvider = {
+    id: 'stub',
+    kind: 'tts',
+    name: 'Stub speech encoder',
+    defaultVoiceId: 'stub',
+    capabilities: {
+        languages: ['*'],
+        sampleRates: [8000],
+        streaming: false
+    },
+    isAvailable: () => true,
+    isValidVoiceId: () => true,
+    cacheSettings: defaultCacheSettings,
+    synthesize: (text) => stubProviders_service_1.stubProviderService.synthesizeSpeech(text)
+};
+exports.ttsProviders = [
+    exports.deepgramTTSProvider,
+    exports.elevenlabsTTSProvider,
+    exports.openaiTTSProvider,
+    exports.sarvamTTSProvider,
+    exports.cartesiaTTSProvider,
+    exports.stubTTSProvider
+];
+//# sourceMappingURL=tts.providers.js.map
@@ -0,0 +1,164 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.callMonitorHandler = void 0;
+const mongoose_1 = __importDefault(require("mongoose"));
+const CallLog_1 = require("../../models/CallLog");
+const Campaign_1 = require("../../models/Campaign");
+const User_1 = require("../../models/User");
+const jwt_1 = require("../../utils/jwt");
+const logger_1 = require("../../utils/logger");
+const callMonitor_service_1 = require("../../services/callMonitor.service");
+/**
+ * Supervisor monitoring WebSocket
+ *
+ * /ws/monitor/:callLogId            live events of one call
+ * /ws/monitor/campaign/:campaignId  live events of every active call in a campaign
+ *
+ * Browsers can't set headers on a WebSocket, so the JWT may also be passed as ?token=
+ * Only admins can monitor, and only their own calls (super admins see everything)
+ */
+class CallMonitorHandler {
+    constructor() {
+        this.SNAPSHOT_TRANSCRIPT_LIMIT = 50; // Transcript entries sent on connect
+    }
+    async handleConnection(client, request) {
+        const url = new URL(request.url || '', 'http://localhost');
+        // Registered before the first await - a supervisor can drop while auth or the
+        // snapshot is still loading, and a late subscription would never be released
+        let closed = false;
+        let unsubscribe = null;
+        const release = () => {
+            closed = true;
+            if (unsubscribe) {
+                unsubscribe().catch(() => undefined);
+                unsubscribe = null;
+            }
+        };
+        client.on('close', release);
+        client.on('error', release);
+        const user = await this.authenticate(request, url);
+        if (!user) {
+            client.close(4401, 'Unauthorized');
+            return;
+        }
+        const campaignMatch = url.pathname.match(/^\/ws\/monitor\/campaign\/([^/]+)$/);
+        const callMatch = url.pathname.match(/^\/ws\/monitor\/([^/]+)$/);
+        const target = campaignMatch
+            ? { type: 'campaign', id: campaignMatch[1] }
+            : callMatch ? { type: 'call', id: callMatch[1] } : null;
+        if (!target || !mongoose_1.default.Types.ObjectId.isValid(target.id)) {
+            client.close(1008, 'Invalid monitor path');
+            return;
+        }
+        const snapshot = target.type === 'campaign'
+            ? await this.getCampaignSnapshot(target.id, user)
+            : await this.getCallSnapshot(target.id, user);
+        if (!snapshot) {
+            client.close(4404, `${target.type === 'campaign' ? 'Campaign' : 'Call'} not found`);
+            return;
+        }
+        if (closed) {
+            return;
+        }
+        const channel = target.type === 'campaign'
+            ? callMonitor_service_1.callMonitorService.campaignChannel(target.id)
+            : callMonitor_service_1.callMonitorService.callChannel(target.id);
+        unsubscribe = await callMonitor_service_1.callMonitorService.subscribe(channel, (event) => {
+            this.send(client, event);
+        });
+        if (closed) {
+            release();
+            return;
+        }
+        client.on('close', () => {
+            logger_1.logger.info('Supervisor monitor disconnected', {
+                clientId: client.id,
+                target
+            });
+        });
+        client.on('message', (data) => {
+            // Only keep-alive pings are accepted from supervisors
+            try {
+                if (JSON.parse(data.toString()).type === 'ping') {
+                    this.send(client, { type: 'pong' });
+                }
+            }
+            catch {
+                // Ignore malformed messages
+            }
+        });
+        this.send(client, { type: 'connected', target, data: snapshot });
+        logger_1.logger.info('👀 Supervisor monitor connected', {
+            clientId: client.id,
+            userId: user._id.toString(),
+            target
+        });
+    }
+    /**
+     * Resolve the admin user from the Bearer header or ?token=
+     */
+    async authenticate(request, url) {
+        const authHeader = request.headers.authorization;
+        const token = authHeader?.startsWith('Bearer ')
+            ? authHeader.split(' ')[1]
+            : url.searchParams.get('token');
+        if (!token) {
+            return null;
+        }
+        try {
+            const decoded = jwt_1.jwtService.verifyToken(token);
+            const user = await User_1.User.findById(decoded.userId).select('-password');
+            if (!user || !user.isActive || !['admin', 'super_admin'].includes(user.role)) {
+                return null;
+            }
+            return user;
+        }
+        catch {
+            return null;
+        }
+    }
+    ownerFilter(user) {
+        return user.role === 'super_admin' ? {} : { userId: user._id.toString() };
+    }
+    async getCallSnapshot(callLogId, user) {
+        const callLog = await CallLog_1.CallLog.findOne({ _id: callLogId, ...this.ownerFilter(user) })
+            .select('status direction fromPhone toPhone agentId campaignId startedAt transcript')
+            .lean();
+        if (!callLog) {
+            return null;
+        }
+        return {
+            status: callLog.status,
+            direction: callLog.direction,
+            fromPhone: callLog.fromPhone,
+            toPhone: callLog.toPhone,
+            agentId: callLog.agentId,
+            campaignId: callLog.campaignId,
+            active: await callMonitor_service_1.callMonitorService.getActiveCall(callLogId),
+            transcript: (callLog.transcript || []).slice(-this.SNAPSHOT_TRANSCRIPT_LIMIT)
+        };
+    }
+    async getCampaignSnapshot(campaignId, user) {
+        const campaign = await Campaign_1.Campaign.findOne({ _id: campaignId, ...this.ownerFilter(user) })
+            .select('name status')
+            .lean();
+        if (!campaign) {
+            return null;
+        }
+        return {
+            name: campaign.name,
+            status: campaign.status,
+            activeCalls: await callMonitor_service_1.callMonitorService.getActiveCalls({ campaignId })
+        };
+    }
+    send(client, message) {
+        if (client.readyState === 1) {
+            client.send(JSON.stringify(message));
+        }
+    }
+}
+exports.callMonitorHandler = new CallMonitorHandler();
+//# sourceMappingURL=callMonitor.gateway.js.map
@@ -4,31 +4,85 @@ exports.exotelVoiceHandler = void 0;
 const CallLog_1 = require("../../models/CallLog");
 const logger_1 = require("../../utils/logger");
 const voicePipeline_service_1 = require("../../services/voicePipeline.service");
-const openai_service_1 = require("../../services/openai.service");
-const anthropic_service_1 = require("../../services/anthropic.service");
 const deepgram_service_1 = require("../../services/deepgram.service");
 const deepgramConnectionPool_service_1 = require("../../services/deepgramConnectionPool.service");
-const sarvam_service_1 = require("../../services/sarvam.service");
 const sttProvider_service_1 = require("../../services/sttProvider.service");
-const deepgramTTS_service_1 = require("../../services/deepgramTTS.service");
-const elevenlabsTTS_service_1 = require("../../services/elevenlabsTTS.service");
+const providerRegistry_service_1 = require("../../services/providerRegistry.service");
 const audioConverter_1 = require("../../utils/audioConverter");
+const speechChunker_1 = require("../../utils/speechChunker");
+const voiceActivityDetector_1 = require("../../utils/voiceActivityDetector");
+const endpointing_1 = require("../../utils/endpointing");
 const rag_service_1 = require("../../services/rag.service");
+const agentTools_service_1 = require("../../services/agentTools.service");
+const callTransfer_service_1 = require("../../services/callTransfer.service");
+const callRecording_service_1 = require("../../services/callRecording.service");
 const systemPrompt_1 = require("../../config/systemPrompt");
 const transcriptGeneration_service_1 = require("../../services/transcriptGeneration.service");
 const voicemailDetection_service_1 = require("../../services/voicemailDetection.service");
 const redisConcurrency_util_1 = require("../../utils/redisConcurrency.util");
+const exotel_service_1 = require("../../services/exotel.service");
+const Campaign_1 = require("../../models/Campaign");
+const Phone_1 = require("../../models/Phone");
+const callMonitor_service_1 = require("../../services/callMonitor.service");
+const callOwnership_service_1 = require("../../services/callOwnership.service");
+const fillerAudio_service_1 = require("../../services/fillerAudio.service");
+const metrics_1 = require("../../utils/metrics");
 class ExotelVoiceHandler {
     constructor() {
         this.sessions = new Map();
+        this.pendingStartEvents = new Map(); // clientId -> start event that arrived before the session was ready
+        this.callClients = new Map(); // callLogId -> Exotel WebSocket of a call held by this instance
         this.SILENCE_THRESHOLD = 150; // 150ms - ULTRA aggressive with VAD (was 200ms)
         this.VAD_CHECK_INTERVAL = 100; // Check VAD every 100ms for faster detection
         this.MAX_SPEECH_DURATION = 8000; // 8 seconds - auto-process if speaking continuously
+        // SILENCE_THRESHOLD / MAX_SPEECH_DURATION only apply when an agent turns VAD off
+        this.VAD_DEFAULTS = {
+            speechThresholdDb: 9,
+            minSpeechMs: 120,
+            hangoverMs: 200,
+            endpointMs: 600,
+            unfinishedEndpointMs: 1500,
+            answerEndpointMs: 300,
+            maxSpeechMs: 15000,
+            echoCooldownMs: 1500
+        };
+        this.VAD_PREROLL_MS = 300; // Silence kept in front of an utterance for batch STT
+        this.END_OF_TURN_RECHECK_MS = 200; // Re-check interval while the caller is still talking at the endpoint
+        this.BARGE_IN_MIN_WORDS = 2; // Partial transcript words needed to treat caller speech as an interruption
+        this.INTERRUPTION_SETTLE_MS = 700; // Wait for the caller to finish the interrupting utterance
+        this.DTMF_INTER_DIGIT_TIMEOUT_MS = 3000; // Default wait for the next key before submitting digits
+        this.DTMF_BUSY_RETRY_MS = 300; // Re-check interval when digits arrive while the agent is mid-turn
+        this.NO_INPUT_DEFAULT_REPROMPTS = [
+            'Are you still there?',
+            "Sorry, I didn't catch that. Could you say that again?"
+        ];
+        this.DURATION_WARNING_SEC = 60; // Default wrap-up window before the call duration limit
+        this.DURATION_LIMIT_DEFAULT_CLOSING = "We've reached the time limit for this call, so I'll have to end it here. Thank you for your time. Goodbye!";
+        this.NO_INPUT_DEFAULT_CLOSING = "It seems we've lost you, so I'll end the call now. Feel free to call back anytime. Goodbye!";
+        this.SUPERVISOR_HANGUP_DEFAULT_CLOSING = "Thank you for your time. I'll have to end the call here. Goodbye!";
+        this.END_CALL_DEFAULT_CLOSING = 'Thank you for calling! Have a great day. Goodbye!';
+        this.END_CALL_PLAYBACK_MARGIN_MS = 500; // Carrier-side buffering after the last audio frame
+        this.END_CALL_REASONS = ['completed', 'not_interested', 'wrong_person', 'callback_requested', 'do_not_call', 'other'];
+        // Live STT stream dropped mid-call: reconnect, then fail over (see recoverSTTStream)
+        this.STT_RECONNECT = {
+            maxAttempts: 3, // Reconnects to the same provider before failing over
+            baseDelayMs: 250, // Doubled per attempt
+            maxDelayMs: 2000,
+            maxBufferMs: 10000 // Caller audio kept for the new stream (oldest dropped first)
+        };
+        // TTS errors mid-call: retry the same voice, fail over only when the provider looks down (see synthesizeForCall)
+        this.TTS_RETRY = {
+            delayMs: 250, // Before the one retry of a failed clip
+            failoverAfterClips: 2 // Consecutive clips the voice failed to synthesize
+        };
+        // Requests other instances route here for calls this one holds (see callOwnership.service)
+        callOwnership_service_1.callOwnershipService.handle('hangup', (callLogId, payload) => this.hangupOwnedCall(callLogId, payload));
+        callOwnership_service_1.callOwnershipService.handle('status', (callLogId) => this.getOwnedCallStatus(callLogId));
     }
     /**
-     * Log performance metrics for a conversation turn
+     * Log performance metrics for a conversation turn and store its latency waterfall
      */
-    logPerformanceMetrics(session, stage) {
+    logPerformanceMetrics(session, stage, flow) {
         if (!session.timings)
             return;
         const t = session.timings;
@@ -57,10 +111,390 @@ class ExotelVoiceHandler {
         if (t.audioSendStart && t.audioSendEnd) {
             metrics.audioSendLatency = t.audioSendEnd - t.audioSendStart;
         }
+        if (t.llmStart && t.firstAudio) {
+            metrics.llmToFirstAudio = t.firstAudio - t.llmStart;
+        }
+        if (t.speechEnd && t.llmFirstToken) {
+            metrics.firstTokenLatency = t.llmFirstToken - t.speechEnd; // User stops speaking → First LLM token
+        }
+        if (t.speechEnd && t.firstAudio) {
+            metrics.firstAudioLatency = t.firstAudio - t.speechEnd; // User stops speaking → First audio sent
+        }
         if (t.speechEnd && t.audioSendEnd) {
             metrics.totalLatency = t.audioSendEnd - t.speechEnd; // User stops speaking → Audio sent
         }
         logger_1.logger.info(`⏱️ PERFORMANCE [${stage}]`, metrics);
+        this.publishMonitorEvent(session, 'turn.latency', { stage, ...metrics });
+        this.saveTurnLatency(session, flow);
+    }
+    /**
+     * Store the turn's latency waterfall on the CallLog (CallLog.turnLatencies)
+     * Every stage is measured from the moment the caller stopped speaking; early-LLM turns
+     * can have negative LLM stages (generation started on a partial transcript)
+     */
+    saveTurnLatency(session, flow) {
+        const t = session.timings;
+        if (!t.speechEnd) {
+            return;
+        }
+        const since = (at) => (at ? at - t.speechEnd : undefined);
+        const llm = providerRegistry_service_1.providerRegistry.resolveLLM(session.agent.config?.llm);
+        session.turnCount = (session.turnCount || 0) + 1;
+        const turnLatency = {
+            turn: session.turnCount,
+            flow,
+            speechEndAt: new Date(t.speechEnd),
+            finalTranscriptMs: since(t.finalTranscript),
+            ragMs: t.ragStart && t.ragEnd ? t.ragEnd - t.ragStart : undefined,
+            llmFirstTokenMs: since(t.llmFirstToken),
+            llmDoneMs: since(t.llmEnd),
+            ttsFirstByteMs: since(t.ttsFirstChunk),
+            firstAudioMs: since(t.firstAudio),
+            sttProvider: session.sttProvider?.id,
+            llmProvider: llm.provider.id,
+            llmModel: llm.model,
+            ttsProvider: session.config.voiceProvider,
+            language: voicePipeline_service_1.voicePipelineService.getActiveLanguage(session.config),
+            interrupted: !!session.playback?.interrupted
+        };
+        CallLog_1.CallLog.findByIdAndUpdate(session.callLogId, {
+            $push: { turnLatencies: turnLatency }
+        }).catch((error) => {
+            logger_1.logger.warn('Failed to save turn latency', {
+                callLogId: session.callLogId,
+                error: error.message
+            });
+        });
+    }
+    /**
+     * Send a live event to supervisors watching this call (see callMonitor.service)
+     */
+    publishMonitorEvent(session, type, data) {
+        callMonitor_service_1.callMonitorService.publish(session.callLogId, session.campaignId, type, data);
+    }
+    /**
+     * End a call held by this instance on request of any instance (API hangup)
+     * Returns undefined when the call isn't held here
+     */
+    hangupOwnedCall(callLogId, payload = {}) {
+        const client = this.callClients.get(callLogId);
+        const session = client && this.sessions.get(client.id);
+        if (!session) {
+            return undefined;
+        }
+        if (!session.endReason && client.readyState === 1) {
+            this.endCallWithMessage(client, session, 'api_hangup', payload.closingMessage || this.SUPERVISOR_HANGUP_DEFAULT_CLOSING, 'Ended via API').catch((error) => {
+                logger_1.logger.error('Failed to end call on request', {
+                    callLogId,
+                    error: error.message
+                });
+            });
+        }
+        return { ending: true };
+    }
+    /**
+     * Live state of a call held by this instance (undefined when it isn't held here)
+     */
+    getOwnedCallStatus(callLogId) {
+        const client = this.callClients.get(callLogId);
+        const session = client && this.sessions.get(client.id);
+        if (!session) {
+            return undefined;
+        }
+        return {
+            agentSpeaking: this.isAgentSpeaking(session),
+            processing: session.isProcessing,
+            sttProvider: session.sttProvider?.id,
+            sttStreaming: !!session.sttStream,
+            voiceProvider: session.config.voiceProvider,
+            language: voicePipeline_service_1.voicePipelineService.getActiveLanguage(session.config),
+            audioFormat: session.audioFormat,
+            transferring: !!session.transfer,
+            endReason: session.endReason
+        };
+    }
+    findSessionByCallLogId(callLogId) {
+        for (const session of this.sessions.values()) {
+            if (session.callLogId === callLogId?.toString()) {
+                return session;
+            }
+        }
+        return undefined;
+    }
+    /**
+     * Render the filler clips for the session's current voice + language in the background
+     */
+    prewarmFillerAudio(session) {
+        const language = session.detectedLanguage || session.config.language || 'en';
+        fillerAudio_service_1.fillerAudioService.prewarm(session.agent, session.config, language).catch(() => undefined);
+    }
+    /**
+     * Play a filler clip if the caller has been waiting longer than the agent's threshold
+     * (counted from the end of their speech) and the response hasn't started playing yet
+     */
+    armFillerTimer(client, session) {
+        this.clearFillerTimer(session);
+        const filler = fillerAudio_service_1.fillerAudioService.getConfig(session.agent);
+        if (!filler.enabled) {
+            return;
+        }
+        session.fillerPlayed = {};
+        const waitedMs = session.timings.speechEnd ? Date.now() - session.timings.speechEnd : 0;
+        session.fillerTimeout = setTimeout(() => {
+            session.fillerTimeout = undefined;
+            this.playFiller(client, session, session.lookupPending ? 'lookup' : 'thinking');
+        }, Math.max(0, filler.thresholdMs - waitedMs));
+    }
+    clearFillerTimer(session) {
+        if (session.fillerTimeout) {
+            clearTimeout(session.fillerTimeout);
+            session.fillerTimeout = undefined;
+        }
+    }
+    /**
+     * Send a pre-rendered filler clip (once per kind per turn)
+     * Never over real audio: skipped once the response has started playing. The clip is
+     * not a playback segment, so it stays out of the transcript and of barge-in text.
+     * Returns false when nothing was played.
+     */
+    playFiller(client, session, kind) {
+        if (client.readyState !== 1 || session.endReason || session.transfer || session.fillerPlayed?.[kind]) {
+            return false;
+        }
+        if (session.playback?.segments.some((segment) => segment.startAt !== undefined) && !session.playback.interrupted) {
+            return false;
+        }
+        const language = session.detectedLanguage || session.config.language || 'en';
+        const clip = fillerAudio_service_1.fillerAudioService.getClip(session.agent, session.config, language, kind);
+        if (!clip) {
+            return false;
+        }
+        // A previous turn's barge-in would otherwise stop the clip from being sent
+        if (session.playback?.interrupted) {
+            this.beginPlaybackTurn(session);
+        }
+        session.fillerPlayed = { ...session.fillerPlayed, [kind]: true };
+        logger_1.logger.info('🎵 Playing filler', {
+            callLogId: session.callLogId,
+            kind,
+            phrase: clip.phrase
+        });
+        // The send is synchronous once started, so real audio can only queue up behind it
+        session.playingFiller = true;
+        const pcm = audioConverter_1.audioConverter.resamplePCM(clip.pcm, 8000, session.audioFormat.sampleRate);
+        this.sendPCMAudioToExotel(client, pcm, session.streamSid).finally(() => {
+            session.playingFiller = false;
+        });
+        return true;
+    }
+    /**
+     * Check if the caller may interrupt the agent (Agent.config.flow.interruption.allowed)
+     * Barge-in is off (with the echo cooldown) unless the agent turns it on
+     */
+    isBargeInAllowed(session) {
+        return session.agent.config?.flow?.interruption?.allowed === true;
+    }
+    /**
+     * Reset playback tracking at the start of an agent response
+     * Exotel buffers audio we burst-send, so we keep our own timeline of when
+     * each spoken segment actually plays on the caller's side
+     */
+    beginPlaybackTurn(session) {
+        if (session.interruptionTurnTimeout) {
+            clearTimeout(session.interruptionTurnTimeout);
+            session.interruptionTurnTimeout = undefined;
+        }
+        session.playback = {
+            endAt: 0,
+            segments: [],
+            currentSegment: undefined,
+            interrupted: false,
+            interruptedAt: undefined,
+            playedText: ''
+        };
+    }
+    /**
+     * Start a spoken text segment (one sentence/clause sent to TTS)
+     */
+    startPlaybackSegment(session, text) {
+        if (!session.playback) {
+            this.beginPlaybackTurn(session);
+        }
+        const segment = { text, startAt: undefined, endAt: undefined };
+        session.playback.segments.push(segment);
+        session.playback.currentSegment = segment;
+        return segment;
+    }
+    /**
+     * Close a spoken text segment once all of its audio has been queued
+     */
+    endPlaybackSegment(session, segment) {
+        if (!session.playback) {
+            return;
+        }
+        if (segment.startAt !== undefined) {
+            segment.endAt = session.playback.endAt;
+        }
+        if (session.playback.currentSegment === segment) {
+            session.playback.currentSegment = undefined;
+        }
+    }
+    /**
+     * Advance the playback timeline for outbound PCM (16-bit mono at the call's rate)
+     * and add the chunk to the agent channel of the call recording at its play time
+     */
+    trackOutboundAudio(session, chunk) {
+        const startAt = Math.max(Date.now(), session.outboundAudioEndAt || 0);
+        session.outboundAudioEndAt = startAt + this.pcmDurationMs(session, chunk.length);
+        session.recording?.addAgentAudio(chunk, startAt);
+        if (session.timings?.llmStart && !session.timings.firstAudio && !session.playingFiller) {
+            session.timings.firstAudio = Date.now();
+        }
+        const playback = session.playback;
+        if (!playback) {
+            return;
+        }
+        playback.endAt = session.outboundAudioEndAt;
+        if (playback.currentSegment && playback.currentSegment.startAt === undefined) {
+            playback.currentSegment.startAt = startAt;
+        }
+    }
+    /**
+     * Whether agent audio is playing (or still being generated) for the current turn
+     */
+    isAgentSpeaking(session) {
+        const playback = session.playback;
+        if (!playback || playback.interrupted) {
+            return false;
+        }
+        const hasStartedSpeaking = playback.segments.some((segment) => segment.startAt !== undefined);
+        return hasStartedSpeaking && (playback.endAt > Date.now() || !!playback.currentSegment || session.isProcessing);
+    }
+    /**
+     * Reconstruct the text the caller actually heard up to a point in time
+     * Partially played segments are cut back to the last whole word
+     */
+    getPlayedText(session, atTime = Date.now()) {
+        const playback = session.playback;
+        if (!playback) {
+            return '';
+        }
+        const parts = [];
+        for (const segment of playback.segments) {
+            if (segment.startAt === undefined || atTime <= segment.startAt) {
+                break;
+            }
+            const segmentEnd = segment.endAt ?? playback.endAt;
+            if (atTime >= segmentEnd) {
+                parts.push(segment.text);
+                continue;
+            }
+            const ratio = (atTime - segment.startAt) / Math.max(1, segmentEnd - segment.startAt);
+            const cut = segment.text.substring(0, Math.floor(segment.text.length * ratio));
+            const lastSpace = cut.lastIndexOf(' ');
+            if (lastSpace > 0) {
+                parts.push(`${cut.substring(0, lastSpace)}...`);
+            }
+            break;
+        }
+        return parts.join(' ').trim();
+    }
+    /**
+     * Text to store for the assistant turn: full response, or only what was played if interrupted
+     */
+    getSpokenResponse(session, fullResponse) {
+        if (session.playback?.interrupted) {
+            return session.playback.playedText;
+        }
+        return fullResponse;
+    }
+    /**
+     * Barge-in: caller spoke while the agent was talking
+     * Stops outbound audio, flushes Exotel's buffer and records what was heard
+     * Returns true if the agent was interrupted
+     */
+    handleBargeIn(client, session, trigger, transcript) {
+        if (!this.isBargeInAllowed(session) || !this.isAgentSpeaking(session)) {
+            return false;
+        }
+        const interruptedAt = this.stopAgentPlayback(client, session);
+        const playback = session.playback;
+        logger_1.logger.info('✋ BARGE-IN - caller interrupted agent', {
+            clientId: client.id,
+            callLogId: session.callLogId,
+            trigger,
+            transcript: transcript?.substring(0, 50),
+            playedText: playback.playedText.substring(0, 100),
+            unplayedMs: Math.max(0, Math.round(playback.endAt - interruptedAt))
+        });
+        return true;
+    }
+    /**
+     * Cut the agent off mid-response: mark the turn interrupted, record what was heard
+     * and make Exotel drop the audio it hasn't played yet. Returns the cut-off time.
+     */
+    stopAgentPlayback(client, session) {
+        const interruptedAt = Date.now();
+        const playback = session.playback;
+        if (playback) {
+            playback.interrupted = true;
+            playback.interruptedAt = interruptedAt;
+            playback.playedText = this.getPlayedText(session, interruptedAt);
+        }
+        // Drop any partially buffered TTS audio so it can't leak out after the clear
+        session.ttsStreamBuffer = Buffer.alloc(0);
+        // Exotel discards everything queued after this point
+        session.outboundAudioEndAt = interruptedAt;
+        session.recording?.truncateAgentAudio(interruptedAt);
+        this.sendClearToExotel(client, session);
+        return interruptedAt;
+    }
+    /**
+     * Ask Exotel to drop any audio it has buffered but not yet played
+     */
+    sendClearToExotel(client, session) {
+        if (client.readyState !== 1) {
+            return;
+        }
+        try {
+            client.send(JSON.stringify({
+                event: 'clear',
+                stream_sid: session.streamSid || client.id
+            }));
+        }
+        catch (error) {
+            logger_1.logger.error('Failed to send clear event to Exotel', {
+                clientId: client.id,
+                error: error.message
+            });
+        }
+    }
+    /**
+     * After an interrupted turn finishes unwinding, answer the caller's interruption
+     * Transcript timeouts that fired while the turn was still processing were dropped,
+     * so pick up whatever accumulated once the caller settles
+     */
+    scheduleInterruptionTurn(client, session) {
+        if (!session.playback?.interrupted) {
+            return;
+        }
+        if (session.interruptionTurnTimeout) {
+            clearTimeout(session.interruptionTurnTimeout);
+        }
+        session.interruptionTurnTimeout = setTimeout(async () => {
+            session.interruptionTurnTimeout = undefined;
+            const currentSession = this.sessions.get(client.id);
+            if (!currentSession || currentSession.isProcessing || !currentSession.userTranscript?.trim()) {
+                return;
+            }
+            logger_1.logger.info('🔁 Responding to caller interruption', {
+                clientId: client.id,
+                transcript: currentSession.userTranscript.trim()
+            });
+            currentSession.timings.speechEnd = Date.now();
+            currentSession.isProcessing = true;
+            await this.processUserSpeechFromTranscript(client, currentSession);
+        }, this.INTERRUPTION_SETTLE_MS);
     }
     /**
      * Initialize Exotel voice session
@@ -86,6 +520,9 @@ class ExotelVoiceHandler {
                 voiceProvider: agent.config.voice.provider || 'openai',
                 voiceId: agent.config.voice.voiceId,
                 language: agent.config.language || 'en',
+                languageVoices: voicePipeline_service_1.voicePipelineService.getLanguageVoices(agent),
+                pronunciations: agent.config.pronunciations,
+                callerMemory: agent.config.callerMemory,
                 enableAutoLanguageDetection: agent.config.enableAutoLanguageDetection || false,
                 voiceSettings: {
                     stability: agent.config.voice.settings?.stability ?? 0.5,
@@ -99,13 +536,19 @@ class ExotelVoiceHandler {
                 }
             };
             await voicePipeline_service_1.voicePipelineService.initializeSession(config, {
-                existingTranscript: callLog?.transcript
+                existingTranscript: callLog?.transcript,
+                callLog
             });
+            fillerAudio_service_1.fillerAudioService.prewarm(agent, config, config.language).catch(() => undefined);
             // Initialize session
+            // The phone's media format until the stream's start event says otherwise
+            const phoneAudioFormat = await this.getPhoneAudioFormat(callLog.phoneId);
             const session = {
                 callLogId: callLogObjectId,
                 agent,
                 config,
+                audioFormat: phoneAudioFormat || audioConverter_1.DEFAULT_AUDIO_FORMAT,
+                audioFormatSource: phoneAudioFormat ? 'phone' : 'default',
                 audioBuffer: [],
                 isProcessing: false,
                 lastSpeechTime: Date.now(),
@@ -115,11 +558,55 @@ class ExotelVoiceHandler {
                 llmStarted: false,
                 llmTriggeredOnPartial: false,
                 earlyLLMResponse: '',
-                timings: {}
+                timings: {},
+                recording: callRecording_service_1.callRecordingService.createRecorder((phoneAudioFormat || audioConverter_1.DEFAULT_AUDIO_FORMAT).sampleRate),
+                campaignId: (callLog.campaignId || callLog.metadata?.campaignId)?.toString()
             };
+            session.vad = this.createCallerVad(session);
             this.sessions.set(client.id, session);
+            // Exotel's start event (with the media format) usually lands while the call is loading
+            const earlyStart = this.pendingStartEvents.get(client.id);
+            this.pendingStartEvents.delete(client.id);
+            if (earlyStart) {
+                await this.handleStart(client, session, earlyStart);
+            }
+            else {
+                this.saveAudioFormat(session);
+            }
             client.callLogId = callLogObjectId;
             client.agentId = agent._id.toString();
+            this.callClients.set(callLogObjectId, client);
+            await callOwnership_service_1.callOwnershipService.claimCall(callLogObjectId, {
+                direction: callLog.direction,
+                campaignId: session.campaignId,
+                userId: callLog.userId?.toString()
+            });
+            await callMonitor_service_1.callMonitorService.registerCall({
+                callLogId: callLogObjectId,
+                userId: callLog.userId?.toString(),
+                agentId: agent._id.toString(),
+                agentName: agent.name,
+                campaignId: session.campaignId,
+                direction: callLog.direction,
+                phone: callLog.direction === 'outbound' ? callLog.toPhone : callLog.fromPhone
+            });
+            // Supervisor commands for this call are published to whichever instance holds it
+            session.stopSupervisorCommands = await callMonitor_service_1.callMonitorService.listenForCommands(callLogObjectId, (command) => {
+                this.handleSupervisorCommand(client, session, command).catch((error) => {
+                    logger_1.logger.error('Failed to apply supervisor command', {
+                        callLogId: session.callLogId,
+                        type: command.type,
+                        error: error.message
+                    });
+                });
+            }).catch((error) => {
+                logger_1.logger.warn('Supervisor commands unavailable for call', {
+                    callLogId: callLogObjectId,
+                    error: error.message
+                });
+                return undefined;
+            });
+            await this.startDurationLimit(client, session, callLog);
             logger_1.logger.info('📞 CALL STARTED', {
                 callLogId: callLogObjectId,
                 agent: agent.name,
@@ -127,349 +614,19 @@ class ExotelVoiceHandler {
             });
             // Select STT provider based on agent config
             const sttSelection = sttProvider_service_1.sttProviderService.selectProvider(agent.config.language || 'en', agent.config.enableAutoLanguageDetection || false, agent.config.sttProvider || 'deepgram');
+            session.sttProvider = sttSelection.provider;
+            session.sttLanguage = sttSelection.language;
             logger_1.logger.info('🌍 STT Provider selected', {
-                provider: sttSelection.provider,
+                provider: sttSelection.provider.id,
                 reason: sttSelection.reason,
                 language: sttSelection.language,
+                streaming: sttSelection.provider.capabilities.streaming,
                 autoDetect: agent.config.enableAutoLanguageDetection,
-                configuredProvider: agent.config.sttProvider || 'deepgram',
-                sarvamAvailable: sarvam_service_1.sarvamService.isAvailable(),
-                deepgramAvailable: deepgram_service_1.deepgramService.isAvailable()
-            });
-            // Create STT connection based on selected provider
-            if (sttSelection.provider === 'sarvam') {
-                if (!sarvam_service_1.sarvamService.isAvailable()) {
-                    logger_1.logger.error('❌ Sarvam selected but service not available - check SARVAM_API_KEY', {
-                        clientId: client.id,
-                        agentLanguage: agent.config.language,
-                        selectedLanguage: sttSelection.language
-                    });
-                    // Fall through to Deepgram fallback
-                }
-                else {
-                    try {
-                        logger_1.logger.info('📡 Creating Sarvam live connection for Indian language', {
-                            selectedLanguage: sttSelection.language,
-                            agentLanguage: agent.config.language,
-                            enableAutoDetection: agent.config.enableAutoLanguageDetection
-                        });
-                        // Create Sarvam WebSocket connection
-                        const sarvamConnection = await sarvam_service_1.sarvamService.createLiveConnection({
-                            language: sttSelection.language,
-                            model: 'saarika:v2.5',
-                            sampleRate: 8000, // Match Exotel's 8kHz
-                            encoding: 'pcm',
-                            vadEnabled: true,
-                            endpointing: 100,
-                            onTranscript: async (result) => {
-                                const currentSession = this.sessions.get(client.id);
-                                if (!currentSession)
-                                    return;
-                                if (result.isFinal && result.text.trim().length > 0) {
-                                    // CRITICAL: Don't accumulate transcripts if agent is currently processing/speaking
-                                    // This prevents the agent from processing its own voice
-                                    if (currentSession.isProcessing) {
-                                        logger_1.logger.debug('Skipping final transcript - agent is currently processing', {
-                                            clientId: client.id,
-                                            transcript: result.text.substring(0, 50)
-                                        });
-                                        return;
-                                    }
-                                    // Check cooldown BEFORE accumulating transcript
-                                    // This prevents accumulating agent's echo during cooldown period
-                                    const COOLDOWN_PERIOD_MS = 1500; // 1.5 seconds cooldown after agent speaks
-                                    const timeSinceLastResponse = currentSession.lastAgentResponseTime
-                                        ? Date.now() - currentSession.lastAgentResponseTime
-                                        : Infinity;
-                                    if (timeSinceLastResponse < COOLDOWN_PERIOD_MS) {
-                                        logger_1.logger.debug('Skipping final transcript - agent just finished speaking (cooldown active)', {
-                                            clientId: client.id,
-                                            timeSinceLastResponse: `${timeSinceLastResponse}ms`,
-                                            cooldownRemaining: `${COOLDOWN_PERIOD_MS - timeSinceLastResponse}ms`,
-                                            transcript: result.text.substring(0, 50)
-                                        });
-                                        return; // Don't accumulate transcript during cooldown
-                                    }
-                                    currentSession.userTranscript = (currentSession.userTranscript || '') + ' ' + result.text;
-                                    logger_1.logger.info('📝 FINAL TRANSCRIPT CAPTURED', {
-                                        clientId: client.id,
-                                        text: result.text,
-                                        accumulated: currentSession.userTranscript
-                                    });
-                                    // CRITICAL: Sarvam sends final transcripts but END_SPEECH events may not fire reliably
-                                    // Auto-process transcript after a delay if not already processing
-                                    // This ensures the agent responds even if END_SPEECH event is missing
-                                    // Reset timeout each time we get a new transcript (debouncing)
-                                    if (currentSession.sarvamTranscriptTimeout) {
-                                        clearTimeout(currentSession.sarvamTranscriptTimeout);
-                                    }
-                                    currentSession.sarvamTranscriptTimeout = setTimeout(async () => {
-                                        const session = this.sessions.get(client.id);
-                                        if (!session || session.isProcessing) {
-                                            logger_1.logger.debug('Skipping Sarvam timeout - session not found or already processing', {
-                                                clientId: client.id,
-                                                isProcessing: session?.isProcessing
-                                            });
-                                            return;
-                                        }
-                                        // CRITICAL: Prevent processing if agent just finished speaking (cooldown period)
-                                        // This prevents the agent from processing its own voice or immediately re-processing
-                                        // Use shorter cooldown (1.5s) to allow legitimate user input while blocking echo
-                                        const COOLDOWN_PERIOD_MS = 1500; // 1.5 seconds cooldown after agent speaks
-                                        const timeSinceLastResponse = session.lastAgentResponseTime
-                                            ? Date.now() - session.lastAgentResponseTime
-                                            : Infinity;
-                                        if (timeSinceLastResponse < COOLDOWN_PERIOD_MS) {
-                                            logger_1.logger.debug('Skipping Sarvam timeout - agent just finished speaking (cooldown active)', {
-                                                clientId: client.id,
-                                                timeSinceLastResponse: `${timeSinceLastResponse}ms`,
-                                                cooldownRemaining: `${COOLDOWN_PERIOD_MS - timeSinceLastResponse}ms`,
-                                                transcript: session.userTranscript?.substring(0, 50) || 'empty'
-                                            });
-                                            // Clear the transcript to prevent it from being processed later
-                                            session.userTranscript = '';
-                                            session.partialTranscript = '';
-                                            return;
-                                        }
-                                        // Only process if we have a transcript and agent is not speaking
-                                        if (session.userTranscript && session.userTranscript.trim().length > 0) {
-                                            logger_1.logger.info('⏰ Sarvam transcript timeout - processing transcript (END_SPEECH not received)', {
-                                                clientId: client.id,
-                                                transcript: session.userTranscript.trim()
-                                            });
-                                            session.timings.speechEnd = Date.now();
-                                            session.isProcessing = true;
-                                            await this.processUserSpeechFromTranscript(client, session);
-                                        }
-                                        else {
-                                            logger_1.logger.debug('Sarvam timeout fired but no transcript to process', {
-                                                clientId: client.id
-                                            });
-                                        }
-                                    }, 1000); // 1 second delay to allow for multiple transcripts to accumulate and user to finish speaking
-                                }
-                                else if (result.text.trim().length > 0) {
-                                    currentSession.partialTranscript = result.text;
-                                    logger_1.logger.info('📝 PARTIAL TRANSCRIPT', {
-                                        clientId: client.id,
-                                        text: result.text
-                                    });
-                                    // Start LLM as soon as we have 3+ words (parallel processing)
-                                    const wordCount = result.text.trim().split(/\s+/).length;
-                                    if (!currentSession.llmStarted && !currentSession.isProcessing && wordCount >= 3) {
-                                        currentSession.llmStarted = true;
-                                        currentSession.llmTriggeredOnPartial = true;
-                                        if (!currentSession.timings.llmStart) {
-                                            currentSession.timings.llmStart = Date.now();
-                                        }
-                                        this.startEarlyLLMProcessing(client, currentSession, result.text).catch((error) => {
-                                            logger_1.logger.error('Early LLM failed', { error: error.message });
-                                            currentSession.llmStarted = false;
-                                            currentSession.llmTriggeredOnPartial = false;
-                                        });
-                                    }
-                                }
-                            },
-                            onSpeechEnded: async () => {
-                                const currentSession = this.sessions.get(client.id);
-                                if (!currentSession || currentSession.isProcessing)
-                                    return;
-                                // Clear the timeout since END_SPEECH event fired
-                                if (currentSession.sarvamTranscriptTimeout) {
-                                    clearTimeout(currentSession.sarvamTranscriptTimeout);
-                                    currentSession.sarvamTranscriptTimeout = undefined;
-                                }
-                                // CRITICAL: Prevent processing if agent just finished speaking (cooldown period)
-                                // Use shorter cooldown (1.5s) to allow legitimate user input while blocking echo
-                                const COOLDOWN_PERIOD_MS = 1500; // 1.5 seconds cooldown after agent speaks
-                                const timeSinceLastResponse = currentSession.lastAgentResponseTime
-                                    ? Date.now() - currentSession.lastAgentResponseTime
-                                    : Infinity;
-                                if (timeSinceLastResponse < COOLDOWN_PERIOD_MS) {
-                                    logger_1.logger.debug('Skipping END_SPEECH - agent just finished speaking (cooldown active)', {
-                                        clientId: client.id,
-                                        timeSinceLastResponse: `${timeSinceLastResponse}ms`,
-                                        cooldownRemaining: `${COOLDOWN_PERIOD_MS - timeSinceLastResponse}ms`,
-                                        transcript: currentSession.userTranscript?.substring(0, 50) || 'empty'
-                                    });
-                                    // Clear the transcript to prevent it from being processed later
-                                    currentSession.userTranscript = '';
-                                    currentSession.partialTranscript = '';
-                                    return;
-                                }
-                                currentSession.timings.speechEnd = Date.now();
-                                logger_1.logger.info('🎤 SPEECH ENDED (Sarvam VAD) - Processing transcript', {
-                                    clientId: client.id,
-                                    userTranscript: currentSession.userTranscript,
-                                    partialTranscript: currentSession.partialTranscript,
-                                    llmTriggeredOnPartial: currentSession.llmTriggeredOnPartial
-                                });
-                                if (currentSession.userTranscript && currentSession.userTranscript.trim().length > 0) {
-                                    currentSession.isProcessing = true;
-                                    await this.processUserSpeechFromTranscript(client, currentSession);
-                                }
-                                else {
-                                    logger_1.logger.warn('⚠️ NO USER TRANSCRIPT TO PROCESS', {
-                                        clientId: client.id,
-                                        userTranscript: currentSession.userTranscript,
-                                        partialTranscript: currentSession.partialTranscript
-                                    });
-                                }
-                            }
-                        });
-                        session.deepgramConnection = sarvamConnection; // Store Sarvam connection (field name kept for compatibility)
-                        session.sttProvider = 'sarvam'; // Track that we're using Sarvam for this session
-                        logger_1.logger.info('✅ Sarvam connection established', {
-                            clientId: client.id,
-                            language: sttSelection.language,
-                            model: 'saarika:v2.5'
-                        });
-                    }
-                    catch (error) {
-                        logger_1.logger.error('❌ Failed to create Sarvam connection', {
-                            clientId: client.id,
-                            error: error.message,
-                            errorStack: error.stack,
-                            selectedLanguage: sttSelection.language
-                        });
-                        // Will fall back to batch STT processing
-                    }
-                }
-            }
-            else if ((sttSelection.provider === 'deepgram' || sttSelection.provider === 'deepgram-multi') && deepgram_service_1.deepgramService.isAvailable()) {
-                try {
-                    const deepgramLanguage = sttSelection.language;
-                    const enableAutoDetection = agent.config.enableAutoLanguageDetection || false;
-                    logger_1.logger.info('📡 Creating Deepgram live connection', {
-                        language: deepgramLanguage,
-                        autoDetection: enableAutoDetection
-                    });
-                    // Acquire connection from pool (queues if at capacity)
-                    const deepgramConnection = await deepgramConnectionPool_service_1.deepgramConnectionPool.acquireConnection(client.id, {
-                        endpointing: 200, // 200ms silence to trigger UtteranceEnd (reduced from 1000ms for better compatibility with multilingual mode)
-                        vadEvents: true,
-                        language: deepgramLanguage,
-                        autoDetection: enableAutoDetection, // Explicit flag for auto-detection
-                        onTranscript: async (result) => {
-                            const currentSession = this.sessions.get(client.id);
-                            if (!currentSession)
-                                return;
-                            // Capture detected language from streaming transcription
-                            // Allow updates per utterance (not just first detection) for mid-call language switches
-                            if (result.detectedLanguage) {
-                                const previousLanguage = currentSession.detectedLanguage;
-                                const languageChanged = previousLanguage && previousLanguage !== result.detectedLanguage;
-                                currentSession.detectedLanguage = result.detectedLanguage;
-                                if (languageChanged) {
-                                    logger_1.logger.info('🔄 LANGUAGE SWITCH DETECTED (streaming)', {
-                                        clientId: client.id,
-                                        previousLanguage,
-                                        newLanguage: result.detectedLanguage,
-                                        configuredLanguage: currentSession.agent.config?.language
-                                    });
-                                    // Propagate language change to voice pipeline for TTS switching
-                                    if (currentSession.callLogId) {
-                                        await voicePipeline_service_1.voicePipelineService.updateDetectedLanguage(currentSession.callLogId, result.detectedLanguage, result.confidence || 0.9);
-                                    }
-                                }
-                                else if (!previousLanguage) {
-                                    logger_1.logger.info('🌐 LANGUAGE DETECTED (streaming)', {
-                                        clientId: client.id,
-                                        detectedLanguage: result.detectedLanguage,
-                                        configuredLanguage: currentSession.agent.config?.language
-                                    });
-                                    // Initialize language in voice pipeline
-                                    if (currentSession.callLogId) {
-                                        await voicePipeline_service_1.voicePipelineService.updateDetectedLanguage(currentSession.callLogId, result.detectedLanguage, result.confidence || 0.9);
-                                    }
-                                }
-                            }
-                            if (result.isFinal && result.text.trim().length > 0) {
-                                currentSession.userTranscript = (currentSession.userTranscript || '') + ' ' + result.text;
-                                logger_1.logger.info('📝 FINAL TRANSCRIPT CAPTURED', {
-                                    clientId: client.id,
-                                    text: result.text,
-                                    accumulated: currentSession.userTranscript,
-                                    detectedLanguage: result.detectedLanguage
-                                });
-                                // WORKAROUND: UtteranceEnd event is not firing reliably in Deepgram SDK
-                                // Process transcript after 1000ms delay (to accumulate multiple finals)
-                                if (currentSession.transcriptProcessTimeout) {
-                                    clearTimeout(currentSession.transcriptProcessTimeout);
-                                }
-                                currentSession.transcriptProcessTimeout = setTimeout(async () => {
-                                    const session = this.sessions.get(client.id);
-                                    if (session && !session.isProcessing && session.userTranscript && session.userTranscript.trim().length > 0) {
-                                        logger_1.logger.info('🎤 PROCESSING TRANSCRIPT (timeout-based, UtteranceEnd not firing)', {
-                                            clientId: client.id,
-                                            userTranscript: session.userTranscript
-                                        });
-                                        session.isProcessing = true;
-                                        await this.processUserSpeechFromTranscript(client, session);
-                                    }
-                                }, 1000);
-                            }
-                            else if (result.text.trim().length > 0) {
-                                currentSession.partialTranscript = result.text;
-                                logger_1.logger.info('📝 PARTIAL TRANSCRIPT', {
-                                    clientId: client.id,
-                                    text: result.text
-                                });
-                                // Start LLM as soon as we have 3+ words (parallel processing)
-                                const wordCount = result.text.trim().split(/\s+/).length;
-                                if (!currentSession.llmStarted && !currentSession.isProcessing && wordCount >= 3) {
-                                    currentSession.llmStarted = true;
-                                    currentSession.llmTriggeredOnPartial = true;
-                                    if (!currentSession.timings.llmStart) {
-                                        currentSession.timings.llmStart = Date.now();
-                                    }
-                                    this.startEarlyLLMProcessing(client, currentSession, result.text).catch((error) => {
-                                        logger_1.logger.error('Early LLM failed', { error: error.message });
-                                        currentSession.llmStarted = false;
-                                        currentSession.llmTriggeredOnPartial = false;
-                                    });
-                                }
-                            }
-                        },
-                        onSpeechEnded: async () => {
-                            const currentSession = this.sessions.get(client.id);
-                            if (!currentSession || currentSession.isProcessing)
-                                return;
-                            currentSession.timings.speechEnd = Date.now();
-                            logger_1.logger.info('🎤 SPEECH ENDED - Processing transcript', {
-                                clientId: client.id,
-                                userTranscript: currentSession.userTranscript,
-                                partialTranscript: currentSession.partialTranscript,
-                                llmTriggeredOnPartial: currentSession.llmTriggeredOnPartial
-                            });
-                            if (currentSession.userTranscript && currentSession.userTranscript.trim().length > 0) {
-                                currentSession.isProcessing = true;
-                                await this.processUserSpeechFromTranscript(client, currentSession);
-                            }
-                            else {
-                                logger_1.logger.warn('⚠️ NO USER TRANSCRIPT TO PROCESS', {
-                                    clientId: client.id,
-                                    userTranscript: currentSession.userTranscript,
-                                    partialTranscript: currentSession.partialTranscript
-                                });
-                            }
-                        }
-                    });
-                    session.deepgramConnection = deepgramConnection;
-                    session.sttProvider = 'deepgram'; // Track that we're using Deepgram for this session
-                    logger_1.logger.info('✅ Deepgram connection acquired from pool', {
-                        clientId: client.id,
-                        poolStats: deepgramConnectionPool_service_1.deepgramConnectionPool.getStats()
-                    });
-                }
-                catch (error) {
-                    logger_1.logger.error('Failed to acquire Deepgram connection from pool', {
-                        clientId: client.id,
-                        error: error.message,
-                        poolStats: deepgramConnectionPool_service_1.deepgramConnectionPool.getStats()
-                    });
-                    // Fall back to batch STT processing if pool is exhausted
-                }
+                configuredProvider: agent.config.sttProvider || 'deepgram'
+            });
+            // Batch-only providers transcribe the buffered audio once the caller's turn ends
+            if (sttSelection.provider.capabilities.streaming) {
+                await this.openSTTStream(client, session, sttSelection.language);
             }
             // Send welcome message and first greeting
             await this.sendGreeting(client, session);
@@ -484,70 +641,566 @@ class ExotelVoiceHandler {
         }
     }
     /**
-     * Handle incoming messages from Exotel
+     * Open the live transcription stream of the call's STT provider
+     * If it can't be opened (e.g. Deepgram pool exhausted) the call fails over to the next
+     * streaming provider in the background, and to batch STT when none is left
      */
-    async handleMessage(client, data) {
-        const session = this.sessions.get(client.id);
-        if (!session) {
-            // Session deleted - silently ignore (happens after disconnect)
-            return;
-        }
+    async openSTTStream(client, session, language) {
+        const provider = session.sttProvider;
         try {
-            // Parse Exotel message
-            const message = JSON.parse(data.toString());
-            // Log all incoming Exotel events (info level for debugging)
-            logger_1.logger.info('Exotel WebSocket event received', {
-                event: message.event,
-                hasMedia: !!message.media,
-                mediaSize: message.media?.payload?.length || 0,
-                streamSid: message.stream_sid || message.streamSid,
-                clientId: client.id
-            });
-            switch (message.event) {
-                case 'start':
-                    await this.handleStart(client, session, message);
-                    break;
-                case 'media':
-                    await this.handleMedia(client, session, message);
-                    break;
-                case 'stop':
-                    await this.handleStop(client, session, message);
-                    break;
-                case 'mark':
-                    await this.handleMark(client, session, message);
-                    break;
-            }
+            session.sttStream = await this.connectSTTStream(client, session, provider, language);
         }
         catch (error) {
-            logger_1.logger.error('Error handling Exotel message', {
+            logger_1.logger.error('❌ Failed to create live STT connection - failing over', {
                 clientId: client.id,
+                provider: provider.id,
+                language,
                 error: error.message
             });
+            // Not awaited - the greeting shouldn't wait; caller audio is buffered meanwhile
+            this.recoverSTTStream(client, session, provider, `connect failed: ${error.message}`, { reconnect: false });
         }
     }
     /**
-     * Handle stream start event
+     * Create a live STT stream for the call with one provider
+     * Transcripts are routed to the session; an engine-side close starts recovery
      */
-    async handleStart(client, session, message) {
-        const streamSid = message.stream_sid || message.streamSid;
-        const callSid = message.callSid;
-        // Store streamSid in session for sending audio back
-        session.streamSid = streamSid;
-        // Update call log with stream info
-        await CallLog_1.CallLog.findByIdAndUpdate(session.callLogId, {
-            $set: {
-                'metadata.streamSid': streamSid,
-                'metadata.exotelCallSid': callSid
+    async connectSTTStream(client, session, provider, language) {
+        const autoDetection = session.agent.config.enableAutoLanguageDetection || false;
+        logger_1.logger.info('📡 Creating live STT connection', {
+            clientId: client.id,
+            provider: provider.id,
+            language,
+            autoDetection
+        });
+        const stream = await provider.createStream(client.id, {
+            language,
+            autoDetection,
+            sampleRate: session.audioFormat.sampleRate,
+            onTranscript: (result) => this.handleStreamingTranscript(client, result),
+            onSpeechEnded: () => this.handleStreamingSpeechEnded(client),
+            onClose: (reason) => {
+                // Ignore streams the call already replaced
+                if (session.sttStream === stream) {
+                    this.handleSTTStreamLost(client, session, reason);
+                }
             }
         });
+        logger_1.logger.info('✅ Live STT connection established', {
+            clientId: client.id,
+            provider: provider.id,
+            language,
+            poolStats: provider.id === 'deepgram' ? deepgramConnectionPool_service_1.deepgramConnectionPool.getStats() : undefined
+        });
+        return stream;
     }
     /**
-     * Handle incoming audio media from caller
+     * The live STT stream died mid-call (socket closed by the engine, send failed)
      */
-    async handleMedia(client, session, message) {
-        logger_1.logger.info('📥 handleMedia called', {
-            clientId: client.id,
-            hasMedia: !!message.media,
+    handleSTTStreamLost(client, session, reason) {
+        const provider = session.sttProvider;
+        const stream = session.sttStream;
+        session.sttStream = undefined;
+        try {
+            provider.closeStream(client.id, stream);
+        }
+        catch (error) {
+            logger_1.logger.debug('Closing lost STT stream failed', { provider: provider.id, error: error.message });
+        }
+        this.recordProviderEvent(session, {
+            kind: 'stt',
+            type: 'stream_lost',
+            provider: provider.id,
+            reason
+        });
+        this.recoverSTTStream(client, session, provider, reason, { reconnect: true });
+    }
+    /**
+     * Get the call a live STT stream again
+     * - reconnect: retry the same provider maxAttempts times with exponential backoff
+     * - then the agent's failover chain (sttProviderService.getFailoverProviders)
+     * - nothing left: batch STT for the rest of the call
+     * Caller audio that arrives meanwhile is buffered (handleMedia) and replayed into the new stream
+     */
+    async recoverSTTStream(client, session, failedProvider, reason, { reconnect }) {
+        if (session.sttRecovery) {
+            return;
+        }
+        const recovery = { startedAt: Date.now(), chunks: [], bytes: 0 };
+        session.sttRecovery = recovery;
+        // Cleared by handleDisconnect
+        const isCurrent = () => session.sttRecovery === recovery;
+        const language = session.agent.config.language || 'en';
+        const autoDetect = session.agent.config.enableAutoLanguageDetection || false;
+        let attempts = 0;
+        const tryProvider = async (provider) => {
+            attempts++;
+            try {
+                const stream = await this.connectSTTStream(client, session, provider, provider.resolveLanguage(language, { autoDetect, streaming: true }));
+                if (!isCurrent()) {
+                    provider.closeStream(client.id, stream);
+                    return false;
+                }
+                this.restoreSTTStream(session, recovery, provider, stream, {
+                    kind: 'stt',
+                    type: provider.id === failedProvider.id ? 'reconnected' : 'failover',
+                    provider: failedProvider.id,
+                    toProvider: provider.id,
+                    reason,
+                    attempts
+                });
+                return true;
+            }
+            catch (error) {
+                logger_1.logger.warn('STT stream recovery attempt failed', {
+                    clientId: client.id,
+                    provider: provider.id,
+                    attempt: attempts,
+                    error: error.message
+                });
+                return false;
+            }
+        };
+        if (reconnect) {
+            const { maxAttempts, baseDelayMs, maxDelayMs } = this.STT_RECONNECT;
+            for (let attempt = 0; attempt < maxAttempts; attempt++) {
+                await new Promise((resolve) => setTimeout(resolve, Math.min(baseDelayMs * 2 ** attempt, maxDelayMs)));
+                if (!isCurrent() || await tryProvider(failedProvider)) {
+                    return;
+                }
+            }
+        }
+        for (const provider of sttProvider_service_1.sttProviderService.getFailoverProviders(session.agent.config, language, [failedProvider.id])) {
+            if (!isCurrent() || await tryProvider(provider)) {
+                return;
+            }
+        }
+        if (!isCurrent()) {
+            return;
+        }
+        // Nothing to stream to - the buffered audio becomes the start of a batch turn
+        session.sttRecovery = undefined;
+        session.audioBuffer.push(...recovery.chunks);
+        this.recordProviderEvent(session, {
+            kind: 'stt',
+            type: 'exhausted',
+            provider: failedProvider.id,
+            reason,
+            attempts,
+            gapMs: Date.now() - recovery.startedAt
+        });
+    }
+    /**
+     * Switch the call to its recovered STT stream and replay the audio buffered while it was down
+     */
+    restoreSTTStream(session, recovery, provider, stream, event) {
+        session.sttRecovery = undefined;
+        session.sttProvider = provider;
+        session.sttStream = stream;
+        for (const chunk of recovery.chunks) {
+            stream.send(chunk);
+        }
+        this.recordProviderEvent(session, {
+            ...event,
+            gapMs: Date.now() - recovery.startedAt,
+            replayedMs: Math.round(this.pcmDurationMs(session, recovery.bytes))
+        });
+    }
+    /**
+     * Hold caller audio while the STT stream is being recovered (newest maxBufferMs)
+     */
+    bufferSTTRecoveryAudio(session, audioChunk) {
+        const recovery = session.sttRecovery;
+        recovery.chunks.push(audioChunk);
+        recovery.bytes += audioChunk.length;
+        const maxBytes = this.STT_RECONNECT.maxBufferMs * (0, audioConverter_1.pcmBytesPerMs)(session.audioFormat.sampleRate);
+        while (recovery.chunks.length > 1 && recovery.bytes > maxBytes) {
+            recovery.bytes -= recovery.chunks.shift().length;
+        }
+    }
+    /**
+     * STT/TTS reliability event: logs, metrics, CallLog.providerEvents and the live monitor
+     */
+    recordProviderEvent(session, event) {
+        const entry = { ...event, timestamp: new Date() };
+        logger_1.logger.warn('⚠️ Provider event', { callLogId: session.callLogId, ...entry });
+        if (entry.type === 'stream_lost') {
+            metrics_1.metrics.inc('stt_stream_lost', { provider: entry.provider });
+        }
+        else if (entry.type === 'exhausted') {
+            metrics_1.metrics.inc('provider_failover_exhausted', { kind: entry.kind, from: entry.provider });
+        }
+        else {
+            metrics_1.metrics.inc('provider_failover', { kind: entry.kind, from: entry.provider, to: entry.toProvider });
+        }
+        if (entry.kind === 'stt' && entry.gapMs !== undefined) {
+            metrics_1.metrics.observe('stt_stream_gap_ms', entry.gapMs, { provider: entry.toProvider || entry.provider });
+        }
+        CallLog_1.CallLog.findByIdAndUpdate(session.callLogId, {
+            $push: { providerEvents: entry }
+        }).catch((error) => {
+            logger_1.logger.error('Failed to record provider event', {
+                callLogId: session.callLogId,
+                error: error.message
+            });
+        });
+        this.publishMonitorEvent(session, 'provider.event', entry);
+    }
+    /**
+     * Transcript from the live STT stream
+     * Finals add to the caller's turn and (re)schedule its end; partials can barge in
+     * and start the LLM early
+     */
+    async handleStreamingTranscript(client, result) {
+        const session = this.sessions.get(client.id);
+        if (!session)
+            return;
+        const provider = session.sttProvider;
+        const text = result.text || '';
+        if (text.trim()) {
+            this.noteCallerActivity(session);
+        }
+        // Allow updates per utterance (not just first detection) for mid-call language switches
+        if (result.detectedLanguage) {
+            await this.handleStreamingLanguage(client, session, result);
+        }
+        if (result.isFinal && text.trim().length > 0) {
+            const trigger = `${provider.id}_final`;
+            if (provider.capabilities.echoSuppression) {
+                // CRITICAL: Don't accumulate transcripts if agent is currently processing/speaking
+                // This prevents the agent from processing its own voice
+                // Exception: barge-in - the caller is talking over the agent, so keep it as the next turn
+                if (session.isProcessing) {
+                    const interrupted = session.playback?.interrupted ||
+                        this.handleBargeIn(client, session, trigger, text);
+                    if (!interrupted) {
+                        logger_1.logger.debug('Skipping final transcript - agent is currently processing', {
+                            clientId: client.id,
+                            transcript: text.substring(0, 50)
+                        });
+                        return;
+                    }
+                }
+                // Check cooldown BEFORE accumulating transcript
+                // This prevents accumulating agent's echo during cooldown period
+                // (not needed with barge-in - the caller is allowed to talk right after the agent)
+                const COOLDOWN_PERIOD_MS = this.getVadConfig(session).echoCooldownMs;
+                const timeSinceLastResponse = session.lastAgentResponseTime
+                    ? Date.now() - session.lastAgentResponseTime
+                    : Infinity;
+                if (!this.isBargeInAllowed(session) && timeSinceLastResponse < COOLDOWN_PERIOD_MS) {
+                    logger_1.logger.debug('Skipping final transcript - agent just finished speaking (cooldown active)', {
+                        clientId: client.id,
+                        timeSinceLastResponse: `${timeSinceLastResponse}ms`,
+                        cooldownRemaining: `${COOLDOWN_PERIOD_MS - timeSinceLastResponse}ms`,
+                        transcript: text.substring(0, 50)
+                    });
+                    return; // Don't accumulate transcript during cooldown
+                }
+            }
+            else {
+                // Barge-in: a final transcript while the agent is talking always interrupts
+                this.handleBargeIn(client, session, trigger, text);
+            }
+            session.userTranscript = (session.userTranscript || '') + ' ' + text;
+            if (!session.isProcessing) {
+                session.timings.finalTranscript = Date.now();
+            }
+            logger_1.logger.info('📝 FINAL TRANSCRIPT CAPTURED', {
+                clientId: client.id,
+                text,
+                accumulated: session.userTranscript,
+                detectedLanguage: result.detectedLanguage
+            });
+            this.publishMonitorEvent(session, 'transcript.final', {
+                text,
+                language: result.detectedLanguage
+            });
+            // End-of-speech events are not reliable with every provider,
+            // so every final (re)schedules the end of the caller's turn
+            this.scheduleEndOfTurn(client, session, trigger, 1000);
+        }
+        else if (text.trim().length > 0) {
+            session.partialTranscript = text;
+            logger_1.logger.info('📝 PARTIAL TRANSCRIPT', {
+                clientId: client.id,
+                text
+            });
+            this.publishMonitorEvent(session, 'transcript.partial', { text });
+            const wordCount = text.trim().split(/\s+/).length;
+            // Barge-in on partials needs a couple of words so line noise doesn't cut the agent off
+            if (!provider.capabilities.echoSuppression && wordCount >= this.BARGE_IN_MIN_WORDS) {
+                this.handleBargeIn(client, session, `${provider.id}_partial`, text);
+            }
+            // Start LLM as soon as we have 3+ words (parallel processing)
+            if (!session.llmStarted && !session.isProcessing && wordCount >= 3 && !this.hasLLMTools(session)) {
+                session.llmStarted = true;
+                session.llmTriggeredOnPartial = true;
+                if (!session.timings.llmStart) {
+                    session.timings.llmStart = Date.now();
+                }
+                this.startEarlyLLMProcessing(client, session, text).catch((error) => {
+                    logger_1.logger.error('Early LLM failed', { error: error.message });
+                    session.llmStarted = false;
+                    session.llmTriggeredOnPartial = false;
+                });
+            }
+        }
+    }
+    /**
+     * Language detected by the live STT stream - switch the voice when it changes
+     */
+    async handleStreamingLanguage(client, session, result) {
+        const previousLanguage = session.detectedLanguage;
+        const languageChanged = previousLanguage && previousLanguage !== result.detectedLanguage;
+        session.detectedLanguage = result.detectedLanguage;
+        if (languageChanged) {
+            logger_1.logger.info('🔄 LANGUAGE SWITCH DETECTED (streaming)', {
+                clientId: client.id,
+                previousLanguage,
+                newLanguage: result.detectedLanguage,
+                configuredLanguage: session.agent.config?.language
+            });
+            this.publishMonitorEvent(session, 'language.switch', {
+                from: previousLanguage,
+                to: result.detectedLanguage
+            });
+            // Propagate language change to voice pipeline for TTS switching
+            if (session.callLogId) {
+                await this.applyDetectedLanguage(session, result.detectedLanguage, result.confidence || 0.9);
+            }
+            this.prewarmFillerAudio(session);
+        }
+        else if (!previousLanguage) {
+            logger_1.logger.info('🌐 LANGUAGE DETECTED (streaming)', {
+                clientId: client.id,
+                detectedLanguage: result.detectedLanguage,
+                configuredLanguage: session.agent.config?.language
+            });
+            // Initialize language in voice pipeline
+            if (session.callLogId && await this.applyDetectedLanguage(session, result.detectedLanguage, result.confidence || 0.9)) {
+                this.prewarmFillerAudio(session);
+            }
+        }
+    }
+    /**
+     * Hand a detected language to the voice pipeline; once it confirms the switch the call
+     * speaks with the voice chosen for the language (session.config is shared with it)
+     * Returns the switch, or undefined when the pipeline kept the current language
+     */
+    async applyDetectedLanguage(session, language, confidence) {
+        const languageSwitch = await voicePipeline_service_1.voicePipelineService.updateDetectedLanguage(session.callLogId, language, confidence, { excludeProviders: session.failedTTSProviders });
+        if (!languageSwitch) {
+            return undefined;
+        }
+        const { fromVoice, toVoice } = languageSwitch;
+        if (fromVoice.provider !== toVoice.provider || fromVoice.voiceId !== toVoice.voiceId) {
+            logger_1.logger.info('🗣️ TTS voice switched for caller language', {
+                callLogId: session.callLogId,
+                language,
+                fromProvider: fromVoice.provider,
+                fromVoice: fromVoice.voiceId,
+                toProvider: toVoice.provider,
+                toVoice: toVoice.voiceId
+            });
+            this.publishMonitorEvent(session, 'voice.switch', {
+                language,
+                from: fromVoice,
+                to: toVoice
+            });
+        }
+        return languageSwitch;
+    }
+    /**
+     * The STT provider's own endpointing says the caller stopped talking
+     */
+    async handleStreamingSpeechEnded(client) {
+        const session = this.sessions.get(client.id);
+        if (!session || session.isProcessing)
+            return;
+        logger_1.logger.info('🎤 SPEECH ENDED (STT endpointing)', {
+            clientId: client.id,
+            provider: session.sttProvider.id,
+            userTranscript: session.userTranscript,
+            partialTranscript: session.partialTranscript,
+            llmTriggeredOnPartial: session.llmTriggeredOnPartial
+        });
+        this.scheduleEndOfTurn(client, session, `${session.sttProvider.id}_speech_end`, 0);
+    }
+    /**
+     * Handle incoming messages from Exotel
+     */
+    async handleMessage(client, data) {
+        const session = this.sessions.get(client.id);
+        if (!session) {
+            // Not set up yet, or deleted after disconnect - only an early start event is kept
+            this.holdEarlyStartEvent(client, data);
+            return;
+        }
+        try {
+            // Parse Exotel message
+            const message = JSON.parse(data.toString());
+            // Log all incoming Exotel events (info level for debugging)
+            logger_1.logger.info('Exotel WebSocket event received', {
+                event: message.event,
+                hasMedia: !!message.media,
+                mediaSize: message.media?.payload?.length || 0,
+                streamSid: message.stream_sid || message.streamSid,
+                clientId: client.id
+            });
+            switch (message.event) {
+                case 'start':
+                    await this.handleStart(client, session, message);
+                    break;
+                case 'media':
+                    await this.handleMedia(client, session, message);
+                    break;
+                case 'stop':
+                    await this.handleStop(client, session, message);
+                    break;
+                case 'mark':
+                    await this.handleMark(client, session, message);
+                    break;
+                case 'dtmf':
+                    await this.handleDtmf(client, session, message);
+                    break;
+            }
+        }
+        catch (error) {
+            logger_1.logger.error('Error handling Exotel message', {
+                clientId: client.id,
+                error: error.message
+            });
+        }
+    }
+    /**
+     * Handle stream start event
+     */
+    async handleStart(client, session, message) {
+        const streamSid = message.stream_sid || message.streamSid;
+        const callSid = message.callSid;
+        // Store streamSid in session for sending audio back
+        session.streamSid = streamSid;
+        session.callSid = callSid;
+        // Update call log with stream info
+        await CallLog_1.CallLog.findByIdAndUpdate(session.callLogId, {
+            $set: {
+                'metadata.streamSid': streamSid,
+                'metadata.exotelCallSid': callSid
+            }
+        });
+        const mediaFormat = message.start?.media_format || message.start?.mediaFormat || message.media_format;
+        if (mediaFormat) {
+            const format = (0, audioConverter_1.parseMediaFormat)(mediaFormat);
+            if (format) {
+                await this.applyAudioFormat(client, session, format, 'start_event');
+            }
+            else {
+                logger_1.logger.warn('Unsupported media format in start event - keeping the current one', {
+                    clientId: client.id,
+                    mediaFormat,
+                    current: session.audioFormat
+                });
+            }
+        }
+    }
+    /**
+     * Keep a start event that arrives before handleConnection has created the session
+     */
+    holdEarlyStartEvent(client, data) {
+        if (client.readyState !== 1) {
+            return;
+        }
+        try {
+            const message = JSON.parse(data.toString());
+            if (message.event === 'start') {
+                this.pendingStartEvents.set(client.id, message);
+            }
+        }
+        catch (error) {
+            logger_1.logger.debug('Ignoring unparsable message before session start', { clientId: client.id });
+        }
+    }
+    /**
+     * Media format set on the call's phone number (undefined when it has none)
+     */
+    async getPhoneAudioFormat(phoneId) {
+        if (!phoneId) {
+            return undefined;
+        }
+        const phone = await Phone_1.Phone.findById(phoneId).select('audioFormat').lean();
+        return phone?.audioFormat?.encoding ? (0, audioConverter_1.parseMediaFormat)(phone.audioFormat) : undefined;
+    }
+    /**
+     * Switch the call to the media format the carrier negotiated
+     * A new sample rate re-creates what depends on it: VAD, recorder and the live STT stream
+     */
+    async applyAudioFormat(client, session, format, source) {
+        const rateChanged = format.sampleRate !== session.audioFormat.sampleRate;
+        session.audioFormat = format;
+        session.audioFormatSource = source;
+        this.saveAudioFormat(session);
+        if (!rateChanged) {
+            return;
+        }
+        session.vad = this.createCallerVad(session);
+        session.audioBuffer = [];
+        if (session.recording) {
+            session.recording = callRecording_service_1.callRecordingService.createRecorder(format.sampleRate);
+        }
+        if (session.sttStream) {
+            const stream = session.sttStream;
+            session.sttStream = undefined; // Its close is not a lost stream
+            session.sttProvider.closeStream(client.id, stream);
+            await this.openSTTStream(client, session, session.sttLanguage);
+        }
+    }
+    /**
+     * Record the call's media format on the CallLog
+     */
+    saveAudioFormat(session) {
+        logger_1.logger.info('🎚️ Call audio format', {
+            callLogId: session.callLogId,
+            ...session.audioFormat,
+            source: session.audioFormatSource
+        });
+        CallLog_1.CallLog.findByIdAndUpdate(session.callLogId, {
+            $set: { audioFormat: { ...session.audioFormat, source: session.audioFormatSource } }
+        }).catch((error) => {
+            logger_1.logger.error('Failed to save call audio format', {
+                callLogId: session.callLogId,
+                error: error.message
+            });
+        });
+    }
+    /**
+     * Caller-side VAD at the call's sample rate (undefined when the agent turns VAD off)
+     */
+    createCallerVad(session) {
+        const vadConfig = this.getVadConfig(session);
+        if (!vadConfig.enabled) {
+            return undefined;
+        }
+        return new voiceActivityDetector_1.VoiceActivityDetector({
+            speechThresholdDb: vadConfig.speechThresholdDb,
+            minSpeechMs: vadConfig.minSpeechMs,
+            hangoverMs: vadConfig.hangoverMs,
+            sampleRate: session.audioFormat.sampleRate
+        });
+    }
+    /**
+     * Playing time of 16-bit PCM at the call's sample rate
+     */
+    pcmDurationMs(session, bytes) {
+        return bytes / (0, audioConverter_1.pcmBytesPerMs)(session.audioFormat.sampleRate);
+    }
+    /**
+     * Handle incoming audio media from caller
+     */
+    async handleMedia(client, session, message) {
+        logger_1.logger.info('📥 handleMedia called', {
+            clientId: client.id,
+            hasMedia: !!message.media,
             mediaPayloadLength: message.media?.payload?.length || 0,
             track: message.media?.track,
             streamSid: message.stream_sid || message.streamSid
@@ -566,176 +1219,804 @@ class ExotelVoiceHandler {
         if (message.media.track && message.media.track === 'outbound') {
             return;
         }
-        // Decode base64 audio payload (16-bit PCM, 8kHz, mono, little-endian)
-        const audioChunk = Buffer.from(message.media.payload, 'base64');
+        // Decode base64 audio payload -> 16-bit PCM mono at the call's rate (μ-law / A-law decoded)
+        const audioChunk = audioConverter_1.audioConverter.decodeFromWire(Buffer.from(message.media.payload, 'base64'), session.audioFormat);
+        // Caller channel of the call recording
+        session.recording?.addCallerAudio(audioChunk);
         // Send audio to STT streaming connection for real-time transcription
-        if (session.deepgramConnection) {
+        if (session.sttRecovery) {
+            // Stream is being re-established - replayed into the new one
+            this.bufferSTTRecoveryAudio(session, audioChunk);
+        }
+        else if (session.sttStream) {
             try {
-                // Check if this is a Sarvam connection (indicated by STT provider)
-                if (session.sttProvider === 'sarvam') {
-                    // Check if WebSocket is ready (OPEN = 1)
-                    if (!session.deepgramConnection || session.deepgramConnection.readyState !== 1) {
-                        logger_1.logger.warn('⚠️ Sarvam WebSocket not ready, skipping audio chunk', {
+                if (session.sttStream.send(audioChunk)) {
+                    // Log audio chunks for debugging (only log every 50th chunk to reduce noise)
+                    session.audioChunkCounter = (session.audioChunkCounter || 0) + 1;
+                    if (session.audioChunkCounter === 1 || session.audioChunkCounter % 50 === 0) {
+                        logger_1.logger.info('Audio sent to STT stream', {
                             clientId: client.id,
-                            readyState: session.deepgramConnection?.readyState || 'null',
-                            connectionExists: !!session.deepgramConnection
-                        });
-                        return;
-                    }
-                    // Sarvam expects audio in JSON envelope with base64 data
-                    try {
-                        const sarvamPayload = {
-                            audio: {
-                                data: audioChunk.toString('base64'),
-                                encoding: 'audio/wav',
-                                sample_rate: 8000
-                            }
-                        };
-                        const jsonMessage = JSON.stringify(sarvamPayload);
-                        session.deepgramConnection.send(jsonMessage);
-                        // Log audio chunks for debugging (only log every 50th chunk to reduce noise)
-                        if (!session.audioChunkCounter)
-                            session.audioChunkCounter = 0;
-                        session.audioChunkCounter++;
-                        if (session.audioChunkCounter === 1 || session.audioChunkCounter % 50 === 0) {
-                            logger_1.logger.info('Audio sent to Sarvam', {
-                                chunkNumber: session.audioChunkCounter,
-                                audioSize: audioChunk.length,
-                                base64Length: sarvamPayload.audio.data.length,
-                                connectionState: session.deepgramConnection?.readyState || 'unknown',
-                                clientId: client.id
-                            });
-                        }
-                    }
-                    catch (sendError) {
-                        logger_1.logger.error('❌ Failed to send audio to Sarvam', {
-                            error: sendError.message,
-                            audioSize: audioChunk.length,
-                            connectionState: session.deepgramConnection?.readyState,
-                            clientId: client.id
+                            provider: session.sttProvider.id,
+                            chunkNumber: session.audioChunkCounter,
+                            audioSize: audioChunk.length
                         });
                     }
                 }
                 else {
-                    // Deepgram accepts raw audio bytes
-                    try {
-                        session.deepgramConnection.send(audioChunk);
-                        // Log first few chunks to verify audio is being sent
-                        if (!session.audioChunkCounter)
-                            session.audioChunkCounter = 0;
-                        session.audioChunkCounter++;
-                        if (session.audioChunkCounter <= 10 || session.audioChunkCounter % 50 === 0) {
-                            logger_1.logger.info('Audio sent to Deepgram', {
-                                chunkNumber: session.audioChunkCounter,
-                                audioSize: audioChunk.length,
-                                connectionState: session.deepgramConnection?.readyState || 'unknown',
-                                clientId: client.id
-                            });
-                        }
-                    }
-                    catch (sendError) {
-                        logger_1.logger.error('Failed to send audio chunk to Deepgram', {
-                            error: sendError.message,
-                            audioSize: audioChunk.length,
-                            connectionState: session.deepgramConnection?.readyState
-                        });
-                        throw sendError; // Re-throw to trigger fallback
-                    }
+                    logger_1.logger.warn('⚠️ STT stream not ready, skipping audio chunk', {
+                        clientId: client.id,
+                        provider: session.sttProvider.id
+                    });
                 }
             }
             catch (error) {
                 logger_1.logger.error('Failed to send audio to STT stream', {
                     error: error.message,
-                    provider: session.sttProvider
+                    provider: session.sttProvider.id
                 });
-                // Fall back to buffer accumulation
-                session.audioBuffer.push(audioChunk);
+                this.handleSTTStreamLost(client, session, `send failed: ${error.message}`);
+                this.bufferSTTRecoveryAudio(session, audioChunk);
             }
         }
         else {
             // No streaming connection - accumulate in buffer for batch processing
             session.audioBuffer.push(audioChunk);
         }
-        const now = Date.now();
-        session.lastSpeechTime = now;
-        // Track when speech started (for max duration detection)
-        if (!session.firstSpeechTime) {
-            session.firstSpeechTime = now;
-            session.timings.speechStart = now;
+        const now = Date.now();
+        if (session.vad) {
+            this.handleVadAudio(client, session, audioChunk, now);
+            return;
+        }
+        // Legacy turn taking (VAD disabled): every packet counts as speech
+        session.lastSpeechTime = now;
+        // Track when speech started (for max duration detection)
+        if (!session.firstSpeechTime) {
+            session.firstSpeechTime = now;
+            session.timings.speechStart = now;
+        }
+        // Check if we've been receiving audio for too long (user speaking continuously or background noise)
+        const speechDuration = now - session.firstSpeechTime;
+        if (speechDuration > this.MAX_SPEECH_DURATION && !session.isProcessing) {
+            logger_1.logger.info('⏱️ MAX DURATION REACHED (v3) - auto-processing', {
+                duration: `${speechDuration}ms`,
+                bufferSize: session.audioBuffer.length
+            });
+            // Clear silence timeout
+            if (session.silenceTimeout) {
+                clearTimeout(session.silenceTimeout);
+                session.silenceTimeout = undefined;
+            }
+            // Reset first speech time for next turn
+            session.firstSpeechTime = undefined;
+            // Mark as processing immediately
+            session.isProcessing = true;
+            // Process in background (no holding message)
+            this.processUserSpeech(client, session).catch((error) => {
+                logger_1.logger.error('Error processing speech after max duration', {
+                    clientId: client.id,
+                    error: error.message
+                });
+            });
+            return; // Don't set silence timeout
+        }
+        // Clear existing silence timeout
+        if (session.silenceTimeout) {
+            clearTimeout(session.silenceTimeout);
+        }
+        // Set new silence timeout (only if not already processing)
+        // Note: For Deepgram VAD, use live streaming connection instead
+        if (!session.isProcessing) {
+            session.silenceTimeout = setTimeout(async () => {
+                const silenceDetectedAt = Date.now();
+                const timeSinceLastSpeech = silenceDetectedAt - session.lastSpeechTime;
+                // Reset first speech time for next turn
+                session.firstSpeechTime = undefined;
+                // Mark as processing
+                session.isProcessing = true;
+                // Process user speech directly (no holding message)
+                await this.processUserSpeech(client, session);
+            }, this.SILENCE_THRESHOLD);
+        }
+    }
+    /**
+     * Resolve VAD / endpointing settings from Agent.config.vad with defaults
+     */
+    getVadConfig(session) {
+        const vad = session.agent.config?.vad || {};
+        const config = { enabled: vad.enabled !== false };
+        for (const [key, value] of Object.entries(this.VAD_DEFAULTS)) {
+            config[key] = typeof vad[key] === 'number' ? vad[key] : value;
+        }
+        return config;
+    }
+    /**
+     * Caller turns are transcribed from the buffered audio (no live stream and none being recovered)
+     */
+    isBatchSTT(session) {
+        return !session.sttStream && !session.sttRecovery;
+    }
+    /**
+     * VAD-driven turn taking: speech start/end come from the caller's audio instead of
+     * packet arrival, so line noise no longer keeps a turn open
+     */
+    handleVadAudio(client, session, audioChunk, now) {
+        const vadConfig = this.getVadConfig(session);
+        const isBatch = this.isBatchSTT(session);
+        for (const event of session.vad.process(audioChunk, now)) {
+            if (event.type === 'speech_start') {
+                // Speech while the agent is answering is barge-in (or echo), not the start of a new turn
+                if (!session.firstSpeechTime && !session.isProcessing) {
+                    session.firstSpeechTime = event.at;
+                    session.timings.speechStart = event.at;
+                }
+                logger_1.logger.debug('🗣️ VAD speech start', {
+                    clientId: client.id,
+                    noiseFloorDb: Math.round(event.noiseFloorDb)
+                });
+            }
+            else {
+                logger_1.logger.debug('🤫 VAD speech end', {
+                    clientId: client.id,
+                    speechMs: event.speechMs,
+                    noiseFloorDb: Math.round(event.noiseFloorDb)
+                });
+                // Streaming STT: the turn ends once its transcript is in (a final that arrives
+                // later schedules it then). Batch STT: the buffered audio is the turn.
+                const hasPendingTurn = isBatch
+                    ? !!session.firstSpeechTime && session.audioBuffer.length > 0
+                    : !!session.userTranscript?.trim();
+                if (hasPendingTurn) {
+                    this.scheduleEndOfTurn(client, session, 'vad');
+                }
+            }
+        }
+        if (session.vad.isSpeaking) {
+            session.lastSpeechTime = now;
+        }
+        if (!isBatch || session.isProcessing) {
+            return;
+        }
+        if (!session.firstSpeechTime) {
+            // Between utterances only a short pre-roll of silence is worth transcribing
+            const prerollBytes = this.VAD_PREROLL_MS * (0, audioConverter_1.pcmBytesPerMs)(session.audioFormat.sampleRate);
+            let keepFrom = session.audioBuffer.length;
+            let bytes = 0;
+            while (keepFrom > 0 && bytes < prerollBytes) {
+                keepFrom--;
+                bytes += session.audioBuffer[keepFrom].length;
+            }
+            if (keepFrom > 0) {
+                session.audioBuffer = session.audioBuffer.slice(keepFrom);
+            }
+        }
+        else if (now - session.firstSpeechTime > vadConfig.maxSpeechMs) {
+            logger_1.logger.info('⏱️ MAX SPEECH DURATION REACHED - ending caller turn', {
+                clientId: client.id,
+                duration: `${now - session.firstSpeechTime}ms`
+            });
+            this.clearEndOfTurn(session);
+            this.endCallerTurn(client, session, 'max_speech', 'max_speech', { force: true }).catch((error) => {
+                logger_1.logger.error('Error processing speech after max duration', {
+                    clientId: client.id,
+                    error: error.message
+                });
+            });
+        }
+    }
+    /**
+     * (Re)schedule the end of the caller's turn
+     * With VAD the wait is adaptive - longer when the caller trails off mid-sentence or
+     * mid-number, shorter for a short answer to the agent's question - and counts from the
+     * last voiced frame, so STT latency isn't added on top. Without VAD the STT's own
+     * legacy delay is used.
+     */
+    scheduleEndOfTurn(client, session, source, legacyDelayMs = 0) {
+        this.clearEndOfTurn(session);
+        let delayMs = legacyDelayMs;
+        let reason = 'legacy';
+        if (session.vad) {
+            const endpoint = endpointing_1.getEndpointDelay(session.userTranscript, session.lastAgentText, this.getVadConfig(session));
+            const silentForMs = !session.vad.isSpeaking && session.vad.lastSpeechAt
+                ? Date.now() - session.vad.lastSpeechAt
+                : 0;
+            delayMs = Math.max(0, endpoint.delayMs - silentForMs);
+            reason = endpoint.reason;
+        }
+        session.endOfTurnTimeout = setTimeout(() => {
+            this.endCallerTurn(client, session, source, reason).catch((error) => {
+                logger_1.logger.error('Error ending caller turn', {
+                    clientId: client.id,
+                    source,
+                    error: error.message
+                });
+            });
+        }, delayMs);
+    }
+    clearEndOfTurn(session) {
+        if (session.endOfTurnTimeout) {
+            clearTimeout(session.endOfTurnTimeout);
+            session.endOfTurnTimeout = undefined;
+        }
+    }
+    /**
+     * Endpoint reached: hand the caller's turn to the pipeline
+     * If the VAD says the caller is still talking, keep waiting (up to maxSpeechMs)
+     */
+    async endCallerTurn(client, session, source, reason, options = {}) {
+        session.endOfTurnTimeout = undefined;
+        if (!this.sessions.has(client.id) || session.isProcessing || session.endReason) {
+            return;
+        }
+        const vadConfig = this.getVadConfig(session);
+        if (session.vad?.isSpeaking && !options.force) {
+            session.endOfTurnHeldSince = session.endOfTurnHeldSince || Date.now();
+            if (Date.now() - session.endOfTurnHeldSince < vadConfig.maxSpeechMs) {
+                session.endOfTurnTimeout = setTimeout(() => {
+                    this.endCallerTurn(client, session, source, reason).catch(() => undefined);
+                }, this.END_OF_TURN_RECHECK_MS);
+                return;
+            }
+        }
+        session.endOfTurnHeldSince = undefined;
+        const isBatch = this.isBatchSTT(session);
+        // Echo guard: caller "speech" right after the agent stopped is usually the agent itself
+        // (not needed with barge-in - the caller is allowed to talk right after the agent)
+        const timeSinceLastResponse = session.lastAgentResponseTime
+            ? Date.now() - session.lastAgentResponseTime
+            : Infinity;
+        if (!this.isBargeInAllowed(session) && timeSinceLastResponse < vadConfig.echoCooldownMs) {
+            logger_1.logger.debug('Skipping end of turn - agent just finished speaking (cooldown active)', {
+                clientId: client.id,
+                source,
+                timeSinceLastResponse: `${timeSinceLastResponse}ms`,
+                cooldownRemaining: `${vadConfig.echoCooldownMs - timeSinceLastResponse}ms`,
+                transcript: session.userTranscript?.substring(0, 50) || 'empty'
+            });
+            // Clear the turn to prevent it from being processed later
+            session.userTranscript = '';
+            session.partialTranscript = '';
+            session.audioBuffer = [];
+            session.firstSpeechTime = undefined;
+            return;
+        }
+        if (!isBatch && !session.userTranscript?.trim()) {
+            logger_1.logger.debug('End of turn reached but no transcript to process', {
+                clientId: client.id,
+                source
+            });
+            return;
+        }
+        session.timings.speechEnd = session.vad?.lastSpeechAt || Date.now();
+        logger_1.logger.info('🎤 END OF CALLER TURN', {
+            clientId: client.id,
+            source,
+            endpoint: reason,
+            silenceMs: Date.now() - session.timings.speechEnd,
+            userTranscript: isBatch ? undefined : session.userTranscript.trim()
+        });
+        session.isProcessing = true;
+        if (isBatch) {
+            session.firstSpeechTime = undefined;
+            await this.processUserSpeech(client, session);
+        }
+        else {
+            await this.processUserSpeechFromTranscript(client, session);
+            session.firstSpeechTime = undefined;
+        }
+    }
+    /**
+     * Handle stream stop event
+     */
+    async handleStop(client, session, message) {
+        // Process any remaining audio
+        if (session.audioBuffer.length > 0 && !session.isProcessing) {
+            // CRITICAL: Set isProcessing IMMEDIATELY to prevent session deletion
+            session.isProcessing = true;
+            // Process in background (no holding message)
+            this.processUserSpeech(client, session).catch((error) => {
+                logger_1.logger.error('Error processing final speech on stop', {
+                    clientId: client.id,
+                    error: error.message
+                });
+            });
+        }
+        else {
+        }
+        // DON'T mark call as completed here - stop just means "user stopped speaking"
+        // The call is only completed when WebSocket disconnects (handled in handleDisconnect)
+    }
+    /**
+     * Handle mark event from Exotel
+     * This signals that Exotel has finished processing/playing the audio we sent
+     */
+    async handleMark(client, session, message) {
+        const markName = message.mark?.name;
+        // Mark received means Exotel finished playing our audio
+        // Session is now ready for user input automatically
+    }
+    /**
+     * Resolve DTMF settings from Agent.config.dtmf with defaults
+     */
+    getDtmfConfig(session) {
+        const dtmf = session.agent.config?.dtmf || {};
+        return {
+            enabled: dtmf.enabled !== false,
+            interDigitTimeoutMs: dtmf.interDigitTimeoutMs || this.DTMF_INTER_DIGIT_TIMEOUT_MS,
+            terminator: dtmf.terminator ?? '#',
+            maxDigits: dtmf.maxDigits || 16,
+            menu: dtmf.menu || []
+        };
+    }
+    /**
+     * Handle DTMF (keypad) event from Exotel
+     * Digits are buffered until the terminator key, maxDigits, an unambiguous menu
+     * match or the inter-digit timeout, then handled as a single caller turn
+     */
+    async handleDtmf(client, session, message) {
+        const dtmfConfig = this.getDtmfConfig(session);
+        const digit = String(message.dtmf?.digit ?? '').trim();
+        if (!dtmfConfig.enabled || !/^[0-9*#]$/.test(digit)) {
+            logger_1.logger.debug('Ignoring DTMF event', {
+                clientId: client.id,
+                digit,
+                enabled: dtmfConfig.enabled
+            });
+            return;
+        }
+        // Digits may be a PIN or OTP - they stay out of the logs
+        logger_1.logger.info('🔢 DTMF digit received', {
+            clientId: client.id,
+            callLogId: session.callLogId,
+            buffered: (session.dtmfDigits || '').length + 1
+        });
+        this.noteCallerActivity(session);
+        // A key press over the agent's speech counts as an interruption
+        this.handleBargeIn(client, session, 'dtmf');
+        if (session.dtmfTimeout) {
+            clearTimeout(session.dtmfTimeout);
+            session.dtmfTimeout = undefined;
+        }
+        // Terminator submits what has been typed so far; on its own it is ignored
+        // (unless it starts a menu option, e.g. '#' for "repeat")
+        const startsMenuOption = dtmfConfig.menu.some((option) => option.digits.startsWith(digit));
+        if (dtmfConfig.terminator && digit === dtmfConfig.terminator && (session.dtmfDigits || !startsMenuOption)) {
+            if (session.dtmfDigits) {
+                await this.flushDtmfDigits(client, session);
+            }
+            return;
+        }
+        session.dtmfDigits = (session.dtmfDigits || '') + digit;
+        const digits = session.dtmfDigits;
+        // Submit right away on an exact menu match, unless a longer option shares this prefix
+        const menuMatch = this.findDtmfMenuOption(dtmfConfig, digits);
+        const longerOptionPossible = dtmfConfig.menu.some((option) => option.digits.length > digits.length && option.digits.startsWith(digits));
+        if (digits.length >= dtmfConfig.maxDigits || (menuMatch && !longerOptionPossible)) {
+            await this.flushDtmfDigits(client, session);
+            return;
+        }
+        this.scheduleDtmfFlush(client, session, dtmfConfig.interDigitTimeoutMs);
+    }
+    /**
+     * (Re)arm the timer that submits buffered DTMF digits
+     */
+    scheduleDtmfFlush(client, session, delayMs) {
+        if (session.dtmfTimeout) {
+            clearTimeout(session.dtmfTimeout);
+        }
+        session.dtmfTimeout = setTimeout(() => {
+            session.dtmfTimeout = undefined;
+            this.flushDtmfDigits(client, session).catch((error) => {
+                logger_1.logger.error('Error processing DTMF input', {
+                    clientId: client.id,
+                    error: error.message
+                });
+            });
+        }, delayMs);
+    }
+    /**
+     * Submit buffered DTMF digits as a caller turn
+     * Declared menu options run directly; anything else goes to the LLM as structured input
+     */
+    async flushDtmfDigits(client, session) {
+        if (session.dtmfTimeout) {
+            clearTimeout(session.dtmfTimeout);
+            session.dtmfTimeout = undefined;
+        }
+        const digits = session.dtmfDigits || '';
+        if (!digits || this.sessions.get(client.id) !== session) {
+            return;
+        }
+        // Agent is still unwinding a turn (barge-in already stopped its audio) - hold the digits
+        if (session.isProcessing) {
+            this.scheduleDtmfFlush(client, session, this.DTMF_BUSY_RETRY_MS);
+            return;
+        }
+        session.dtmfDigits = '';
+        session.isProcessing = true;
+        const option = this.findDtmfMenuOption(this.getDtmfConfig(session), digits);
+        logger_1.logger.info('🔢 DTMF INPUT COMPLETE', {
+            clientId: client.id,
+            callLogId: session.callLogId,
+            digits: this.maskDtmfDigits(digits, option),
+            menuOption: option?.label,
+            action: option?.action || 'llm'
+        });
+        if (option && option.action !== 'llm') {
+            await this.runDtmfMenuOption(client, session, option, digits);
+            return;
+        }
+        session.timings.speechEnd = Date.now();
+        await this.processUserSpeechFromTranscript(client, session, { type: 'dtmf', digits, option });
+    }
+    /**
+     * Find the menu option declared for an exact digit sequence
+     */
+    findDtmfMenuOption(dtmfConfig, digits) {
+        return dtmfConfig.menu.find((option) => option.digits === digits);
+    }
+    /**
+     * Run a 'say', 'end_call' or 'transfer' menu option without an LLM round trip
+     */
+    async runDtmfMenuOption(client, session, option, digits) {
+        try {
+            const shownDigits = this.maskDtmfDigits(digits, option);
+            await this.saveTranscript(session.callLogId, 'user', this.formatDtmfTranscript(shownDigits, option), {
+                type: 'dtmf',
+                digits: shownDigits
+            });
+            if (option.action === 'transfer') {
+                await this.transferCall(client, session, 'dtmf_menu', { message: option.message });
+                return;
+            }
+            if (option.action === 'end_call') {
+                await this.endCallWithMessage(client, session, 'dtmf_menu', option.message, 'Call ended by DTMF menu');
+                return;
+            }
+            this.beginPlaybackTurn(session);
+            await this.speakText(client, option.message, session);
+            const spokenMessage = this.getSpokenResponse(session, option.message);
+            if (spokenMessage) {
+                await this.saveTranscript(session.callLogId, 'assistant', spokenMessage, {
+                    interrupted: !!session.playback?.interrupted
+                });
+            }
+            session.lastAgentResponseTime = Date.now();
+        }
+        catch (error) {
+            logger_1.logger.error('Error running DTMF menu option', {
+                clientId: client.id,
+                menuOption: option.label,
+                error: error.message
+            });
+        }
+        finally {
+            session.isProcessing = false;
+            this.clearFillerTimer(session);
+            if (!session.endReason) {
+                this.scheduleInterruptionTurn(client, session);
+                this.armNoInputTimer(client, session);
+            }
+        }
+    }
+    /**
+     * Digits as they may be stored, logged and shown to supervisors: masked, since keypad
+     * input is often a PIN, OTP or account number, unless the matched menu option sets
+     * sensitive: false. Only the live LLM turn sees the real digits.
+     */
+    maskDtmfDigits(digits, option) {
+        return option?.sensitive === false ? digits : '•'.repeat(digits.length);
+    }
+    /**
+     * Structured LLM message for keypad input (format explained in the system prompt)
+     */
+    formatDtmfForLLM(digits, option) {
+        const input = { digits };
+        if (option?.label) {
+            input.menuOption = option.label;
+        }
+        return `[KEYPAD] ${JSON.stringify(input)}`;
+    }
+    /**
+     * Human-readable transcript text for keypad input
+     */
+    formatDtmfTranscript(digits, option) {
+        return option?.label ? `Pressed ${digits} (${option.label})` : `Pressed ${digits}`;
+    }
+    /**
+     * Maximum call duration in seconds: the stricter of the agent's sessionTimeout
+     * and the campaign's maxCallDurationSec (undefined = no limit)
+     */
+    async getMaxCallDurationSec(agent, callLog) {
+        const limits = [];
+        if (agent.config?.sessionTimeout > 0) {
+            limits.push(agent.config.sessionTimeout);
+        }
+        const campaignId = callLog.campaignId || callLog.metadata?.campaignId;
+        if (campaignId) {
+            const campaign = await Campaign_1.Campaign.findById(campaignId).select('settings.maxCallDurationSec').lean();
+            if (campaign?.settings?.maxCallDurationSec > 0) {
+                limits.push(campaign.settings.maxCallDurationSec);
+            }
+        }
+        return limits.length > 0 ? Math.min(...limits) : undefined;
+    }
+    /**
+     * Arm the wrap-up warning and the hard stop for the call duration limit
+     */
+    async startDurationLimit(client, session, callLog) {
+        try {
+            const maxDurationSec = await this.getMaxCallDurationSec(session.agent, callLog);
+            if (!maxDurationSec) {
+                return;
+            }
+            const warningSec = session.agent.config?.durationLimit?.warningSec ?? this.DURATION_WARNING_SEC;
+            // Short limits still get a wrap-up window (half the call at most)
+            const warningAtMs = Math.max(0, maxDurationSec - Math.min(warningSec, maxDurationSec / 2)) * 1000;
+            session.maxDurationSec = maxDurationSec;
+            session.durationWarningTimeout = setTimeout(() => {
+                session.durationWarningTimeout = undefined;
+                session.wrapUp = true;
+                logger_1.logger.info('⏳ CALL DURATION WARNING - asking agent to wrap up', {
+                    callLogId: session.callLogId,
+                    maxDurationSec
+                });
+            }, warningAtMs);
+            session.durationLimitTimeout = setTimeout(() => {
+                session.durationLimitTimeout = undefined;
+                this.handleDurationLimit(client, session).catch((error) => {
+                    logger_1.logger.error('Error enforcing call duration limit', {
+                        clientId: client.id,
+                        error: error.message
+                    });
+                });
+            }, maxDurationSec * 1000);
+        }
+        catch (error) {
+            // Never fail the call over the limit lookup
+            logger_1.logger.error('Failed to start call duration limit', {
+                callLogId: session.callLogId,
+                error: error.message
+            });
+        }
+    }
+    clearDurationLimit(session) {
+        if (session.durationWarningTimeout) {
+            clearTimeout(session.durationWarningTimeout);
+            session.durationWarningTimeout = undefined;
+        }
+        if (session.durationLimitTimeout) {
+            clearTimeout(session.durationLimitTimeout);
+            session.durationLimitTimeout = undefined;
+        }
+    }
+    /**
+     * Hard duration limit: cut the agent off, play the closing line and hang up through Exotel
+     */
+    async handleDurationLimit(client, session) {
+        if (!this.sessions.has(client.id) || client.readyState !== 1 || session.endReason || session.transfer) {
+            return;
+        }
+        logger_1.logger.warn('⏱️ CALL DURATION LIMIT REACHED - Ending call', {
+            callLogId: session.callLogId,
+            maxDurationSec: session.maxDurationSec
+        });
+        const closingMessage = session.agent.config?.durationLimit?.closingMessage || this.DURATION_LIMIT_DEFAULT_CLOSING;
+        await this.endCallWithMessage(client, session, 'max_duration', closingMessage, 'Max call duration reached');
+    }
+    /**
+     * Cut in on whatever is playing, say a closing line and hang up the call
+     */
+    async endCallWithMessage(client, session, endReason, closingMessage, closeReason) {
+        session.endReason = endReason;
+        session.isProcessing = true;
+        this.clearNoInputTimer(session);
+        if (this.isAgentSpeaking(session)) {
+            this.stopAgentPlayback(client, session);
+        }
+        await this.sendFinalResponse(client, closingMessage, session);
+        await this.saveTranscript(session.callLogId, 'assistant', closingMessage);
+        await this.hangUpCall(client, session, closeReason);
+    }
+    /**
+     * Hang up through Exotel (closing the stream alone can leave the flow running) and close the stream
+     */
+    async hangUpCall(client, session, closeReason) {
+        const callSid = session.callSid ||
+            (await CallLog_1.CallLog.findById(session.callLogId).select('exotelCallSid').lean())?.exotelCallSid;
+        if (callSid) {
+            await exotel_service_1.exotelService.hangupCall(callSid).catch((error) => {
+                logger_1.logger.warn('Failed to hang up call', {
+                    callLogId: session.callLogId,
+                    callSid,
+                    endReason: session.endReason,
+                    error: error.message
+                });
+            });
+        }
+        client.close(1000, closeReason);
+    }
+    /**
+     * Wait until Exotel has played everything sent so far, plus carrier-side buffering
+     */
+    async waitForPlaybackEnd(session) {
+        const remainingPlaybackMs = Math.max(0, (session.outboundAudioEndAt || 0) - Date.now());
+        await new Promise((resolve) => setTimeout(resolve, remainingPlaybackMs + this.END_CALL_PLAYBACK_MARGIN_MS));
+    }
+    /**
+     * Apply a command from a supervisor watching the call (routed here by callMonitorService)
+     * - whisper: hidden instruction for the next LLM turn
+     * - hangup: end the call now with the supervisor's closing line
+     */
+    async handleSupervisorCommand(client, session, command) {
+        if (!this.sessions.has(client.id) || client.readyState !== 1 || session.endReason) {
+            return;
         }
-        // Check if we've been receiving audio for too long (user speaking continuously or background noise)
-        const speechDuration = now - session.firstSpeechTime;
-        if (speechDuration > this.MAX_SPEECH_DURATION && !session.isProcessing) {
-            logger_1.logger.info('⏱️ MAX DURATION REACHED (v3) - auto-processing', {
-                duration: `${speechDuration}ms`,
-                bufferSize: session.audioBuffer.length
+        logger_1.logger.info('🎧 SUPERVISOR COMMAND', {
+            callLogId: session.callLogId,
+            type: command.type,
+            userId: command.userId
+        });
+        if (command.type === 'whisper') {
+            voicePipeline_service_1.voicePipelineService.addSupervisorInstruction(session.callLogId, {
+                actionId: command.actionId,
+                message: command.message
             });
-            // Clear silence timeout
-            if (session.silenceTimeout) {
-                clearTimeout(session.silenceTimeout);
-                session.silenceTimeout = undefined;
-            }
-            // Reset first speech time for next turn
-            session.firstSpeechTime = undefined;
-            // Mark as processing immediately
-            session.isProcessing = true;
-            // Process in background (no holding message)
-            this.processUserSpeech(client, session).catch((error) => {
-                logger_1.logger.error('Error processing speech after max duration', {
-                    clientId: client.id,
-                    error: error.message
-                });
+            this.publishMonitorEvent(session, 'supervisor.whisper', {
+                message: command.message,
+                userId: command.userId
             });
-            return; // Don't set silence timeout
+            return;
         }
-        // Clear existing silence timeout
-        if (session.silenceTimeout) {
-            clearTimeout(session.silenceTimeout);
+        if (command.type === 'hangup') {
+            this.publishMonitorEvent(session, 'supervisor.hangup', {
+                message: command.message,
+                userId: command.userId
+            });
+            await callMonitor_service_1.callMonitorService.markSupervisorActionApplied(session.callLogId, command.actionId);
+            await this.endCallWithMessage(client, session, 'supervisor_hangup', command.message || this.SUPERVISOR_HANGUP_DEFAULT_CLOSING, 'Ended by supervisor');
         }
-        // Set new silence timeout (only if not already processing)
-        // Note: For Deepgram VAD, use live streaming connection instead
-        if (!session.isProcessing) {
-            session.silenceTimeout = setTimeout(async () => {
-                const silenceDetectedAt = Date.now();
-                const timeSinceLastSpeech = silenceDetectedAt - session.lastSpeechTime;
-                // Reset first speech time for next turn
-                session.firstSpeechTime = undefined;
-                // Mark as processing
-                session.isProcessing = true;
-                // Process user speech directly (no holding message)
-                await this.processUserSpeech(client, session);
-            }, this.SILENCE_THRESHOLD);
+    }
+    /**
+     * Pending supervisor whispers for the LLM turn being built (each is used once)
+     */
+    takeSupervisorInstructions(session) {
+        const instructions = voicePipeline_service_1.voicePipelineService.takeSupervisorInstructions(session.callLogId);
+        for (const instruction of instructions) {
+            callMonitor_service_1.callMonitorService.markSupervisorActionApplied(session.callLogId, instruction.actionId);
         }
+        return instructions.map((instruction) => instruction.message);
     }
     /**
-     * Handle stream stop event
+     * Resolve the no-input (caller silence) policy with defaults
+     * Opt-in, so existing agents don't start reprompting or hanging up on quiet callers
      */
-    async handleStop(client, session, message) {
-        // Process any remaining audio
-        if (session.audioBuffer.length > 0 && !session.isProcessing) {
-            // CRITICAL: Set isProcessing IMMEDIATELY to prevent session deletion
-            session.isProcessing = true;
-            // Process in background (no holding message)
-            this.processUserSpeech(client, session).catch((error) => {
-                logger_1.logger.error('Error processing final speech on stop', {
+    getNoInputConfig(session) {
+        const noInput = session.agent.config?.noInput || {};
+        return {
+            enabled: noInput.enabled === true,
+            timeoutMs: (noInput.timeoutSec || 8) * 1000,
+            reprompts: (noInput.reprompts || []).filter((phrase) => !!phrase?.trim()),
+            generateReprompts: noInput.generateReprompts === true,
+            maxReprompts: noInput.maxReprompts ?? 2,
+            closingMessage: noInput.closingMessage || this.NO_INPUT_DEFAULT_CLOSING
+        };
+    }
+    /**
+     * Caller said something (or pressed a key) - stop the no-input countdown
+     */
+    noteCallerActivity(session) {
+        this.clearNoInputTimer(session);
+        session.noInputCount = 0;
+    }
+    clearNoInputTimer(session) {
+        if (session.noInputTimeout) {
+            clearTimeout(session.noInputTimeout);
+            session.noInputTimeout = undefined;
+        }
+    }
+    /**
+     * Start the no-input countdown once the agent's audio has finished playing
+     */
+    armNoInputTimer(client, session) {
+        const noInput = this.getNoInputConfig(session);
+        this.clearNoInputTimer(session);
+        if (!noInput.enabled || session.transfer || session.endReason) {
+            return;
+        }
+        const remainingPlaybackMs = Math.max(0, (session.outboundAudioEndAt || 0) - Date.now());
+        session.noInputTimeout = setTimeout(() => {
+            session.noInputTimeout = undefined;
+            this.handleNoInput(client, session).catch((error) => {
+                logger_1.logger.error('Error handling caller no-input', {
                     clientId: client.id,
                     error: error.message
                 });
             });
+        }, remainingPlaybackMs + noInput.timeoutMs);
+    }
+    /**
+     * Caller stayed silent: reprompt, or say the closing line and hang up once
+     * the reprompts are used up (CallLog.endReason = 'caller_inactivity')
+     */
+    async handleNoInput(client, session) {
+        if (!this.sessions.has(client.id) || client.readyState !== 1 || session.endReason) {
+            return;
         }
-        else {
+        // Not actually idle - the agent is busy/talking or the caller is mid-utterance
+        const callerMidTurn = !!session.userTranscript?.trim() || !!session.partialTranscript?.trim() || !!session.dtmfDigits;
+        if (session.isProcessing || callerMidTurn || this.isAgentSpeaking(session)) {
+            this.armNoInputTimer(client, session);
+            return;
+        }
+        const noInput = this.getNoInputConfig(session);
+        session.noInputCount = (session.noInputCount || 0) + 1;
+        session.isProcessing = true;
+        try {
+            if (session.noInputCount > noInput.maxReprompts) {
+                logger_1.logger.info('🔇 CALLER INACTIVE - Ending call', {
+                    callLogId: session.callLogId,
+                    reprompts: noInput.maxReprompts
+                });
+                await this.endCallWithMessage(client, session, 'caller_inactivity', noInput.closingMessage, 'Caller inactive');
+                return;
+            }
+            const reprompt = await this.getNoInputReprompt(session, noInput);
+            logger_1.logger.info('🔇 No caller input - reprompting', {
+                callLogId: session.callLogId,
+                attempt: session.noInputCount,
+                maxReprompts: noInput.maxReprompts
+            });
+            this.beginPlaybackTurn(session);
+            await this.speakText(client, reprompt, session);
+            const spokenReprompt = this.getSpokenResponse(session, reprompt);
+            if (spokenReprompt) {
+                await this.saveTranscript(session.callLogId, 'assistant', spokenReprompt, {
+                    interrupted: !!session.playback?.interrupted
+                });
+            }
+            session.lastAgentResponseTime = Date.now();
+        }
+        finally {
+            session.isProcessing = false;
+            if (!session.endReason) {
+                this.scheduleInterruptionTurn(client, session);
+                this.armNoInputTimer(client, session);
+            }
         }
-        // DON'T mark call as completed here - stop just means "user stopped speaking"
-        // The call is only completed when WebSocket disconnects (handled in handleDisconnect)
     }
     /**
-     * Handle mark event from Exotel
-     * This signals that Exotel has finished processing/playing the audio we sent
+     * Next reprompt line: the agent's phrases in rotation, or one written by the LLM
      */
-    async handleMark(client, session, message) {
-        const markName = message.mark?.name;
-        // Mark received means Exotel finished playing our audio
-        // Session is now ready for user input automatically
+    async getNoInputReprompt(session, noInput) {
+        const phrases = noInput.reprompts.length > 0 ? noInput.reprompts : this.NO_INPUT_DEFAULT_REPROMPTS;
+        const fallback = phrases[(session.noInputCount - 1) % phrases.length];
+        const llm = providerRegistry_service_1.providerRegistry.resolveLLM(session.agent.config?.llm);
+        // The stub LLM can only echo the caller, so offline tests use the configured phrases
+        if (!noInput.generateReprompts || llm.provider.id === 'stub') {
+            return fallback;
+        }
+        try {
+            const conversationHistory = await this.getConversationHistoryMessages(session.callLogId);
+            const activeLanguage = session.detectedLanguage || session.agent.config?.language || 'en';
+            const result = await llm.provider.chat([
+                {
+                    role: 'system',
+                    content: 'You are a phone agent and the caller has gone silent. ' +
+                        'Write one short, friendly line (max 15 words) to check they are still there, following on from the conversation. ' +
+                        `Reply in the conversation's language (${activeLanguage}). Plain text only - it will be read aloud.`
+                },
+                ...conversationHistory.slice(-6),
+                { role: 'user', content: '[The caller has been silent]' }
+            ], { model: llm.model, temperature: 0.7, maxTokens: 40 });
+            return result.text.trim() || fallback;
+        }
+        catch (error) {
+            logger_1.logger.warn('Failed to generate no-input reprompt', {
+                callLogId: session.callLogId,
+                error: error.message
+            });
+            return fallback;
+        }
     }
     /**
      * Send AI greeting to caller
@@ -746,20 +2027,31 @@ class ExotelVoiceHandler {
             // Use new greetingMessage field, fallback to firstMessage, then default
             const greeting = agent.config?.greetingMessage || agent.config?.firstMessage || 'Hello! How can I help you today?';
             let audioDurationMs = 0;
-            // Use streaming for Deepgram, non-streaming for others
-            if (config.voiceProvider === 'deepgram') {
-                // Stream with Deepgram for ultra-low latency
-                audioDurationMs = await this.streamTTSToExotel(client, greeting, session);
+            // Track greeting playback so the caller can barge in over it
+            this.beginPlaybackTurn(session);
+            const segment = this.startPlaybackSegment(session, greeting);
+            try {
+                // Use streaming for streaming providers, non-streaming for others
+                if (this.hasStreamingTTS(session)) {
+                    audioDurationMs = await this.streamTTSToExotel(client, greeting, session, { cacheable: true });
+                }
+                else {
+                    // Generate audio using TTS for other providers
+                    const audioBuffer = await voicePipeline_service_1.voicePipelineService.generateFirstMessage(greeting, config);
+                    // OpenAI/ElevenLabs return MP3 - need conversion
+                    audioDurationMs = await this.sendAudioToExotel(client, audioBuffer, session.streamSid);
+                }
+            }
+            finally {
+                this.endPlaybackSegment(session, segment);
+            }
+            // Save to transcript (cut down to what was heard if the caller barged in)
+            const spokenGreeting = this.getSpokenResponse(session, greeting);
+            if (spokenGreeting) {
+                await this.saveTranscript(callLogId, 'assistant', spokenGreeting, {
+                    interrupted: !!session.playback?.interrupted
+                });
             }
-            else {
-                // Generate audio using TTS for other providers
-                const audioBuffer = await voicePipeline_service_1.voicePipelineService.generateFirstMessage(greeting, config);
-                // OpenAI/ElevenLabs return MP3 - need conversion
-                await this.sendAudioToExotel(client, audioBuffer, session.streamSid);
-                audioDurationMs = (audioBuffer.length / 16000) * 1000;
-            }
-            // Save to transcript
-            await this.saveTranscript(callLogId, 'assistant', greeting);
             // Send MARK event to get notified when Exotel finishes playing
             // This is the correct way per Exotel docs - NOT "clear"!
             try {
@@ -774,6 +2066,7 @@ class ExotelVoiceHandler {
             }
             catch (error) {
             }
+            this.armNoInputTimer(client, session);
         }
         catch (error) {
             logger_1.logger.error('❌ GREETING FAILED (v13)', {
@@ -801,9 +2094,17 @@ class ExotelVoiceHandler {
             const activeLanguage = session.detectedLanguage || session.agent.config?.language || 'en';
             const systemPrompt = (0, systemPrompt_1.buildLLMPrompt)({
                 agentPersona,
+                callerMemory: voicePipeline_service_1.voicePipelineService.getCallerMemory(session.callLogId),
                 ragContext: undefined, // Skip RAG for early LLM to maximize speed
                 language: activeLanguage,
-                enableAutoLanguageDetection: session.agent.config?.enableAutoLanguageDetection
+                enableAutoLanguageDetection: session.agent.config?.enableAutoLanguageDetection,
+                dtmf: session.agent.config?.dtmf,
+                transfer: callTransfer_service_1.callTransferService.canTransfer(session.agent)
+                    ? callTransfer_service_1.callTransferService.getTransferConfig(session.agent)
+                    : undefined,
+                endCall: this.getEndCallConfig(session).llm,
+                wrapUp: !!session.wrapUp,
+                supervisorInstructions: this.takeSupervisorInstructions(session)
             });
             // Prepare messages with PARTIAL transcript
             const messages = [
@@ -811,75 +2112,32 @@ class ExotelVoiceHandler {
                 ...conversationHistory,
                 { role: 'user', content: partialTranscript } // Using partial transcript!
             ];
-            // Determine which LLM service to use
-            const model = session.agent.config?.llm?.model || 'gpt-4o-mini';
-            const isClaude = model.startsWith('claude-');
-            // Get streaming generator
-            const streamGenerator = isClaude && anthropic_service_1.anthropicService.isAvailable()
-                ? anthropic_service_1.anthropicService.getChatCompletionStream(messages, {
-                    model,
-                    temperature: session.agent.config?.llm?.temperature || 0.7,
-                    maxTokens: session.agent.config?.llm?.maxTokens,
-                    systemPrompt
-                })
-                : openai_service_1.openaiService.getChatCompletionStream(messages, {
-                    model,
-                    temperature: session.agent.config?.llm?.temperature || 0.7,
-                    maxTokens: session.agent.config?.llm?.maxTokens
-                });
-            let earlyResponse = '';
-            let sentenceBuffer = '';
-            const sentenceEnders = ['.', '!', '?', '\n'];
-            let firstToken = false;
-            if (!session.timings.ttsStart) {
-                session.timings.ttsStart = Date.now();
-            }
-            // Stream the LLM response
-            for await (const chunk of streamGenerator) {
-                if (!firstToken) {
-                    session.timings.llmFirstToken = Date.now();
-                    firstToken = true;
-                }
-                earlyResponse += chunk;
-                sentenceBuffer += chunk;
-                // Store early response in session
-                session.earlyLLMResponse = earlyResponse;
-                // Check if we have a complete sentence
-                const lastChar = sentenceBuffer.trim().slice(-1);
-                if (sentenceEnders.includes(lastChar) && sentenceBuffer.trim().length > 10) {
-                    const sentence = sentenceBuffer.trim();
-                    if (!session.timings.ttsFirstChunk) {
-                        session.timings.ttsFirstChunk = Date.now();
-                    }
-                    // Synthesize and stream sentence immediately
-                    if (session.config.voiceProvider === 'deepgram') {
-                        await this.streamTTSToExotel(client, sentence, session);
-                    }
-                    else {
-                        const audioResponse = await voicePipeline_service_1.voicePipelineService.synthesizeText(sentence, session.config);
-                        await this.sendAudioToExotel(client, audioResponse, session.streamSid);
-                    }
-                    // Clear sentence buffer
-                    sentenceBuffer = '';
-                }
-            }
-            // Send any remaining text in buffer
-            if (sentenceBuffer.trim().length > 0) {
-                if (session.config.voiceProvider === 'deepgram') {
-                    await this.streamTTSToExotel(client, sentenceBuffer.trim(), session);
-                }
-                else {
-                    const audioResponse = await voicePipeline_service_1.voicePipelineService.synthesizeText(sentenceBuffer.trim(), session.config);
-                    await this.sendAudioToExotel(client, audioResponse, session.streamSid);
-                }
-            }
-            session.timings.llmEnd = Date.now();
-            session.timings.ttsEnd = Date.now();
+            // Get streaming generator from the agent's LLM provider
+            const llm = providerRegistry_service_1.providerRegistry.resolveLLM(session.agent.config?.llm);
+            const streamGenerator = llm.provider.chatStream(messages, {
+                model: llm.model,
+                temperature: session.agent.config?.llm?.temperature || 0.7,
+                maxTokens: session.agent.config?.llm?.maxTokens,
+                systemPrompt
+            });
+            this.beginPlaybackTurn(session);
+            // Stream the LLM response clause by clause, keeping the early response in the session
+            const earlyResponse = await this.speakResponseStream(client, session, streamGenerator, (responseSoFar) => {
+                session.earlyLLMResponse = responseSoFar;
+            });
             session.timings.audioSendEnd = Date.now();
             // Log performance metrics for early LLM
-            this.logPerformanceMetrics(session, 'Early LLM (Parallel)');
+            this.logPerformanceMetrics(session, 'Early LLM (Parallel)', 'early');
+            // Reset timings for next turn
+            session.timings = {};
             // Save to transcript (this is the AI's response to the partial transcript)
-            await this.saveTranscript(session.callLogId, 'assistant', earlyResponse);
+            // If the caller barged in, keep only what they actually heard
+            const spokenResponse = this.getSpokenResponse(session, earlyResponse);
+            if (spokenResponse) {
+                await this.saveTranscript(session.callLogId, 'assistant', spokenResponse, {
+                    interrupted: !!session.playback?.interrupted
+                });
+            }
             // Send MARK event
             try {
                 const markMessage = {
@@ -906,26 +2164,34 @@ class ExotelVoiceHandler {
             // Reset flags when early processing completes
             session.llmStarted = false;
             session.isProcessing = false;
+            this.scheduleInterruptionTurn(client, session);
+            this.armNoInputTimer(client, session);
         }
     }
     /**
      * Process user speech from streaming transcript (Deepgram VAD)
      * This is the ULTRA-LOW LATENCY path - no STT needed!
      */
-    async processUserSpeechFromTranscript(client, session) {
+    async processUserSpeechFromTranscript(client, session, input) {
+        // The call is being wound down (duration limit / inactivity) - no new turns
+        if (session.endReason) {
+            return;
+        }
+        // DTMF turns arrive as structured input instead of the accumulated speech transcript
+        const isDtmf = input?.type === 'dtmf';
         logger_1.logger.info('🔄 PROCESSING USER SPEECH FROM TRANSCRIPT', {
             callLogId: session.callLogId,
             userTranscript: session.userTranscript,
+            dtmfDigits: isDtmf ? this.maskDtmfDigits(input.digits, input.option) : undefined,
             llmTriggeredOnPartial: session.llmTriggeredOnPartial,
             earlyLLMResponse: session.earlyLLMResponse ? 'exists' : 'none'
         });
         try {
-            // Clear Sarvam timeout when processing starts
-            if (session.sarvamTranscriptTimeout) {
-                clearTimeout(session.sarvamTranscriptTimeout);
-                session.sarvamTranscriptTimeout = undefined;
-            }
-            const transcript = (session.userTranscript || '').trim();
+            // Any pending end-of-turn is superseded once processing starts
+            this.clearEndOfTurn(session);
+            const transcript = isDtmf
+                ? this.formatDtmfForLLM(input.digits, input.option)
+                : (session.userTranscript || '').trim();
             if (!transcript || transcript.length === 0) {
                 logger_1.logger.warn('⚠️ EMPTY TRANSCRIPT - Skipping save', {
                     callLogId: session.callLogId,
@@ -935,7 +2201,7 @@ class ExotelVoiceHandler {
                 return;
             }
             // Check if early LLM was already triggered on partial transcript
-            if (session.llmTriggeredOnPartial && session.earlyLLMResponse) {
+            if (!isDtmf && session.llmTriggeredOnPartial && session.earlyLLMResponse) {
                 // Early LLM already handled this - just update transcript and reset flags
                 await this.saveTranscript(session.callLogId, 'user', transcript);
                 // Reset flags for next turn
@@ -949,10 +2215,20 @@ class ExotelVoiceHandler {
             // CRITICAL: Clear transcript IMMEDIATELY after extracting it (like reference code)
             // This prevents the agent from processing the same transcript multiple times
             // or processing its own voice that might be picked up
-            session.userTranscript = '';
-            session.partialTranscript = '';
-            // Save user transcript
-            await this.saveTranscript(session.callLogId, 'user', transcript);
+            // (DTMF turns leave any in-progress speech for its own turn)
+            if (isDtmf) {
+                const shownDigits = this.maskDtmfDigits(input.digits, input.option);
+                await this.saveTranscript(session.callLogId, 'user', this.formatDtmfTranscript(shownDigits, input.option), {
+                    type: 'dtmf',
+                    digits: shownDigits
+                });
+            }
+            else {
+                session.userTranscript = '';
+                session.partialTranscript = '';
+                // Save user transcript
+                await this.saveTranscript(session.callLogId, 'user', transcript);
+            }
             // VOICEMAIL DETECTION: Check if this is a voicemail greeting
             // Calculate call duration from first speech time
             const callDurationSeconds = session.firstSpeechTime
@@ -963,7 +2239,7 @@ class ExotelVoiceHandler {
                 const enableVoicemailDetection = voicemailConfig.enabled !== false; // Default: true
                 const minDetectionTime = voicemailConfig.minDetectionTime || 3; // Default: 3 seconds
                 const confidenceThreshold = voicemailConfig.confidenceThreshold || 0.7; // Default: 0.7
-                if (enableVoicemailDetection) {
+                if (enableVoicemailDetection && !isDtmf) {
                     // Configure detection service with agent settings
                     if (voicemailConfig.keywords) {
                         voicemailDetection_service_1.voicemailDetectionService.updateConfig({
@@ -980,6 +2256,11 @@ class ExotelVoiceHandler {
                         callDurationSeconds,
                         detectionTimeSeconds: detectionResult.detectionTimeSeconds
                     });
+                    this.publishMonitorEvent(session, 'voicemail.detection', {
+                        isVoicemail: detectionResult.isVoicemail,
+                        confidence: detectionResult.confidence,
+                        matchedKeywords: detectionResult.matchedKeywords
+                    });
                     if (detectionResult.isVoicemail) {
                         logger_1.logger.warn('📞 VOICEMAIL DETECTED - Terminating call immediately', {
                             callLogId: session.callLogId,
@@ -1047,29 +2328,37 @@ class ExotelVoiceHandler {
                 });
                 // Continue with normal flow if detection fails
             }
-            // Check for end call phrases
-            if (this.shouldEndCall(transcript, session.agent.config.endCallPhrases)) {
-                // Send polite goodbye and end call
-                const goodbyeMessage = 'Thank you for calling! Have a great day. Goodbye!';
-                await this.sendFinalResponse(client, goodbyeMessage, session);
-                await this.saveTranscript(session.callLogId, 'assistant', goodbyeMessage);
-                // Close the call
+            // Transfer phrases hand the caller to a human without an LLM round trip
+            if (!isDtmf && this.shouldTransferCall(transcript, session)) {
+                await this.transferCall(client, session, 'caller_request');
+                session.isProcessing = false;
+                return;
+            }
+            // End-call phrases - fallback for agents that don't leave ending the call to the LLM
+            if (!isDtmf && this.shouldEndCallOnPhrase(transcript, session)) {
+                await this.endCallWithMessage(client, session, 'end_call_phrase', this.getEndCallConfig(session).closingMessage, 'Call ended by user');
                 session.isProcessing = false;
-                client.close(1000, 'Call ended by user');
                 return;
             }
+            // Fill the silence if this turn takes long to get going
+            this.armFillerTimer(client, session);
             // Get conversation history and prepare for LLM
             const conversationHistory = await this.getConversationHistoryMessages(session.callLogId);
             // Get agent persona (prefer new 'persona' field, fallback to 'prompt' for backward compatibility)
             const agentPersona = session.agent.config.persona || session.agent.config.prompt;
             // RAG: Query knowledge base if query is relevant
             let ragContextFormatted;
-            if (rag_service_1.ragService.isQueryRelevantForKB(transcript)) {
+            if (!isDtmf && rag_service_1.ragService.isQueryRelevantForKB(transcript)) {
                 try {
+                    session.lookupPending = true;
+                    session.timings.ragStart = Date.now();
                     const ragContext = await rag_service_1.ragService.queryKnowledgeBase(transcript, session.agent._id.toString(), {
                         topK: 3, // Limit to 3 chunks for phone conversations (keep context short)
                         minScore: 0.7,
                         maxContextLength: 2000 // ~500 tokens max for phone context
+                    }).finally(() => {
+                        session.lookupPending = false;
+                        session.timings.ragEnd = Date.now();
                     });
                     if (ragContext.chunks.length > 0) {
                         // Format RAG context for LLM
@@ -1092,9 +2381,17 @@ class ExotelVoiceHandler {
             // Build complete system prompt: Global Rules + Agent Persona + RAG Context + Language
             const systemPrompt = (0, systemPrompt_1.buildLLMPrompt)({
                 agentPersona,
+                callerMemory: voicePipeline_service_1.voicePipelineService.getCallerMemory(session.callLogId),
                 ragContext: ragContextFormatted,
                 language: activeLanguage,
-                enableAutoLanguageDetection: session.agent.config?.enableAutoLanguageDetection
+                enableAutoLanguageDetection: session.agent.config?.enableAutoLanguageDetection,
+                dtmf: session.agent.config?.dtmf,
+                transfer: callTransfer_service_1.callTransferService.canTransfer(session.agent)
+                    ? callTransfer_service_1.callTransferService.getTransferConfig(session.agent)
+                    : undefined,
+                endCall: this.getEndCallConfig(session).llm,
+                wrapUp: !!session.wrapUp,
+                supervisorInstructions: this.takeSupervisorInstructions(session)
             });
             // ALWAYS include system prompt at the start (it's not in conversationHistory)
             // Format: System Prompt + Chat History + Current User Message
@@ -1103,90 +2400,20 @@ class ExotelVoiceHandler {
                 ...conversationHistory,
                 { role: 'user', content: transcript }
             ];
-            // Generate AI response using LLM with streaming
-            let fullResponse = '';
-            let sentenceBuffer = '';
-            const sentenceEnders = ['.', '!', '?', '\n'];
-            // Determine which LLM service to use based on model
-            const model = session.agent.config?.llm?.model || 'gpt-4o-mini';
-            const isClaude = model.startsWith('claude-');
-            // Get streaming generator based on model type
-            const streamGenerator = isClaude && anthropic_service_1.anthropicService.isAvailable()
-                ? anthropic_service_1.anthropicService.getChatCompletionStream(messages, {
-                    model,
-                    temperature: session.agent.config?.llm?.temperature || 0.7,
-                    maxTokens: session.agent.config?.llm?.maxTokens,
-                    systemPrompt // Use the built system prompt for Claude
-                })
-                : openai_service_1.openaiService.getChatCompletionStream(messages, {
-                    model,
-                    temperature: session.agent.config?.llm?.temperature || 0.7,
-                    maxTokens: session.agent.config?.llm?.maxTokens
-                });
-            // Track total audio duration to wait before sending "clear"
-            let totalAudioDurationMs = 0;
-            // Stream the LLM response and process sentence-by-sentence
-            for await (const chunk of streamGenerator) {
-                // CRITICAL: Check if WebSocket is still open before processing more chunks
-                if (client.readyState !== 1) {
-                    logger_1.logger.warn('WebSocket closed during LLM streaming - stopping response generation', {
-                        clientId: client.id,
-                        readyState: client.readyState,
-                        responseSoFar: fullResponse.substring(0, 100)
-                    });
-                    break; // Stop generating more text if connection is closed
-                }
-                fullResponse += chunk;
-                sentenceBuffer += chunk;
-                // Check if we have a complete sentence
-                const lastChar = sentenceBuffer.trim().slice(-1);
-                if (sentenceEnders.includes(lastChar) && sentenceBuffer.trim().length > 10) {
-                    const sentence = sentenceBuffer.trim();
-                    // Double-check WebSocket is still open before sending TTS
-                    if (client.readyState !== 1) {
-                        logger_1.logger.warn('WebSocket closed before sending TTS - skipping sentence', {
-                            clientId: client.id,
-                            sentence: sentence.substring(0, 50)
-                        });
-                        break;
-                    }
-                    // Synthesize and stream sentence with ULTRA-LOW LATENCY
-                    // Deepgram streaming TTS: Send audio chunks as they're generated (sub-200ms TTFB!)
-                    if (session.config.voiceProvider === 'deepgram') {
-                        const audioDurationMs = await this.streamTTSToExotel(client, sentence, session);
-                        totalAudioDurationMs += audioDurationMs;
-                    }
-                    else {
-                        // Non-streaming fallback for OpenAI/ElevenLabs/Sarvam
-                        const audioResponse = await voicePipeline_service_1.voicePipelineService.synthesizeText(sentence, session.config);
-                        await this.sendAudioToExotel(client, audioResponse, session.streamSid);
-                        totalAudioDurationMs += (audioResponse.length / 16000) * 1000;
-                    }
-                    // Clear sentence buffer
-                    sentenceBuffer = '';
-                }
-            }
-            // Send any remaining text in buffer (only if WebSocket is still open)
-            if (sentenceBuffer.trim().length > 0 && client.readyState === 1) {
-                // Use streaming TTS for remaining buffer too
-                if (session.config.voiceProvider === 'deepgram') {
-                    const audioDurationMs = await this.streamTTSToExotel(client, sentenceBuffer.trim(), session);
-                    totalAudioDurationMs += audioDurationMs;
-                }
-                else {
-                    const audioResponse = await voicePipeline_service_1.voicePipelineService.synthesizeText(sentenceBuffer.trim(), session.config);
-                    await this.sendAudioToExotel(client, audioResponse, session.streamSid);
-                    totalAudioDurationMs += (audioResponse.length / 16000) * 1000;
-                }
-            }
-            else if (sentenceBuffer.trim().length > 0 && client.readyState !== 1) {
-                logger_1.logger.warn('WebSocket closed - skipping remaining response buffer', {
-                    clientId: client.id,
-                    remainingText: sentenceBuffer.trim().substring(0, 50)
+            // Stream from OpenAI/Claude (picked by model), running any agent HTTP tools in between
+            session.timings.llmStart = Date.now();
+            const streamGenerator = this.createResponseStream(client, session, messages, systemPrompt);
+            this.beginPlaybackTurn(session);
+            // Each clause is synthesized and sent while the LLM keeps generating
+            // Streaming TTS (Deepgram/ElevenLabs) sends audio chunks as they're generated
+            const fullResponse = await this.speakResponseStream(client, session, streamGenerator);
+            // Save AI response to transcript - only the part the caller heard if they barged in
+            const spokenResponse = this.getSpokenResponse(session, fullResponse);
+            if (spokenResponse) {
+                await this.saveTranscript(session.callLogId, 'assistant', spokenResponse, {
+                    interrupted: !!session.playback?.interrupted
                 });
             }
-            // Save complete AI response to transcript
-            await this.saveTranscript(session.callLogId, 'assistant', fullResponse);
             // Send MARK event to get notified when Exotel finishes playing
             try {
                 const markMessage = {
@@ -1203,9 +2430,11 @@ class ExotelVoiceHandler {
             }
             // Log final performance metrics
             session.timings.audioSendEnd = Date.now();
-            this.logPerformanceMetrics(session, 'Normal Flow (Streaming STT)');
+            this.logPerformanceMetrics(session, 'Normal Flow (Streaming STT)', 'streaming');
             // Reset timings for next turn
             session.timings = {};
+            await this.runPendingTransfer(client, session, spokenResponse);
+            await this.runPendingEndCall(client, session, spokenResponse);
         }
         catch (error) {
             logger_1.logger.error('Error processing user speech from transcript', {
@@ -1215,12 +2444,18 @@ class ExotelVoiceHandler {
         }
         finally {
             session.isProcessing = false;
+            this.clearFillerTimer(session);
+            this.scheduleInterruptionTurn(client, session);
+            this.armNoInputTimer(client, session);
         }
     }
     /**
      * Process accumulated user speech (FALLBACK for batch STT)
      */
     async processUserSpeech(client, session) {
+        if (session.endReason) {
+            return;
+        }
         // Don't check isProcessing here - caller already checked and set it
         if (session.audioBuffer.length === 0) {
             session.isProcessing = false;
@@ -1238,64 +2473,28 @@ class ExotelVoiceHandler {
             const audioData = Buffer.concat(session.audioBuffer);
             session.audioBuffer = [];
             // Convert incoming audio to PCM for transcription
-            const pcmAudio = await this.convertIncomingAudioToPCM(audioData);
-            // Transcribe with Deepgram (much faster than Whisper: <1s vs 8s)
-            // Falls back to Whisper if Deepgram not available or returns empty
-            let transcript;
-            let detectedLanguage;
-            let languageConfidence;
-            // Determine language parameter for transcription
+            const pcmAudio = await this.convertIncomingAudioToPCM(audioData, session.audioFormat.sampleRate);
+            // Transcribe with the call's STT provider
+            // Falls back to Whisper if the provider hears nothing
             const configuredLanguage = session.agent.config?.language || 'en';
             const enableAutoDetect = session.agent.config?.enableAutoLanguageDetection || false;
-            const preferredSTTProvider = session.agent.config?.sttProvider || 'deepgram';
-            // Normalize language for STT providers
-            // Map 'multilingual-*' to appropriate values for each provider
-            const normalizeLanguageForSTT = (lang, provider) => {
-                if (enableAutoDetect)
-                    return undefined; // Auto-detect mode
-                // Multilingual modes need to be normalized
-                if (lang === 'multilingual-intl' || lang === 'multilingual-indian') {
-                    if (provider === 'deepgram')
-                        return 'multi'; // Deepgram uses 'multi'
-                    if (provider === 'sarvam')
-                        return 'hi'; // Sarvam defaults to Hindi for multilingual
-                    return undefined; // Whisper will auto-detect
-                }
-                return lang; // Use language as-is for specific languages
-            };
-            // Use the STT provider specified in agent config
-            if (preferredSTTProvider === 'deepgram' && deepgram_service_1.deepgramService.isAvailable()) {
-                const result = await deepgram_service_1.deepgramService.transcribeAudio(pcmAudio, normalizeLanguageForSTT(configuredLanguage, 'deepgram'));
-                transcript = result.text;
-                detectedLanguage = result.detectedLanguage;
-                // If Deepgram returns empty, try Whisper as fallback with language detection
-                if (!transcript || transcript.trim().length === 0) {
-                    const transcription = await openai_service_1.openaiService.transcribeAudio(pcmAudio, normalizeLanguageForSTT(configuredLanguage, 'whisper'));
-                    transcript = transcription.text;
-                    detectedLanguage = transcription.detectedLanguage;
-                    languageConfidence = transcription.confidence;
-                }
-            }
-            else if (preferredSTTProvider === 'sarvam' && sarvam_service_1.sarvamService.isAvailable()) {
-                // Use Sarvam for Indian languages
-                const result = await sarvam_service_1.sarvamService.transcribeAudio(pcmAudio, normalizeLanguageForSTT(configuredLanguage, 'sarvam'));
-                transcript = result.text;
-                detectedLanguage = result.detectedLanguage;
-                // If Sarvam returns empty, try Whisper as fallback
-                if (!transcript || transcript.trim().length === 0) {
-                    const transcription = await openai_service_1.openaiService.transcribeAudio(pcmAudio, normalizeLanguageForSTT(configuredLanguage, 'whisper'));
-                    transcript = transcription.text;
-                    detectedLanguage = transcription.detectedLanguage;
-                    languageConfidence = transcription.confidence;
-                }
-            }
-            else {
-                // Fallback to Whisper (always available)
-                const transcription = await openai_service_1.openaiService.transcribeAudio(pcmAudio, normalizeLanguageForSTT(configuredLanguage, 'whisper'));
-                transcript = transcription.text;
-                detectedLanguage = transcription.detectedLanguage;
-                languageConfidence = transcription.confidence;
-            }
+            const sttProvider = session.sttProvider ||
+                sttProvider_service_1.sttProviderService.selectProvider(configuredLanguage, enableAutoDetect, session.agent.config?.sttProvider || 'deepgram').provider;
+            const transcribe = (provider) => provider.transcribe(pcmAudio, provider.resolveLanguage(configuredLanguage, {
+                autoDetect: enableAutoDetect,
+                streaming: false
+            }));
+            session.timings.sttStart = Date.now();
+            let result = await transcribe(sttProvider);
+            const retryProvider = providerRegistry_service_1.providerRegistry.resolve('stt', 'whisper');
+            if (!result.text?.trim() && retryProvider && retryProvider !== sttProvider) {
+                result = await transcribe(retryProvider);
+            }
+            session.timings.sttEnd = Date.now();
+            session.timings.finalTranscript = session.timings.sttEnd;
+            const transcript = result.text;
+            const detectedLanguage = result.detectedLanguage;
+            const languageConfidence = result.confidence;
             // Log and store language detection if enabled
             if (enableAutoDetect && detectedLanguage) {
                 logger_1.logger.info('🌍 Language detected in user speech (batch)', {
@@ -1316,27 +2515,38 @@ class ExotelVoiceHandler {
                             previousLanguage,
                             newLanguage: detectedLanguage
                         });
+                        this.publishMonitorEvent(session, 'language.switch', {
+                            from: previousLanguage,
+                            to: detectedLanguage
+                        });
+                    }
+                    const languageSwitch = await this.applyDetectedLanguage(session, detectedLanguage, languageConfidence ?? 0.9);
+                    if (languageSwitch || (previousLanguage && previousLanguage !== detectedLanguage)) {
+                        this.prewarmFillerAudio(session);
                     }
-                    await voicePipeline_service_1.voicePipelineService.updateDetectedLanguage(session.callLogId, detectedLanguage, languageConfidence ?? 0.9);
                 }
             }
             if (!transcript || transcript.trim().length === 0) {
                 session.isProcessing = false;
                 return;
             }
+            this.noteCallerActivity(session);
             // Save user transcript
             await this.saveTranscript(session.callLogId, 'user', transcript);
-            // Check for end call phrases
-            if (this.shouldEndCall(transcript, session.agent.config.endCallPhrases)) {
-                // Send polite goodbye and end call
-                const goodbyeMessage = 'Thank you for calling! Have a great day. Goodbye!';
-                await this.sendFinalResponse(client, goodbyeMessage, session);
-                await this.saveTranscript(session.callLogId, 'assistant', goodbyeMessage);
-                // Close the call
+            // Transfer phrases hand the caller to a human without an LLM round trip
+            if (this.shouldTransferCall(transcript, session)) {
+                await this.transferCall(client, session, 'caller_request');
                 session.isProcessing = false;
-                client.close(1000, 'Call ended by user');
                 return;
             }
+            // End-call phrases - fallback for agents that don't leave ending the call to the LLM
+            if (this.shouldEndCallOnPhrase(transcript, session)) {
+                await this.endCallWithMessage(client, session, 'end_call_phrase', this.getEndCallConfig(session).closingMessage, 'Call ended by user');
+                session.isProcessing = false;
+                return;
+            }
+            // Fill the silence if this turn takes long to get going
+            this.armFillerTimer(client, session);
             // Get conversation history and prepare for LLM
             const conversationHistory = await this.getConversationHistoryMessages(session.callLogId);
             // Get agent persona (prefer new 'persona' field, fallback to 'prompt' for backward compatibility)
@@ -1345,10 +2555,15 @@ class ExotelVoiceHandler {
             let ragContextFormatted;
             if (rag_service_1.ragService.isQueryRelevantForKB(transcript)) {
                 try {
+                    session.lookupPending = true;
+                    session.timings.ragStart = Date.now();
                     const ragContext = await rag_service_1.ragService.queryKnowledgeBase(transcript, session.agent._id.toString(), {
                         topK: 3, // Limit to 3 chunks for phone conversations (keep context short)
                         minScore: 0.7,
                         maxContextLength: 2000 // ~500 tokens max for phone context
+                    }).finally(() => {
+                        session.lookupPending = false;
+                        session.timings.ragEnd = Date.now();
                     });
                     if (ragContext.chunks.length > 0) {
                         // Format RAG context for LLM
@@ -1357,115 +2572,53 @@ class ExotelVoiceHandler {
                     else {
                     }
                 }
-                catch (error) {
-                    logger_1.logger.error('❌ RAG: Failed to query knowledge base', {
-                        error: error.message
-                    });
-                    // Continue without RAG context - don't fail the entire call
-                }
-            }
-            else {
-            }
-            // Determine active language from session (detected or configured)
-            const activeLanguage = session.detectedLanguage || session.agent.config?.language || 'en';
-            // Build complete system prompt: Global Rules + Agent Persona + RAG Context + Language
-            const systemPrompt = (0, systemPrompt_1.buildLLMPrompt)({
-                agentPersona,
-                ragContext: ragContextFormatted,
-                language: activeLanguage,
-                enableAutoLanguageDetection: session.agent.config?.enableAutoLanguageDetection
-            });
-            // ALWAYS include system prompt at the start (it's not in conversationHistory)
-            // Format: System Prompt + Chat History + Current User Message
-            const messages = [
-                { role: 'system', content: systemPrompt },
-                ...conversationHistory,
-                { role: 'user', content: transcript }
-            ];
-            // Generate AI response using LLM with streaming
-            let fullResponse = '';
-            let sentenceBuffer = '';
-            const sentenceEnders = ['.', '!', '?', '\n'];
-            // Determine which LLM service to use based on model
-            const model = session.agent.config?.llm?.model || 'gpt-4o-mini';
-            const isClaude = model.startsWith('claude-');
-            // Get streaming generator based on model type
-            const streamGenerator = isClaude && anthropic_service_1.anthropicService.isAvailable()
-                ? anthropic_service_1.anthropicService.getChatCompletionStream(messages, {
-                    model,
-                    temperature: session.agent.config?.llm?.temperature || 0.7,
-                    maxTokens: session.agent.config?.llm?.maxTokens,
-                    systemPrompt // Use the built system prompt for Claude
-                })
-                : openai_service_1.openaiService.getChatCompletionStream(messages, {
-                    model,
-                    temperature: session.agent.config?.llm?.temperature || 0.7,
-                    maxTokens: session.agent.config?.llm?.maxTokens
-                });
-            // Track total audio duration to wait before sending "clear"
-            let totalAudioDurationMs = 0;
-            // Stream the LLM response and process sentence-by-sentence
-            for await (const chunk of streamGenerator) {
-                // CRITICAL: Check if WebSocket is still open before processing more chunks
-                if (client.readyState !== 1) {
-                    logger_1.logger.warn('WebSocket closed during LLM streaming - stopping response generation', {
-                        clientId: client.id,
-                        readyState: client.readyState,
-                        responseSoFar: fullResponse.substring(0, 100)
-                    });
-                    break; // Stop generating more text if connection is closed
-                }
-                fullResponse += chunk;
-                sentenceBuffer += chunk;
-                // Check if we have a complete sentence
-                const lastChar = sentenceBuffer.trim().slice(-1);
-                if (sentenceEnders.includes(lastChar) && sentenceBuffer.trim().length > 10) {
-                    const sentence = sentenceBuffer.trim();
-                    // Double-check WebSocket is still open before sending TTS
-                    if (client.readyState !== 1) {
-                        logger_1.logger.warn('WebSocket closed before sending TTS - skipping sentence', {
-                            clientId: client.id,
-                            sentence: sentence.substring(0, 50)
-                        });
-                        break;
-                    }
-                    // Synthesize and stream sentence with ULTRA-LOW LATENCY
-                    // Deepgram streaming TTS: Send audio chunks as they're generated (sub-200ms TTFB!)
-                    if (session.config.voiceProvider === 'deepgram') {
-                        const audioDurationMs = await this.streamTTSToExotel(client, sentence, session);
-                        totalAudioDurationMs += audioDurationMs;
-                    }
-                    else {
-                        // Non-streaming fallback for OpenAI/ElevenLabs/Sarvam
-                        const audioResponse = await voicePipeline_service_1.voicePipelineService.synthesizeText(sentence, session.config);
-                        await this.sendAudioToExotel(client, audioResponse, session.streamSid);
-                        totalAudioDurationMs += (audioResponse.length / 16000) * 1000;
-                    }
-                    // Clear sentence buffer
-                    sentenceBuffer = '';
-                }
-            }
-            // Send any remaining text in buffer (only if WebSocket is still open)
-            if (sentenceBuffer.trim().length > 0 && client.readyState === 1) {
-                // Use streaming TTS for remaining buffer too
-                if (session.config.voiceProvider === 'deepgram') {
-                    const audioDurationMs = await this.streamTTSToExotel(client, sentenceBuffer.trim(), session);
-                    totalAudioDurationMs += audioDurationMs;
-                }
-                else {
-                    const audioResponse = await voicePipeline_service_1.voicePipelineService.synthesizeText(sentenceBuffer.trim(), session.config);
-                    await this.sendAudioToExotel(client, audioResponse, session.streamSid);
-                    totalAudioDurationMs += (audioResponse.length / 16000) * 1000;
+                catch (error) {
+                    logger_1.logger.error('❌ RAG: Failed to query knowledge base', {
+                        error: error.message
+                    });
+                    // Continue without RAG context - don't fail the entire call
                 }
             }
-            else if (sentenceBuffer.trim().length > 0 && client.readyState !== 1) {
-                logger_1.logger.warn('WebSocket closed - skipping remaining response buffer', {
-                    clientId: client.id,
-                    remainingText: sentenceBuffer.trim().substring(0, 50)
+            else {
+            }
+            // Determine active language from session (detected or configured)
+            const activeLanguage = session.detectedLanguage || session.agent.config?.language || 'en';
+            // Build complete system prompt: Global Rules + Agent Persona + RAG Context + Language
+            const systemPrompt = (0, systemPrompt_1.buildLLMPrompt)({
+                agentPersona,
+                callerMemory: voicePipeline_service_1.voicePipelineService.getCallerMemory(session.callLogId),
+                ragContext: ragContextFormatted,
+                language: activeLanguage,
+                enableAutoLanguageDetection: session.agent.config?.enableAutoLanguageDetection,
+                dtmf: session.agent.config?.dtmf,
+                transfer: callTransfer_service_1.callTransferService.canTransfer(session.agent)
+                    ? callTransfer_service_1.callTransferService.getTransferConfig(session.agent)
+                    : undefined,
+                endCall: this.getEndCallConfig(session).llm,
+                wrapUp: !!session.wrapUp,
+                supervisorInstructions: this.takeSupervisorInstructions(session)
+            });
+            // ALWAYS include system prompt at the start (it's not in conversationHistory)
+            // Format: System Prompt + Chat History + Current User Message
+            const messages = [
+                { role: 'system', content: systemPrompt },
+                ...conversationHistory,
+                { role: 'user', content: transcript }
+            ];
+            // Stream from OpenAI/Claude (picked by model), running any agent HTTP tools in between
+            session.timings.llmStart = Date.now();
+            const streamGenerator = this.createResponseStream(client, session, messages, systemPrompt);
+            this.beginPlaybackTurn(session);
+            // Each clause is synthesized and sent while the LLM keeps generating
+            // Streaming TTS (Deepgram/ElevenLabs) sends audio chunks as they're generated
+            const fullResponse = await this.speakResponseStream(client, session, streamGenerator);
+            // Save AI response to transcript - only the part the caller heard if they barged in
+            const spokenResponse = this.getSpokenResponse(session, fullResponse);
+            if (spokenResponse) {
+                await this.saveTranscript(session.callLogId, 'assistant', spokenResponse, {
+                    interrupted: !!session.playback?.interrupted
                 });
             }
-            // Save complete AI response to transcript
-            await this.saveTranscript(session.callLogId, 'assistant', fullResponse);
             // Send MARK event to get notified when Exotel finishes playing
             // This is the correct way per Exotel docs - NOT "clear"!
             try {
@@ -1480,6 +2633,11 @@ class ExotelVoiceHandler {
             }
             catch (error) {
             }
+            session.timings.audioSendEnd = Date.now();
+            this.logPerformanceMetrics(session, 'Normal Flow (Batch STT)', 'batch');
+            session.timings = {};
+            await this.runPendingTransfer(client, session, spokenResponse);
+            await this.runPendingEndCall(client, session, spokenResponse);
         }
         catch (error) {
             logger_1.logger.error('Error processing user speech', {
@@ -1497,6 +2655,9 @@ class ExotelVoiceHandler {
                 clientId: client.id,
                 cooldownTime: session.lastAgentResponseTime
             });
+            this.clearFillerTimer(session);
+            this.scheduleInterruptionTurn(client, session);
+            this.armNoInputTimer(client, session);
         }
     }
     /**
@@ -1513,10 +2674,10 @@ class ExotelVoiceHandler {
                 });
                 return;
             }
-            // Exotel requires chunks in multiples of 320 bytes
+            // Exotel requires chunks in multiples of 320 bytes (10ms at 8kHz)
             // Minimum: 3.2k (100ms), Maximum: 100k
-            // We'll use 3200 bytes (100ms of audio at 8kHz 16-bit mono)
-            const chunkSize = 3200; // 100ms chunks
+            // We'll use 100ms of audio at the call's rate (3200 bytes at 8kHz 16-bit mono)
+            const chunkSize = this.getFrameBytes(session); // 100ms chunks
             // Check if WebSocket is still connected
             if (client.readyState !== 1) { // 1 = OPEN
                 logger_1.logger.error('WebSocket not open when trying to send audio', {
@@ -1550,21 +2711,18 @@ class ExotelVoiceHandler {
                     });
                     break;
                 }
+                // Caller barged in - drop the rest of this response
+                if (session.playback?.interrupted) {
+                    logger_1.logger.debug('Audio transmission stopped - caller interrupted', {
+                        clientId: client.id,
+                        chunksSent,
+                        totalChunks
+                    });
+                    break;
+                }
                 const chunk = pcmAudio.slice(i, i + chunkSize);
-                const payload = chunk.toString('base64');
-                const message = {
-                    event: 'media',
-                    stream_sid: streamSid || client.id,
-                    sequence_number: session.sequenceNumber.toString(),
-                    media: {
-                        track: 'outbound', // Explicitly mark as outbound to caller
-                        chunk: session.sequenceNumber.toString(),
-                        timestamp: Date.now().toString(),
-                        payload
-                    }
-                };
                 try {
-                    client.send(JSON.stringify(message));
+                    this.sendMediaFrame(client, session, chunk, streamSid);
                     chunksSent++;
                     bytesSent += chunk.length;
                     // Log every 5th chunk to avoid spam
@@ -1574,7 +2732,7 @@ class ExotelVoiceHandler {
                             chunkNum: chunksSent,
                             totalChunks,
                             chunkBytes: chunk.length,
-                            sequence: session.sequenceNumber
+                            sequence: session.sequenceNumber - 1
                         });
                     }
                 }
@@ -1587,7 +2745,6 @@ class ExotelVoiceHandler {
                     });
                     break;
                 }
-                session.sequenceNumber++; // Increment global sequence number
                 // ⚡ v6 OPTIMIZATION: Removed 20ms delay for ultra-low latency
                 // Modern WebSockets and Exotel can handle bursts without artificial throttling
                 // Saves ~20ms × chunks = ~1000ms for typical 5-second audio!
@@ -1613,41 +2770,152 @@ class ExotelVoiceHandler {
     /**
      * Send audio to Exotel (convert MP3/WAV to PCM first, then stream)
      * Used for AI-generated responses that come as MP3
+     * Returns the playing time of the audio (ms)
      */
     async sendAudioToExotel(client, audioBuffer, streamSid) {
+        const session = this.sessions.get(client.id);
+        if (!session) {
+            return 0;
+        }
         try {
-            // Convert MP3/WAV to Linear PCM format (16-bit, 8kHz, mono, little-endian)
-            const pcmAudio = await this.convertToPCM(audioBuffer);
+            // Convert MP3/WAV to Linear PCM format (16-bit, mono, little-endian) at the call's rate
+            const pcmAudio = await this.convertToPCM(audioBuffer, session.audioFormat.sampleRate);
             // Use the PCM sender
             await this.sendPCMAudioToExotel(client, pcmAudio, streamSid);
+            return this.pcmDurationMs(session, pcmAudio.length);
         }
         catch (error) {
             logger_1.logger.error('Error converting and sending audio to Exotel', {
                 clientId: client.id,
                 error: error.message
             });
+            return 0;
+        }
+    }
+    /**
+     * Send one frame of agent audio (16-bit PCM at the call's rate) in the call's wire encoding
+     */
+    sendMediaFrame(client, session, pcmChunk, streamSid) {
+        const message = {
+            event: 'media',
+            stream_sid: streamSid || session.streamSid || client.id,
+            sequence_number: session.sequenceNumber.toString(),
+            media: {
+                track: 'outbound', // Explicitly mark as outbound to caller
+                chunk: session.sequenceNumber.toString(),
+                timestamp: Date.now().toString(),
+                payload: audioConverter_1.audioConverter.encodeForWire(pcmChunk, session.audioFormat).toString('base64')
+            }
+        };
+        client.send(JSON.stringify(message));
+        this.trackOutboundAudio(session, pcmChunk);
+        session.sequenceNumber++;
+    }
+    /**
+     * Outbound frame size: 100ms of 16-bit PCM at the call's rate (3200 bytes at 8kHz)
+     */
+    getFrameBytes(session) {
+        return 100 * (0, audioConverter_1.pcmBytesPerMs)(session.audioFormat.sampleRate);
+    }
+    /**
+     * Synthesize a complete clip in the call's voice
+     * A failed clip is retried once with the same voice, so a timeout or one bad sentence
+     * doesn't change the voice the caller hears. The call switches to the next voice of the
+     * agent's failover chain for the rest of the call only when the provider looks down
+     * (auth, 5xx, connection errors) or keeps failing across clips.
+     */
+    async synthesizeForCall(session, text, options = {}, retried = false) {
+        const voiceProvider = session.config.voiceProvider;
+        try {
+            const audio = await voicePipeline_service_1.voicePipelineService.synthesizeText(text, session.config, options);
+            session.failedTTSClips = 0;
+            return audio;
+        }
+        catch (error) {
+            // Clips synthesized in parallel fail together - only the first one switches voices
+            if (session.config.voiceProvider !== voiceProvider) {
+                return this.synthesizeForCall(session, text, options);
+            }
+            const providerDown = this.isTTSProviderDown(error);
+            if (!providerDown && !retried) {
+                await new Promise((resolve) => setTimeout(resolve, this.TTS_RETRY.delayMs));
+                return this.synthesizeForCall(session, text, options, true);
+            }
+            session.failedTTSClips = (session.failedTTSClips || 0) + 1;
+            if (!providerDown && session.failedTTSClips < this.TTS_RETRY.failoverAfterClips) {
+                throw error;
+            }
+            if (!this.failoverTTS(session, error)) {
+                throw error;
+            }
+            session.failedTTSClips = 0;
+            return this.synthesizeForCall(session, text, options);
+        }
+    }
+    /**
+     * Whether a TTS error means the provider itself is unusable rather than one clip failing
+     * Provider services mostly rethrow with the HTTP status in the message
+     */
+    isTTSProviderDown(error) {
+        const status = error.response?.status || Number(/status code (\d{3})/.exec(error.message || '')?.[1]);
+        if (status === 401 || status === 403 || status >= 500) {
+            return true;
+        }
+        return /not available|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|ECONNRESET|EHOSTUNREACH/.test(`${error.code || ''} ${error.message || ''}`);
+    }
+    /**
+     * Move the call to the next usable TTS voice; false when there is none left
+     */
+    failoverTTS(session, error) {
+        const failedProvider = session.config.voiceProvider;
+        session.failedTTSProviders = [...(session.failedTTSProviders || []), failedProvider];
+        const language = voicePipeline_service_1.voicePipelineService.getActiveLanguage(session.config);
+        const voice = voicePipeline_service_1.voicePipelineService.getFailoverVoice(session.agent.config, language, session.failedTTSProviders);
+        if (!voice) {
+            this.recordProviderEvent(session, {
+                kind: 'tts',
+                type: 'exhausted',
+                provider: failedProvider,
+                reason: error.message,
+                attempts: session.failedTTSProviders.length
+            });
+            return false;
         }
+        // Shared with the voice pipeline session - later language switches start from this voice
+        session.config.voiceProvider = voice.provider;
+        session.config.voiceId = voice.voiceId;
+        this.recordProviderEvent(session, {
+            kind: 'tts',
+            type: 'failover',
+            provider: failedProvider,
+            toProvider: voice.provider,
+            reason: error.message,
+            attempts: session.failedTTSProviders.length
+        });
+        this.prewarmFillerAudio(session);
+        return true;
     }
     /**
      * Stream TTS directly to Exotel with ULTRA-LOW latency
-     * Supports: Deepgram (PCM streaming) and ElevenLabs (MP3 streaming)
-     * Sends audio chunks as they're generated for lowest latency
+     * Providers with streaming synthesis send audio chunks as they're generated
      */
-    async streamTTSToExotel(client, text, session) {
+    async streamTTSToExotel(client, text, session, options = {}) {
         try {
-            const provider = session.config.voiceProvider;
-            // Route to appropriate streaming service
-            if (provider === 'deepgram') {
-                return await this.streamDeepgramTTSToExotel(client, text, session);
+            const provider = voicePipeline_service_1.voicePipelineService.getSynthesisProvider(session.config);
+            // Phrases synthesized before (greetings, closings) come from the TTS cache
+            const cachedAudio = await voicePipeline_service_1.voicePipelineService.getCachedSpeech(text, session.config);
+            if (cachedAudio || options.cacheable) {
+                const audioBuffer = cachedAudio ||
+                    await this.synthesizeForCall(session, text, { persist: true });
+                return await this.sendAudioToExotel(client, audioBuffer, session.streamSid);
             }
-            else if (provider === 'elevenlabs') {
-                return await this.streamElevenLabsTTSToExotel(client, text, session);
+            if (provider?.capabilities.streaming) {
+                return await this.streamProviderTTSToExotel(client, text, session, provider);
             }
             else {
                 // Fallback to non-streaming for other providers
-                const audioBuffer = await voicePipeline_service_1.voicePipelineService.synthesizeText(text, session.config);
-                await this.sendAudioToExotel(client, audioBuffer, session.streamSid);
-                return (audioBuffer.length / 16000) * 1000;
+                const audioBuffer = await this.synthesizeForCall(session, text);
+                return await this.sendAudioToExotel(client, audioBuffer, session.streamSid);
             }
         }
         catch (error) {
@@ -1656,147 +2924,515 @@ class ExotelVoiceHandler {
                 provider: session.config.voiceProvider,
                 error: error.message
             });
-            // Fallback to non-streaming
-            const audioBuffer = await voicePipeline_service_1.voicePipelineService.synthesizeText(text, session.config);
-            await this.sendAudioToExotel(client, audioBuffer, session.streamSid);
-            return (audioBuffer.length / 16000) * 1000;
+            // Fallback to non-streaming (fails over to another voice if the provider is down)
+            const audioBuffer = await this.synthesizeForCall(session, text);
+            return await this.sendAudioToExotel(client, audioBuffer, session.streamSid);
         }
     }
     /**
-     * Stream Deepgram TTS to Exotel (PCM, sub-200ms TTFB)
+     * LLM response stream for a caller turn (text chunks)
+     * Agent HTTP tools run inside the stream; a filler line is spoken if they are slow
      */
-    async streamDeepgramTTSToExotel(client, text, session) {
-        // CRITICAL: Clear buffer at start to prevent corruption from previous sentence
-        session.deepgramBuffer = Buffer.alloc(0);
-        let totalAudioBytes = 0;
-        let chunkCount = 0;
-        // Use Deepgram's streaming TTS with callback - PROCESS IMMEDIATELY for low latency
-        await deepgramTTS_service_1.deepgramTTSService.synthesizeStreaming(text, async (audioChunk) => {
-            // Process chunk immediately as it arrives (true streaming!)
-            await this.sendDeepgramChunkToExotel(client, audioChunk, session);
-            totalAudioBytes += audioChunk.length;
-            chunkCount++;
-        }, session.config.voiceId || 'aura-asteria-en');
-        // CRITICAL: Flush any remaining audio in buffer after all chunks processed
-        const flushedBytes = await this.flushDeepgramBuffer(client, session);
-        totalAudioBytes += flushedBytes;
-        // Calculate audio duration: bytes / (sample_rate * bytes_per_sample * channels)
-        // 8000 Hz * 2 bytes (16-bit) * 1 channel = 16000 bytes/second
-        const audioDurationMs = (totalAudioBytes / 16000) * 1000;
-        return audioDurationMs;
+    createResponseStream(client, session, messages, systemPrompt) {
+        return agentTools_service_1.agentToolsService.streamResponse({
+            agent: session.agent,
+            messages,
+            systemPrompt,
+            callLogId: session.callLogId,
+            builtinTools: this.getBuiltinTools(session),
+            onToolCall: (invocation) => {
+                this.publishMonitorEvent(session, 'tool.call', {
+                    name: invocation.name,
+                    arguments: invocation.arguments,
+                    success: invocation.success,
+                    statusCode: invocation.statusCode,
+                    error: invocation.error,
+                    latencyMs: invocation.latencyMs
+                });
+            },
+            onToolWait: async (fillerMessage, { custom } = {}) => {
+                if (client.readyState !== 1 || session.playback?.interrupted) {
+                    return;
+                }
+                // Tools without their own filler line use the pre-rendered clips (no TTS wait)
+                if (!custom && this.playFiller(client, session, 'lookup')) {
+                    return;
+                }
+                await this.speakText(client, fillerMessage, session);
+            }
+        });
+    }
+    /**
+     * Whether the voice provider streams audio as it is synthesized (Deepgram, ElevenLabs)
+     */
+    hasStreamingTTS(session) {
+        return !!voicePipeline_service_1.voicePipelineService.getSynthesisProvider(session.config)?.capabilities.streaming;
+    }
+    /**
+     * Ordered TTS queue for one response
+     * Clauses are spoken strictly in order, but pushing never blocks, so the LLM stream keeps
+     * being read while earlier clauses play. Non-streaming providers (Sarvam, OpenAI)
+     * synthesize each clause as soon as it is queued and only the send waits its turn.
+     */
+    createSpeechQueue(client, session) {
+        let tail = Promise.resolve();
+        let totalAudioDurationMs = 0;
+        return {
+            push: (text) => {
+                if (!session.timings.ttsStart) {
+                    session.timings.ttsStart = Date.now();
+                }
+                const prefetchedAudio = this.hasStreamingTTS(session)
+                    ? undefined
+                    : this.synthesizeForCall(session, text).catch((error) => {
+                        logger_1.logger.error('Failed to synthesize response clause', {
+                            clientId: client.id,
+                            text: text.substring(0, 50),
+                            error: error.message
+                        });
+                        return null;
+                    });
+                tail = tail.then(async () => {
+                    if (client.readyState !== 1 || session.playback?.interrupted) {
+                        return;
+                    }
+                    totalAudioDurationMs += await this.speakText(client, text, session, prefetchedAudio);
+                }).catch((error) => {
+                    logger_1.logger.error('Failed to speak response clause', {
+                        clientId: client.id,
+                        error: error.message
+                    });
+                });
+            },
+            drain: async () => {
+                await tail;
+                session.timings.ttsEnd = Date.now();
+                return totalAudioDurationMs;
+            }
+        };
+    }
+    /**
+     * Speak an LLM response stream as it is generated
+     * The token stream is split into clauses (SpeechChunker) that go to TTS as soon as they
+     * are complete. Resolves with the full response text once all audio has been sent.
+     * onText receives the response so far after every chunk.
+     */
+    async speakResponseStream(client, session, streamGenerator, onText) {
+        const chunker = new speechChunker_1.SpeechChunker();
+        const speech = this.createSpeechQueue(client, session);
+        let fullResponse = '';
+        try {
+            for await (const chunk of streamGenerator) {
+                // CRITICAL: Check if WebSocket is still open before processing more chunks
+                if (client.readyState !== 1) {
+                    logger_1.logger.warn('WebSocket closed during LLM streaming - stopping response generation', {
+                        clientId: client.id,
+                        readyState: client.readyState,
+                        responseSoFar: fullResponse.substring(0, 100)
+                    });
+                    break; // Stop generating more text if connection is closed
+                }
+                // Caller barged in - stop generating, the interruption becomes the next turn
+                if (session.playback?.interrupted) {
+                    break;
+                }
+                if (!session.timings.llmFirstToken) {
+                    session.timings.llmFirstToken = Date.now();
+                }
+                fullResponse += chunk;
+                onText?.(fullResponse);
+                for (const clause of chunker.push(chunk)) {
+                    speech.push(clause);
+                }
+            }
+            session.timings.llmEnd = Date.now();
+            // Send any remaining text (only if WebSocket is still open)
+            const remainingText = chunker.flush();
+            if (remainingText && client.readyState === 1 && !session.playback?.interrupted) {
+                speech.push(remainingText);
+            }
+            else if (remainingText && client.readyState !== 1) {
+                logger_1.logger.warn('WebSocket closed - skipping remaining response buffer', {
+                    clientId: client.id,
+                    remainingText: remainingText.substring(0, 50)
+                });
+            }
+        }
+        finally {
+            // Already queued clauses finish (or stop on barge-in) even if the LLM stream failed
+            await speech.drain();
+        }
+        return fullResponse;
+    }
+    /**
+     * Whether the LLM gets tools this call (early LLM on partials is skipped then -
+     * tool calls with side effects must come from the caller's final words)
+     */
+    hasLLMTools(session) {
+        return agentTools_service_1.agentToolsService.hasTools(session.agent) ||
+            callTransfer_service_1.callTransferService.canTransfer(session.agent) ||
+            this.getEndCallConfig(session).llm;
+    }
+    /**
+     * In-process tools offered to the LLM alongside the agent's HTTP tools
+     */
+    getBuiltinTools(session) {
+        const tools = [];
+        if (callTransfer_service_1.callTransferService.canTransfer(session.agent)) {
+            tools.push({
+                name: 'transfer_call',
+                description: 'Transfer the caller to a human agent. Use when the caller asks for a person, or when you cannot help them. ' +
+                    'Before calling this, tell the caller you are connecting them.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        reason: {
+                            type: 'string',
+                            enum: ['caller_request', 'negative_sentiment', 'out_of_scope', 'other'],
+                            description: 'Why the call is being transferred'
+                        }
+                    },
+                    required: ['reason']
+                },
+                // The transfer runs after this turn's reply has been spoken
+                handler: async (args) => {
+                    session.pendingTransfer = { reason: args.reason || 'other' };
+                    return { status: 'transfer_scheduled' };
+                }
+            });
+        }
+        if (this.getEndCallConfig(session).llm) {
+            tools.push({
+                name: 'end_call',
+                description: 'Hang up the call. Use only when the conversation is over: the caller\'s request is handled, ' +
+                    'they are not interested, you reached the wrong person, or they asked to be called back later. ' +
+                    'Say your goodbye in the same reply - the call ends once it has been spoken.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        reason: {
+                            type: 'string',
+                            enum: this.END_CALL_REASONS,
+                            description: 'Why the call is ending'
+                        }
+                    },
+                    required: ['reason']
+                },
+                // The hangup runs after this turn's reply has been spoken
+                handler: async (args) => {
+                    const reason = this.END_CALL_REASONS.includes(args.reason) ? args.reason : 'other';
+                    session.pendingEndCall = { reason };
+                    return { status: 'end_call_scheduled' };
+                }
+            });
+        }
+        return tools;
+    }
+    /**
+     * How the agent ends calls: the LLM's end_call tool (opt-in with config.endCall.llm)
+     * and/or matching config.endCallPhrases in the caller's words - on by default only when
+     * the LLM decides, since every agent carries default phrases like "bye" that misfire mid-sentence
+     */
+    getEndCallConfig(session) {
+        const endCall = session.agent.config?.endCall || {};
+        const llm = endCall.llm === true;
+        return {
+            llm,
+            keywordFallback: endCall.keywordFallback ?? !llm,
+            closingMessage: endCall.closingMessage || this.END_CALL_DEFAULT_CLOSING
+        };
+    }
+    /**
+     * Check if the caller said one of the agent's end-call phrases (when phrase matching is on)
+     */
+    shouldEndCallOnPhrase(transcript, session) {
+        return this.getEndCallConfig(session).keywordFallback &&
+            this.shouldEndCall(transcript, session.agent.config.endCallPhrases);
+    }
+    /**
+     * Check if the caller asked for a human using one of the agent's transfer phrases
+     * Phrases must appear whole - "humane" or "agents" in passing don't start a live transfer
+     */
+    shouldTransferCall(transcript, session) {
+        if (!callTransfer_service_1.callTransferService.canTransfer(session.agent)) {
+            return false;
+        }
+        return this.containsWholePhrase(transcript, callTransfer_service_1.callTransferService.getTransferConfig(session.agent).triggerPhrases);
+    }
+    /**
+     * Check if any phrase occurs as whole words (no letter, mark or digit on either side, any script)
+     */
+    containsWholePhrase(transcript, phrases = []) {
+        const text = transcript.toLowerCase().replace(/\s+/g, ' ').trim();
+        return phrases.some((phrase) => {
+            const words = phrase.toLowerCase().trim().split(/\s+/).filter(Boolean);
+            if (words.length === 0) {
+                return false;
+            }
+            const pattern = words.map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+');
+            return new RegExp(`(^|[^\\p{L}\\p{M}\\p{N}])${pattern}($|[^\\p{L}\\p{M}\\p{N}])`, 'u').test(text);
+        });
+    }
+    /**
+     * Warm transfer: announce the handoff, record it and hand the call to a human
+     * 'flow' mode ends the bot stream so the Exotel flow continues to its Connect applet;
+     * 'api' mode bridges through the Exotel REST API and hangs up the AI leg
+     */
+    async transferCall(client, session, reason, options = {}) {
+        if (session.transfer) {
+            return false;
+        }
+        if (!callTransfer_service_1.callTransferService.canTransfer(session.agent)) {
+            logger_1.logger.warn('Transfer requested but agent has no transfer target', {
+                callLogId: session.callLogId,
+                reason
+            });
+            return false;
+        }
+        const transferConfig = callTransfer_service_1.callTransferService.getTransferConfig(session.agent);
+        session.transfer = { reason, startedAt: Date.now() };
+        logger_1.logger.info('📲 TRANSFERRING CALL TO HUMAN', {
+            clientId: client.id,
+            callLogId: session.callLogId,
+            reason,
+            mode: transferConfig.mode,
+            numbers: transferConfig.numbers
+        });
+        try {
+            // Summarise the call while the handoff line plays
+            const summaryPromise = transferConfig.whisper
+                ? callTransfer_service_1.callTransferService.generateWhisperSummary(session.callLogId, reason, session.agent)
+                : Promise.resolve(undefined);
+            if (options.announce !== false) {
+                const announcement = options.message || transferConfig.handoffMessage;
+                await this.sendFinalResponse(client, announcement, session);
+                await this.saveTranscript(session.callLogId, 'assistant', announcement);
+            }
+            await callTransfer_service_1.callTransferService.startTransfer({
+                callLogId: session.callLogId,
+                agent: session.agent,
+                reason,
+                callSid: session.callSid,
+                summary: await summaryPromise
+            });
+            client.close(1000, 'Call transferred to human agent');
+            return true;
+        }
+        catch (error) {
+            logger_1.logger.error('Call transfer failed - staying on the AI agent', {
+                callLogId: session.callLogId,
+                reason,
+                error: error.message
+            });
+            session.transfer = undefined;
+            const apology = transferConfig.failureMessage;
+            await this.speakText(client, apology, session);
+            await this.saveTranscript(session.callLogId, 'assistant', apology);
+            return false;
+        }
+    }
+    /**
+     * Run a transfer the LLM asked for (transfer_call) once its reply has been spoken
+     */
+    async runPendingTransfer(client, session, spokenResponse) {
+        if (!session.pendingTransfer) {
+            return;
+        }
+        const { reason } = session.pendingTransfer;
+        session.pendingTransfer = undefined;
+        // The LLM usually says "let me connect you" itself; only announce if it said nothing
+        await this.transferCall(client, session, reason, { announce: !spokenResponse?.trim() });
+    }
+    /**
+     * Hang up a call the LLM ended (end_call) once its goodbye has finished playing
+     */
+    async runPendingEndCall(client, session, spokenResponse) {
+        if (!session.pendingEndCall) {
+            return;
+        }
+        const { reason } = session.pendingEndCall;
+        session.pendingEndCall = undefined;
+        if (client.readyState !== 1 || session.transfer || session.endReason) {
+            return;
+        }
+        // The caller cut in on the goodbye - they still have something to say
+        if (session.playback?.interrupted) {
+            logger_1.logger.info('End call cancelled - caller interrupted the goodbye', {
+                callLogId: session.callLogId,
+                reason
+            });
+            return;
+        }
+        session.endReason = 'agent_hangup';
+        session.endCallReason = reason;
+        session.isProcessing = true;
+        this.clearNoInputTimer(session);
+        logger_1.logger.info('👋 AGENT ENDED CALL', {
+            clientId: client.id,
+            callLogId: session.callLogId,
+            reason
+        });
+        this.publishMonitorEvent(session, 'call.end', { reason });
+        // The LLM normally says goodbye itself; only play the closing line if it said nothing
+        if (!spokenResponse?.trim()) {
+            const closingMessage = this.getEndCallConfig(session).closingMessage;
+            await this.speakText(client, closingMessage, session);
+            await this.saveTranscript(session.callLogId, 'assistant', closingMessage);
+        }
+        // Exotel is still playing what was sent - don't cut the goodbye off
+        await this.waitForPlaybackEnd(session);
+        if (client.readyState === 1) {
+            await this.hangUpCall(client, session, `Call ended by agent (${reason})`);
+        }
+    }
+    /**
+     * Speak one sentence of an agent response and track it for barge-in
+     * Deepgram streams directly; other providers synthesize then send
+     * Returns audio duration in ms (0 if the turn was already interrupted)
+     */
+    async speakText(client, text, session, prefetchedAudio) {
+        if (session.playback?.interrupted) {
+            return 0;
+        }
+        const segment = this.startPlaybackSegment(session, text);
+        try {
+            if (!prefetchedAudio && this.hasStreamingTTS(session)) {
+                return await this.streamTTSToExotel(client, text, session);
+            }
+            const audioResponse = prefetchedAudio
+                ? await prefetchedAudio
+                : await this.synthesizeForCall(session, text);
+            if (!audioResponse) {
+                return 0;
+            }
+            this.markTTSFirstByte(session);
+            return await this.sendAudioToExotel(client, audioResponse, session.streamSid);
+        }
+        finally {
+            this.endPlaybackSegment(session, segment);
+        }
+    }
+    /**
+     * First synthesized audio of the turn's response (latency waterfall)
+     */
+    markTTSFirstByte(session) {
+        if (session.timings?.llmStart && !session.timings.ttsFirstChunk) {
+            session.timings.ttsFirstChunk = Date.now();
+        }
     }
     /**
-     * Stream ElevenLabs TTS to Exotel (MP3 → PCM conversion, sub-400ms TTFB)
+     * Stream a provider's TTS to Exotel as it is synthesized
+     * PCM streams (Deepgram, Cartesia - sub-200ms TTFB) are re-chunked as they arrive;
+     * MP3 streams (ElevenLabs, sub-400ms TTFB) are converted to PCM chunk by chunk
      */
-    async streamElevenLabsTTSToExotel(client, text, session) {
+    async streamProviderTTSToExotel(client, text, session, provider) {
+        // CRITICAL: Clear buffer at start to prevent corruption from previous sentence
+        session.ttsStreamBuffer = Buffer.alloc(0);
         let totalAudioBytes = 0;
-        let chunkCount = 0;
-        // Use ElevenLabs streaming TTS with callback
-        await elevenlabsTTS_service_1.elevenlabsTTSService.synthesizeStreaming(text, async (audioChunk) => {
-            // ElevenLabs returns MP3 chunks - need to convert to PCM
+        // Rendered at the call's rate when the provider can, else resampled chunk by chunk
+        const callRate = session.audioFormat.sampleRate;
+        const sampleRates = provider.capabilities.sampleRates || [8000];
+        const renderRate = sampleRates.includes(callRate) ? callRate : sampleRates[0];
+        const language = voicePipeline_service_1.voicePipelineService.getActiveLanguage(session.config);
+        await provider.synthesizeStreaming(voicePipeline_service_1.voicePipelineService.getSpokenText(text, session.config, language), async (audioChunk) => {
+            this.markTTSFirstByte(session);
+            if (provider.capabilities.streamFormat === 'pcm') {
+                // Process chunk immediately as it arrives (true streaming!)
+                const pcmChunk = audioConverter_1.audioConverter.resamplePCM(audioChunk, renderRate, callRate);
+                await this.sendPCMChunkToExotel(client, pcmChunk, session);
+                totalAudioBytes += pcmChunk.length;
+                return;
+            }
             try {
-                const pcmAudio = await audioConverter_1.audioConverter.convertToPCM(audioChunk);
+                const pcmAudio = await audioConverter_1.audioConverter.convertToPCM(audioChunk, callRate);
                 await this.sendPCMAudioToExotel(client, pcmAudio, session.streamSid);
                 totalAudioBytes += pcmAudio.length;
-                chunkCount++;
             }
             catch (error) {
-                logger_1.logger.error('Failed to convert ElevenLabs chunk to PCM', {
+                logger_1.logger.error('Failed to convert streamed TTS chunk to PCM', {
+                    provider: provider.id,
                     error: error.message
                 });
             }
-        }, session.config.voiceId || 'EXAVITQu4vr4xnSDxMaL', // Rachel
-        'eleven_turbo_v2_5' // Fastest model
-        );
-        // Calculate audio duration
-        const audioDurationMs = (totalAudioBytes / 16000) * 1000;
-        return audioDurationMs;
+        }, {
+            voiceId: session.config.voiceId,
+            voiceSettings: session.config.voiceSettings,
+            language,
+            sampleRate: renderRate
+        });
+        // CRITICAL: Flush any remaining audio in buffer after all chunks processed
+        totalAudioBytes += await this.flushPCMBuffer(client, session);
+        // Calculate audio duration: bytes / (sample_rate * bytes_per_sample * channels)
+        return this.pcmDurationMs(session, totalAudioBytes);
     }
     /**
-     * Send Deepgram audio chunk to Exotel with proper chunking
-     * CRITICAL: Exotel expects 3200-byte chunks (100ms frames)
-     * Deepgram sends variable-sized chunks, so we buffer and re-chunk
+     * Send a streamed PCM TTS chunk to Exotel with proper chunking
+     * CRITICAL: Exotel expects 100ms frames (3200 bytes at 8kHz)
+     * Streaming TTS sends variable-sized chunks, so we buffer and re-chunk
      */
-    async sendDeepgramChunkToExotel(client, audioChunk, session) {
+    async sendPCMChunkToExotel(client, audioChunk, session) {
         // Check WebSocket is still connected
         if (client.readyState !== 1) {
             return;
         }
+        // Caller barged in - the provider keeps generating, but nothing more goes out
+        if (session.playback?.interrupted) {
+            return;
+        }
         // Initialize buffer if not exists
-        if (!session.deepgramBuffer) {
-            session.deepgramBuffer = Buffer.alloc(0);
+        if (!session.ttsStreamBuffer) {
+            session.ttsStreamBuffer = Buffer.alloc(0);
         }
         // Append new chunk to buffer
-        session.deepgramBuffer = Buffer.concat([session.deepgramBuffer, audioChunk]);
-        // Send in 3200-byte chunks (100ms frames @ 8kHz 16-bit mono)
-        const CHUNK_SIZE = 3200;
-        while (session.deepgramBuffer.length >= CHUNK_SIZE) {
-            const chunk = session.deepgramBuffer.slice(0, CHUNK_SIZE);
-            session.deepgramBuffer = session.deepgramBuffer.slice(CHUNK_SIZE);
-            const payload = chunk.toString('base64');
-            const message = {
-                event: 'media',
-                stream_sid: session.streamSid || client.id,
-                sequence_number: session.sequenceNumber.toString(),
-                media: {
-                    track: 'outbound',
-                    chunk: session.sequenceNumber.toString(),
-                    timestamp: Date.now().toString(),
-                    payload
-                }
-            };
-            client.send(JSON.stringify(message));
-            session.sequenceNumber++;
+        session.ttsStreamBuffer = Buffer.concat([session.ttsStreamBuffer, audioChunk]);
+        // Send in 100ms frames (3200 bytes @ 8kHz 16-bit mono)
+        const CHUNK_SIZE = this.getFrameBytes(session);
+        while (session.ttsStreamBuffer.length >= CHUNK_SIZE) {
+            const chunk = session.ttsStreamBuffer.slice(0, CHUNK_SIZE);
+            session.ttsStreamBuffer = session.ttsStreamBuffer.slice(CHUNK_SIZE);
+            this.sendMediaFrame(client, session, chunk);
             // ⚡ v6 OPTIMIZATION: Removed 20ms delay for ultra-low latency streaming
             // WebSocket handles flow control automatically with TCP backpressure
             // Saves ~1000ms for typical streaming TTS responses!
         }
     }
     /**
-     * Flush any remaining audio in Deepgram buffer (partial chunk < 3200 bytes)
+     * Flush any remaining audio in the streamed TTS buffer (partial frame < 100ms)
      * CRITICAL: Call this after each TTS stream completes to send final audio
      * Returns the number of bytes flushed (excluding padding)
      */
-    async flushDeepgramBuffer(client, session) {
-        if (!session.deepgramBuffer || session.deepgramBuffer.length === 0) {
+    async flushPCMBuffer(client, session) {
+        if (!session.ttsStreamBuffer || session.ttsStreamBuffer.length === 0) {
             return 0;
         }
         // Check WebSocket is still connected
         if (client.readyState !== 1) {
             return 0;
         }
-        // Send remaining audio (pad to 320-byte multiple if needed)
-        const remainingAudio = session.deepgramBuffer;
-        const paddingNeeded = (320 - (remainingAudio.length % 320)) % 320;
+        if (session.playback?.interrupted) {
+            session.ttsStreamBuffer = Buffer.alloc(0);
+            return 0;
+        }
+        // Send remaining audio (pad to a 10ms multiple - 320 bytes at 8kHz - if needed)
+        const remainingAudio = session.ttsStreamBuffer;
+        const padMultiple = this.getFrameBytes(session) / 10;
+        const paddingNeeded = (padMultiple - (remainingAudio.length % padMultiple)) % padMultiple;
         const paddedAudio = paddingNeeded > 0
             ? Buffer.concat([remainingAudio, Buffer.alloc(paddingNeeded)])
             : remainingAudio;
-        const payload = paddedAudio.toString('base64');
-        const message = {
-            event: 'media',
-            stream_sid: session.streamSid || client.id,
-            sequence_number: session.sequenceNumber.toString(),
-            media: {
-                track: 'outbound',
-                chunk: session.sequenceNumber.toString(),
-                timestamp: Date.now().toString(),
-                payload
-            }
-        };
-        client.send(JSON.stringify(message));
-        session.sequenceNumber++;
+        this.sendMediaFrame(client, session, paddedAudio);
         // Clear buffer
-        session.deepgramBuffer = Buffer.alloc(0);
+        session.ttsStreamBuffer = Buffer.alloc(0);
         return remainingAudio.length;
     }
     /**
      * Convert Exotel PCM audio to WAV for Whisper
      */
-    async convertIncomingAudioToPCM(audioData) {
+    async convertIncomingAudioToPCM(audioData, sampleRate) {
         try {
-            // Exotel Voicebot sends raw 16-bit 8kHz mono PCM (little-endian)
+            // Caller audio is raw 16-bit mono PCM (little-endian) at the call's rate
             // Whisper needs 16kHz WAV format
-            return await audioConverter_1.audioConverter.convertExotelPCMToWAV(audioData);
+            return await audioConverter_1.audioConverter.convertExotelPCMToWAV(audioData, sampleRate);
         }
         catch (error) {
             logger_1.logger.error('Failed to convert incoming audio to WAV', {
@@ -1809,10 +3445,10 @@ class ExotelVoiceHandler {
     /**
      * Convert TTS output to PCM for Exotel
      */
-    async convertToPCM(audioData) {
+    async convertToPCM(audioData, sampleRate) {
         try {
-            // Convert MP3/WAV from TTS to 16-bit 8kHz PCM for Exotel
-            return await audioConverter_1.audioConverter.convertToPCM(audioData);
+            // Convert MP3/WAV from TTS to 16-bit PCM at the call's rate
+            return await audioConverter_1.audioConverter.convertToPCM(audioData, sampleRate);
         }
         catch (error) {
             logger_1.logger.error('Failed to convert TTS audio to PCM', {
@@ -1825,7 +3461,7 @@ class ExotelVoiceHandler {
     /**
      * Save message to call transcript
      */
-    async saveTranscript(callLogId, speaker, text) {
+    async saveTranscript(callLogId, speaker, text, extra = {}) {
         try {
             logger_1.logger.info(`💾 Saving transcript: [${speaker.toUpperCase()}] ${text.substring(0, 100)}...`, {
                 callLogId,
@@ -1837,11 +3473,20 @@ class ExotelVoiceHandler {
                     transcript: {
                         speaker,
                         text,
-                        timestamp: new Date()
+                        timestamp: new Date(),
+                        ...extra
                     }
                 }
             });
             logger_1.logger.info(`✅ Transcript saved successfully`, { callLogId, speaker });
+            const session = this.findSessionByCallLogId(callLogId);
+            if (session && speaker === 'assistant') {
+                session.lastAgentText = text; // Endpointing shortens the wait for answers to a question
+                this.publishMonitorEvent(session, 'agent.response', { text, interrupted: !!extra.interrupted });
+            }
+            else if (session && extra.type === 'dtmf') {
+                this.publishMonitorEvent(session, 'caller.dtmf', { digits: extra.digits, text });
+            }
         }
         catch (error) {
             logger_1.logger.error('Error saving transcript', {
@@ -1883,7 +3528,7 @@ class ExotelVoiceHandler {
             return callLog.transcript
                 .map((t) => ({
                 role: (t.speaker === 'assistant' || t.speaker === 'agent' ? 'assistant' : 'user'),
-                content: t.text
+                content: t.type === 'dtmf' && t.digits ? this.formatDtmfForLLM(t.digits) : t.text
             }));
         }
         catch (error) {
@@ -1927,19 +3572,19 @@ class ExotelVoiceHandler {
     async sendFinalResponse(client, message, session) {
         try {
             let audioDurationMs = 0;
-            // Use streaming TTS if available (Deepgram)
-            if (session.config.voiceProvider === 'deepgram') {
-                audioDurationMs = await this.streamTTSToExotel(client, message, session);
+            // Use streaming TTS if available
+            if (this.hasStreamingTTS(session)) {
+                audioDurationMs = await this.streamTTSToExotel(client, message, session, { cacheable: true });
             }
             else {
-                // Fallback to non-streaming for OpenAI/ElevenLabs/Cartesia
-                const audioBuffer = await voicePipeline_service_1.voicePipelineService.synthesizeText(message, session.config);
-                await this.sendAudioToExotel(client, audioBuffer, session.streamSid);
-                audioDurationMs = (audioBuffer.length / 16000) * 1000;
+                // Fallback to non-streaming for the other providers
+                const audioBuffer = await this.synthesizeForCall(session, message, { persist: true });
+                audioDurationMs = await this.sendAudioToExotel(client, audioBuffer, session.streamSid);
+            }
+            // Wait for the whole message to play before the call is hung up or moved (no "clear" needed)
+            if (audioDurationMs > 0) {
+                await this.waitForPlaybackEnd(session);
             }
-            // Wait for final message to play before ending call (no "clear" needed)
-            const waitTimeMs = Math.max(2000, audioDurationMs * 0.8); // Wait 80% of audio duration or 2s minimum
-            await new Promise(resolve => setTimeout(resolve, waitTimeMs));
         }
         catch (error) {
             logger_1.logger.error('Failed to send final response', {
@@ -1951,6 +3596,7 @@ class ExotelVoiceHandler {
      * Clean up session on disconnect
      */
     async handleDisconnect(client) {
+        this.pendingStartEvents.delete(client.id);
         const session = this.sessions.get(client.id);
         if (!session) {
             return;
@@ -1959,23 +3605,31 @@ class ExotelVoiceHandler {
         if (session.silenceTimeout) {
             clearTimeout(session.silenceTimeout);
         }
-        // Release Deepgram connection back to pool
-        if (session.deepgramConnection) {
+        this.clearEndOfTurn(session);
+        if (session.dtmfTimeout) {
+            clearTimeout(session.dtmfTimeout);
+            session.dtmfTimeout = undefined;
+        }
+        this.clearNoInputTimer(session);
+        this.clearDurationLimit(session);
+        this.clearFillerTimer(session);
+        session.stopSupervisorCommands?.().catch(() => undefined);
+        voicePipeline_service_1.voicePipelineService.clearSupervisorInstructions(session.callLogId);
+        // Close the live STT stream (Deepgram connections go back to the pool)
+        session.sttRecovery = undefined; // Stops a reconnect in progress
+        if (session.sttStream) {
             try {
-                logger_1.logger.info('Releasing Deepgram connection to pool', {
-                    clientId: client.id
-                });
-                // Release connection via pool (handles cleanup and queue processing)
-                deepgramConnectionPool_service_1.deepgramConnectionPool.releaseConnection(client.id);
-                session.deepgramConnection = undefined;
-                logger_1.logger.info('Deepgram connection released successfully', {
+                session.sttProvider.closeStream(client.id, session.sttStream);
+                session.sttStream = undefined;
+                logger_1.logger.info('STT stream closed', {
                     clientId: client.id,
-                    poolStats: deepgramConnectionPool_service_1.deepgramConnectionPool.getStats()
+                    provider: session.sttProvider.id
                 });
             }
             catch (error) {
-                logger_1.logger.error('Failed to release Deepgram connection', {
+                logger_1.logger.error('Failed to close STT stream', {
                     clientId: client.id,
+                    provider: session.sttProvider.id,
                     error: error.message
                 });
             }
@@ -1983,8 +3637,10 @@ class ExotelVoiceHandler {
         // Update call log
         const callLog = await CallLog_1.CallLog.findByIdAndUpdate(session.callLogId, {
             $set: {
-                status: 'completed',
-                endedAt: new Date()
+                status: session.transfer ? 'transferred' : 'completed',
+                endedAt: new Date(),
+                ...(session.endReason ? { endReason: session.endReason } : {}),
+                ...(session.endCallReason ? { endCallReason: session.endCallReason } : {})
             }
         }, { new: true });
         // Release concurrent slot if call was part of a campaign
@@ -2038,6 +3694,23 @@ class ExotelVoiceHandler {
                 });
             }
         }
+        callMonitor_service_1.callMonitorService.unregisterCall(session.callLogId, session.campaignId, {
+            status: callLog?.status,
+            endReason: session.endReason
+        }).catch(() => undefined);
+        if (this.callClients.get(session.callLogId) === client) {
+            this.callClients.delete(session.callLogId);
+        }
+        callOwnership_service_1.callOwnershipService.releaseCall(session.callLogId);
+        // Upload the dual-channel recording in the background (don't block disconnect)
+        const recorder = session.recording;
+        session.recording = undefined;
+        callRecording_service_1.callRecordingService.saveRecording(session.callLogId, recorder).catch(error => {
+            logger_1.logger.error('Failed to save call recording', {
+                callLogId: session.callLogId,
+                error: error.message
+            });
+        });
         // Generate formatted transcript and summary asynchronously (don't block disconnect)
         this.generateTranscriptAsync(session.callLogId).catch(error => {
             logger_1.logger.error('Failed to generate transcript after call', {
@@ -2085,11 +3758,12 @@ class ExotelVoiceHandler {
         if (client.readyState !== 1) {
             return;
         }
-        // 16 bytes per millisecond (8kHz * 2 bytes * 1 channel)
-        const bytesPerMs = 16;
+        // 16 bytes per millisecond at 8kHz (16-bit mono), 32 at 16kHz
+        const bytesPerMs = (0, audioConverter_1.pcmBytesPerMs)(session.audioFormat.sampleRate);
         const rawBytes = durationMs * bytesPerMs;
-        // Ensure multiple of 320 bytes (Exotel requirement) and at least 3200 (100ms)
-        const chunkMultiple = Math.max(3200, Math.ceil(rawBytes / 320) * 320);
+        // Ensure multiple of 10ms (320 bytes at 8kHz - Exotel requirement) and at least 100ms
+        const tenMs = bytesPerMs * 10;
+        const chunkMultiple = Math.max(tenMs * 10, Math.ceil(rawBytes / tenMs) * tenMs);
         const silenceBuffer = Buffer.alloc(chunkMultiple, 0);
         await this.sendPCMAudioToExotel(client, silenceBuffer, session.streamSid);
         logger_1.logger.debug('Sent keep-alive silence to Exotel', {
@@ -75,6 +75,7 @@ class VoicePipelineHandler {
                 voiceProvider: agent.config.voice.provider || 'openai',
                 voiceId: agent.config.voice.voiceId,
                 language: agent.config.language,
+                pronunciations: agent.config.pronunciations,
                 voiceSettings: {
                     stability: agent.config.voice.settings?.stability ?? 0.5,
                     similarityBoost: agent.config.voice.settings?.similarityBoost ?? 0.75
@@ -162,6 +163,7 @@ class VoicePipelineHandler {
                 voiceProvider: agent.config.voice.provider || 'openai',
                 voiceId: agent.config.voice.voiceId,
                 language: agent.config.language,
+                pronunciations: agent.config.pronunciations,
                 voiceSettings: {
                     stability: agent.config.voice.settings?.stability ?? 0.5,
                     similarityBoost: agent.config.voice.settings?.similarityBoost ?? 0.75
@@ -6,6 +6,7 @@ const ws_1 = require("ws");
 const logger_1 = require("../utils/logger");
 const voicePipeline_gateway_1 = require("./handlers/voicePipeline.gateway");
 const exotelVoice_gateway_1 = require("./handlers/exotelVoice.gateway");
+const callMonitor_gateway_1 = require("./handlers/callMonitor.gateway");
 class WebSocketManager {
     constructor(server) {
         this.wss = new ws_1.WebSocketServer({
@@ -15,7 +16,7 @@ class WebSocketManager {
         this.heartbeatInterval = null;
         this.initialize(server);
         logger_1.logger.info('WebSocket server initialized', {
-            paths: ['/ws', '/ws/exotel/voice/:callLogId']
+            paths: ['/ws', '/ws/exotel/voice/:callLogId', '/ws/monitor/:callLogId', '/ws/monitor/campaign/:campaignId']
         });
     }
     initialize(server) {
@@ -30,6 +31,12 @@ class WebSocketManager {
                     this.handleExotelConnection(ws, request);
                 });
             }
+            else if (pathname.startsWith('/ws/monitor/')) {
+                // Supervisor live call monitoring
+                this.wss.handleUpgrade(request, socket, head, (ws) => {
+                    this.handleMonitorConnection(ws, request);
+                });
+            }
             else if (pathname === '/ws' || pathname.startsWith('/ws?')) {
                 // Frontend voice pipeline
                 this.wss.handleUpgrade(request, socket, head, (ws) => {
@@ -110,6 +117,32 @@ class WebSocketManager {
             });
         });
     }
+    handleMonitorConnection(ws, request) {
+        const client = ws;
+        client.id = this.generateClientId();
+        client.isAlive = true;
+        client.connectionType = 'monitor';
+        this.clients.set(client.id, client);
+        client.on('pong', () => {
+            client.isAlive = true;
+        });
+        client.on('close', () => {
+            this.clients.delete(client.id);
+        });
+        client.on('error', (error) => {
+            logger_1.logger.error('Monitor WebSocket error', {
+                clientId: client.id,
+                error: error.message
+            });
+        });
+        callMonitor_gateway_1.callMonitorHandler.handleConnection(client, request).catch((error) => {
+            logger_1.logger.error('Failed to start call monitor', {
+                clientId: client.id,
+                error: error.message
+            });
+            client.close(1011, 'Monitor initialization failed');
+        });
+    }
     handleFrontendConnection(ws, request) {
         const client = ws;
         client.id = this.generateClientId();
@@ -21,6 +21,12 @@ router.post('/', (0, validation_middleware_1.validate)(validation_1.createAgentS
  * @access  Private
  */
 router.get('/', (0, validation_middleware_1.validate)(validation_1.getAgentsSchema), agent_controller_1.agentController.getAgents.bind(agent_controller_1.agentController));
+/**
+ * @route   GET /bulk/api/agents/tts-cache/stats
+ * @desc    TTS audio cache hit rates
+ * @access  Private
+ */
+router.get('/tts-cache/stats', agent_controller_1.agentController.getTTSCacheStats.bind(agent_controller_1.agentController));
 /**
  * @route   GET /bulk/api/agents/:id
  * @desc    Get agent by ID
@@ -51,5 +57,11 @@ router.patch('/:id/toggle', (0, validation_middleware_1.validate)(validation_1.a
  * @access  Private
  */
 router.get('/:id/stats', (0, validation_middleware_1.validate)(validation_1.agentIdSchema), agent_controller_1.agentController.getAgentStats.bind(agent_controller_1.agentController));
+/**
+ * @route   POST /bulk/api/agents/:id/tts-cache/prewarm
+ * @desc    Pre-synthesize the agent's fixed lines into the TTS cache
+ * @access  Private
+ */
+router.post('/:id/tts-cache/prewarm', (0, validation_middleware_1.validate)(validation_1.agentIdSchema), agent_controller_1.agentController.prewarmTTSCache.bind(agent_controller_1.agentController));
 exports.default = router;
 //# sourceMappingURL=agent.routes.js.map
@@ -197,6 +197,45 @@ router.get('/performance', asyncHandler(async (req, res) => {
         });
     }
 }));
+/**
+ * GET /bulk/api/analytics/latency
+ * Get per-stage turn latency percentiles (?agentId= to limit to one agent)
+ */
+router.get('/latency', asyncHandler(async (req, res) => {
+    const { userId, agentId } = req.query;
+    // Both end up as ObjectIds in the aggregation - a malformed one is the caller's mistake
+    const invalidId = Object.entries({ userId, agentId }).find(([, value]) => value !== undefined && !/^[a-f\d]{24}$/i.test(value));
+    if (invalidId) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                code: 'VALIDATION_FAILED',
+                message: `Invalid ${invalidId[0]}`
+            }
+        });
+    }
+    const timeRange = parseTimeRange(req);
+    logger_1.default.info('Getting latency analytics', { userId, agentId, timeRange });
+    try {
+        const analytics = await analytics_service_1.analyticsService.getLatencyAnalytics(userId, timeRange, { agentId });
+        res.status(200).json({
+            success: true,
+            data: analytics
+        });
+    }
+    catch (error) {
+        logger_1.default.error('Failed to get latency analytics', {
+            error: error.message
+        });
+        return res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_ERROR',
+                message: 'Failed to get latency analytics'
+            }
+        });
+    }
+}));
 /**
  * GET /bulk/api/analytics/cost
  * Get cost analytics
@@ -116,7 +116,8 @@ const createCampaignSchema = joi_1.default.object({
         concurrentCallsLimit: joi_1.default.number().integer().min(1).max(50).optional().messages({
             'number.min': 'Concurrent calls limit must be at least 1',
             'number.max': 'Concurrent calls limit must be at most 50'
-        })
+        }),
+        maxCallDurationSec: joi_1.default.number().integer().min(30).max(7200).optional()
     }).optional()
 });
 const updateCampaignSchema = joi_1.default.object({
@@ -129,7 +130,8 @@ const updateCampaignSchema = joi_1.default.object({
         retryDelayMinutes: joi_1.default.number().integer().min(1).optional(),
         excludeVoicemail: joi_1.default.boolean().optional(),
         priorityMode: joi_1.default.string().valid('fifo', 'lifo', 'priority').optional(),
-        concurrentCallsLimit: joi_1.default.number().integer().min(1).max(50).optional()
+        concurrentCallsLimit: joi_1.default.number().integer().min(1).max(50).optional(),
+        maxCallDurationSec: joi_1.default.number().integer().min(30).max(7200).optional()
     }).optional()
 });
 const addContactsSchema = joi_1.default.object({
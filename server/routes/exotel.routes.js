@@ -32,13 +32,22 @@ const getCallHistorySchema = {
             'busy',
             'canceled',
             'user-ended',
-            'agent-ended'
+            'agent-ended',
+            'transferred'
         ]).optional(),
         direction: zod_1.z.enum(['inbound', 'outbound']).optional(),
         phoneId: zod_1.z.string().optional(),
         agentId: zod_1.z.string().optional()
     })
 };
+const callerMemoryPhoneSchema = {
+    params: zod_1.z.object({
+        phone: zod_1.z.string().regex(/^\+?[\d\s-]{6,20}$/, 'Valid phone number is required')
+    }),
+    query: zod_1.z.object({
+        userId: zod_1.z.string().regex(/^[a-f\d]{24}$/i, 'Invalid user ID').optional()
+    })
+};
 const getCallStatsSchema = {
     query: zod_1.z.object({
         phoneId: zod_1.z.string().optional(),
@@ -56,6 +65,12 @@ router.post('/calls/:callId/hangup', auth_middleware_1.authenticate, auth_middle
 // Transcript routes
 router.get('/calls/:callId/transcript', auth_middleware_1.authenticate, auth_middleware_1.requireAdmin, (0, validation_middleware_1.validate)(callIdSchema), exotel_controller_1.exotelController.getFormattedTranscript.bind(exotel_controller_1.exotelController));
 router.post('/calls/:callId/transcript/regenerate', auth_middleware_1.authenticate, auth_middleware_1.requireAdmin, (0, validation_middleware_1.validate)(callIdSchema), exotel_controller_1.exotelController.regenerateTranscript.bind(exotel_controller_1.exotelController));
+// Recording routes
+router.get('/calls/:callId/recording-url', auth_middleware_1.authenticate, auth_middleware_1.requireAdmin, (0, validation_middleware_1.validate)(callIdSchema), exotel_controller_1.exotelController.getRecordingUrl.bind(exotel_controller_1.exotelController));
+// Caller memory (earlier calls with a number shown to agents) - the account's own contacts, or ?userId= for admins
+router.delete('/caller-memory/:phone', auth_middleware_1.authenticate, (0, validation_middleware_1.validate)(callerMemoryPhoneSchema), exotel_controller_1.exotelController.purgeCallerMemory.bind(exotel_controller_1.exotelController));
+// Signed playback link for local storage (no authentication - the URL carries an expiring signature)
+router.get('/recordings/local', exotel_controller_1.exotelController.streamLocalRecording.bind(exotel_controller_1.exotelController));
 // Webhook routes (no authentication - Exotel will call these)
 router.post('/webhook/status', exotel_controller_1.exotelController.handleStatusWebhook.bind(exotel_controller_1.exotelController));
 router.post('/webhook/incoming', exotel_controller_1.exotelController.handleIncomingCallWebhook.bind(exotel_controller_1.exotelController));
@@ -26,6 +26,10 @@ router.post('/input', exotelVoice_controller_1.exotelVoiceController.handleUserI
 // Continuation webhook - continues conversation loop
 router.get('/continue', exotelVoice_controller_1.exotelVoiceController.handleContinuation.bind(exotelVoice_controller_1.exotelVoiceController));
 router.post('/continue', exotelVoice_controller_1.exotelVoiceController.handleContinuation.bind(exotelVoice_controller_1.exotelVoiceController));
+// Transfer target webhook - dynamic URL for a Connect applet after the Voicebot applet
+// Returns the human agent numbers + whisper for calls the AI transferred (Agent.config.transfer.mode = 'flow')
+router.get('/transfer', exotelVoice_controller_1.exotelVoiceController.handleTransferConnect.bind(exotelVoice_controller_1.exotelVoiceController));
+router.post('/transfer', exotelVoice_controller_1.exotelVoiceController.handleTransferConnect.bind(exotelVoice_controller_1.exotelVoiceController));
 // Call end webhook - cleanup and save transcript
 router.post('/end', exotelVoice_controller_1.exotelVoiceController.handleCallEnd.bind(exotelVoice_controller_1.exotelVoiceController));
 exports.default = router;
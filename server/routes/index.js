@@ -19,6 +19,7 @@ const analytics_routes_1 = __importDefault(require("./analytics.routes"));
 const settings_routes_1 = __importDefault(require("./settings.routes"));
 const campaign_routes_1 = __importDefault(require("./campaign.routes"));
 const maintenance_routes_1 = __importDefault(require("./maintenance.routes"));
+const monitor_routes_1 = __importDefault(require("./monitor.routes"));
 const router = (0, express_1.Router)();
 // Health check (already in app.ts but can be here too)
 router.get('/health', (_req, res) => {
@@ -44,6 +45,7 @@ router.use('/analytics', analytics_routes_1.default);
 router.use('/settings', settings_routes_1.default);
 router.use('/campaigns', campaign_routes_1.default);
 router.use('/maintenance', maintenance_routes_1.default);
+router.use('/monitor', monitor_routes_1.default);
 // API info endpoint
 router.get('/', (_req, res) => {
     res.json({
@@ -65,7 +67,8 @@ router.get('/', (_req, res) => {
             stats: '/bulk/api/stats',
             settings: '/bulk/api/settings',
             campaigns: '/bulk/api/campaigns',
-            maintenance: '/bulk/api/maintenance'
+            maintenance: '/bulk/api/maintenance',
+            monitor: '/bulk/api/monitor'
         }
     });
 });
@@ -0,0 +1,43 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+const express_1 = __importDefault(require("express"));
+const zod_1 = require("zod");
+const monitor_controller_1 = require("../controllers/monitor.controller");
+const auth_middleware_1 = require("../middlewares/auth.middleware");
+const validation_middleware_1 = require("../middlewares/validation.middleware");
+const router = express_1.default.Router();
+// Validation schemas
+const callLogIdParams = zod_1.z.object({
+    callLogId: zod_1.z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid call ID')
+});
+const callSchema = {
+    params: callLogIdParams
+};
+const whisperSchema = {
+    params: callLogIdParams,
+    body: zod_1.z.object({
+        message: zod_1.z.string().trim().min(1, 'Message is required').max(500)
+    })
+};
+const hangupSchema = {
+    params: callLogIdParams,
+    body: zod_1.z.object({
+        closingMessage: zod_1.z.string().trim().min(1).max(500).optional()
+    })
+};
+// All routes require authentication and admin role
+router.use(auth_middleware_1.authenticate);
+router.use(auth_middleware_1.requireAdmin);
+// GET /bulk/api/monitor/calls - Active calls (?campaignId= to filter)
+router.get('/calls', monitor_controller_1.monitorController.getActiveCalls.bind(monitor_controller_1.monitorController));
+// GET /bulk/api/monitor/calls/:callLogId - Live state of one call (from the instance holding it)
+router.get('/calls/:callLogId', (0, validation_middleware_1.validate)(callSchema), monitor_controller_1.monitorController.getCall.bind(monitor_controller_1.monitorController));
+// POST /bulk/api/monitor/calls/:callLogId/whisper - Hidden instruction for the agent's next reply
+router.post('/calls/:callLogId/whisper', (0, validation_middleware_1.validate)(whisperSchema), monitor_controller_1.monitorController.whisper.bind(monitor_controller_1.monitorController));
+// POST /bulk/api/monitor/calls/:callLogId/hangup - End the call with a closing line
+router.post('/calls/:callLogId/hangup', (0, validation_middleware_1.validate)(hangupSchema), monitor_controller_1.monitorController.hangup.bind(monitor_controller_1.monitorController));
+exports.default = router;
+//# sourceMappingURL=monitor.routes.js.map
@@ -268,13 +268,13 @@ router.post('/:callLogId/cancel', asyncHandler(async (req, res) => {
     const { callLogId } = req.params;
     logger_1.default.info('API: Cancelling call', { callLogId });
     try {
-        await outgoingCall_service_1.outgoingCallService.cancelCall(callLogId);
+        const status = await outgoingCall_service_1.outgoingCallService.cancelCall(callLogId);
         res.status(200).json({
             success: true,
             data: {
                 callLogId,
-                status: 'canceled',
-                message: 'Call cancelled successfully'
+                status,
+                message: status === 'ending' ? 'Call is being ended' : 'Call cancelled successfully'
             }
         });
     }
@@ -18,5 +18,7 @@ router.put('/', settings_controller_1.settingsController.updateSettings.bind(set
 router.post('/test-tts', settings_controller_1.settingsController.testTts.bind(settings_controller_1.settingsController));
 // GET /bulk/api/settings/voices/:provider - Get available voices
 router.get('/voices/:provider', settings_controller_1.settingsController.getVoices.bind(settings_controller_1.settingsController));
+// GET /bulk/api/settings/providers - Registered STT/TTS/LLM providers and their capabilities
+router.get('/providers', settings_controller_1.settingsController.getProviders.bind(settings_controller_1.settingsController));
 exports.default = router;
 //# sourceMappingURL=settings.routes.js.map
@@ -3,6 +3,7 @@ Object.defineProperty(exports, "__esModule", { value: true });
 const express_1 = require("express");
 const deepgramConnectionPool_service_1 = require("../services/deepgramConnectionPool.service");
 const websocket_server_1 = require("../realtime/realtime.server");
+const callOwnership_service_1 = require("../services/callOwnership.service");
 const logger_1 = require("../utils/logger");
 const router = (0, express_1.Router)();
 /**
@@ -13,6 +14,8 @@ router.get('/', async (req, res) => {
     try {
         const poolStats = deepgramConnectionPool_service_1.deepgramConnectionPool.getStats();
         const activeConnections = websocket_server_1.wsManager?.getClientCount() || 0;
+        // Calls on every instance behind the load balancer, from the ownership registry
+        const cluster = await callOwnership_service_1.callOwnershipService.getClusterStats();
         const stats = {
             timestamp: new Date().toISOString(),
             uptime: process.uptime(),
@@ -22,7 +25,14 @@ router.get('/', async (req, res) => {
                 rss: Math.round(process.memoryUsage().rss / 1024 / 1024),
                 unit: 'MB'
             },
-            activeCalls: activeConnections,
+            activeCalls: cluster.activeCalls,
+            instance: {
+                id: cluster.instanceId,
+                connections: activeConnections
+            },
+            cluster: {
+                instances: cluster.instances
+            },
             deepgramPool: {
                 active: poolStats.active,
                 queued: poolStats.queued,
@@ -54,6 +54,8 @@ const bullmqReconciler_service_1 = require("./services/bullmqReconciler.service"
 const reconciliation_service_1 = require("./services/reconciliation.service");
 const invariantMonitor_service_1 = require("./services/invariantMonitor.service");
 const waitlist_service_1 = require("./services/waitlist.service");
+const callOwnership_service_1 = require("./services/callOwnership.service");
+const providers_1 = require("./providers");
 // Create HTTP server
 const server = (0, http_1.createServer)(app_1.default);
 // Initialize WebSocket server
@@ -61,6 +63,8 @@ const server = (0, http_1.createServer)(app_1.default);
 // Start server
 const startServer = async () => {
     try {
+        // Register STT/TTS/LLM engines before anything can take a call
+        (0, providers_1.registerBuiltinProviders)();
         // Connect to MongoDB
         await (0, db_1.connectDB)();
         logger_1.logger.info('Database connected');
@@ -79,7 +83,8 @@ const startServer = async () => {
             reconciliation_service_1.reconciliationService.start(),
             invariantMonitor_service_1.invariantMonitor.start(),
             waitlist_service_1.waitlistService.start(),
-            stuckCallMonitorService.start()
+            stuckCallMonitorService.start(),
+            callOwnership_service_1.callOwnershipService.start()
         ]);
         logger_1.logger.info('All background services started');
         // Start listening
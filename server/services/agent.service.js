@@ -2,6 +2,12 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.agentService = exports.AgentService = void 0;
 const Agent_1 = require("../models/Agent");
+const voicePipeline_service_1 = require("./voicePipeline.service");
+const fillerAudio_service_1 = require("./fillerAudio.service");
+const voicemailMessage_service_1 = require("./voicemailMessage.service");
+const ttsCache_service_1 = require("./ttsCache.service");
+const providerRegistry_service_1 = require("./providerRegistry.service");
+const languageSupport_1 = require("../config/languageSupport");
 const errors_1 = require("../utils/errors");
 const logger_1 = require("../utils/logger");
 class AgentService {
@@ -9,6 +15,7 @@ class AgentService {
      * Create a new agent
      */
     async createAgent(userId, data) {
+        this.assertVoiceSupported(data.config);
         try {
             const agent = await Agent_1.Agent.create({
                 userId,
@@ -28,6 +35,64 @@ class AgentService {
             throw new Error('Failed to create agent');
         }
     }
+    /**
+     * Reject voice settings the agent could not speak with:
+     * an unregistered provider, a voice ID that is not one of the provider's voices,
+     * or a provider that does not render the agent's language
+     * Failover voices (config.failover.tts) are checked for the voice ID only - the chain
+     * skips providers that don't speak the call's language
+     * Per-language voices (config.languageVoices) must be valid for their provider and language
+     */
+    assertVoiceSupported(config) {
+        const voice = config?.voice;
+        const fields = [];
+        if (voice?.provider) {
+            const provider = providerRegistry_service_1.providerRegistry.get('tts', voice.provider);
+            if (!provider) {
+                fields.push({ field: 'config.voice.provider', message: `Unknown TTS provider: ${voice.provider}` });
+            }
+            else {
+                if (voice.voiceId && provider.isValidVoiceId && !provider.isValidVoiceId(voice.voiceId)) {
+                    fields.push({ field: 'config.voice.voiceId', message: `${provider.name} has no voice ${voice.voiceId}` });
+                }
+                // Multilingual modes and unlisted codes are left to the provider at call time
+                const language = config.language;
+                if (language &&
+                    languageSupport_1.LanguageSupportService.isLanguageSupported(language) &&
+                    !providerRegistry_service_1.providerRegistry.supportsLanguage(provider, language)) {
+                    fields.push({
+                        field: 'config.voice.provider',
+                        message: `${provider.name} does not support ${languageSupport_1.LanguageSupportService.getLanguageName(language)}`
+                    });
+                }
+            }
+        }
+        (config?.failover?.tts || []).forEach((entry, index) => {
+            const provider = providerRegistry_service_1.providerRegistry.get('tts', entry.provider);
+            if (provider && entry.voiceId && provider.isValidVoiceId && !provider.isValidVoiceId(entry.voiceId)) {
+                fields.push({ field: `config.failover.tts.${index}.voiceId`, message: `${provider.name} has no voice ${entry.voiceId}` });
+            }
+        });
+        (config?.languageVoices || []).forEach((entry, index) => {
+            const provider = providerRegistry_service_1.providerRegistry.get('tts', entry.provider);
+            if (!provider) {
+                return; // Rejected by the request schema
+            }
+            if (entry.voiceId && provider.isValidVoiceId && !provider.isValidVoiceId(entry.voiceId)) {
+                fields.push({ field: `config.languageVoices.${index}.voiceId`, message: `${provider.name} has no voice ${entry.voiceId}` });
+            }
+            if (languageSupport_1.LanguageSupportService.isLanguageSupported(entry.language) &&
+                !providerRegistry_service_1.providerRegistry.supportsLanguage(provider, entry.language)) {
+                fields.push({
+                    field: `config.languageVoices.${index}.provider`,
+                    message: `${provider.name} does not support ${languageSupport_1.LanguageSupportService.getLanguageName(entry.language)}`
+                });
+            }
+        });
+        if (fields.length > 0) {
+            throw new errors_1.ValidationError(fields.map((f) => f.message).join('; '), fields);
+        }
+    }
     /**
      * Get all agents for a user
      */
@@ -98,6 +163,8 @@ class AgentService {
                     ...data.config,
                     enableAutoLanguageDetection: enableAutoDetection
                 };
+                // Check the merged config - a language change can invalidate the saved voice
+                this.assertVoiceSupported(agent.config);
             }
             await agent.save();
             logger_1.logger.info('Agent updated successfully', {
@@ -109,7 +176,8 @@ class AgentService {
         }
         catch (error) {
             if (error instanceof errors_1.NotFoundError ||
-                error instanceof errors_1.ForbiddenError) {
+                error instanceof errors_1.ForbiddenError ||
+                error instanceof errors_1.ValidationError) {
                 throw error;
             }
             logger_1.logger.error('Update agent error', { error, userId, agentId });
@@ -162,6 +230,49 @@ class AgentService {
             throw new Error('Failed to toggle agent status');
         }
     }
+    /**
+     * Synthesize the agent's fixed lines into the TTS cache (cold tier) ahead of its calls
+     */
+    async prewarmTTSCache(agentId, userId) {
+        const agent = await this.getAgentById(agentId, userId);
+        const config = voicePipeline_service_1.voicePipelineService.buildVoiceConfig(agent);
+        const phrases = [...new Set([
+                agent.config.greetingMessage || agent.config.firstMessage || 'Hello! How can I help you today?',
+                'Thank you for calling! Have a great day. Goodbye!', // Spoken by the gateway on end-call phrases
+                voicemailMessage_service_1.voicemailMessageService.generateMessage({ agentId: agent }),
+                agent.config.transfer?.handoffMessage,
+                agent.config.durationLimit?.closingMessage,
+                agent.config.noInput?.closingMessage,
+                ...(agent.config.noInput?.reprompts || []),
+                ...(fillerAudio_service_1.fillerAudioService.getConfig(agent).enabled
+                    ? [
+                        ...fillerAudio_service_1.fillerAudioService.getPhrases(agent, config.language, 'thinking'),
+                        ...fillerAudio_service_1.fillerAudioService.getPhrases(agent, config.language, 'lookup')
+                    ]
+                    : [])
+            ].filter((phrase) => phrase?.trim()))];
+        const startTime = Date.now();
+        const results = await Promise.allSettled(phrases.map((phrase) => voicePipeline_service_1.voicePipelineService.synthesizeSpeech(phrase, config, config.language, { persist: true })));
+        const failed = results.filter((result) => result.status === 'rejected');
+        logger_1.logger.info('🔥 TTS cache pre-warmed', {
+            agentId,
+            provider: config.voiceProvider,
+            phrases: phrases.length,
+            failed: failed.length,
+            durationMs: Date.now() - startTime
+        });
+        return {
+            enabled: ttsCache_service_1.ttsCacheService.isEnabled(),
+            provider: config.voiceProvider,
+            voiceId: config.voiceId,
+            language: config.language,
+            phrases: phrases.length,
+            cached: phrases.length - failed.length,
+            failed: failed.length,
+            errors: failed.map((result) => result.reason?.message),
+            durationMs: Date.now() - startTime
+        };
+    }
     /**
      * Get agent statistics
      */
@@ -0,0 +1,354 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.agentToolsService = exports.AgentToolsService = void 0;
+const axios_1 = __importDefault(require("axios"));
+const http_1 = __importDefault(require("http"));
+const https_1 = __importDefault(require("https"));
+const providerRegistry_service_1 = require("./providerRegistry.service");
+const CallLog_1 = require("../models/CallLog");
+const logger_1 = require("../utils/logger");
+const urlGuard_1 = require("../utils/urlGuard");
+/**
+ * Agent HTTP Tools Service
+ * Runs the LLM tool-call loop for live calls: agent-defined tools (Agent.config.tools)
+ * are offered to OpenAI/Claude, executed as HTTP requests, and fed back to the model
+ */
+class AgentToolsService {
+    constructor() {
+        this.MAX_TOOL_ROUNDS = 3; // Tool round trips per caller turn before forcing a spoken answer
+        this.DEFAULT_TIMEOUT_MS = 5000;
+        this.FILLER_DELAY_MS = 800; // Speak a filler line if tools haven't returned by then
+        this.DEFAULT_FILLER_MESSAGE = 'One moment while I check that for you.';
+        this.MAX_RESULT_CHARS = 4000; // Tool response size passed back to the LLM / stored on CallLog
+        // Re-check the address at connect time so DNS can't be re-pointed at an internal host after validation
+        this.httpAgent = new http_1.default.Agent({ lookup: urlGuard_1.publicOnlyLookup });
+        this.httpsAgent = new https_1.default.Agent({ lookup: urlGuard_1.publicOnlyLookup });
+    }
+    /**
+     * Enabled tools declared on an agent
+     */
+    getTools(agent) {
+        return (agent?.config?.tools || []).filter((tool) => tool.enabled !== false);
+    }
+    /**
+     * Check if an agent has any enabled tools
+     */
+    hasTools(agent) {
+        return this.getTools(agent).length > 0;
+    }
+    /**
+     * Tool definitions in OpenAI function-calling format
+     */
+    toOpenAITools(tools) {
+        return tools.map((tool) => ({
+            type: 'function',
+            function: {
+                name: tool.name,
+                description: tool.description,
+                parameters: tool.parameters || { type: 'object', properties: {} }
+            }
+        }));
+    }
+    /**
+     * Tool definitions in Anthropic tool-use format
+     */
+    toAnthropicTools(tools) {
+        return tools.map((tool) => ({
+            name: tool.name,
+            description: tool.description,
+            input_schema: tool.parameters || { type: 'object', properties: {} }
+        }));
+    }
+    /**
+     * Stream the agent's response for one caller turn, running tool calls in between
+     * Yields text chunks only - tool rounds are invisible to the caller except for
+     * the optional filler line spoken through onToolWait while slow tools run
+     * builtinTools ({ name, description, parameters, handler }) run in-process instead of over HTTP
+     * onToolCall receives every finished invocation (live monitoring)
+     */
+    async *streamResponse(params) {
+        const { agent, systemPrompt, callLogId, onToolWait, onToolCall } = params;
+        const llm = providerRegistry_service_1.providerRegistry.resolveLLM(agent.config?.llm);
+        const anthropicTools = llm.provider.capabilities.toolFormat === 'anthropic';
+        const tools = [...this.getTools(agent), ...(params.builtinTools || [])];
+        const llmOptions = {
+            model: llm.model,
+            temperature: agent.config?.llm?.temperature || 0.7,
+            maxTokens: agent.config?.llm?.maxTokens
+        };
+        let messages = [...params.messages];
+        for (let round = 0; round <= this.MAX_TOOL_ROUNDS; round++) {
+            // Last round withholds tools so the model has to answer with what it has
+            const offerTools = tools.length > 0 && round < this.MAX_TOOL_ROUNDS;
+            const stream = llm.provider.chatStreamWithTools(messages, {
+                ...llmOptions,
+                systemPrompt,
+                tools: offerTools && llm.provider.capabilities.tools
+                    ? anthropicTools ? this.toAnthropicTools(tools) : this.toOpenAITools(tools)
+                    : undefined
+            });
+            let roundText = '';
+            const toolCalls = [];
+            for await (const event of stream) {
+                if (event.type === 'text') {
+                    roundText += event.text;
+                    yield event.text;
+                }
+                else if (event.type === 'tool_call') {
+                    toolCalls.push(event);
+                }
+            }
+            if (toolCalls.length === 0) {
+                return;
+            }
+            // Fill the silence only if the model didn't already say something like "let me check"
+            const httpCall = toolCalls.find((call) => !tools.find((t) => t.name === call.name)?.handler);
+            let fillerPromise;
+            const fillerTimer = httpCall && !roundText.trim() && onToolWait
+                ? setTimeout(() => {
+                    const tool = tools.find((t) => t.name === httpCall.name);
+                    fillerPromise = onToolWait(tool?.fillerMessage || this.DEFAULT_FILLER_MESSAGE, { custom: !!tool?.fillerMessage });
+                }, this.FILLER_DELAY_MS)
+                : undefined;
+            const invocations = await Promise.all(toolCalls.map((call) => this.runToolCall(tools, call, callLogId, onToolCall)));
+            clearTimeout(fillerTimer);
+            if (fillerPromise) {
+                await fillerPromise.catch(() => undefined);
+            }
+            messages = anthropicTools
+                ? this.appendAnthropicToolTurn(messages, roundText, toolCalls, invocations)
+                : this.appendOpenAIToolTurn(messages, roundText, toolCalls, invocations);
+        }
+    }
+    /**
+     * Execute one tool call requested by the LLM and record it on the CallLog
+     */
+    async runToolCall(tools, call, callLogId, onToolCall) {
+        const tool = tools.find((t) => t.name === call.name);
+        const invocation = tool
+            ? await (tool.handler ? this.executeBuiltinTool(tool, call.arguments || {}) : this.executeTool(tool, call.arguments || {}))
+            : {
+                name: call.name,
+                arguments: call.arguments,
+                success: false,
+                error: `Unknown tool: ${call.name}`,
+                latencyMs: 0,
+                timestamp: new Date()
+            };
+        await this.recordInvocation(callLogId, invocation);
+        onToolCall?.(invocation);
+        return invocation;
+    }
+    /**
+     * Call a tool's HTTP endpoint
+     * {{param}} placeholders in the URL and headers are filled from the LLM arguments;
+     * remaining arguments go in the query string (GET/DELETE) or JSON body
+     */
+    async executeTool(tool, args) {
+        const startTime = Date.now();
+        const method = (tool.endpoint?.method || 'POST').toUpperCase();
+        const usedKeys = new Set();
+        const url = this.renderTemplate(tool.endpoint?.url || '', args, usedKeys, encodeURIComponent);
+        const headers = {};
+        for (const [key, value] of Object.entries(tool.headers || {})) {
+            headers[key] = this.renderTemplate(String(value), args, usedKeys);
+        }
+        const remaining = Object.fromEntries(Object.entries(args).filter(([key]) => !usedKeys.has(key)));
+        const sendAsQuery = method === 'GET' || method === 'DELETE';
+        // Headers are left out of the recorded request - they usually carry credentials
+        const request = {
+            method,
+            url,
+            ...(sendAsQuery ? { query: remaining } : { body: remaining })
+        };
+        try {
+            // Endpoints are user-configured: refuse private/loopback/metadata hosts and don't follow redirects to them
+            await (0, urlGuard_1.assertPublicUrl)(url);
+            const response = await axios_1.default.request({
+                method,
+                url,
+                headers,
+                params: sendAsQuery ? remaining : undefined,
+                data: sendAsQuery ? undefined : remaining,
+                timeout: tool.timeoutMs || this.DEFAULT_TIMEOUT_MS,
+                maxRedirects: 0,
+                httpAgent: this.httpAgent,
+                httpsAgent: this.httpsAgent,
+                validateStatus: () => true
+            });
+            const latencyMs = Date.now() - startTime;
+            const success = response.status >= 200 && response.status < 300;
+            logger_1.logger.info('🔧 Agent tool executed', {
+                tool: tool.name,
+                method,
+                statusCode: response.status,
+                latencyMs
+            });
+            return {
+                name: tool.name,
+                arguments: args,
+                request,
+                response: this.truncateResult(response.data),
+                statusCode: response.status,
+                success,
+                error: success ? undefined : `HTTP ${response.status}`,
+                latencyMs,
+                timestamp: new Date(startTime)
+            };
+        }
+        catch (error) {
+            const latencyMs = Date.now() - startTime;
+            const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+            logger_1.logger.error('Agent tool request failed', {
+                tool: tool.name,
+                method,
+                error: error.message,
+                timedOut,
+                latencyMs
+            });
+            return {
+                name: tool.name,
+                arguments: args,
+                request,
+                success: false,
+                error: timedOut ? `Timed out after ${tool.timeoutMs || this.DEFAULT_TIMEOUT_MS}ms` : error.message,
+                latencyMs,
+                timestamp: new Date(startTime)
+            };
+        }
+    }
+    /**
+     * Run an in-process tool (e.g. transfer_call)
+     */
+    async executeBuiltinTool(tool, args) {
+        const startTime = Date.now();
+        try {
+            const result = await tool.handler(args);
+            return {
+                name: tool.name,
+                arguments: args,
+                response: result,
+                success: true,
+                latencyMs: Date.now() - startTime,
+                timestamp: new Date(startTime)
+            };
+        }
+        catch (error) {
+            logger_1.logger.error('Built-in tool failed', {
+                tool: tool.name,
+                error: error.message
+            });
+            return {
+                name: tool.name,
+                arguments: args,
+                success: false,
+                error: error.message,
+                latencyMs: Date.now() - startTime,
+                timestamp: new Date(startTime)
+            };
+        }
+    }
+    /**
+     * Replace {{key}} placeholders with argument values
+     */
+    renderTemplate(template, args, usedKeys, encode = (value) => value) {
+        return template.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (_match, key) => {
+            usedKeys.add(key);
+            const value = args[key];
+            return value === undefined || value === null ? '' : encode(String(value));
+        });
+    }
+    /**
+     * Cap tool output size (keeps LLM context and CallLog documents small)
+     */
+    truncateResult(data) {
+        const text = typeof data === 'string' ? data : JSON.stringify(data ?? null);
+        if (text.length <= this.MAX_RESULT_CHARS) {
+            return data;
+        }
+        return `${text.substring(0, this.MAX_RESULT_CHARS)}... (truncated)`;
+    }
+    /**
+     * Tool result as the LLM sees it
+     */
+    formatResultForLLM(invocation) {
+        if (!invocation.success) {
+            return JSON.stringify({ error: invocation.error, response: invocation.response });
+        }
+        return typeof invocation.response === 'string'
+            ? invocation.response
+            : JSON.stringify(invocation.response ?? null);
+    }
+    /**
+     * OpenAI: assistant message with tool_calls followed by one tool message per result
+     */
+    appendOpenAIToolTurn(messages, text, toolCalls, invocations) {
+        return [
+            ...messages,
+            {
+                role: 'assistant',
+                content: text || null,
+                tool_calls: toolCalls.map((call) => ({
+                    id: call.id,
+                    type: 'function',
+                    function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+                }))
+            },
+            ...toolCalls.map((call, i) => ({
+                role: 'tool',
+                tool_call_id: call.id,
+                content: this.formatResultForLLM(invocations[i])
+            }))
+        ];
+    }
+    /**
+     * Anthropic: assistant tool_use blocks followed by a user message of tool_result blocks
+     */
+    appendAnthropicToolTurn(messages, text, toolCalls, invocations) {
+        return [
+            ...messages,
+            {
+                role: 'assistant',
+                content: [
+                    ...(text ? [{ type: 'text', text }] : []),
+                    ...toolCalls.map((call) => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments || {} }))
+                ]
+            },
+            {
+                role: 'user',
+                content: toolCalls.map((call, i) => ({
+                    type: 'tool_result',
+                    tool_use_id: call.id,
+                    content: this.formatResultForLLM(invocations[i]),
+                    is_error: !invocations[i].success
+                }))
+            }
+        ];
+    }
+    /**
+     * Store a tool invocation on the CallLog
+     */
+    async recordInvocation(callLogId, invocation) {
+        if (!callLogId) {
+            return;
+        }
+        try {
+            await CallLog_1.CallLog.findByIdAndUpdate(callLogId, {
+                $push: { toolCalls: invocation }
+            });
+        }
+        catch (error) {
+            logger_1.logger.error('Failed to record tool invocation', {
+                callLogId,
+                tool: invocation.name,
+                error: error.message
+            });
+        }
+    }
+}
+exports.AgentToolsService = AgentToolsService;
+exports.agentToolsService = new AgentToolsService();
+//# sourceMappingURL=agentTools.service.js.map
@@ -13,6 +13,26 @@ const ScheduledCall_1 = require("../models/ScheduledCall");
 const RetryAttempt_1 = require("../models/RetryAttempt");
 const logger_1 = require("../utils/logger");
 const moment_timezone_1 = __importDefault(require("moment-timezone"));
+const mongoose_1 = __importDefault(require("mongoose"));
+/**
+ * Call statuses that count as connected and successful (warm transfers end as 'transferred')
+ */
+const SUCCESSFUL_CALL_STATUSES = ['completed', 'transferred'];
+/**
+ * Turn latency stages (CallLog.turnLatencies), in waterfall order
+ */
+const LATENCY_STAGES = ['finalTranscriptMs', 'ragMs', 'llmFirstTokenMs', 'llmDoneMs', 'ttsFirstByteMs', 'firstAudioMs'];
+/**
+ * Latency breakdowns -> turn field they group by
+ */
+const LATENCY_BREAKDOWNS = {
+    byAgent: 'agentId',
+    bySttProvider: 'sttProvider',
+    byLlmProvider: 'llmProvider',
+    byLlmModel: 'llmModel',
+    byTtsProvider: 'ttsProvider',
+    byLanguage: 'language'
+};
 class AnalyticsService {
     /**
      * Get comprehensive dashboard analytics
@@ -50,7 +70,7 @@ class AnalyticsService {
         const filter = this.buildFilter(userId, range);
         const calls = await CallLog_1.CallLog.find(filter);
         const totalCalls = calls.length;
-        const successfulCalls = calls.filter(c => c.status === 'completed').length;
+        const successfulCalls = calls.filter(c => SUCCESSFUL_CALL_STATUSES.includes(c.status)).length;
         const failedCalls = calls.filter(c => c.status === 'failed').length;
         const inProgressCalls = calls.filter(c => ['initiated', 'ringing', 'in_progress'].includes(c.status)).length;
         const successRate = totalCalls > 0 ? (successfulCalls / totalCalls) * 100 : 0;
@@ -277,6 +297,80 @@ class AnalyticsService {
             }
         };
     }
+    /**
+     * Get turn latency percentiles (p50/p90/p99 per stage), overall and broken down by
+     * agent, STT/LLM/TTS provider, LLM model and language
+     * Percentiles are computed by MongoDB ($percentile, 7.0+) so only the summaries leave the database
+     */
+    async getLatencyAnalytics(userId, timeRange, options = {}) {
+        const range = timeRange || this.getDefaultTimeRange();
+        const match = {
+            ...this.buildFilter(userId, range),
+            'turnLatencies.0': { $exists: true }
+        };
+        // aggregate() doesn't cast IDs like find() does
+        if (match.userId) {
+            match.userId = new mongoose_1.default.Types.ObjectId(match.userId);
+        }
+        if (options.agentId) {
+            match.agentId = new mongoose_1.default.Types.ObjectId(options.agentId);
+        }
+        const facets = { overall: [{ $group: this.latencyGroupStage(null) }] };
+        for (const [breakdown, field] of Object.entries(LATENCY_BREAKDOWNS)) {
+            facets[breakdown] = [
+                { $group: this.latencyGroupStage(`$${field}`) },
+                { $sort: { turns: -1 } }
+            ];
+        }
+        const [result] = await CallLog_1.CallLog.aggregate([
+            { $match: match },
+            { $unwind: '$turnLatencies' },
+            { $replaceRoot: { newRoot: { $mergeObjects: ['$turnLatencies', { agentId: '$agentId' }] } } },
+            { $facet: facets }
+        ]);
+        const breakdowns = {};
+        for (const breakdown of Object.keys(LATENCY_BREAKDOWNS)) {
+            breakdowns[breakdown] = result[breakdown].map((group) => ({
+                key: group._id?.toString() || 'unknown',
+                ...this.toLatencySummary(group)
+            }));
+        }
+        return {
+            timeRange: range,
+            overall: this.toLatencySummary(result.overall[0] || { turns: 0 }),
+            ...breakdowns
+        };
+    }
+    /**
+     * $group stage with the turn count and, per latency stage, how many turns
+     * recorded it and its p50/p90/p99
+     */
+    latencyGroupStage(key) {
+        const group = { _id: key, turns: { $sum: 1 } };
+        for (const stage of LATENCY_STAGES) {
+            group[`${stage}Count`] = { $sum: { $cond: [{ $isNumber: `$${stage}` }, 1, 0] } };
+            group[`${stage}Percentiles`] = {
+                $percentile: { input: `$${stage}`, p: [0.5, 0.9, 0.99], method: 'approximate' }
+            };
+        }
+        return group;
+    }
+    /**
+     * { turns, stages: { stage: { count, p50, p90, p99 } } } from a latencyGroupStage result
+     */
+    toLatencySummary(group) {
+        const stages = {};
+        for (const stage of LATENCY_STAGES) {
+            const [p50, p90, p99] = group[`${stage}Percentiles`] || [];
+            stages[stage] = {
+                count: group[`${stage}Count`] || 0,
+                p50: p50 ?? 0,
+                p90: p90 ?? 0,
+                p99: p99 ?? 0
+            };
+        }
+        return { turns: group.turns, stages };
+    }
     /**
      * Get cost analytics
      */
@@ -352,7 +446,7 @@ class AnalyticsService {
             const bucketCalls = callsByBucket[label];
             if (bucketCalls.length === 0)
                 return 0;
-            const successful = bucketCalls.filter(c => c.status === 'completed').length;
+            const successful = bucketCalls.filter(c => SUCCESSFUL_CALL_STATUSES.includes(c.status)).length;
             return (successful / bucketCalls.length) * 100;
         });
         const avgDurations = labels.map(label => {
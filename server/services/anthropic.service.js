@@ -121,6 +121,70 @@ class AnthropicService {
             throw new errors_1.ExternalServiceError('Failed to stream response from Claude');
         }
     }
+    /**
+     * Streaming Claude completion with tool use
+     * Yields { type: 'text', text } as tokens arrive and one
+     * { type: 'tool_call', id, name, arguments } per completed tool_use block
+     */
+    async *streamChatWithTools(messages, options) {
+        if (!this.isAvailable() || !this.client) {
+            throw new errors_1.ExternalServiceError('Anthropic service not available');
+        }
+        try {
+            logger_1.logger.info('Requesting streaming Claude completion with tools', {
+                messageCount: messages.length,
+                model: options?.model || 'claude-3-5-haiku-20241022',
+                toolCount: options?.tools?.length || 0
+            });
+            const systemMessage = messages.find(m => m.role === 'system');
+            const userMessages = messages.filter(m => m.role !== 'system');
+            const stream = await this.client.messages.create({
+                model: options?.model || 'claude-3-5-haiku-20241022',
+                max_tokens: options?.maxTokens || 1024,
+                temperature: options?.temperature ?? 0.7,
+                system: options?.systemPrompt || systemMessage?.content,
+                messages: userMessages,
+                tools: options?.tools?.length ? options.tools : undefined,
+                stream: true
+            });
+            // tool_use input arrives as partial JSON deltas on its content block
+            const toolBlocks = new Map();
+            for await (const event of stream) {
+                if (event.type === 'content_block_start' && event.content_block.type === 'tool_use') {
+                    toolBlocks.set(event.index, { id: event.content_block.id, name: event.content_block.name, input: '' });
+                }
+                else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+                    yield { type: 'text', text: event.delta.text };
+                }
+                else if (event.type === 'content_block_delta' && event.delta.type === 'input_json_delta') {
+                    const block = toolBlocks.get(event.index);
+                    if (block) {
+                        block.input += event.delta.partial_json;
+                    }
+                }
+                else if (event.type === 'content_block_stop' && toolBlocks.has(event.index)) {
+                    const block = toolBlocks.get(event.index);
+                    let input = {};
+                    try {
+                        input = block.input ? JSON.parse(block.input) : {};
+                    }
+                    catch {
+                        // Malformed input - the tool will reject missing parameters
+                    }
+                    yield { type: 'tool_call', id: block.id, name: block.name, arguments: input };
+                }
+            }
+            logger_1.logger.info('Streaming Claude completion with tools completed', {
+                toolCalls: Array.from(toolBlocks.values()).map((block) => block.name)
+            });
+        }
+        catch (error) {
+            logger_1.logger.error('Failed to get streaming Claude completion with tools', {
+                error: error.message
+            });
+            throw new errors_1.ExternalServiceError('Failed to stream response from Claude');
+        }
+    }
 }
 exports.AnthropicService = AnthropicService;
 exports.anthropicService = new AnthropicService();
@@ -0,0 +1,251 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.callMonitorService = exports.CallMonitorService = void 0;
+const mongoose_1 = __importDefault(require("mongoose"));
+const redis_1 = require("../config/redis");
+const CallLog_1 = require("../models/CallLog");
+const logger_1 = require("../utils/logger");
+/**
+ * Live Call Monitor Service
+ * Fans out live call events (transcripts, agent responses, tool calls, latency...) to
+ * supervisor WebSockets and keeps the list of calls currently in progress.
+ *
+ * Events go through Redis pub/sub so a supervisor connected to any instance sees
+ * calls handled by every instance:
+ * - call-monitor:call:<callLogId>     events of one call
+ * - call-monitor:campaign:<campaignId> events of every call in a campaign
+ * Active calls live in the call-monitor:active hash (callLogId -> call info JSON).
+ *
+ * Supervisor commands (whisper, hangup) travel the other way on
+ * call-monitor:command:<callLogId>, which only the instance holding the call's
+ * WebSocket subscribes to.
+ */
+class CallMonitorService {
+    constructor() {
+        this.ACTIVE_CALLS_KEY = 'call-monitor:active';
+        this.STALE_CALL_MS = 6 * 60 * 60 * 1000; // Entries older than this were left behind by a crashed instance
+        this.subscriber = null;
+        this.subscriberReady = null;
+        this.listeners = new Map(); // channel -> Set of listeners
+    }
+    callChannel(callLogId) {
+        return `call-monitor:call:${callLogId}`;
+    }
+    campaignChannel(campaignId) {
+        return `call-monitor:campaign:${campaignId}`;
+    }
+    commandChannel(callLogId) {
+        return `call-monitor:command:${callLogId}`;
+    }
+    /**
+     * Register a call as active (call start)
+     */
+    async registerCall(call) {
+        try {
+            await redis_1.redis.hSet(this.ACTIVE_CALLS_KEY, call.callLogId, JSON.stringify({
+                ...call,
+                startedAt: (call.startedAt || new Date()).toISOString()
+            }));
+            this.publish(call.callLogId, call.campaignId, 'call.started', {
+                agentName: call.agentName,
+                direction: call.direction
+            });
+        }
+        catch (error) {
+            logger_1.logger.warn('Failed to register active call', {
+                callLogId: call.callLogId,
+                error: error.message
+            });
+        }
+    }
+    /**
+     * Remove a call from the active list (call end)
+     */
+    async unregisterCall(callLogId, campaignId, data = {}) {
+        try {
+            await redis_1.redis.hDel(this.ACTIVE_CALLS_KEY, callLogId);
+            this.publish(callLogId, campaignId, 'call.ended', data);
+        }
+        catch (error) {
+            logger_1.logger.warn('Failed to unregister active call', {
+                callLogId,
+                error: error.message
+            });
+        }
+    }
+    /**
+     * Calls in progress, optionally limited to a user and/or campaign
+     */
+    async getActiveCalls(filter = {}) {
+        const entries = await redis_1.redis.hGetAll(this.ACTIVE_CALLS_KEY);
+        const now = Date.now();
+        const calls = [];
+        const stale = [];
+        for (const [callLogId, raw] of Object.entries(entries)) {
+            let call;
+            try {
+                call = JSON.parse(raw);
+            }
+            catch {
+                stale.push(callLogId);
+                continue;
+            }
+            const elapsedMs = now - new Date(call.startedAt).getTime();
+            if (!(elapsedMs < this.STALE_CALL_MS)) {
+                stale.push(callLogId);
+                continue;
+            }
+            if (filter.userId && call.userId !== filter.userId) {
+                continue;
+            }
+            if (filter.campaignId && call.campaignId !== filter.campaignId) {
+                continue;
+            }
+            calls.push({ ...call, elapsedSec: Math.floor(elapsedMs / 1000) });
+        }
+        if (stale.length > 0) {
+            await redis_1.redis.hDel(this.ACTIVE_CALLS_KEY, stale).catch(() => undefined);
+        }
+        return calls.sort((a, b) => b.elapsedSec - a.elapsedSec);
+    }
+    async getActiveCall(callLogId) {
+        const raw = await redis_1.redis.hGet(this.ACTIVE_CALLS_KEY, callLogId);
+        return raw ? JSON.parse(raw) : null;
+    }
+    /**
+     * Publish a live event for a call (fire-and-forget - monitoring must never slow down a call)
+     */
+    publish(callLogId, campaignId, type, data = {}) {
+        if (!callLogId) {
+            return;
+        }
+        const message = JSON.stringify({
+            type,
+            callLogId: callLogId.toString(),
+            campaignId: campaignId ? campaignId.toString() : undefined,
+            timestamp: new Date().toISOString(),
+            data
+        });
+        const channels = [this.callChannel(callLogId)];
+        if (campaignId) {
+            channels.push(this.campaignChannel(campaignId));
+        }
+        for (const channel of channels) {
+            redis_1.redis.publish(channel, message).catch((error) => {
+                logger_1.logger.debug('Failed to publish call monitor event', {
+                    channel,
+                    type,
+                    error: error.message
+                });
+            });
+        }
+    }
+    /**
+     * Send a supervisor command to the instance that owns the call, recording it in the
+     * call's audit trail first (so the owner can mark it applied)
+     * delivered = false when no instance is handling the call any more
+     */
+    async sendSupervisorCommand(callLogId, command) {
+        const actionId = new mongoose_1.default.Types.ObjectId();
+        await CallLog_1.CallLog.findByIdAndUpdate(callLogId, {
+            $push: {
+                supervisorActions: {
+                    _id: actionId,
+                    type: command.type,
+                    userId: command.userId,
+                    message: command.message,
+                    delivered: false
+                }
+            }
+        });
+        const receivers = await redis_1.redis.publish(this.commandChannel(callLogId), JSON.stringify({
+            ...command,
+            actionId: actionId.toString()
+        }));
+        const delivered = receivers > 0;
+        if (delivered) {
+            await CallLog_1.CallLog.updateOne({ _id: callLogId, 'supervisorActions._id': actionId }, { $set: { 'supervisorActions.$.delivered': true } });
+        }
+        logger_1.logger.info('🎧 Supervisor command sent', {
+            callLogId,
+            type: command.type,
+            userId: command.userId,
+            delivered
+        });
+        return { actionId: actionId.toString(), delivered };
+    }
+    /**
+     * Receive supervisor commands for a call held by this instance; returns an unsubscribe function
+     */
+    async listenForCommands(callLogId, handler) {
+        return this.subscribe(this.commandChannel(callLogId), handler);
+    }
+    async markSupervisorActionApplied(callLogId, actionId) {
+        try {
+            await CallLog_1.CallLog.updateOne({ _id: callLogId, 'supervisorActions._id': actionId }, { $set: { 'supervisorActions.$.appliedAt': new Date() } });
+        }
+        catch (error) {
+            logger_1.logger.warn('Failed to mark supervisor action as applied', {
+                callLogId,
+                actionId,
+                error: error.message
+            });
+        }
+    }
+    /**
+     * Listen to a channel; returns an unsubscribe function
+     * All listeners on this instance share one Redis subscriber connection
+     */
+    async subscribe(channel, listener) {
+        await this.ensureSubscriber();
+        let channelListeners = this.listeners.get(channel);
+        if (!channelListeners) {
+            channelListeners = new Set();
+            this.listeners.set(channel, channelListeners);
+            await this.subscriber.subscribe(channel, (message) => {
+                let event;
+                try {
+                    event = JSON.parse(message);
+                }
+                catch {
+                    return;
+                }
+                for (const fn of this.listeners.get(channel) || []) {
+                    fn(event);
+                }
+            });
+        }
+        channelListeners.add(listener);
+        return async () => {
+            const current = this.listeners.get(channel);
+            if (!current) {
+                return;
+            }
+            current.delete(listener);
+            if (current.size === 0) {
+                this.listeners.delete(channel);
+                await this.subscriber?.unsubscribe(channel).catch(() => undefined);
+            }
+        };
+    }
+    async ensureSubscriber() {
+        if (!this.subscriberReady) {
+            this.subscriber = redis_1.redis.duplicate();
+            this.subscriber.on('error', (error) => {
+                logger_1.logger.error('Call monitor subscriber error', { error: error.message });
+            });
+            this.subscriberReady = this.subscriber.connect().catch((error) => {
+                this.subscriber = null;
+                this.subscriberReady = null;
+                throw error;
+            });
+        }
+        await this.subscriberReady;
+    }
+}
+exports.CallMonitorService = CallMonitorService;
+exports.callMonitorService = new CallMonitorService();
+//# sourceMappingURL=callMonitor.service.js.map
@@ -0,0 +1,323 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.callOwnershipService = exports.CallOwnershipService = void 0;
+const os_1 = require("os");
+const crypto_1 = require("crypto");
+const redis_1 = require("../config/redis");
+const env_1 = require("../config/env");
+const ttls_1 = require("../config/ttls");
+const logger_1 = require("../utils/logger");
+const metrics_1 = require("../utils/metrics");
+const errors_1 = require("../utils/errors");
+const callMonitor_service_1 = require("./callMonitor.service");
+/**
+ * Call Ownership Registry
+ * Which API instance holds each live call's Exotel WebSocket, so that any instance
+ * behind the load balancer can count calls cluster-wide and reach a call it doesn't hold.
+ *
+ * - call-ownership:calls              hash callLogId -> { instanceId, direction, campaignId, userId, claimedAt }
+ * - call-ownership:instances          sorted set instanceId -> last heartbeat (ms)
+ * - call-ownership:rpc:<instanceId>   requests (hangup, status...) for calls the instance owns
+ * - call-ownership:reply:<instanceId> answers to the requests it sent
+ *
+ * An instance that misses heartbeats for TTL_CONFIG.instanceTTL seconds is presumed dead:
+ * the first live instance to notice drops it and releases its calls (the carrier has
+ * lost those WebSockets with it).
+ */
+class CallOwnershipService {
+    constructor() {
+        this.CALLS_KEY = 'call-ownership:calls';
+        this.INSTANCES_KEY = 'call-ownership:instances';
+        this.REQUEST_TIMEOUT_MS = 3000;
+        this.instanceId = env_1.env.INSTANCE_ID || `${(0, os_1.hostname)()}:${process.pid}:${(0, crypto_1.randomBytes)(3).toString('hex')}`;
+        this.intervalId = null;
+        this.running = false;
+        this.handlers = new Map(); // action -> (callLogId, payload) => result (undefined = call not held here)
+        this.pending = new Map(); // requestId -> request waiting for its owner's answer
+        this.unsubscribers = [];
+    }
+    rpcChannel(instanceId) {
+        return `call-ownership:rpc:${instanceId}`;
+    }
+    replyChannel(instanceId) {
+        return `call-ownership:reply:${instanceId}`;
+    }
+    async start() {
+        if (this.running)
+            return;
+        this.running = true;
+        await this.heartbeat();
+        this.unsubscribers = await Promise.all([
+            callMonitor_service_1.callMonitorService.subscribe(this.rpcChannel(this.instanceId), (message) => {
+                this.handleRequest(message).catch((error) => {
+                    logger_1.logger.error('Failed to answer call ownership request', {
+                        action: message.action,
+                        callLogId: message.callLogId,
+                        error: error.message
+                    });
+                });
+            }),
+            callMonitor_service_1.callMonitorService.subscribe(this.replyChannel(this.instanceId), (message) => this.handleReply(message))
+        ]);
+        this.intervalId = setInterval(() => {
+            this.heartbeat().catch((error) => {
+                logger_1.logger.error('Call ownership heartbeat failed', { error: error.message });
+            });
+        }, ttls_1.TTL_CONFIG.instanceHeartbeatInterval);
+        logger_1.logger.info('✅ Call ownership registry started', {
+            instanceId: this.instanceId,
+            heartbeat: `${ttls_1.TTL_CONFIG.instanceHeartbeatInterval}ms`
+        });
+    }
+    /**
+     * Leave the cluster: the calls this instance still holds are released
+     * (graceful shutdown has already waited for them to finish)
+     */
+    async stop() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+        await Promise.all(this.unsubscribers.map((unsubscribe) => unsubscribe()));
+        this.unsubscribers = [];
+        if (this.running) {
+            const owned = (await this.listCalls()).filter((call) => call.instanceId === this.instanceId);
+            if (owned.length > 0) {
+                await redis_1.redis.hDel(this.CALLS_KEY, owned.map((call) => call.callLogId));
+            }
+            await redis_1.redis.zRem(this.INSTANCES_KEY, this.instanceId);
+        }
+        this.running = false;
+        logger_1.logger.info('Call ownership registry stopped', { instanceId: this.instanceId });
+    }
+    /**
+     * Answer requests of one kind for calls held by this instance
+     */
+    handle(action, handler) {
+        this.handlers.set(action, handler);
+    }
+    async heartbeat() {
+        await redis_1.redis.zAdd(this.INSTANCES_KEY, { score: Date.now(), value: this.instanceId });
+        await this.reapDeadInstances();
+    }
+    /**
+     * Release the calls of instances whose heartbeat stopped
+     */
+    async reapDeadInstances() {
+        const dead = await redis_1.redis.zRangeByScore(this.INSTANCES_KEY, 0, this.aliveSince() - 1);
+        for (const instanceId of dead) {
+            // Only the instance whose ZREM wins cleans up
+            if (!(await redis_1.redis.zRem(this.INSTANCES_KEY, instanceId))) {
+                continue;
+            }
+            const orphaned = (await this.listCalls()).filter((call) => call.instanceId === instanceId);
+            if (orphaned.length > 0) {
+                await redis_1.redis.hDel(this.CALLS_KEY, orphaned.map((call) => call.callLogId));
+            }
+            for (const call of orphaned) {
+                await callMonitor_service_1.callMonitorService.unregisterCall(call.callLogId, call.campaignId, {
+                    endReason: 'instance_lost'
+                });
+            }
+            metrics_1.metrics.inc('gateway_instance_lost', {}, 1);
+            logger_1.logger.warn('⚠️ Gateway instance stopped heartbeating - released its calls', {
+                instanceId,
+                calls: orphaned.length,
+                reapedBy: this.instanceId
+            });
+        }
+    }
+    aliveSince() {
+        return Date.now() - ttls_1.TTL_CONFIG.instanceTTL * 1000;
+    }
+    async getLiveInstances() {
+        return redis_1.redis.zRangeByScoreWithScores(this.INSTANCES_KEY, this.aliveSince(), '+inf');
+    }
+    /**
+     * Record this instance as the owner of a call (call start)
+     */
+    async claimCall(callLogId, call = {}) {
+        try {
+            await redis_1.redis.hSet(this.CALLS_KEY, callLogId, JSON.stringify({
+                direction: call.direction,
+                campaignId: call.campaignId,
+                userId: call.userId,
+                instanceId: this.instanceId,
+                claimedAt: new Date().toISOString()
+            }));
+        }
+        catch (error) {
+            logger_1.logger.warn('Failed to claim call ownership', {
+                callLogId,
+                error: error.message
+            });
+        }
+    }
+    /**
+     * Drop a call from the registry (call end) - unless another instance has claimed it since
+     */
+    async releaseCall(callLogId) {
+        try {
+            const call = await this.getCall(callLogId);
+            if (call?.instanceId === this.instanceId) {
+                await redis_1.redis.hDel(this.CALLS_KEY, callLogId);
+            }
+        }
+        catch (error) {
+            logger_1.logger.warn('Failed to release call ownership', {
+                callLogId,
+                error: error.message
+            });
+        }
+    }
+    async getCall(callLogId) {
+        const raw = await redis_1.redis.hGet(this.CALLS_KEY, callLogId);
+        if (!raw) {
+            return null;
+        }
+        try {
+            return { ...JSON.parse(raw), callLogId };
+        }
+        catch {
+            return null;
+        }
+    }
+    async listCalls() {
+        const entries = await redis_1.redis.hGetAll(this.CALLS_KEY);
+        const calls = [];
+        for (const [callLogId, raw] of Object.entries(entries)) {
+            try {
+                calls.push({ ...JSON.parse(raw), callLogId });
+            }
+            catch {
+                continue;
+            }
+        }
+        return calls;
+    }
+    /**
+     * Instance holding the call, or null when no live instance does
+     */
+    async getOwner(callLogId) {
+        const call = await this.getCall(callLogId);
+        if (!call) {
+            return null;
+        }
+        const heartbeat = await redis_1.redis.zScore(this.INSTANCES_KEY, call.instanceId);
+        return heartbeat !== null && heartbeat >= this.aliveSince() ? call.instanceId : null;
+    }
+    /**
+     * Calls in progress on live instances, optionally limited to a direction, campaign or user
+     */
+    async countActiveCalls(filter = {}) {
+        const live = new Set((await this.getLiveInstances()).map((instance) => instance.value));
+        return (await this.listCalls()).filter((call) => live.has(call.instanceId) &&
+            (!filter.direction || call.direction === filter.direction) &&
+            (!filter.campaignId || call.campaignId === filter.campaignId) &&
+            (!filter.userId || call.userId === filter.userId)).length;
+    }
+    /**
+     * Live instances and how many calls each holds
+     */
+    async getClusterStats() {
+        const [instances, calls] = await Promise.all([this.getLiveInstances(), this.listCalls()]);
+        const perInstance = instances.map((instance) => ({
+            instanceId: instance.value,
+            lastHeartbeat: new Date(instance.score).toISOString(),
+            activeCalls: calls.filter((call) => call.instanceId === instance.value).length
+        }));
+        return {
+            instanceId: this.instanceId,
+            activeCalls: perInstance.reduce((total, instance) => total + instance.activeCalls, 0),
+            instances: perInstance
+        };
+    }
+    /**
+     * Run an action on the instance that owns the call
+     * Returns { delivered: false } when no live instance holds the call,
+     * else { delivered: true, instanceId, result }
+     */
+    async request(callLogId, action, payload = {}) {
+        callLogId = callLogId.toString();
+        const owner = await this.getOwner(callLogId);
+        if (!owner) {
+            return { delivered: false };
+        }
+        if (owner === this.instanceId) {
+            const result = await this.runHandler(action, callLogId, payload);
+            return result === undefined ? { delivered: false } : { delivered: true, instanceId: owner, result };
+        }
+        if (!this.running) {
+            throw new Error('Call ownership registry is not started on this instance');
+        }
+        const requestId = (0, crypto_1.randomUUID)();
+        const reply = new Promise((resolve, reject) => {
+            const timeoutId = setTimeout(() => {
+                this.pending.delete(requestId);
+                reject(new errors_1.ExternalServiceError(`Instance ${owner} did not answer ${action} for call ${callLogId}`, 'gateway'));
+            }, this.REQUEST_TIMEOUT_MS);
+            this.pending.set(requestId, { resolve, reject, timeoutId });
+        });
+        const dropPending = () => {
+            clearTimeout(this.pending.get(requestId)?.timeoutId);
+            this.pending.delete(requestId);
+        };
+        let receivers;
+        try {
+            receivers = await redis_1.redis.publish(this.rpcChannel(owner), JSON.stringify({
+                requestId,
+                action,
+                callLogId,
+                payload,
+                replyTo: this.instanceId
+            }));
+        }
+        catch (error) {
+            // Nobody will answer - don't leave the reply to time out unhandled
+            dropPending();
+            throw error;
+        }
+        if (receivers === 0) {
+            dropPending();
+            return { delivered: false };
+        }
+        const answer = await reply;
+        return answer.result === undefined
+            ? { delivered: false }
+            : { delivered: true, instanceId: owner, result: answer.result };
+    }
+    async runHandler(action, callLogId, payload) {
+        const handler = this.handlers.get(action);
+        if (!handler) {
+            throw new Error(`No handler for call ownership action "${action}"`);
+        }
+        return handler(callLogId, payload);
+    }
+    async handleRequest(message) {
+        const answer = { requestId: message.requestId };
+        try {
+            answer.result = await this.runHandler(message.action, message.callLogId, message.payload || {});
+        }
+        catch (error) {
+            answer.error = error.message;
+        }
+        await redis_1.redis.publish(this.replyChannel(message.replyTo), JSON.stringify(answer));
+    }
+    handleReply(message) {
+        const request = this.pending.get(message.requestId);
+        if (!request) {
+            return; // Timed out already
+        }
+        this.pending.delete(message.requestId);
+        clearTimeout(request.timeoutId);
+        if (message.error) {
+            request.reject(new Error(message.error));
+        }
+        else {
+            request.resolve(message);
+        }
+    }
+}
+exports.CallOwnershipService = CallOwnershipService;
+exports.callOwnershipService = new CallOwnershipService();
+//# sourceMappingURL=callOwnership.service.js.map
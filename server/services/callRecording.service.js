@@ -0,0 +1,203 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.callRecordingService = exports.CallRecordingService = exports.CallRecorder = void 0;
+const CallLog_1 = require("../models/CallLog");
+const storage_service_1 = require("./storage.service");
+const env_1 = require("../config/env");
+const logger_1 = require("../utils/logger");
+const INTERLEAVE_SLICE_SAMPLES = 32768; // Stereo frames interleaved per event-loop turn (~4s of 8kHz audio)
+/**
+ * Per-call dual-channel recorder (caller = left, agent = right)
+ *
+ * Caller audio arrives in real time, so it is laid down contiguously from the first
+ * media frame. Agent audio is burst-sent to Exotel ahead of playback, so each chunk
+ * is placed at the time it actually plays (the gateway's playback timeline) and
+ * anything Exotel dropped on a barge-in "clear" is cut off again.
+ */
+class CallRecorder {
+    constructor(sampleRate = 8000, maxDurationMs = 60 * 60 * 1000) {
+        this.sampleRate = sampleRate;
+        this.maxDurationMs = maxDurationMs;
+        this.startedAt = Date.now();
+        this.callerStartMs = undefined;
+        this.callerChunks = [];
+        this.callerBytes = 0;
+        this.agentSegments = [];
+    }
+    /**
+     * 16-bit mono PCM bytes per millisecond
+     */
+    get bytesPerMs() {
+        return (this.sampleRate * 2) / 1000;
+    }
+    /**
+     * Millisecond offset -> sample-aligned byte offset
+     */
+    toByteOffset(ms) {
+        return Math.max(0, Math.floor((ms * this.bytesPerMs) / 2) * 2);
+    }
+    addCallerAudio(chunk) {
+        if (this.callerStartMs === undefined) {
+            this.callerStartMs = Date.now() - this.startedAt;
+        }
+        if (this.callerStartMs + this.callerBytes / this.bytesPerMs >= this.maxDurationMs) {
+            return;
+        }
+        this.callerChunks.push(Buffer.from(chunk));
+        this.callerBytes += chunk.length;
+    }
+    /**
+     * @param playAt - epoch ms at which the chunk starts playing on the caller's side
+     */
+    addAgentAudio(chunk, playAt) {
+        const offsetMs = playAt - this.startedAt;
+        if (offsetMs >= this.maxDurationMs) {
+            return;
+        }
+        this.agentSegments.push({ offsetMs, data: Buffer.from(chunk) });
+    }
+    /**
+     * Drop agent audio scheduled after `atTime` (Exotel discarded it on "clear")
+     */
+    truncateAgentAudio(atTime) {
+        const cutoffMs = atTime - this.startedAt;
+        this.agentSegments = this.agentSegments
+            .filter((segment) => segment.offsetMs < cutoffMs)
+            .map((segment) => {
+            const maxBytes = this.toByteOffset(cutoffMs - segment.offsetMs);
+            return segment.data.length > maxBytes
+                ? { offsetMs: segment.offsetMs, data: segment.data.subarray(0, maxBytes) }
+                : segment;
+        });
+    }
+    hasAudio() {
+        return this.callerBytes > 0 || this.agentSegments.length > 0;
+    }
+    /**
+     * Render the stereo 16-bit WAV
+     * Interleaving runs in slices that yield to the event loop - an hour-long recording
+     * would otherwise stall every other live call on the instance
+     */
+    async toWav() {
+        const callerOffset = this.toByteOffset(this.callerStartMs || 0);
+        let channelBytes = callerOffset + this.callerBytes;
+        for (const segment of this.agentSegments) {
+            channelBytes = Math.max(channelBytes, this.toByteOffset(segment.offsetMs) + segment.data.length);
+        }
+        channelBytes -= channelBytes % 2;
+        const left = Buffer.alloc(channelBytes);
+        Buffer.concat(this.callerChunks).copy(left, callerOffset);
+        const right = Buffer.alloc(channelBytes);
+        for (const segment of this.agentSegments) {
+            segment.data.copy(right, this.toByteOffset(segment.offsetMs));
+        }
+        const samples = channelBytes / 2;
+        const wav = Buffer.alloc(44 + samples * 4);
+        this.writeWavHeader(wav, samples * 4);
+        for (let start = 0; start < samples; start += INTERLEAVE_SLICE_SAMPLES) {
+            if (start > 0) {
+                await new Promise((resolve) => setImmediate(resolve));
+            }
+            const end = Math.min(samples, start + INTERLEAVE_SLICE_SAMPLES);
+            for (let i = start; i < end; i++) {
+                wav.writeInt16LE(left.readInt16LE(i * 2), 44 + i * 4);
+                wav.writeInt16LE(right.readInt16LE(i * 2), 44 + i * 4 + 2);
+            }
+        }
+        return wav;
+    }
+    writeWavHeader(buffer, dataBytes) {
+        const channels = 2;
+        buffer.write('RIFF', 0);
+        buffer.writeUInt32LE(36 + dataBytes, 4);
+        buffer.write('WAVE', 8);
+        buffer.write('fmt ', 12);
+        buffer.writeUInt32LE(16, 16); // PCM fmt chunk size
+        buffer.writeUInt16LE(1, 20); // PCM
+        buffer.writeUInt16LE(channels, 22);
+        buffer.writeUInt32LE(this.sampleRate, 24);
+        buffer.writeUInt32LE(this.sampleRate * channels * 2, 28); // byte rate
+        buffer.writeUInt16LE(channels * 2, 32); // block align
+        buffer.writeUInt16LE(16, 34); // bits per sample
+        buffer.write('data', 36);
+        buffer.writeUInt32LE(dataBytes, 40);
+    }
+}
+exports.CallRecorder = CallRecorder;
+/**
+ * Call Recording Service
+ * Creates recorders for live calls and uploads the result through the storage adapter
+ */
+class CallRecordingService {
+    constructor() {
+        this.PLAYBACK_URL_TTL_SEC = 300; // Presigned playback URLs are valid for 5 minutes
+    }
+    isEnabled() {
+        return env_1.env.CALL_RECORDING_ENABLED !== 'false';
+    }
+    /**
+     * New recorder for a call, or undefined when recording is disabled
+     */
+    createRecorder(sampleRate = 8000) {
+        return this.isEnabled() ? new CallRecorder(sampleRate) : undefined;
+    }
+    getStorageKey(callLogId) {
+        return `recordings/${callLogId}.wav`;
+    }
+    /**
+     * Encode and upload a finished recording, then reference it on the CallLog
+     */
+    async saveRecording(callLogId, recorder) {
+        if (!recorder || !recorder.hasAudio()) {
+            return null;
+        }
+        const startTime = Date.now();
+        const wav = await recorder.toWav();
+        const key = this.getStorageKey(callLogId);
+        await storage_service_1.storageService.put(key, wav, 'audio/wav');
+        const recording = {
+            storageKey: key,
+            driver: storage_service_1.storageService.driver,
+            format: 'wav',
+            channels: 2,
+            sampleRate: recorder.sampleRate,
+            durationSec: Math.round((wav.length - 44) / (recorder.sampleRate * 4)),
+            sizeBytes: wav.length,
+            uploadedAt: new Date()
+        };
+        await CallLog_1.CallLog.findByIdAndUpdate(callLogId, {
+            $set: { recording }
+        });
+        logger_1.logger.info('🎙️ Call recording saved', {
+            callLogId,
+            key,
+            durationSec: recording.durationSec,
+            sizeBytes: recording.sizeBytes,
+            uploadMs: Date.now() - startTime
+        });
+        return recording;
+    }
+    /**
+     * Short-lived playback URL for a call
+     * Prefers our dual-channel recording, falls back to the URL Exotel sent
+     */
+    async getPlaybackUrl(callLog) {
+        if (callLog.recording?.storageKey) {
+            const url = await storage_service_1.storageService.getSignedUrl(callLog.recording.storageKey, this.PLAYBACK_URL_TTL_SEC);
+            return {
+                url,
+                source: 'server',
+                expiresAt: new Date(Date.now() + this.PLAYBACK_URL_TTL_SEC * 1000),
+                channels: callLog.recording.channels,
+                durationSec: callLog.recording.durationSec
+            };
+        }
+        if (callLog.recordingUrl) {
+            return { url: callLog.recordingUrl, source: 'exotel' };
+        }
+        return null;
+    }
+}
+exports.CallRecordingService = CallRecordingService;
+exports.callRecordingService = new CallRecordingService();
+//# sourceMappingURL=callRecording.service.js.map
@@ -0,0 +1,174 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.callTransferService = exports.CallTransferService = void 0;
+const CallLog_1 = require("../models/CallLog");
+const exotel_service_1 = require("./exotel.service");
+const providerRegistry_service_1 = require("./providerRegistry.service");
+const env_1 = require("../config/env");
+const logger_1 = require("../utils/logger");
+/**
+ * Call Transfer Service
+ * Hands a live AI call to a human (Agent.config.transfer)
+ *
+ * Modes:
+ * - flow: the Voicebot stream is closed and the Exotel flow continues to a Connect
+ *   applet whose dynamic URL (/exotel/voice/transfer) returns the target numbers
+ *   and the whisper summary. The caller stays on the same call.
+ * - api: a new call is placed through the Exotel REST API that rings the human first
+ *   and then bridges the caller. No whisper (the REST connect API can't play audio).
+ */
+class CallTransferService {
+    constructor() {
+        this.DEFAULT_HANDOFF_MESSAGE = 'Please hold while I connect you to a member of our team.';
+        this.DEFAULT_FAILURE_MESSAGE = 'Sorry, I could not connect you right now. How else can I help?';
+    }
+    /**
+     * Resolve transfer settings with defaults
+     */
+    getTransferConfig(agent) {
+        const transfer = agent?.config?.transfer || {};
+        return {
+            enabled: transfer.enabled === true,
+            numbers: this.resolveTargets(agent),
+            mode: transfer.mode || 'flow',
+            whisper: transfer.whisper !== false,
+            handoffMessage: transfer.handoffMessage || this.DEFAULT_HANDOFF_MESSAGE,
+            failureMessage: transfer.failureMessage || this.DEFAULT_FAILURE_MESSAGE,
+            triggerPhrases: transfer.triggerPhrases || [],
+            onNegativeSentiment: transfer.onNegativeSentiment === true
+        };
+    }
+    /**
+     * Numbers to dial, in order: the agent's list, else TRANSFER_DEFAULT_NUMBER
+     */
+    resolveTargets(agent) {
+        const numbers = (agent?.config?.transfer?.numbers || []).filter((number) => !!number);
+        if (numbers.length > 0) {
+            return numbers;
+        }
+        return env_1.env.TRANSFER_DEFAULT_NUMBER ? [env_1.env.TRANSFER_DEFAULT_NUMBER] : [];
+    }
+    /**
+     * Check if an agent can transfer calls
+     */
+    canTransfer(agent) {
+        const transferConfig = this.getTransferConfig(agent);
+        return transferConfig.enabled && transferConfig.numbers.length > 0;
+    }
+    /**
+     * Short spoken briefing for the human taking over the call, written by the agent's LLM
+     */
+    async generateWhisperSummary(callLogId, reason, agent) {
+        const callLog = await CallLog_1.CallLog.findById(callLogId).select('transcript');
+        const transcript = (callLog?.transcript || [])
+            .map((t) => `${t.speaker === 'user' ? 'Caller' : 'Agent'}: ${t.text}`)
+            .join('\n');
+        const fallback = `Transferred call. Reason: ${reason.replace(/_/g, ' ')}.`;
+        const llm = providerRegistry_service_1.providerRegistry.resolveLLM(agent?.config?.llm);
+        // The stub LLM can only echo the conversation back
+        if (!transcript || llm.provider.id === 'stub') {
+            return fallback;
+        }
+        try {
+            const result = await llm.provider.chat([
+                {
+                    role: 'system',
+                    content: 'You brief a human support agent who is about to take over a phone call from an AI assistant. ' +
+                        'In at most two short spoken sentences, say who the caller is (if known), what they want and anything already tried. ' +
+                        'Plain text only - it will be read aloud.'
+                },
+                { role: 'user', content: `Transfer reason: ${reason}\n\nConversation:\n${transcript.slice(-6000)}` }
+            ], { model: llm.model, temperature: 0.3, maxTokens: 120 });
+            return result.text.trim() || fallback;
+        }
+        catch (error) {
+            logger_1.logger.warn('Failed to generate transfer whisper summary', {
+                callLogId,
+                error: error.message
+            });
+            return fallback;
+        }
+    }
+    /**
+     * Start a transfer and record it on the CallLog
+     * Returns the stored transfer record
+     */
+    async startTransfer(params) {
+        const { callLogId, agent, reason, callSid } = params;
+        const transferConfig = this.getTransferConfig(agent);
+        const callLog = await CallLog_1.CallLog.findById(callLogId);
+        if (!callLog) {
+            throw new Error(`CallLog ${callLogId} not found`);
+        }
+        // In 'api' mode the summary can't be whispered but is still kept on the CallLog
+        // Callers may pass a summary generated while the handoff line was playing
+        const summary = params.summary ?? (transferConfig.whisper
+            ? await this.generateWhisperSummary(callLogId, reason, agent)
+            : undefined);
+        const transfer = {
+            to: transferConfig.numbers[0],
+            numbers: transferConfig.numbers,
+            mode: transferConfig.mode,
+            reason,
+            summary,
+            requestedAt: new Date()
+        };
+        if (transferConfig.mode === 'api') {
+            // Caller is the customer side of the call, caller ID is our Exophone
+            const callerNumber = callLog.direction === 'outbound' ? callLog.toPhone : callLog.fromPhone;
+            const exophone = callLog.direction === 'outbound' ? callLog.fromPhone : callLog.toPhone;
+            const bridged = await exotel_service_1.exotelService.transferCall({
+                from: transfer.to,
+                to: callerNumber,
+                callerId: exophone,
+                customField: callLogId.toString()
+            });
+            transfer.exotelCallSid = bridged.sid;
+            transfer.transferredAt = new Date();
+            // The bridge call replaces the AI leg
+            if (callSid) {
+                await exotel_service_1.exotelService.hangupCall(callSid).catch((error) => {
+                    logger_1.logger.warn('Failed to hang up AI leg after transfer', {
+                        callLogId,
+                        callSid,
+                        error: error.message
+                    });
+                });
+            }
+        }
+        await CallLog_1.CallLog.findByIdAndUpdate(callLogId, {
+            $set: {
+                status: 'transferred',
+                transfer
+            }
+        });
+        logger_1.logger.info('📲 CALL TRANSFER STARTED', {
+            callLogId,
+            to: transfer.to,
+            mode: transfer.mode,
+            reason
+        });
+        return transfer;
+    }
+    /**
+     * Exotel Connect applet response for a call handed off in 'flow' mode
+     * Returns null if the call has no pending transfer
+     */
+    async getFlowConnectResponse(callLog) {
+        if (!callLog.transfer?.numbers?.length) {
+            return null;
+        }
+        const exophone = callLog.direction === 'outbound' ? callLog.fromPhone : callLog.toPhone;
+        await CallLog_1.CallLog.findByIdAndUpdate(callLog._id, {
+            $set: { 'transfer.transferredAt': new Date() }
+        });
+        return exotel_service_1.exotelService.buildConnectResponse({
+            numbers: callLog.transfer.numbers,
+            callerId: exophone,
+            whisperText: callLog.transfer.summary
+        });
+    }
+}
+exports.CallTransferService = CallTransferService;
+exports.callTransferService = new CallTransferService();
+//# sourceMappingURL=callTransfer.service.js.map
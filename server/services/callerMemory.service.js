@@ -0,0 +1,128 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.callerMemoryService = exports.CallerMemoryService = void 0;
+const CallLog_1 = require("../models/CallLog");
+const logger_1 = require("../utils/logger");
+const phoneValidator_1 = require("../utils/phoneValidator");
+/**
+ * Caller Memory Service
+ * What the agent knows from earlier calls with the same number (Agent.config.callerMemory)
+ *
+ * At session start the last few calls between the user's account and the contact -
+ * retries, follow-up campaigns, inbound callbacks - are condensed from their stored
+ * summaries, key points and action items into a short block for the system prompt.
+ * Calls are found by CallLog.contactNumber (indexed last 10 digits of the number);
+ * calls without a summary are skipped; purging a number excludes its past calls for good.
+ */
+class CallerMemoryService {
+    constructor() {
+        this.MAX_SUMMARY_CHARS = 300;
+        this.MAX_ITEMS_PER_LIST = 3;
+    }
+    /**
+     * Resolve an agent's config.callerMemory with defaults (off unless the agent opts in)
+     */
+    getConfig(callerMemory = {}) {
+        return {
+            enabled: callerMemory.enabled === true,
+            maxCalls: callerMemory.maxCalls ?? 3,
+            lookbackDays: callerMemory.lookbackDays ?? 30
+        };
+    }
+    /**
+     * The other party's number: who was called (outbound) or who called (inbound)
+     */
+    getContactNumber(callLog) {
+        return callLog.direction === 'inbound' ? callLog.fromPhone : callLog.toPhone;
+    }
+    /**
+     * Prompt block for a call from the earlier calls with its contact, or undefined if there are none
+     */
+    async getMemoryForCall(callLog, config) {
+        const calls = await this.findPriorCalls(callLog.userId, this.getContactNumber(callLog), {
+            excludeCallLogId: callLog._id,
+            maxCalls: config.maxCalls,
+            lookbackDays: config.lookbackDays
+        });
+        if (calls.length === 0) {
+            return undefined;
+        }
+        logger_1.logger.info('🧠 Caller memory loaded', {
+            callLogId: callLog._id.toString(),
+            priorCalls: calls.length
+        });
+        return this.formatMemory(calls);
+    }
+    /**
+     * Most recent summarized calls with a number, newest first
+     */
+    async findPriorCalls(userId, phone, options = {}) {
+        const contactNumber = (0, phoneValidator_1.toContactKey)(phone);
+        if (!contactNumber) {
+            return [];
+        }
+        const since = new Date(Date.now() - (options.lookbackDays ?? 30) * 24 * 60 * 60 * 1000);
+        return CallLog_1.CallLog.find({
+            userId,
+            contactNumber,
+            createdAt: { $gte: since },
+            ...(options.excludeCallLogId ? { _id: { $ne: options.excludeCallLogId } } : {}),
+            callerMemoryExcluded: { $ne: true },
+            summary: { $exists: true, $ne: '' }
+        })
+            .sort({ createdAt: -1 })
+            .limit(options.maxCalls ?? 3)
+            .select('createdAt direction durationSec endCallReason summary metadata.keyPoints metadata.actionItems')
+            .lean();
+    }
+    /**
+     * Exclude every past call with a number from caller memory (the calls themselves are kept)
+     * Returns how many calls were excluded
+     */
+    async purge(userId, phone) {
+        const contactNumber = (0, phoneValidator_1.toContactKey)(phone);
+        if (!contactNumber) {
+            return 0;
+        }
+        const result = await CallLog_1.CallLog.updateMany({
+            userId,
+            contactNumber,
+            callerMemoryExcluded: { $ne: true }
+        }, { $set: { callerMemoryExcluded: true } });
+        logger_1.logger.info('Caller memory purged', {
+            userId: userId.toString(),
+            calls: result.modifiedCount
+        });
+        return result.modifiedCount;
+    }
+    formatMemory(calls) {
+        const lines = calls.map((call) => {
+            const date = new Date(call.createdAt).toISOString().substring(0, 10);
+            const details = [call.direction === 'inbound' ? 'they called' : 'we called'];
+            if (call.durationSec) {
+                details.push(`${Math.max(1, Math.round(call.durationSec / 60))} min`);
+            }
+            if (call.endCallReason) {
+                details.push(`ended: ${call.endCallReason.replace(/_/g, ' ')}`);
+            }
+            const parts = [`- ${date} (${details.join(', ')}): ${this.truncate(call.summary, this.MAX_SUMMARY_CHARS)}`];
+            const keyPoints = (call.metadata?.keyPoints || []).slice(0, this.MAX_ITEMS_PER_LIST);
+            if (keyPoints.length > 0) {
+                parts.push(`  Key points: ${keyPoints.join('; ')}`);
+            }
+            const actionItems = (call.metadata?.actionItems || []).slice(0, this.MAX_ITEMS_PER_LIST);
+            if (actionItems.length > 0) {
+                parts.push(`  Action items: ${actionItems.join('; ')}`);
+            }
+            return parts.join('\n');
+        });
+        return lines.join('\n');
+    }
+    truncate(text, maxChars) {
+        const value = text.trim();
+        return value.length <= maxChars ? value : `${value.substring(0, maxChars - 1).trimEnd()}…`;
+    }
+}
+exports.CallerMemoryService = CallerMemoryService;
+exports.callerMemoryService = new CallerMemoryService();
+//# sourceMappingURL=callerMemory.service.js.map
@@ -62,7 +62,8 @@ class CampaignService {
                 retryDelayMinutes: settings?.retryDelayMinutes ?? 30,
                 excludeVoicemail: settings?.excludeVoicemail ?? true,
                 priorityMode: settings?.priorityMode ?? 'fifo',
-                concurrentCallsLimit: settings?.concurrentCallsLimit ?? 3
+                concurrentCallsLimit: settings?.concurrentCallsLimit ?? 3,
+                maxCallDurationSec: settings?.maxCallDurationSec
             },
             metadata
         });
@@ -325,6 +326,20 @@ class CampaignService {
             callStatusCounts[stat._id] = stat.count;
             totalCallDuration += stat.totalDuration || 0;
         });
+        // Calls the gateway ended itself (e.g. caller_inactivity = dead air)
+        const endReasonStats = await CallLog_1.CallLog.aggregate([
+            { $match: { campaignId: new mongoose_1.default.Types.ObjectId(campaignId), endReason: { $exists: true } } },
+            {
+                $group: {
+                    _id: '$endReason',
+                    count: { $sum: 1 }
+                }
+            }
+        ]);
+        const endReasonCounts = {};
+        endReasonStats.forEach(stat => {
+            endReasonCounts[stat._id] = stat.count;
+        });
         return {
             campaign: {
                 id: campaign._id,
@@ -344,6 +359,7 @@ class CampaignService {
             },
             contactStatus: statusCounts,
             callStatus: callStatusCounts,
+            endReasons: endReasonCounts,
             totalCallDuration,
             avgCallDuration: campaign.completedCalls > 0 ? Math.round(totalCallDuration / campaign.completedCalls) : 0
         };
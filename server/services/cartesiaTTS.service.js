@@ -0,0 +1,215 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.cartesiaTTSService = exports.CARTESIA_LANGUAGES = exports.CARTESIA_API_VERSION = exports.CARTESIA_API_URL = void 0;
+const crypto_1 = require("crypto");
+const ws_1 = __importDefault(require("ws"));
+const logger_1 = require("../utils/logger");
+const env_1 = require("../config/env");
+const errors_1 = require("../utils/errors");
+const wav_1 = require("../utils/wav");
+exports.CARTESIA_API_URL = 'https://api.cartesia.ai';
+exports.CARTESIA_API_VERSION = '2024-11-13';
+/**
+ * Languages Sonic renders (any voice can speak any of them)
+ */
+exports.CARTESIA_LANGUAGES = ['en', 'fr', 'de', 'es', 'pt', 'zh', 'ja', 'hi', 'it', 'ko', 'nl', 'pl', 'ru', 'sv', 'tr'];
+const DEFAULT_MODEL = 'sonic-2';
+const SAMPLE_RATE = 8000; // Exotel telephony rate - Cartesia renders it natively
+const CONTEXT_TIMEOUT_MS = 15000;
+/**
+ * Cartesia TTS Service
+ * Streaming text-to-speech using Cartesia Sonic over a single WebSocket
+ * - ~90ms TTFB (model latency), raw 16-bit PCM at 8kHz - no transcoding for Exotel
+ * - One connection is shared by all calls; each synthesis is its own context_id
+ * - Voices are UUIDs (library voices or clones from the Cartesia playground)
+ */
+class CartesiaTTSService {
+    constructor() {
+        this.socket = null;
+        this.connecting = null;
+        this.contexts = new Map(); // context_id -> pending synthesis
+        this.apiKey = env_1.env.CARTESIA_API_KEY;
+        if (this.apiKey) {
+            logger_1.logger.info('Cartesia TTS service initialized');
+        }
+        else {
+            logger_1.logger.warn('Cartesia API key not found - TTS will not be available');
+        }
+    }
+    /**
+     * Check if Cartesia TTS is available
+     */
+    isAvailable() {
+        return !!this.apiKey;
+    }
+    /**
+     * Open (or reuse) the shared WebSocket
+     * Cartesia closes idle sockets after a few minutes - the next request reconnects
+     */
+    getConnection() {
+        if (this.socket && this.socket.readyState === ws_1.default.OPEN) {
+            return Promise.resolve(this.socket);
+        }
+        if (this.connecting) {
+            return this.connecting;
+        }
+        this.connecting = new Promise((resolve, reject) => {
+            const socket = new ws_1.default(`${exports.CARTESIA_API_URL.replace('https', 'wss')}/tts/websocket`, {
+                headers: {
+                    'X-API-Key': this.apiKey,
+                    'Cartesia-Version': exports.CARTESIA_API_VERSION
+                }
+            });
+            socket.on('open', () => {
+                logger_1.logger.info('✅ Cartesia TTS connected');
+                this.socket = socket;
+                this.connecting = null;
+                resolve(socket);
+            });
+            socket.on('message', (data) => this.handleMessage(data));
+            socket.on('error', (error) => {
+                logger_1.logger.error('Cartesia TTS socket error', { error: error.message });
+                if (this.connecting) {
+                    this.connecting = null;
+                    reject(new errors_1.ExternalServiceError(`Cartesia connection failed: ${error.message}`, 'cartesia'));
+                }
+            });
+            socket.on('close', (code) => {
+                logger_1.logger.debug('Cartesia TTS connection closed', { code, pending: this.contexts.size });
+                if (this.socket === socket) {
+                    this.socket = null;
+                }
+                if (this.connecting) {
+                    this.connecting = null;
+                    reject(new errors_1.ExternalServiceError(`Cartesia connection closed before opening (${code})`, 'cartesia'));
+                }
+                // Anything still in flight on this socket will never finish
+                for (const [contextId, context] of this.contexts) {
+                    this.finishContext(contextId, context, new Error(`Cartesia connection closed (${code})`));
+                }
+            });
+        });
+        return this.connecting;
+    }
+    /**
+     * Route a server message to its synthesis context
+     */
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        }
+        catch (error) {
+            logger_1.logger.debug('Ignoring non-JSON Cartesia message');
+            return;
+        }
+        const context = this.contexts.get(message.context_id);
+        if (!context) {
+            return; // Cancelled or timed out
+        }
+        if (message.type === 'chunk' && message.data) {
+            const audioChunk = Buffer.from(message.data, 'base64');
+            if (context.chunks === 0) {
+                logger_1.logger.info('⚡ First audio byte (Cartesia)', { ttfb: `${Date.now() - context.startTime}ms` });
+            }
+            context.chunks++;
+            // Keep chunks in order even when the callback is async
+            context.delivery = context.delivery.then(() => context.onAudioChunk(audioChunk));
+        }
+        else if (message.type === 'error') {
+            this.finishContext(message.context_id, context, new errors_1.ExternalServiceError(`Cartesia TTS error: ${message.error || message.status_code}`, 'cartesia'));
+        }
+        else if (message.type === 'done' || message.done) {
+            this.finishContext(message.context_id, context);
+        }
+    }
+    finishContext(contextId, context, error) {
+        this.contexts.delete(contextId);
+        clearTimeout(context.timeoutId);
+        if (error) {
+            logger_1.logger.error('Cartesia TTS synthesis failed', { contextId, error: error.message });
+            context.reject(error);
+            return;
+        }
+        // Resolve once every chunk has been handed to the caller
+        context.delivery.then(() => {
+            logger_1.logger.info('🎵 Cartesia TTS complete', {
+                duration: `${Date.now() - context.startTime}ms`,
+                chunks: context.chunks
+            });
+            context.resolve();
+        }, context.reject);
+    }
+    /**
+     * Synthesize text with streaming callback
+     * onAudioChunk receives raw 16-bit PCM mono at options.sampleRate (default 8kHz, Exotel format)
+     *
+     * @param text - Text to synthesize
+     * @param onAudioChunk - Callback for each audio chunk (can be async)
+     * @param voiceId - Cartesia voice UUID
+     * @param options - { language, modelId, sampleRate }
+     */
+    async synthesizeStreaming(text, onAudioChunk, voiceId, options = {}) {
+        if (!this.isAvailable()) {
+            throw new Error('Cartesia TTS service not available');
+        }
+        const socket = await this.getConnection();
+        const contextId = (0, crypto_1.randomUUID)();
+        const language = (options.language || 'en').split('-')[0];
+        logger_1.logger.info('🎙️ Cartesia TTS streaming', {
+            textLength: text.length,
+            voice: voiceId,
+            language,
+            contextId
+        });
+        return new Promise((resolve, reject) => {
+            const context = {
+                onAudioChunk,
+                resolve,
+                reject,
+                startTime: Date.now(),
+                chunks: 0,
+                delivery: Promise.resolve()
+            };
+            context.timeoutId = setTimeout(() => {
+                if (socket.readyState === ws_1.default.OPEN) {
+                    socket.send(JSON.stringify({ context_id: contextId, cancel: true }));
+                }
+                this.finishContext(contextId, context, new Error(`Cartesia TTS timed out after ${CONTEXT_TIMEOUT_MS}ms`));
+            }, CONTEXT_TIMEOUT_MS);
+            this.contexts.set(contextId, context);
+            socket.send(JSON.stringify({
+                context_id: contextId,
+                model_id: options.modelId || DEFAULT_MODEL,
+                transcript: text,
+                voice: { mode: 'id', id: voiceId },
+                language: exports.CARTESIA_LANGUAGES.includes(language) ? language : 'en',
+                output_format: {
+                    container: 'raw',
+                    encoding: 'pcm_s16le',
+                    sample_rate: options.sampleRate || SAMPLE_RATE
+                },
+                continue: false
+            }));
+        });
+    }
+    /**
+     * Synthesize text to speech (complete clip)
+     * Returns an 8kHz WAV so cached and pre-rendered audio skips ffmpeg
+     */
+    async synthesizeText(text, voiceId, options = {}) {
+        const chunks = [];
+        await this.synthesizeStreaming(text, (chunk) => {
+            chunks.push(chunk);
+        }, voiceId, options);
+        if (chunks.length === 0) {
+            throw new Error('No audio data received from Cartesia TTS');
+        }
+        return (0, wav_1.buildWav)(Buffer.concat(chunks), options.sampleRate || SAMPLE_RATE);
+    }
+}
+exports.cartesiaTTSService = new CartesiaTTSService();
+//# sourceMappingURL=cartesiaTTS.service.js.map
@@ -136,7 +136,7 @@ class DeepgramService {
                         endpointing: 100, // ✅ 100ms recommended for multilingual (per Deepgram docs)
                         vad_events: options?.vadEvents ?? true,
                         channels: 1,
-                        sample_rate: 8000, // Match Exotel's 8kHz
+                        sample_rate: options?.sampleRate || 8000, // Call audio rate (8kHz, or 16kHz wideband)
                         encoding: 'linear16'
                         // Note: smart_format and punctuate may not be compatible with multilingual mode
                     };
@@ -155,7 +155,7 @@ class DeepgramService {
                         endpointing: options?.endpointing ?? 200,
                         vad_events: options?.vadEvents ?? true,
                         channels: 1,
-                        sample_rate: 8000, // Match Exotel's 8kHz
+                        sample_rate: options?.sampleRate || 8000, // Call audio rate (8kHz, or 16kHz wideband)
                         encoding: 'linear16'
                     };
                     logger_1.logger.info('🌐 Deepgram auto-detection mode - using nova-3 with detect_language=true for language detection');
@@ -172,7 +172,7 @@ class DeepgramService {
                     endpointing: options?.endpointing ?? 200, // 200ms silence = end of speech
                     vad_events: options?.vadEvents ?? true,
                     channels: 1,
-                    sample_rate: 8000, // Match Exotel's 8kHz
+                    sample_rate: options?.sampleRate || 8000, // Call audio rate (8kHz, or 16kHz wideband)
                     encoding: 'linear16'
                 };
             }
@@ -147,8 +147,9 @@ class DeepgramTTSService {
      * @param text - Text to synthesize
      * @param onAudioChunk - Callback for each audio chunk (can be async)
      * @param voiceId - Deepgram voice model
+     * @param sampleRate - PCM rate of the chunks (the call's rate: 8kHz, or 16kHz wideband)
      */
-    async synthesizeStreaming(text, onAudioChunk, voiceId = 'aura-asteria-en') {
+    async synthesizeStreaming(text, onAudioChunk, voiceId = 'aura-asteria-en', sampleRate = 8000) {
         if (!this.isAvailable()) {
             throw new Error('Deepgram TTS service not available');
         }
@@ -175,7 +176,7 @@ class DeepgramTTSService {
                 const connection = this.client.speak.live({
                     model: voiceId,
                     encoding: 'linear16',
-                    sample_rate: 8000,
+                    sample_rate: sampleRate,
                     container: 'none'
                 });
                 connection.on(sdk_1.LiveTTSEvents.Open, () => {
@@ -190,6 +190,73 @@ class ExotelService {
             throw new errors_1.ExternalServiceError('Failed to hangup call');
         }
     }
+    /**
+     * Bridge a caller to a human agent with a new Exotel call (REST transfer)
+     * Exotel dials `from` (the human) first and connects `to` (the caller) once answered
+     */
+    async transferCall(data) {
+        try {
+            logger_1.logger.info('Initiating Exotel transfer call', {
+                agentNumber: data.from,
+                callerNumber: data.to
+            });
+            const payload = {
+                From: data.from,
+                To: data.to,
+                CallerId: data.callerId,
+                CallType: 'trans',
+                TimeLimit: data.timeLimit,
+                CustomField: data.customField,
+                StatusCallback: data.statusCallback || `${env_1.env.WEBHOOK_BASE_URL}/bulk/api/exotel/webhook/status`
+            };
+            const response = await this.client.post('/Calls/connect', payload);
+            logger_1.logger.info('Exotel transfer call initiated', {
+                callSid: response.data.Call?.Sid,
+                status: response.data.Call?.Status
+            });
+            return {
+                sid: response.data.Call?.Sid,
+                status: response.data.Call?.Status
+            };
+        }
+        catch (error) {
+            logger_1.logger.error('Failed to initiate Exotel transfer call', {
+                error: error.message,
+                response: error.response?.data
+            });
+            if (error.response?.status === 400) {
+                throw new errors_1.ValidationError(error.response.data?.message || 'Invalid transfer parameters');
+            }
+            throw new errors_1.ExternalServiceError('Failed to transfer call');
+        }
+    }
+    /**
+     * Build the dynamic-URL response for an Exotel Connect applet
+     * Used when the call flow has a Connect applet after the Voicebot applet:
+     * Exotel fetches this once the bot stream ends and dials the listed numbers,
+     * optionally playing `whisperText` to the human before bridging
+     */
+    buildConnectResponse(data) {
+        return {
+            fetch_after_attempt: false,
+            destination: {
+                numbers: data.numbers
+            },
+            outgoing_phone_number: data.callerId,
+            record: true,
+            recording_channels: 'dual',
+            max_ringing_duration: data.maxRingingDuration || 30,
+            ...(data.whisperText
+                ? {
+                    start_call_playback: {
+                        playback_to: 'callee',
+                        type: 'text',
+                        value: data.whisperText
+                    }
+                }
+                : {})
+        };
+    }
     /**
      * Verify phone number with Exotel
      */
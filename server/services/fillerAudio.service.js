@@ -0,0 +1,139 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.fillerAudioService = exports.FillerAudioService = void 0;
+const voicePipeline_service_1 = require("./voicePipeline.service");
+const audioConverter_1 = require("../utils/audioConverter");
+const logger_1 = require("../utils/logger");
+/**
+ * Filler Audio Service
+ * Short "thinking" clips ("hmm", "one moment") and "lookup" clips ("let me check that")
+ * played while the caller waits for a slow turn (long LLM/RAG latency, pending tool call).
+ *
+ * Clips are rendered once per voice + language through the regular TTS providers (and
+ * the TTS cache, so restarts don't pay for them again) and kept here as Exotel-ready
+ * PCM, so playing one never waits on TTS. Anything not rendered yet is simply
+ * skipped - filler is best effort.
+ */
+const DEFAULT_FILLER_PHRASES = {
+    en: {
+        thinking: ['Hmm.', 'One moment.', 'Okay.'],
+        lookup: ['Let me check that.', 'Let me look that up.', 'Just a moment, checking.']
+    },
+    hi: {
+        thinking: ['Hmm.', 'Ek second.', 'Achha.'],
+        lookup: ['Ek minute, check karte hain.', 'Zara dekhte hain.']
+    },
+    ta: {
+        thinking: ['Hmm.', 'Oru nimisham.'],
+        lookup: ['Konjam check pannaren.']
+    },
+    te: {
+        thinking: ['Hmm.', 'Oka nimisham.'],
+        lookup: ['Okka sari check chestanu.']
+    },
+    bn: {
+        thinking: ['Hmm.', 'Ek muhurto.'],
+        lookup: ['Ektu dekhe nichhi.']
+    }
+};
+class FillerAudioService {
+    constructor() {
+        this.DEFAULT_THRESHOLD_MS = 1200; // Silence after the caller's turn before a filler is played
+        this.MAX_CACHED_CLIPS = 500;
+        this.clips = new Map(); // voice/language/phrase -> PCM
+        this.rendering = new Map(); // voice/language -> in-flight prewarm
+    }
+    /**
+     * Resolve Agent.config.filler with defaults
+     * Opt-in: rendering the clips costs TTS for every voice/language the agent speaks in
+     */
+    getConfig(agent) {
+        const filler = agent.config?.filler || {};
+        return {
+            enabled: filler.enabled === true,
+            thresholdMs: filler.thresholdMs ?? this.DEFAULT_THRESHOLD_MS,
+            thinkingPhrases: filler.thinkingPhrases,
+            lookupPhrases: filler.lookupPhrases
+        };
+    }
+    getPhrases(agent, language, kind) {
+        const filler = this.getConfig(agent);
+        const custom = kind === 'lookup' ? filler.lookupPhrases : filler.thinkingPhrases;
+        if (custom && custom.length > 0) {
+            return custom;
+        }
+        const baseLanguage = (language || 'en').split('-')[0];
+        return (DEFAULT_FILLER_PHRASES[baseLanguage] || DEFAULT_FILLER_PHRASES.en)[kind];
+    }
+    voiceKey(config, language) {
+        return `${config.voiceProvider}:${config.voiceId || 'default'}:${language}`;
+    }
+    /**
+     * Render every filler phrase for this voice + language (runs once per voice/language)
+     */
+    async prewarm(agent, config, language) {
+        if (!this.getConfig(agent).enabled) {
+            return;
+        }
+        const voiceKey = this.voiceKey(config, language);
+        const phrases = [...this.getPhrases(agent, language, 'thinking'), ...this.getPhrases(agent, language, 'lookup')];
+        const missing = phrases.filter((phrase) => !this.clips.has(`${voiceKey}:${phrase}`));
+        if (missing.length === 0) {
+            return;
+        }
+        if (!this.rendering.has(voiceKey)) {
+            const startTime = Date.now();
+            const rendering = Promise.all(missing.map((phrase) => this.renderClip(config, language, voiceKey, phrase)))
+                .then((rendered) => {
+                logger_1.logger.info('🎵 Filler clips rendered', {
+                    voice: voiceKey,
+                    clips: rendered.filter(Boolean).length,
+                    durationMs: Date.now() - startTime
+                });
+            })
+                .finally(() => this.rendering.delete(voiceKey));
+            this.rendering.set(voiceKey, rendering);
+        }
+        await this.rendering.get(voiceKey);
+    }
+    async renderClip(config, language, voiceKey, phrase) {
+        try {
+            const audio = await voicePipeline_service_1.voicePipelineService.synthesizeSpeech(phrase, config, language, { persist: true });
+            const pcm = await audioConverter_1.audioConverter.convertToPCM(audio);
+            if (this.clips.size >= this.MAX_CACHED_CLIPS) {
+                // Drop the oldest clip (Map keeps insertion order)
+                this.clips.delete(this.clips.keys().next().value);
+            }
+            this.clips.set(`${voiceKey}:${phrase}`, pcm);
+            return true;
+        }
+        catch (error) {
+            logger_1.logger.warn('Failed to render filler clip', {
+                voice: voiceKey,
+                phrase,
+                error: error.message
+            });
+            return false;
+        }
+    }
+    /**
+     * A random rendered clip of the given kind, or undefined if none is ready
+     */
+    getClip(agent, config, language, kind) {
+        // Clips are shared per voice, so another agent may have rendered them
+        if (!this.getConfig(agent).enabled) {
+            return undefined;
+        }
+        const voiceKey = this.voiceKey(config, language);
+        const ready = this.getPhrases(agent, language, kind)
+            .map((phrase) => ({ phrase, pcm: this.clips.get(`${voiceKey}:${phrase}`) }))
+            .filter((clip) => clip.pcm);
+        if (ready.length === 0) {
+            return undefined;
+        }
+        return ready[Math.floor(Math.random() * ready.length)];
+    }
+}
+exports.FillerAudioService = FillerAudioService;
+exports.fillerAudioService = new FillerAudioService();
+//# sourceMappingURL=fillerAudio.service.js.map
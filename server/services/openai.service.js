@@ -223,6 +223,54 @@ class OpenAIService {
             throw new errors_1.ExternalServiceError('Failed to stream response from GPT');
         }
     }
+    /**
+     * Streaming chat completion with function calling
+     * Yields { type: 'text', text } as tokens arrive and one
+     * { type: 'tool_call', id, name, arguments } per completed tool call at the end
+     */
+    async *streamChatWithTools(messages, options) {
+        try {
+            logger_1.logger.info('Requesting streaming chat completion with tools', {
+                messageCount: messages.length,
+                model: options?.model || 'gpt-4o-mini',
+                toolCount: options?.tools?.length || 0
+            });
+            const stream = await this.client.chat.completions.create({
+                model: options?.model || 'gpt-4o-mini',
+                messages: messages,
+                temperature: options?.temperature ?? 0.7,
+                max_tokens: options?.maxTokens,
+                tools: options?.tools?.length ? options.tools : undefined,
+                stream: true
+            });
+            // Tool call ids/names/arguments arrive as fragments keyed by index
+            const toolCalls = [];
+            for await (const chunk of stream) {
+                const delta = chunk.choices[0]?.delta;
+                if (delta?.content) {
+                    yield { type: 'text', text: delta.content };
+                }
+                for (const fragment of delta?.tool_calls || []) {
+                    const call = toolCalls[fragment.index] || (toolCalls[fragment.index] = { id: '', name: '', arguments: '' });
+                    call.id = fragment.id || call.id;
+                    call.name += fragment.function?.name || '';
+                    call.arguments += fragment.function?.arguments || '';
+                }
+            }
+            for (const call of toolCalls.filter(Boolean)) {
+                yield { type: 'tool_call', id: call.id, name: call.name, arguments: parseToolArguments(call.arguments) };
+            }
+            logger_1.logger.info('Streaming chat completion with tools completed', {
+                toolCalls: toolCalls.filter(Boolean).map((call) => call.name)
+            });
+        }
+        catch (error) {
+            logger_1.logger.error('Failed to get streaming chat completion with tools', {
+                error: error.message
+            });
+            throw new errors_1.ExternalServiceError('Failed to stream response from GPT');
+        }
+    }
     /**
      * Generate embeddings for text
      */
@@ -255,5 +303,19 @@ class OpenAIService {
     }
 }
 exports.OpenAIService = OpenAIService;
+/**
+ * Parse streamed tool arguments (malformed JSON becomes an empty object)
+ */
+function parseToolArguments(raw) {
+    if (!raw) {
+        return {};
+    }
+    try {
+        return JSON.parse(raw);
+    }
+    catch {
+        return {};
+    }
+}
 exports.openaiService = new OpenAIService();
 //# sourceMappingURL=openai.service.js.map
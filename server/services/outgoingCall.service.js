@@ -12,6 +12,7 @@ const exotelOutbound_service_1 = require("./exotelOutbound.service");
 const phone_service_1 = require("./phone.service");
 const redisConcurrency_util_1 = require("../utils/redisConcurrency.util");
 const redis_1 = require("../config/redis");
+const callOwnership_service_1 = require("./callOwnership.service");
 const logger_1 = __importDefault(require("../utils/logger"));
 const mongoose_1 = __importDefault(require("mongoose"));
 /**
@@ -22,7 +23,6 @@ class OutgoingCallService {
     constructor() {
         this.GLOBAL_ACTIVE_CALLS_KEY = 'system:outbound:active';
         this.maxConcurrentCalls = parseInt(process.env.MAX_CONCURRENT_OUTBOUND_CALLS || '10');
-        this.activeCalls = new Map();
         logger_1.default.info('OutgoingCallService initialized', {
             maxConcurrentCalls: this.maxConcurrentCalls
         });
@@ -53,10 +53,10 @@ class OutgoingCallService {
         return activeCount < this.maxConcurrentCalls;
     }
     /**
-     * Get active calls count (cluster-wide)
+     * Get connected outbound calls count (cluster-wide, from the call ownership registry)
      */
     async getActiveCalls() {
-        return await redis_1.redis.sCard(this.GLOBAL_ACTIVE_CALLS_KEY);
+        return await callOwnership_service_1.callOwnershipService.countActiveCalls({ direction: 'outbound' });
     }
     /**
      * Initiate an outbound call
@@ -236,8 +236,6 @@ class OutgoingCallService {
                 outboundStatus: 'queued',
                 status: 'ringing'
             });
-            // Track active call (cluster-wide via Redis + local for backward compat)
-            this.activeCalls.set(callLogId, new Date());
             // Add to cluster-wide tracking
             const member = `${callLogId}:${Date.now()}`;
             await redis_1.redis.sAdd(this.GLOBAL_ACTIVE_CALLS_KEY, member);
@@ -291,17 +289,47 @@ class OutgoingCallService {
             outboundStatus: callLog.outboundStatus,
             phoneNumber: callLog.toPhone,
             startedAt: callLog.startedAt,
-            duration: callLog.durationSec
+            duration: callLog.durationSec,
+            live: callLog.status === 'in-progress' ? await this.getLiveStatus(callLogId) : undefined
         };
     }
+    /**
+     * Live state of a connected call, from whichever instance holds it
+     * (null when no instance answers)
+     */
+    async getLiveStatus(callLogId) {
+        try {
+            const response = await callOwnership_service_1.callOwnershipService.request(callLogId, 'status');
+            return response.delivered ? { ...response.result, instanceId: response.instanceId } : null;
+        }
+        catch (error) {
+            logger_1.default.warn('Failed to get live call status', {
+                callLogId,
+                error: error.message
+            });
+            return null;
+        }
+    }
     /**
      * Cancel a call (scheduled or in-progress)
+     * Connected calls are hung up by the instance holding them; returns the call's new status
      */
     async cancelCall(callLogId) {
         const callLog = await CallLog_1.CallLog.findById(callLogId);
         if (!callLog) {
             throw new Error('Call not found');
         }
+        if (callLog.status === 'in-progress') {
+            const response = await callOwnership_service_1.callOwnershipService.request(callLogId, 'hangup');
+            if (!response.delivered) {
+                throw new Error('Cannot cancel call with status: in-progress (no instance is handling it)');
+            }
+            logger_1.default.info('Call hangup routed to owner instance', {
+                callLogId,
+                instanceId: response.instanceId
+            });
+            return 'ending';
+        }
         // Check if can be cancelled
         if (!['initiated', 'ringing'].includes(callLog.status)) {
             throw new Error(`Cannot cancel call with status: ${callLog.status}`);
@@ -324,9 +352,8 @@ class OutgoingCallService {
             failureReason: 'cancelled',
             endedAt: new Date()
         });
-        // Remove from active calls
-        this.activeCalls.delete(callLogId);
         logger_1.default.info('Call cancelled', { callLogId });
+        return 'canceled';
     }
     /**
      * Bulk initiate calls
@@ -381,8 +408,6 @@ class OutgoingCallService {
      * Mark call as ended (called by webhook handler)
      */
     async markCallEnded(callLogId) {
-        // Remove from local tracking
-        this.activeCalls.delete(callLogId);
         // Remove from cluster-wide tracking (scan for matching member)
         const allMembers = await redis_1.redis.sMembers(this.GLOBAL_ACTIVE_CALLS_KEY);
         for (const member of allMembers) {
@@ -426,10 +451,11 @@ class OutgoingCallService {
      * Get service stats
      */
     async getStats() {
+        const activeCalls = await this.getActiveCalls();
         return {
-            activeCalls: this.activeCalls.size,
+            activeCalls,
             maxConcurrentCalls: this.maxConcurrentCalls,
-            utilization: (this.activeCalls.size / this.maxConcurrentCalls) * 100,
+            utilization: (activeCalls / this.maxConcurrentCalls) * 100,
             circuitBreaker: exotelOutbound_service_1.exotelOutboundService.getCircuitBreakerState(),
             rateLimiter: await exotelOutbound_service_1.exotelOutboundService.getRateLimiterStats()
         };
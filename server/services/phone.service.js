@@ -32,7 +32,8 @@ class PhoneService {
                     subdomain: data.exotelConfig.subdomain,
                     appId: data.exotelConfig.appId
                 } : undefined,
-                tags: data.tags || []
+                tags: data.tags || [],
+                audioFormat: data.audioFormat
             });
             logger_1.logger.info('Phone imported successfully', {
                 userId,
@@ -168,7 +169,7 @@ class PhoneService {
         }
     }
     /**
-     * Update phone tags
+     * Update phone tags, status and media format
      */
     async updatePhone(phoneId, userId, data) {
         try {
@@ -179,6 +180,9 @@ class PhoneService {
             if (data.isActive !== undefined) {
                 phone.status = data.isActive ? 'active' : 'inactive';
             }
+            if (data.audioFormat !== undefined) {
+                phone.audioFormat = data.audioFormat;
+            }
             await phone.save();
             logger_1.logger.info('Phone updated successfully', {
                 userId,
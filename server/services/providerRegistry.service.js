@@ -0,0 +1,162 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.providerRegistry = exports.ProviderRegistry = exports.PROVIDER_KINDS = void 0;
+const logger_1 = require("../utils/logger");
+/**
+ * Speech and language engines by kind, and the methods each kind has to implement
+ *
+ * stt  transcribe(audio, language) -> { text, detectedLanguage?, confidence? }
+ *      streaming providers also: createStream(streamId, options) -> { send(chunk) }, closeStream(streamId, stream)
+ * tts  synthesize(text, options) -> audio Buffer (any format audioConverter understands)
+ *      streaming providers also: synthesizeStreaming(text, onChunk, options)
+ * llm  chat(messages, options) -> { text }, chatStream(messages, options) -> text chunks,
+ *      chatStreamWithTools(messages, options) -> { type: 'text' | 'tool_call', ... } events
+ */
+exports.PROVIDER_KINDS = {
+    stt: ['transcribe'],
+    tts: ['synthesize'],
+    llm: ['chat', 'chatStream', 'chatStreamWithTools']
+};
+const STREAMING_METHODS = {
+    stt: ['createStream', 'closeStream'],
+    tts: ['synthesizeStreaming'],
+    llm: []
+};
+/**
+ * Provider Registry
+ * Every STT, TTS and LLM engine is registered here at startup (providers/index.js) with
+ * the capabilities it declares:
+ * - languages       language codes it handles ('*' = any)
+ * - sampleRates     audio sample rates it accepts (STT) or can render (TTS)
+ * - streaming       live audio in (STT) / audio out while synthesizing (TTS) / token streaming (LLM)
+ * STT/TTS/LLM providers may declare more (see providers/*.js), e.g. languageDetection,
+ * streamFormat, modelPrefixes
+ *
+ * Agents select providers by ID (config.sttProvider, config.voice.provider, config.llm.provider);
+ * callers resolve them here instead of branching on provider names.
+ */
+class ProviderRegistry {
+    constructor() {
+        this.providers = {
+            stt: new Map(),
+            tts: new Map(),
+            llm: new Map()
+        };
+        this.overrides = {}; // kind -> provider ID used for every request (stub providers)
+    }
+    register(provider) {
+        const required = exports.PROVIDER_KINDS[provider.kind];
+        if (!required) {
+            throw new Error(`Unknown provider kind "${provider.kind}" for provider ${provider.id}`);
+        }
+        const methods = provider.capabilities?.streaming
+            ? [...required, ...STREAMING_METHODS[provider.kind]]
+            : required;
+        const missing = methods.filter((method) => typeof provider[method] !== 'function');
+        if (missing.length > 0) {
+            throw new Error(`${provider.kind} provider ${provider.id} is missing ${missing.join(', ')}`);
+        }
+        if (this.providers[provider.kind].has(provider.id)) {
+            logger_1.logger.warn('Replacing registered provider', { kind: provider.kind, id: provider.id });
+        }
+        this.providers[provider.kind].set(provider.id, provider);
+        return provider;
+    }
+    /**
+     * Route every request of a kind to one provider, whatever the agent selected
+     */
+    setOverride(kind, id) {
+        if (!this.has(kind, id)) {
+            throw new Error(`Cannot override ${kind} with unregistered provider ${id}`);
+        }
+        this.overrides[kind] = id;
+    }
+    getOverride(kind) {
+        return this.overrides[kind] ? this.get(kind, this.overrides[kind]) : undefined;
+    }
+    has(kind, id) {
+        return !!this.providers[kind]?.has(id);
+    }
+    get(kind, id) {
+        return this.providers[kind]?.get(id);
+    }
+    list(kind) {
+        return Array.from(this.providers[kind]?.values() || []);
+    }
+    isAvailable(provider) {
+        return !!provider && (provider.isAvailable ? provider.isAvailable() : true);
+    }
+    supportsLanguage(provider, language) {
+        const languages = provider.capabilities?.languages || ['*'];
+        if (!language || languages.includes('*')) {
+            return true;
+        }
+        return languages.includes(language) || languages.includes(language.split('-')[0].toLowerCase());
+    }
+    /**
+     * Provider to use for a request: the override, else the requested provider if it is
+     * available (and handles the language), else the first usable fallback
+     */
+    resolve(kind, id, options = {}) {
+        const override = this.getOverride(kind);
+        if (override) {
+            return override;
+        }
+        const usable = (provider) => this.isAvailable(provider) && this.supportsLanguage(provider, options.language);
+        const requested = this.get(kind, id);
+        if (usable(requested)) {
+            return requested;
+        }
+        const fallback = (options.fallback || [])
+            .map((fallbackId) => this.get(kind, fallbackId))
+            .find(usable);
+        if (fallback) {
+            logger_1.logger.warn('Requested provider not usable - falling back', {
+                kind,
+                requested: id,
+                registered: !!requested,
+                available: this.isAvailable(requested),
+                language: options.language,
+                fallback: fallback.id
+            });
+            return fallback;
+        }
+        return undefined;
+    }
+    /**
+     * LLM provider and model for an agent's llm config ({ provider?, model })
+     * Without an explicit provider the model name decides (gpt-* -> openai, claude-* -> anthropic);
+     * when that provider is unusable OpenAI answers with its default model
+     */
+    resolveLLM(llmConfig = {}) {
+        const model = llmConfig.model || 'gpt-4o-mini';
+        const requestedId = llmConfig.provider ||
+            this.list('llm').find((provider) => (provider.capabilities.modelPrefixes || []).some((prefix) => model.startsWith(prefix)))?.id ||
+            'openai';
+        const provider = this.resolve('llm', requestedId, { fallback: ['openai'] });
+        if (!provider) {
+            throw new Error(`No LLM provider available for ${requestedId}`);
+        }
+        return {
+            provider,
+            model: provider.id === requestedId ? model : provider.capabilities.defaultModel
+        };
+    }
+    /**
+     * Providers and their capabilities (agent editor)
+     */
+    describe() {
+        return Object.fromEntries(Object.keys(this.providers).map((kind) => [
+            kind,
+            this.list(kind).map((provider) => ({
+                id: provider.id,
+                name: provider.name,
+                available: this.isAvailable(provider),
+                capabilities: provider.capabilities
+            }))
+        ]));
+    }
+}
+exports.ProviderRegistry = ProviderRegistry;
+exports.providerRegistry = new ProviderRegistry();
+//# sourceMappingURL=providerRegistry.service.js.map
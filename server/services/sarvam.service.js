@@ -130,13 +130,13 @@ class SarvamService {
             logger_1.logger.info('Creating Sarvam live connection', {
                 language: sarvamLanguage,
                 model: options.model || 'saarika:v2.5',
-                sampleRate: options.sampleRate || 16000,
+                sampleRate: options.sampleRate || 8000,
                 vadEnabled: options.vadEnabled ?? true
             });
             // Build query parameters
-            // IMPORTANT: We send Exotel's native 8kHz PCM audio to Sarvam
-            // Sarvam documentation states they support 8kHz for telephony use cases
-            const sampleRate = 8000; // Match Exotel's 8kHz telephony audio
+            // IMPORTANT: We send the call's native PCM audio to Sarvam
+            // Sarvam supports 8kHz for telephony use cases and 16kHz wideband
+            const sampleRate = options.sampleRate || 8000; // Call audio rate
             const model = options.model || 'saarika:v2.5';
             const inputAudioCodec = 'pcm_s16le'; // Linear PCM 16-bit little-endian
             const highVadSensitivity = options.vadEnabled ?? true;
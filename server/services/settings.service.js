@@ -7,6 +7,7 @@ exports.settingsService = exports.SettingsService = void 0;
 const AdminSettings_1 = require("../models/AdminSettings");
 const mongoose_1 = __importDefault(require("mongoose"));
 const sarvamTTS_service_1 = require("./sarvamTTS.service");
+const cartesiaTTS_service_1 = require("./cartesiaTTS.service");
 const logger_1 = __importDefault(require("../utils/logger"));
 class SettingsService {
     /**
@@ -150,6 +151,50 @@ class SettingsService {
                     audioBase64: base64Audio
                 };
             }
+            else if (provider === 'cartesia') {
+                // Test Cartesia TTS
+                const CARTESIA_API_KEY = apiKey || process.env.CARTESIA_API_KEY;
+                if (!CARTESIA_API_KEY) {
+                    return {
+                        success: false,
+                        message: 'Cartesia API key is missing'
+                    };
+                }
+                const response = await fetch(`${cartesiaTTS_service_1.CARTESIA_API_URL}/tts/bytes`, {
+                    method: 'POST',
+                    headers: {
+                        'X-API-Key': CARTESIA_API_KEY,
+                        'Cartesia-Version': cartesiaTTS_service_1.CARTESIA_API_VERSION,
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({
+                        model_id: 'sonic-2',
+                        transcript: sampleText,
+                        voice: { mode: 'id', id: voiceId },
+                        language: 'en',
+                        output_format: {
+                            container: 'wav',
+                            encoding: 'pcm_s16le',
+                            sample_rate: 8000 // What callers hear on Exotel
+                        }
+                    })
+                });
+                if (!response.ok) {
+                    const error = await response.text();
+                    return {
+                        success: false,
+                        message: `Cartesia API error: ${error}`
+                    };
+                }
+                // Get audio buffer and convert to base64
+                const audioBuffer = await response.arrayBuffer();
+                const base64Audio = Buffer.from(audioBuffer).toString('base64');
+                return {
+                    success: true,
+                    message: 'Cartesia TTS test successful',
+                    audioBase64: base64Audio
+                };
+            }
             return {
                 success: false,
                 message: 'Invalid TTS provider'
@@ -230,6 +275,40 @@ class SettingsService {
                 languages: voice.languages
             }));
         }
+        else if (provider === 'cartesia') {
+            // Fetch Cartesia library and cloned voices from API
+            try {
+                const CARTESIA_API_KEY = apiKey || process.env.CARTESIA_API_KEY;
+                if (!CARTESIA_API_KEY) {
+                    throw new Error('Cartesia API key is missing');
+                }
+                const response = await fetch(`${cartesiaTTS_service_1.CARTESIA_API_URL}/voices`, {
+                    headers: {
+                        'X-API-Key': CARTESIA_API_KEY,
+                        'Cartesia-Version': cartesiaTTS_service_1.CARTESIA_API_VERSION
+                    }
+                });
+                if (!response.ok) {
+                    throw new Error('Failed to fetch Cartesia voices');
+                }
+                const data = await response.json();
+                // Older API versions return a bare array, newer ones a page ({ data, has_more })
+                const voices = Array.isArray(data) ? data : data.data || [];
+                return voices.map((voice) => ({
+                    id: voice.id,
+                    name: voice.name,
+                    gender: voice.gender,
+                    description: voice.description || '',
+                    // Sonic voices speak every supported language; this is the one they were recorded in
+                    languages: voice.language ? [voice.language] : cartesiaTTS_service_1.CARTESIA_LANGUAGES
+                }));
+            }
+            catch (error) {
+                logger_1.default.error('Error fetching Cartesia voices', { error });
+                // Return empty array if API call fails
+                return [];
+            }
+        }
         return [];
     }
 }
@@ -0,0 +1,225 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.storageService = exports.StorageService = exports.S3StorageAdapter = exports.LocalStorageAdapter = void 0;
+const fs_1 = require("fs");
+const path_1 = __importDefault(require("path"));
+const crypto_1 = __importDefault(require("crypto"));
+const client_s3_1 = require("@aws-sdk/client-s3");
+const s3_request_presigner_1 = require("@aws-sdk/s3-request-presigner");
+const env_1 = require("../config/env");
+const logger_1 = require("../utils/logger");
+const errors_1 = require("../utils/errors");
+/**
+ * Local filesystem storage
+ * Signed URLs point at /bulk/api/exotel/recordings/local and are verified with an HMAC
+ */
+class LocalStorageAdapter {
+    constructor(rootDir) {
+        this.driver = 'local';
+        this.rootDir = path_1.default.resolve(rootDir);
+    }
+    resolvePath(key) {
+        const filePath = path_1.default.resolve(this.rootDir, key);
+        // Keys must stay inside the storage root
+        if (!filePath.startsWith(this.rootDir + path_1.default.sep)) {
+            throw new errors_1.BadRequestError('Invalid storage key');
+        }
+        return filePath;
+    }
+    async put(key, data, _contentType) {
+        const filePath = this.resolvePath(key);
+        await fs_1.promises.mkdir(path_1.default.dirname(filePath), { recursive: true });
+        await fs_1.promises.writeFile(filePath, data);
+    }
+    async get(key) {
+        try {
+            return await fs_1.promises.readFile(this.resolvePath(key));
+        }
+        catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+    async exists(key) {
+        try {
+            await fs_1.promises.access(this.resolvePath(key));
+            return true;
+        }
+        catch {
+            return false;
+        }
+    }
+    async delete(key) {
+        await fs_1.promises.rm(this.resolvePath(key), { force: true });
+    }
+    async getSignedUrl(key, expiresInSec) {
+        const expires = Math.floor(Date.now() / 1000) + expiresInSec;
+        const signature = this.sign(key, expires);
+        const query = new URLSearchParams({ key, expires: String(expires), signature });
+        return `${env_1.env.WEBHOOK_BASE_URL}/bulk/api/exotel/recordings/local?${query.toString()}`;
+    }
+    /**
+     * Check a signed URL issued by getSignedUrl
+     */
+    verifySignature(key, expires, signature) {
+        const expiresAt = Number(expires);
+        if (!key || !signature || !Number.isFinite(expiresAt) || expiresAt < Date.now() / 1000) {
+            return false;
+        }
+        const expected = Buffer.from(this.sign(key, expiresAt));
+        const received = Buffer.from(String(signature));
+        return expected.length === received.length && crypto_1.default.timingSafeEqual(expected, received);
+    }
+    sign(key, expires) {
+        return crypto_1.default
+            .createHmac('sha256', env_1.env.JWT_SECRET)
+            .update(`${key}:${expires}`)
+            .digest('hex');
+    }
+}
+exports.LocalStorageAdapter = LocalStorageAdapter;
+/**
+ * S3 / S3-compatible object storage (MinIO, R2, Spaces... via S3_ENDPOINT)
+ */
+class S3StorageAdapter {
+    constructor() {
+        this.driver = 's3';
+        this.bucket = env_1.env.AWS_S3_BUCKET;
+        this.client = new client_s3_1.S3Client({
+            region: env_1.env.AWS_REGION,
+            endpoint: env_1.env.S3_ENDPOINT,
+            forcePathStyle: env_1.env.S3_FORCE_PATH_STYLE === 'true',
+            // Fall back to the default AWS credential chain (IAM role etc.) when keys aren't set
+            credentials: env_1.env.AWS_ACCESS_KEY_ID && env_1.env.AWS_SECRET_ACCESS_KEY
+                ? {
+                    accessKeyId: env_1.env.AWS_ACCESS_KEY_ID,
+                    secretAccessKey: env_1.env.AWS_SECRET_ACCESS_KEY
+                }
+                : undefined
+        });
+    }
+    async put(key, data, contentType) {
+        await this.client.send(new client_s3_1.PutObjectCommand({
+            Bucket: this.bucket,
+            Key: key,
+            Body: data,
+            ContentType: contentType
+        }));
+    }
+    async get(key) {
+        try {
+            const response = await this.client.send(new client_s3_1.GetObjectCommand({
+                Bucket: this.bucket,
+                Key: key
+            }));
+            return Buffer.from(await response.Body.transformToByteArray());
+        }
+        catch (error) {
+            if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+    async exists(key) {
+        try {
+            await this.client.send(new client_s3_1.HeadObjectCommand({
+                Bucket: this.bucket,
+                Key: key
+            }));
+            return true;
+        }
+        catch (error) {
+            if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+                return false;
+            }
+            throw error;
+        }
+    }
+    async delete(key) {
+        await this.client.send(new client_s3_1.DeleteObjectCommand({
+            Bucket: this.bucket,
+            Key: key
+        }));
+    }
+    async getSignedUrl(key, expiresInSec) {
+        return (0, s3_request_presigner_1.getSignedUrl)(this.client, new client_s3_1.GetObjectCommand({
+            Bucket: this.bucket,
+            Key: key
+        }), { expiresIn: expiresInSec });
+    }
+}
+exports.S3StorageAdapter = S3StorageAdapter;
+/**
+ * Object Storage Service
+ * Single entry point for stored blobs (call recordings, ...) - the adapter is picked by STORAGE_DRIVER
+ */
+class StorageService {
+    constructor() {
+        this.adapter = env_1.env.STORAGE_DRIVER === 's3'
+            ? new S3StorageAdapter()
+            : new LocalStorageAdapter(env_1.env.STORAGE_LOCAL_DIR);
+        logger_1.logger.info('Storage service initialized', {
+            driver: this.adapter.driver,
+            location: this.adapter.driver === 's3' ? this.adapter.bucket : this.adapter.rootDir
+        });
+    }
+    get driver() {
+        return this.adapter.driver;
+    }
+    async put(key, data, contentType = 'application/octet-stream') {
+        try {
+            await this.adapter.put(key, data, contentType);
+        }
+        catch (error) {
+            logger_1.logger.error('Failed to store object', {
+                driver: this.driver,
+                key,
+                error: error.message
+            });
+            throw new errors_1.ExternalServiceError('Failed to store object', 'storage');
+        }
+    }
+    /**
+     * Returns null if the object doesn't exist
+     */
+    async get(key) {
+        try {
+            return await this.adapter.get(key);
+        }
+        catch (error) {
+            logger_1.logger.error('Failed to read object', {
+                driver: this.driver,
+                key,
+                error: error.message
+            });
+            throw new errors_1.ExternalServiceError('Failed to read object', 'storage');
+        }
+    }
+    async exists(key) {
+        return this.adapter.exists(key);
+    }
+    async delete(key) {
+        await this.adapter.delete(key);
+    }
+    /**
+     * Short-lived URL for direct playback/download
+     */
+    async getSignedUrl(key, expiresInSec = 300) {
+        return this.adapter.getSignedUrl(key, expiresInSec);
+    }
+    /**
+     * Verify a local-driver signed URL (always false for other drivers)
+     */
+    verifyLocalSignature(key, expires, signature) {
+        return this.adapter.driver === 'local' && this.adapter.verifySignature(key, expires, signature);
+    }
+}
+exports.StorageService = StorageService;
+exports.storageService = new StorageService();
+//# sourceMappingURL=storage.service.js.map
@@ -3,126 +3,66 @@ Object.defineProperty(exports, "__esModule", { value: true });
 exports.sttProviderService = exports.STTProviderService = void 0;
 const deepgram_service_1 = require("./deepgram.service");
 const sarvam_service_1 = require("./sarvam.service");
-const logger_1 = require("../utils/logger");
+const providerRegistry_service_1 = require("./providerRegistry.service");
 /**
  * STT Provider Selection Service
- * Intelligently selects the best Speech-to-Text provider based on:
- * - Language
- * - Auto-detection settings
+ * Picks the Speech-to-Text provider for a call from the provider registry based on:
+ * - The agent's configured provider
+ * - Language (providers declare the languages they handle)
  * - Provider availability
- * - Cost optimization
  */
 class STTProviderService {
     constructor() {
         /**
-         * Indian languages supported by Sarvam.ai
+         * Used, in order, when the configured provider is unavailable or doesn't handle the language
          */
-        this.sarvamLanguages = ['hi', 'bn', 'ta', 'te', 'kn', 'ml', 'mr', 'gu', 'pa', 'or', 'multilingual-indian'];
+        this.fallbackProviders = ['deepgram', 'whisper'];
     }
     /**
-     * Select the best STT provider for a given language and configuration
-     *
-     * Selection logic:
-     * 1. Always use user-specified provider from agent config
-     * 2. For multilingual modes, use appropriate multi-language settings
+     * Select the STT provider for a given language and configuration
+     * Returns the provider, why it was chosen and the language code to give it
      */
     selectProvider(language, enableAutoLanguageDetection, preferredProvider = 'deepgram') {
-        // Normalize language code (handle both 'hi' and 'hi-IN' formats)
-        const langCode = language.split('-')[0].toLowerCase();
-        // Handle multilingual options
-        const isMultilingualIndian = language === 'multilingual-indian';
-        const isMultilingualIntl = language === 'multilingual-intl';
-        // ALWAYS use the provider specified in agent config
-        if (preferredProvider === 'deepgram' && deepgram_service_1.deepgramService.isAvailable()) {
-            // Determine language mode for Deepgram
-            let deepgramLanguage = language;
-            // CRITICAL: Multilingual modes ALWAYS require 'multi' language code
-            // Multilingual mode inherently needs language detection, regardless of checkbox
-            if (isMultilingualIntl || isMultilingualIndian) {
-                // Always use 'multi' for multilingual modes - they require auto-detection
-                deepgramLanguage = 'multi';
-            }
-            else if (enableAutoLanguageDetection) {
-                // Auto-detection enabled for specific language: use 'multi' to allow detection
-                deepgramLanguage = 'multi';
-            }
-            else {
-                // Auto-detection disabled and specific language: use language as-is
-                // deepgramLanguage already set to language value above
-            }
-            return {
-                provider: deepgramLanguage === 'multi' ? 'deepgram-multi' : 'deepgram',
-                reason: `Using Deepgram as specified in agent config`,
-                language: deepgramLanguage
-            };
-        }
-        if (preferredProvider === 'sarvam' && sarvam_service_1.sarvamService.isAvailable()) {
-            // Sarvam only supports Indian languages
-            if (isMultilingualIndian) {
-                return {
-                    provider: 'sarvam',
-                    reason: `Using Sarvam for multilingual Indian languages`,
-                    language: 'multi' // Default to Hindi for multilingual mode
-                };
-            }
-            if (this.sarvamLanguages.includes(langCode)) {
-                return {
-                    provider: 'sarvam',
-                    reason: `Using Sarvam for Indian language ${language}`,
-                    language: language
-                };
-            }
-            // Sarvam doesn't support this language - warn and fallback to Deepgram
-            logger_1.logger.error('Sarvam does not support non-Indian languages. Please select Deepgram in agent config.', {
-                language,
-                requestedProvider: 'sarvam'
-            });
+        if (preferredProvider === 'auto') {
+            // Sarvam for Indian languages, else Deepgram; whatever they don't cover falls back to Whisper
+            preferredProvider = this.isIndianLanguage(language) ? 'sarvam' : 'deepgram';
         }
-        if (preferredProvider === 'whisper') {
-            return {
-                provider: 'whisper',
-                reason: `Using Whisper as specified in agent config`,
-                language: enableAutoLanguageDetection || isMultilingualIndian || isMultilingualIntl ? 'auto' : language
-            };
-        }
-        // Fallback: If requested provider is not available, default to Deepgram
-        logger_1.logger.error('Requested STT provider not available - falling back to Deepgram', {
-            requestedProvider: preferredProvider,
-            language
+        const provider = providerRegistry_service_1.providerRegistry.resolve('stt', preferredProvider, {
+            language,
+            fallback: this.fallbackProviders
         });
-        if (deepgram_service_1.deepgramService.isAvailable()) {
-            // Determine language for fallback
-            let fallbackLanguage = language;
-            if (enableAutoLanguageDetection) {
-                if (isMultilingualIntl || isMultilingualIndian) {
-                    fallbackLanguage = 'multi';
-                }
-                else {
-                    fallbackLanguage = 'multi'; // Auto-detect when enabled
-                }
-            }
-            else {
-                // Map multilingual to defaults when auto-detection is disabled
-                if (isMultilingualIntl) {
-                    fallbackLanguage = 'en';
-                }
-                else if (isMultilingualIndian) {
-                    fallbackLanguage = 'hi';
-                }
-            }
-            return {
-                provider: fallbackLanguage === 'multi' ? 'deepgram-multi' : 'deepgram',
-                reason: `Fallback to Deepgram (requested provider ${preferredProvider} unavailable)`,
-                language: fallbackLanguage
-            };
+        if (!provider) {
+            throw new Error(`No STT provider available for language ${language}`);
         }
-        // Final fallback to Whisper
+        const reason = provider.id === preferredProvider
+            ? `Using ${provider.name} as specified in agent config`
+            : providerRegistry_service_1.providerRegistry.getOverride('stt')
+                ? `All STT routed to ${provider.name}`
+                : `Fallback to ${provider.name} (requested provider ${preferredProvider} unavailable or doesn't support ${language})`;
         return {
-            provider: 'whisper',
-            reason: `All preferred providers unavailable - falling back to Whisper`,
-            language: enableAutoLanguageDetection || isMultilingualIndian || isMultilingualIntl ? 'auto' : language
+            provider,
+            reason,
+            language: provider.resolveLanguage(language, {
+                autoDetect: enableAutoLanguageDetection,
+                streaming: provider.capabilities.streaming
+            })
         };
     }
+    /**
+     * Live STT providers to switch to when a call's stream can't be restored, in order:
+     * the agent's config.failover.stt, else the default fallback chain
+     * Skips the excluded IDs and providers that are unavailable or don't handle the language
+     */
+    getFailoverProviders(agentConfig, language, excludeIds = []) {
+        const chain = agentConfig?.failover?.stt?.length ? agentConfig.failover.stt : this.fallbackProviders;
+        return chain
+            .map((id) => providerRegistry_service_1.providerRegistry.get('stt', id))
+            .filter((provider) => provider &&
+            !excludeIds.includes(provider.id) &&
+            provider.capabilities.streaming &&
+            providerRegistry_service_1.providerRegistry.isAvailable(provider) &&
+            providerRegistry_service_1.providerRegistry.supportsLanguage(provider, language));
+    }
     /**
      * Get the appropriate language parameter for Deepgram based on mode
      */
@@ -136,8 +76,8 @@ class STTProviderService {
      * Check if a given language is an Indian language supported by Sarvam
      */
     isIndianLanguage(language) {
-        const langCode = language.split('-')[0].toLowerCase();
-        return this.sarvamLanguages.includes(langCode);
+        const sarvam = providerRegistry_service_1.providerRegistry.get('stt', 'sarvam');
+        return !!sarvam && providerRegistry_service_1.providerRegistry.supportsLanguage(sarvam, language);
     }
     /**
      * Get all supported providers and their availability status
@@ -159,8 +99,8 @@ class STTProviderService {
             whisper: {
                 available: true, // Always available as fallback
                 languages: '90+ languages',
-                cost: '$0.006/minute',
-                latency: '2-8 seconds'
+                cost: '$0.006/minute (or self-hosted via WHISPER_API_URL)',
+                latency: '~1s partials, finals 0.5-2s after speech ends'
             }
         };
     }
@@ -0,0 +1,98 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.stubProviderService = exports.StubProviderService = void 0;
+const env_1 = require("../config/env");
+const logger_1 = require("../utils/logger");
+const stubSpeech_1 = require("../utils/stubSpeech");
+const wav_1 = require("../utils/wav");
+/**
+ * Stub Providers
+ * Deterministic offline stand-ins for STT, LLM and TTS, switched on per kind with
+ * STUB_PROVIDERS=stt,llm,tts (or "all") - used with scripts/exotelSimulator.js to run
+ * complete calls without any external API.
+ *
+ * - TTS speaks text as stub speech tones (utils/stubSpeech), returned as an 8kHz WAV
+ * - STT decodes stub speech back to the exact text
+ * - LLM answers "You said: <caller text>." (a fixed greeting when the caller hasn't spoken)
+ *
+ * Method signatures and results mirror openaiService so call sites can swap them in.
+ */
+class StubProviderService {
+    constructor() {
+        this.KINDS = ['stt', 'llm', 'tts'];
+        this.GREETING = 'Hello, this is the test agent. How can I help you?';
+        this.STREAM_CHUNK_WORDS = 3; // Words per streamed LLM chunk
+        const configured = (env_1.env.STUB_PROVIDERS || '')
+            .split(',')
+            .map((kind) => kind.trim().toLowerCase())
+            .filter(Boolean);
+        this.enabled = new Set(configured.includes('all') ? this.KINDS : configured.filter((kind) => this.KINDS.includes(kind)));
+        if (this.enabled.size > 0) {
+            logger_1.logger.warn('🧪 Stub providers enabled - calls will not use real STT/LLM/TTS', {
+                stub: [...this.enabled]
+            });
+        }
+    }
+    isEnabled(kind) {
+        return this.enabled.has(kind);
+    }
+    /**
+     * STT: stub speech in the audio (WAV or raw 8kHz PCM) -> text
+     */
+    async transcribeAudio(audioBuffer, language) {
+        const startTime = Date.now();
+        const text = (0, stubSpeech_1.decodeSpeech)(audioBuffer)
+            .map((utterance) => utterance.text)
+            .join(' ');
+        return {
+            text,
+            language,
+            detectedLanguage: undefined,
+            confidence: text ? 1 : undefined,
+            duration: Date.now() - startTime
+        };
+    }
+    /**
+     * TTS: text -> stub speech as an 8kHz mono WAV
+     */
+    async synthesizeSpeech(text) {
+        return (0, wav_1.buildWav)((0, stubSpeech_1.encodeText)(text, 8000), 8000);
+    }
+    /**
+     * LLM: the deterministic reply to a conversation
+     */
+    getReply(messages) {
+        const lastUser = [...messages].reverse().find((message) => message.role === 'user');
+        const text = typeof lastUser?.content === 'string' ? lastUser.content.trim() : '';
+        return text ? `You said: ${text.replace(/[.!?]+$/, '')}.` : this.GREETING;
+    }
+    async getChatCompletion(messages, _options) {
+        const text = this.getReply(messages);
+        return { text, finishReason: 'stop', usage: undefined };
+    }
+    async *getChatCompletionStream(messages, _options) {
+        for (const chunk of this.splitReply(this.getReply(messages))) {
+            yield chunk;
+        }
+    }
+    /**
+     * Same events as openaiService.streamChatWithTools (the stub never calls tools)
+     */
+    async *streamChatWithTools(messages, _options) {
+        for (const chunk of this.splitReply(this.getReply(messages))) {
+            yield { type: 'text', text: chunk };
+        }
+    }
+    splitReply(reply) {
+        const words = reply.split(' ');
+        const chunks = [];
+        for (let i = 0; i < words.length; i += this.STREAM_CHUNK_WORDS) {
+            const chunk = words.slice(i, i + this.STREAM_CHUNK_WORDS).join(' ');
+            chunks.push(i + this.STREAM_CHUNK_WORDS < words.length ? `${chunk} ` : chunk);
+        }
+        return chunks;
+    }
+}
+exports.StubProviderService = StubProviderService;
+exports.stubProviderService = new StubProviderService();
+//# sourceMappingURL=stubProviders.service.js.map
@@ -1,11 +1,13 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.transcriptGenerationService = void 0;
-const openai_service_1 = require("./openai.service");
-const anthropic_service_1 = require("./anthropic.service");
+const providerRegistry_service_1 = require("./providerRegistry.service");
 const CallLog_1 = require("../models/CallLog");
 const logger_1 = require("../utils/logger");
 class TranscriptGenerationService {
+    constructor() {
+        this.INSIGHTS_PROVIDERS = ['openai', 'anthropic']; // LLM providers tried in order
+    }
     /**
      * Generate formatted transcript and summary for a completed call
      */
@@ -181,26 +183,25 @@ class TranscriptGenerationService {
             ];
             // Try OpenAI first, fallback to Anthropic
             let response;
-            try {
-                const result = await openai_service_1.openaiService.getChatCompletion(messages, {
-                    model: 'gpt-4o-mini', // Use cheaper model for transcript analysis
-                    temperature: 0.3,
-                    maxTokens: 1000
-                });
-                response = result.text;
+            for (const provider of this.getInsightsProviders()) {
+                try {
+                    const result = await provider.chat(messages, {
+                        model: provider.capabilities.defaultModel, // Use cheaper model for transcript analysis
+                        temperature: 0.3,
+                        maxTokens: 1000
+                    });
+                    response = result.text;
+                    break;
+                }
+                catch (error) {
+                    logger_1.logger.warn('Insights provider failed, trying the next one', {
+                        provider: provider.id,
+                        error: error.message
+                    });
+                }
             }
-            catch (error) {
-                logger_1.logger.warn('OpenAI failed, trying Anthropic', { error });
-                // Anthropic doesn't accept system messages in the array, need to extract it
-                const systemMessage = messages.find(m => m.role === 'system');
-                const userMessages = messages.filter(m => m.role !== 'system');
-                const result = await anthropic_service_1.anthropicService.getChatCompletion(userMessages, {
-                    model: 'claude-3-5-haiku-20241022',
-                    temperature: 0.3,
-                    maxTokens: 1000,
-                    systemPrompt: systemMessage?.content
-                });
-                response = result.text;
+            if (response === undefined) {
+                throw new Error('No LLM provider could generate insights');
             }
             // Parse JSON response
             const insights = this.parseInsightsResponse(response);
@@ -264,6 +265,15 @@ class TranscriptGenerationService {
         parts.push('Return ONLY valid JSON, no other text.');
         return parts.join('\n');
     }
+    /**
+     * LLM providers to try for insights, in order (a single one when all LLM calls are routed to the stub)
+     */
+    getInsightsProviders() {
+        const providers = this.INSIGHTS_PROVIDERS
+            .map((id) => providerRegistry_service_1.providerRegistry.resolve('llm', id))
+            .filter(Boolean);
+        return [...new Set(providers)];
+    }
     /**
      * Parse insights response from LLM
      */
@@ -0,0 +1,274 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ttsCacheService = exports.TTSCacheService = void 0;
+const crypto_1 = __importDefault(require("crypto"));
+const redis_1 = require("../config/redis");
+const env_1 = require("../config/env");
+const storage_service_1 = require("./storage.service");
+const logger_1 = require("../utils/logger");
+/**
+ * TTS Audio Cache
+ * Content-addressed cache of synthesized speech, so greetings, voicemail messages and
+ * closings are not paid for (and waited on) on every call.
+ *
+ * Key = sha256 of provider + voice ID + model + voice settings + language + normalized text
+ *
+ * - Hot tier: Redis (tts-cache:audio:<key>, base64), expires after TTS_CACHE_HOT_TTL_SEC.
+ *   Only pre-warmed phrases and phrases synthesized a second time get here; the first
+ *   rendition of other text only leaves a marker (tts-cache:seen:<key>), so one-off LLM
+ *   sentences don't fill Redis with audio that is never played again.
+ * - Cold tier: object storage (tts-cache/<key>.audio). Only phrases that were used more
+ *   than once (or pre-warmed) get here, so one-off LLM sentences never touch storage.
+ *   tts-cache:index (sorted set, score = last use) drives TTL + LRU eviction down to
+ *   TTS_CACHE_COLD_MAX_MB; tts-cache:sizes holds each entry's size.
+ *
+ * Hits and misses are counted per provider in tts-cache:stats.
+ */
+class TTSCacheService {
+    constructor() {
+        this.HOT_PREFIX = 'tts-cache:audio:';
+        this.SEEN_PREFIX = 'tts-cache:seen:';
+        this.INDEX_KEY = 'tts-cache:index';
+        this.SIZES_KEY = 'tts-cache:sizes';
+        this.STATS_KEY = 'tts-cache:stats';
+        this.EVICTION_INTERVAL_MS = 5 * 60 * 1000;
+        this.lastEvictionAt = 0;
+    }
+    isEnabled() {
+        return env_1.env.TTS_CACHE_ENABLED !== 'false';
+    }
+    normalizeText(text) {
+        return text.normalize('NFC').replace(/\s+/g, ' ').trim();
+    }
+    /**
+     * Content address for one rendition of a phrase
+     */
+    buildKey(params) {
+        const settings = params.voiceSettings || {};
+        const sortedSettings = Object.keys(settings)
+            .sort()
+            .filter((name) => settings[name] !== undefined)
+            .map((name) => [name, settings[name]]);
+        return crypto_1.default
+            .createHash('sha256')
+            .update(JSON.stringify([
+            params.provider,
+            params.voiceId || '',
+            params.model || '',
+            sortedSettings,
+            params.language || '',
+            this.normalizeText(params.text)
+        ]))
+            .digest('hex');
+    }
+    coldStorageKey(key) {
+        return `tts-cache/${key}.audio`;
+    }
+    /**
+     * Cached audio for the phrase, or null (hot tier first, then cold)
+     */
+    async get(params) {
+        if (!this.isEnabled() || !params.text?.trim()) {
+            return null;
+        }
+        const key = this.buildKey(params);
+        try {
+            const hot = await redis_1.redis.get(this.HOT_PREFIX + key);
+            if (hot) {
+                const audio = Buffer.from(hot, 'base64');
+                this.recordStat(params.provider, 'hot_hits');
+                // Hot entries always have a cold copy - keep it at the young end of the LRU
+                this.touchCold(key, audio).catch(() => undefined);
+                return audio;
+            }
+            const lastUsed = await redis_1.redis.zScore(this.INDEX_KEY, key);
+            if (lastUsed !== null && Date.now() - lastUsed < this.getColdTtlMs()) {
+                const audio = await storage_service_1.storageService.get(this.coldStorageKey(key));
+                if (audio) {
+                    this.recordStat(params.provider, 'cold_hits');
+                    await redis_1.redis.zAdd(this.INDEX_KEY, { score: Date.now(), value: key });
+                    await this.setHot(key, audio);
+                    return audio;
+                }
+            }
+        }
+        catch (error) {
+            logger_1.logger.warn('TTS cache read failed', { provider: params.provider, error: error.message });
+        }
+        this.recordStat(params.provider, 'misses');
+        return null;
+    }
+    /**
+     * Store freshly synthesized audio
+     * `persist` (fixed agent lines, prewarm) writes both tiers right away; other text is
+     * cached only when it is synthesized again while its first-use marker is still alive
+     */
+    async set(params, audio, options = {}) {
+        if (!this.isEnabled() || !audio || audio.length === 0 || !params.text?.trim()) {
+            return;
+        }
+        const key = this.buildKey(params);
+        try {
+            if (!options.persist) {
+                const firstUse = await redis_1.redis.set(this.SEEN_PREFIX + key, '1', {
+                    EX: env_1.env.TTS_CACHE_HOT_TTL_SEC,
+                    NX: true
+                });
+                if (firstUse) {
+                    return;
+                }
+            }
+            await this.setHot(key, audio);
+            await this.touchCold(key, audio);
+        }
+        catch (error) {
+            logger_1.logger.warn('TTS cache write failed', { provider: params.provider, error: error.message });
+        }
+    }
+    /**
+     * Cached audio, or synthesize it and cache the result
+     */
+    async getOrSynthesize(params, synthesize, options = {}) {
+        const cached = await this.get(params);
+        if (cached) {
+            return cached;
+        }
+        const audio = await synthesize();
+        await this.set(params, audio, options);
+        return audio;
+    }
+    async setHot(key, audio) {
+        if (audio.length > this.getMaxEntryBytes()) {
+            return;
+        }
+        await redis_1.redis.set(this.HOT_PREFIX + key, audio.toString('base64'), {
+            EX: env_1.env.TTS_CACHE_HOT_TTL_SEC
+        });
+    }
+    /**
+     * Write (or refresh) a cold tier entry
+     */
+    async touchCold(key, audio) {
+        if (audio.length > this.getMaxEntryBytes()) {
+            return;
+        }
+        const added = await redis_1.redis.zAdd(this.INDEX_KEY, { score: Date.now(), value: key }, { NX: true });
+        if (added) {
+            await storage_service_1.storageService.put(this.coldStorageKey(key), audio, 'application/octet-stream');
+            await redis_1.redis.hSet(this.SIZES_KEY, key, audio.length.toString());
+            this.scheduleEviction();
+        }
+        else {
+            await redis_1.redis.zAdd(this.INDEX_KEY, { score: Date.now(), value: key });
+        }
+    }
+    scheduleEviction() {
+        if (Date.now() - this.lastEvictionAt < this.EVICTION_INTERVAL_MS) {
+            return;
+        }
+        this.lastEvictionAt = Date.now();
+        this.evictColdEntries().catch((error) => {
+            logger_1.logger.warn('TTS cache eviction failed', { error: error.message });
+        });
+    }
+    /**
+     * Drop cold entries past their TTL, then least recently used ones until under the size limit
+     */
+    async evictColdEntries() {
+        const expired = await redis_1.redis.zRangeByScore(this.INDEX_KEY, 0, Date.now() - this.getColdTtlMs());
+        const sizes = await redis_1.redis.hGetAll(this.SIZES_KEY);
+        let totalBytes = Object.values(sizes).reduce((sum, size) => sum + parseInt(size, 10), 0);
+        const evict = [...expired];
+        for (const key of expired) {
+            totalBytes -= parseInt(sizes[key] || '0', 10);
+        }
+        if (totalBytes > this.getColdMaxBytes()) {
+            // Oldest first
+            const candidates = await redis_1.redis.zRange(this.INDEX_KEY, 0, -1);
+            for (const key of candidates) {
+                if (totalBytes <= this.getColdMaxBytes()) {
+                    break;
+                }
+                if (!evict.includes(key)) {
+                    evict.push(key);
+                    totalBytes -= parseInt(sizes[key] || '0', 10);
+                }
+            }
+        }
+        for (const key of evict) {
+            await redis_1.redis.zRem(this.INDEX_KEY, key);
+            await redis_1.redis.hDel(this.SIZES_KEY, key);
+            await storage_service_1.storageService.delete(this.coldStorageKey(key)).catch(() => undefined);
+        }
+        if (evict.length > 0) {
+            logger_1.logger.info('🧹 TTS cache evicted cold entries', {
+                evicted: evict.length,
+                expired: expired.length,
+                remainingBytes: totalBytes
+            });
+        }
+    }
+    recordStat(provider, field) {
+        redis_1.redis.hIncrBy(this.STATS_KEY, `${provider || 'unknown'}:${field}`, 1).catch(() => undefined);
+    }
+    /**
+     * Hit rates overall and per provider, plus cold tier size
+     */
+    async getStats() {
+        const [raw, entries, sizes] = await Promise.all([
+            redis_1.redis.hGetAll(this.STATS_KEY),
+            redis_1.redis.zCard(this.INDEX_KEY),
+            redis_1.redis.hVals(this.SIZES_KEY)
+        ]);
+        const byProvider = {};
+        for (const [field, value] of Object.entries(raw)) {
+            const [provider, stat] = field.split(':');
+            byProvider[provider] = byProvider[provider] || { hotHits: 0, coldHits: 0, misses: 0 };
+            const count = parseInt(value, 10);
+            if (stat === 'hot_hits')
+                byProvider[provider].hotHits = count;
+            else if (stat === 'cold_hits')
+                byProvider[provider].coldHits = count;
+            else if (stat === 'misses')
+                byProvider[provider].misses = count;
+        }
+        const withRate = (counts) => {
+            const lookups = counts.hotHits + counts.coldHits + counts.misses;
+            return {
+                ...counts,
+                lookups,
+                hitRate: lookups > 0 ? Math.round(((counts.hotHits + counts.coldHits) / lookups) * 1000) / 1000 : 0
+            };
+        };
+        const totals = Object.values(byProvider).reduce((sum, counts) => ({
+            hotHits: sum.hotHits + counts.hotHits,
+            coldHits: sum.coldHits + counts.coldHits,
+            misses: sum.misses + counts.misses
+        }), { hotHits: 0, coldHits: 0, misses: 0 });
+        return {
+            enabled: this.isEnabled(),
+            ...withRate(totals),
+            byProvider: Object.fromEntries(Object.entries(byProvider).map(([provider, counts]) => [provider, withRate(counts)])),
+            coldTier: {
+                entries,
+                sizeBytes: sizes.reduce((sum, size) => sum + parseInt(size, 10), 0),
+                maxBytes: this.getColdMaxBytes()
+            }
+        };
+    }
+    getColdTtlMs() {
+        return env_1.env.TTS_CACHE_COLD_TTL_DAYS * 24 * 60 * 60 * 1000;
+    }
+    getColdMaxBytes() {
+        return env_1.env.TTS_CACHE_COLD_MAX_MB * 1024 * 1024;
+    }
+    getMaxEntryBytes() {
+        return env_1.env.TTS_CACHE_MAX_ENTRY_KB * 1024;
+    }
+}
+exports.TTSCacheService = TTSCacheService;
+exports.ttsCacheService = new TTSCacheService();
+//# sourceMappingURL=ttsCache.service.js.map
@@ -1,19 +1,22 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.voicePipelineService = exports.VoicePipelineService = void 0;
-const openai_service_1 = require("./openai.service");
-const elevenlabsTTS_service_1 = require("./elevenlabsTTS.service");
-const deepgramTTS_service_1 = require("./deepgramTTS.service");
-const sarvamTTS_service_1 = require("./sarvamTTS.service");
 const CallLog_1 = require("../models/CallLog");
 const logger_1 = require("../utils/logger");
 const languageSupport_1 = require("../config/languageSupport");
 const voicesByLanguage_1 = require("../config/voicesByLanguage");
+const ttsCache_service_1 = require("./ttsCache.service");
+const providerRegistry_service_1 = require("./providerRegistry.service");
+const spokenText_1 = require("../utils/spokenText");
+const callerMemory_service_1 = require("./callerMemory.service");
 class VoicePipelineService {
     constructor() {
         this.conversationHistory = new Map();
         this.languageStates = new Map();
         this.pipelineConfigs = new Map();
+        this.supervisorInstructions = new Map(); // callLogId -> whispers waiting for the next LLM turn
+        this.callerMemories = new Map(); // callLogId -> what the agent knows from earlier calls with the number
+        this.ttsFailoverProviders = ['deepgram', 'elevenlabs', 'openai', 'sarvam']; // Used when an agent sets no config.failover.tts
         logger_1.logger.info('Voice Pipeline service initialized');
     }
     /**
@@ -54,6 +57,11 @@ class VoicePipelineService {
                 }
             }
             this.conversationHistory.set(config.callLogId, history);
+            // Earlier calls with the same number (opt-in per agent)
+            const memoryConfig = callerMemory_service_1.callerMemoryService.getConfig(config.callerMemory);
+            if (memoryConfig.enabled && options?.callLog) {
+                await this.loadCallerMemory(config.callLogId, options.callLog, memoryConfig);
+            }
             // Initialize language state
             const fallbackLanguage = config.language || 'en';
             this.languageStates.set(config.callLogId, {
@@ -74,6 +82,29 @@ class VoicePipelineService {
             throw error;
         }
     }
+    /**
+     * Look up what the agent knows about the contact - a failed lookup only means a call without memory
+     */
+    async loadCallerMemory(callLogId, callLog, memoryConfig) {
+        try {
+            const memory = await callerMemory_service_1.callerMemoryService.getMemoryForCall(callLog, memoryConfig);
+            if (memory) {
+                this.callerMemories.set(callLogId, memory);
+            }
+        }
+        catch (error) {
+            logger_1.logger.warn('Failed to load caller memory', {
+                callLogId,
+                error: error.message
+            });
+        }
+    }
+    /**
+     * Memory block for the call's system prompt (undefined when off or nothing is known)
+     */
+    getCallerMemory(callLogId) {
+        return this.callerMemories.get(callLogId);
+    }
     /**
      * Determine if we should switch languages based on detection
      * Strategy: First utterance -> always use detected language if confident
@@ -107,8 +138,10 @@ class VoicePipelineService {
     /**
      * Public method to update detected language and switch voice if needed
      * Called from WebSocket handler when language is detected in streaming STT
+     * Returns the recorded switch when the language changed (options.excludeProviders: TTS
+     * providers that already failed on this call)
      */
-    async updateDetectedLanguage(callLogId, detectedLanguage, confidence = 0.9) {
+    async updateDetectedLanguage(callLogId, detectedLanguage, confidence = 0.9, options = {}) {
         const languageState = this.languageStates.get(callLogId);
         if (!languageState) {
             logger_1.logger.warn('Cannot update detected language - no language state found', {
@@ -119,13 +152,15 @@ class VoicePipelineService {
         }
         // Check if we should switch to this language
         if (this.shouldSwitchLanguage(callLogId, detectedLanguage, confidence)) {
-            await this.switchLanguage(callLogId, detectedLanguage, confidence);
+            return this.switchLanguage(callLogId, detectedLanguage, confidence, options);
         }
+        return undefined;
     }
     /**
-     * Switch to a new language and update voice if needed
+     * Switch to a new language and move to the voice chosen for it
+     * The switch is kept on the call log (languageSwitches) and returned
      */
-    async switchLanguage(callLogId, newLanguage, confidence) {
+    async switchLanguage(callLogId, newLanguage, confidence, options = {}) {
         const languageState = this.languageStates.get(callLogId);
         const config = this.pipelineConfigs.get(callLogId);
         if (!languageState || !config) {
@@ -146,31 +181,93 @@ class VoicePipelineService {
         if (!languageState.detectedLanguages.includes(newLanguage)) {
             languageState.detectedLanguages.push(newLanguage);
         }
+        // Update voice to match new language (config is shared with the live call)
+        const fromVoice = { provider: config.voiceProvider, voiceId: config.voiceId };
+        const voice = this.selectVoiceForLanguage(config, newLanguage, options.excludeProviders);
+        if (voice) {
+            config.voiceProvider = voice.provider;
+            config.voiceId = voice.voiceId;
+        }
+        else {
+            logger_1.logger.warn('No available TTS voice speaks the new language - keeping current voice', {
+                callLogId,
+                language: newLanguage,
+                voiceProvider: config.voiceProvider
+            });
+        }
         // Record language switch
-        languageState.languageSwitches.push({
+        const languageSwitch = {
             timestamp: new Date(),
             fromLanguage: previousLanguage,
             toLanguage: newLanguage,
-            confidence
+            confidence,
+            fromVoice,
+            toVoice: { provider: config.voiceProvider, voiceId: config.voiceId }
+        };
+        languageState.languageSwitches.push(languageSwitch);
+        CallLog_1.CallLog.findByIdAndUpdate(callLogId, {
+            $push: { languageSwitches: languageSwitch },
+            $addToSet: { detectedLanguages: newLanguage }
+        }).catch((error) => {
+            logger_1.logger.warn('Failed to save language switch', {
+                callLogId,
+                error: error.message
+            });
         });
-        // Update voice to match new language
-        const newVoice = voicesByLanguage_1.VoiceSelectionService.findSimilarVoiceForLanguage(config.voiceId, config.voiceProvider, newLanguage);
-        // Update config with new voice
-        config.voiceId = newVoice.id;
-        config.voiceProvider = newVoice.provider;
-        // Update best TTS provider for the new language
-        const bestProvider = languageSupport_1.LanguageSupportService.getBestTTSProvider(newLanguage);
-        if (bestProvider !== config.voiceProvider) {
-            const providerVoice = languageSupport_1.LanguageSupportService.getDefaultVoice(newLanguage);
-            config.voiceProvider = providerVoice.provider;
-            config.voiceId = providerVoice.voiceId;
-        }
         logger_1.logger.info('✅ Language switched successfully', {
             callLogId,
             language: newLanguage,
             newVoice: config.voiceId,
-            newProvider: config.voiceProvider
+            newProvider: config.voiceProvider,
+            voiceSource: voice?.source
         });
+        return languageSwitch;
+    }
+    /**
+     * Voice for a language after a mid-call switch:
+     * 1. the agent's own voice for it (config.languageVoices, then its main voice for its language)
+     * 2. the voicesByLanguage defaults, in list order (Sarvam first for Indian languages,
+     *    ElevenLabs for European ones), keeping the current voice's gender when possible
+     * Providers that are unavailable, don't speak the language or are in excludeProviders
+     * are skipped; undefined when no usable voice is left
+     */
+    selectVoiceForLanguage(config, language, excludeProviders = []) {
+        const isUsable = (providerId) => {
+            const provider = providerRegistry_service_1.providerRegistry.get('tts', providerId);
+            return !!provider &&
+                !excludeProviders.includes(provider.id) &&
+                providerRegistry_service_1.providerRegistry.isAvailable(provider) &&
+                providerRegistry_service_1.providerRegistry.supportsLanguage(provider, language);
+        };
+        const baseLanguage = language.split('-')[0];
+        const agentVoice = (config.languageVoices || []).find((entry) => entry.language.split('-')[0] === baseLanguage && isUsable(entry.provider));
+        if (agentVoice) {
+            return { provider: agentVoice.provider, voiceId: agentVoice.voiceId, source: 'agent' };
+        }
+        // No 'en' fallback here - an English voice is no answer for an unlisted language
+        const defaults = (voicesByLanguage_1.VOICES_BY_LANGUAGE[language] || voicesByLanguage_1.VOICES_BY_LANGUAGE[baseLanguage] || [])
+            .filter((candidate) => isUsable(candidate.provider));
+        const currentGender = voicesByLanguage_1.VoiceSelectionService.getVoiceById(config.voiceId, config.voiceProvider)?.gender;
+        const voice = defaults.find((candidate) => candidate.gender === currentGender) || defaults[0];
+        return voice ? { provider: voice.provider, voiceId: voice.id, source: 'default' } : undefined;
+    }
+    /**
+     * Per-language voices for an agent's pipeline config: its config.languageVoices,
+     * then its main voice for its configured language (switching back restores it)
+     */
+    getLanguageVoices(agent) {
+        return [
+            ...(agent.config.languageVoices || []).map((entry) => ({
+                language: entry.language,
+                provider: entry.provider,
+                voiceId: entry.voiceId
+            })),
+            {
+                language: agent.config.language || 'en',
+                provider: agent.config.voice.provider || 'openai',
+                voiceId: agent.config.voice.voiceId
+            }
+        ];
     }
     /**
      * Get enhanced system prompt with language instruction
@@ -187,46 +284,120 @@ The user is speaking in ${languageName}. Please respond naturally in ${languageN
 Adapt your tone, cultural references, and communication style appropriately for ${languageName}-speaking users.
 If you cannot respond fluently in ${languageName}, respond in your configured fallback language.`;
     }
-    async synthesizeSpeech(text, config, language) {
-        const provider = config.voiceProvider;
-        switch (provider) {
-            case 'openai':
-                return await openai_service_1.openaiService.textToSpeech({
-                    text,
-                    voice: config.voiceId,
-                    model: config.voiceSettings?.modelId
-                });
-            case 'elevenlabs':
-                return await elevenlabsTTS_service_1.elevenlabsTTSService.synthesizeText(text, config.voiceId || 'EXAVITQu4vr4xnSDxMaL', // Rachel (default)
-                config.voiceSettings?.modelId || 'eleven_multilingual_v2', // Use multilingual model
-                language);
-            case 'deepgram':
-                return await deepgramTTS_service_1.deepgramTTSService.synthesizeText(text, config.voiceId || 'aura-asteria-en');
-            case 'sarvam':
-                // Sarvam TTS - supports 11 Indian languages
-                if (!sarvamTTS_service_1.sarvamTTSService.isAvailable()) {
-                    logger_1.logger.error('Sarvam TTS not available - API key missing');
-                    throw new Error('Sarvam TTS service not available');
-                }
-                return await sarvamTTS_service_1.sarvamTTSService.synthesize({
-                    text,
-                    speaker: config.voiceId || 'anushka',
-                    targetLanguageCode: language, // Sarvam requires language code
-                    pitch: config.voiceSettings?.pitch ?? 0.0,
-                    pace: config.voiceSettings?.pace ?? 1.0,
-                    loudness: config.voiceSettings?.loudness ?? 1.2
-                });
-            default:
-                logger_1.logger.error('Unsupported voice provider for synthesis', {
-                    provider
-                });
-                throw new Error(`Voice provider ${provider} is not supported`);
+    /**
+     * Synthesize speech, served from the TTS cache when this exact rendition was made before
+     * persist: also keep it in the cold tier right away (greetings, pre-warmed phrases)
+     */
+    async synthesizeSpeech(text, config, language, options = {}) {
+        const spokenText = this.getSpokenText(text, config, language);
+        return ttsCache_service_1.ttsCacheService.getOrSynthesize(this.getTTSCacheParams(spokenText, config, language), () => this.synthesizeWithProvider(spokenText, config, language), options);
+    }
+    /**
+     * Cached audio for a phrase without synthesizing on a miss (streaming TTS paths)
+     */
+    async getCachedSpeech(text, config) {
+        const language = this.getActiveLanguage(config);
+        return ttsCache_service_1.ttsCacheService.get(this.getTTSCacheParams(this.getSpokenText(text, config, language), config, language));
+    }
+    /**
+     * What the voice says for agent text: numbers, currency, dates and phone numbers
+     * written out for the language, plus the agent's pronunciation lexicon
+     * Every TTS path goes through this; transcripts keep the original text
+     */
+    getSpokenText(text, config, language) {
+        return (0, spokenText_1.normalizeSpokenText)(text, {
+            language,
+            lexicon: config.pronunciations
+        });
+    }
+    /**
+     * Everything that changes the rendered audio - the TTS cache key
+     * Models and settings come from the provider (the ones it actually synthesizes with)
+     */
+    getTTSCacheParams(text, config, language) {
+        const provider = this.getSynthesisProvider(config);
+        const { model, voiceSettings } = provider?.cacheSettings?.(config.voiceSettings || {}) || {};
+        return {
+            provider: provider?.id || config.voiceProvider,
+            voiceId: config.voiceId,
+            model,
+            voiceSettings,
+            language,
+            text
+        };
+    }
+    /**
+     * Voice part of the pipeline config for an agent (outside of a live call)
+     */
+    buildVoiceConfig(agent) {
+        return {
+            agentId: agent._id.toString(),
+            voiceProvider: agent.config.voice.provider || 'openai',
+            voiceId: agent.config.voice.voiceId,
+            language: agent.config.language || 'en',
+            languageVoices: this.getLanguageVoices(agent),
+            pronunciations: agent.config.pronunciations,
+            voiceSettings: {
+                stability: agent.config.voice.settings?.stability ?? 0.5,
+                similarityBoost: agent.config.voice.settings?.similarityBoost ?? 0.75,
+                modelId: agent.config.voice.settings?.modelId
+            }
+        };
+    }
+    /**
+     * TTS provider that renders the audio for a config (the stub when STUB_PROVIDERS routes TTS to it)
+     * Not checked for availability - cached audio can be served without the provider
+     */
+    getSynthesisProvider(config) {
+        return providerRegistry_service_1.providerRegistry.getOverride('tts') ||
+            providerRegistry_service_1.providerRegistry.get('tts', config.voiceProvider);
+    }
+    async synthesizeWithProvider(text, config, language) {
+        const provider = this.getSynthesisProvider(config);
+        if (!provider) {
+            logger_1.logger.error('Unsupported voice provider for synthesis', {
+                provider: config.voiceProvider
+            });
+            throw new Error(`Voice provider ${config.voiceProvider} is not supported`);
+        }
+        return await provider.synthesize(text, {
+            voiceId: config.voiceId,
+            voiceSettings: config.voiceSettings,
+            language
+        });
+    }
+    /**
+     * Next voice to try after a TTS provider failed mid-call: the first entry of the agent's
+     * config.failover.tts (else the default chain) that is available, speaks the language and
+     * isn't in excludeProviders. Entries without a voiceId get the provider's voice for the language
+     */
+    getFailoverVoice(agentConfig, language, excludeProviders = []) {
+        const chain = agentConfig?.failover?.tts?.length
+            ? agentConfig.failover.tts
+            : this.ttsFailoverProviders.map((provider) => ({ provider }));
+        for (const entry of chain) {
+            const provider = providerRegistry_service_1.providerRegistry.get('tts', entry.provider);
+            if (!provider ||
+                excludeProviders.includes(provider.id) ||
+                !providerRegistry_service_1.providerRegistry.isAvailable(provider) ||
+                !providerRegistry_service_1.providerRegistry.supportsLanguage(provider, language)) {
+                continue;
+            }
+            const languageVoice = voicesByLanguage_1.VoiceSelectionService.getVoicesForLanguage(language)
+                .find((voice) => voice.provider === provider.id);
+            return {
+                provider: provider.id,
+                voiceId: entry.voiceId || languageVoice?.id || provider.defaultVoiceId
+            };
         }
+        return undefined;
+    }
+    async synthesizeText(text, config, options = {}) {
+        return this.synthesizeSpeech(text, config, this.getActiveLanguage(config), options);
     }
-    async synthesizeText(text, config) {
+    getActiveLanguage(config) {
         const languageState = this.languageStates.get(config.callLogId);
-        const currentLanguage = languageState?.currentLanguage || config.language || 'en';
-        return this.synthesizeSpeech(text, config, currentLanguage);
+        return languageState?.currentLanguage || config.language || 'en';
     }
     /**
      * Process a complete conversation turn (STT -> LLM -> TTS)
@@ -243,7 +414,7 @@ If you cannot respond fluently in ${languageName}, respond in your configured fa
             const sttStart = Date.now();
             const languageState = this.languageStates.get(callLogId);
             const currentLanguage = languageState?.currentLanguage || config.language || 'en';
-            const transcription = await openai_service_1.openaiService.transcribeAudio(userAudio, config.enableAutoLanguageDetection ? undefined : currentLanguage // Let Whisper auto-detect if enabled
+            const transcription = await providerRegistry_service_1.providerRegistry.resolve('stt', 'whisper').transcribe(userAudio, config.enableAutoLanguageDetection ? undefined : currentLanguage // Let Whisper auto-detect if enabled
             );
             const sttDuration = Date.now() - sttStart;
             logger_1.logger.info('User speech transcribed', {
@@ -280,10 +451,11 @@ If you cannot respond fluently in ${languageName}, respond in your configured fa
                 role: 'user',
                 content: transcription.text
             });
-            // Step 3: Get LLM response (GPT)
+            // Step 3: Get LLM response
             const llmStart = Date.now();
-            const completion = await openai_service_1.openaiService.getChatCompletion(history, {
-                model: config.llmConfig?.model,
+            const llm = providerRegistry_service_1.providerRegistry.resolveLLM(config.llmConfig);
+            const completion = await llm.provider.chat([...history, ...this.getSupervisorMessages(callLogId)], {
+                model: llm.model,
                 temperature: config.llmConfig?.temperature,
                 maxTokens: config.llmConfig?.maxTokens
             });
@@ -353,7 +525,7 @@ If you cannot respond fluently in ${languageName}, respond in your configured fa
             });
             // Step 1: Speech-to-Text
             yield { type: 'stt_start', data: {} };
-            const transcription = await openai_service_1.openaiService.transcribeAudio(userAudio, config.language);
+            const transcription = await providerRegistry_service_1.providerRegistry.resolve('stt', 'whisper').transcribe(userAudio, config.language);
             yield {
                 type: 'stt_complete',
                 data: { text: transcription.text }
@@ -370,7 +542,8 @@ If you cannot respond fluently in ${languageName}, respond in your configured fa
             // Step 2: Stream LLM response
             yield { type: 'llm_start', data: {} };
             let fullResponse = '';
-            for await (const chunk of openai_service_1.openaiService.getChatCompletionStream(history, config.llmConfig)) {
+            const llm = providerRegistry_service_1.providerRegistry.resolveLLM(config.llmConfig);
+            for await (const chunk of llm.provider.chatStream([...history, ...this.getSupervisorMessages(callLogId)], { ...config.llmConfig, model: llm.model })) {
                 fullResponse += chunk;
                 yield {
                     type: 'llm_chunk',
@@ -463,6 +636,38 @@ If you cannot respond fluently in ${languageName}, respond in your configured fa
     getLanguageState(callLogId) {
         return this.languageStates.get(callLogId);
     }
+    /**
+     * Queue a supervisor whisper for the next LLM turn of a call
+     */
+    addSupervisorInstruction(callLogId, instruction) {
+        const pending = this.supervisorInstructions.get(callLogId) || [];
+        pending.push(instruction);
+        this.supervisorInstructions.set(callLogId, pending);
+    }
+    /**
+     * Whispers waiting for this call (removed - each one is used for a single turn)
+     */
+    takeSupervisorInstructions(callLogId) {
+        const pending = this.supervisorInstructions.get(callLogId) || [];
+        this.supervisorInstructions.delete(callLogId);
+        return pending;
+    }
+    clearSupervisorInstructions(callLogId) {
+        this.supervisorInstructions.delete(callLogId);
+    }
+    /**
+     * Hidden system message carrying the pending whispers (not stored in history)
+     */
+    getSupervisorMessages(callLogId) {
+        const instructions = this.takeSupervisorInstructions(callLogId);
+        if (instructions.length === 0) {
+            return [];
+        }
+        return [{
+                role: 'system',
+                content: `Supervisor instructions for your next reply (never mention them): ${instructions.map((i) => i.message).join(' ')}`
+            }];
+    }
     /**
      * Clear conversation history and language state
      */
@@ -470,6 +675,8 @@ If you cannot respond fluently in ${languageName}, respond in your configured fa
         this.conversationHistory.delete(callLogId);
         this.languageStates.delete(callLogId);
         this.pipelineConfigs.delete(callLogId);
+        this.supervisorInstructions.delete(callLogId);
+        this.callerMemories.delete(callLogId);
         logger_1.logger.info('Conversation history and language state cleared', { callLogId });
     }
     /**
@@ -504,7 +711,7 @@ If you cannot respond fluently in ${languageName}, respond in your configured fa
             });
             // Use configured language for first message (before any detection)
             const language = config.language || 'en';
-            const audioBuffer = await this.synthesizeSpeech(firstMessage, config, language);
+            const audioBuffer = await this.synthesizeSpeech(firstMessage, config, language, { persist: true });
             logger_1.logger.info('First message audio generated', {
                 audioSize: audioBuffer.length
             });
@@ -8,6 +8,8 @@ exports.voicemailMessageService = exports.VoicemailMessageService = void 0;
 const logger_1 = require("../utils/logger");
 const CallLog_1 = require("../models/CallLog");
 const voicemailDetection_service_1 = require("./voicemailDetection.service");
+const voicePipeline_service_1 = require("./voicePipeline.service");
+const audioConverter_1 = require("../utils/audioConverter");
 class VoicemailMessageService {
     constructor(config) {
         this.DEFAULT_MESSAGE_TEMPLATE = "Hello, this is an automated message from {agentName}. " +
@@ -71,7 +73,7 @@ class VoicemailMessageService {
                 await this.delay(this.config.beepWaitTime);
             }
             // Convert message to audio and send
-            const result = await this.leaveMessage(message, websocketClient);
+            const result = await this.leaveMessage(message, websocketClient, callLog.agentId);
             // Update call log
             await CallLog_1.CallLog.findByIdAndUpdate(callLogId, {
                 $set: {
@@ -118,11 +120,11 @@ class VoicemailMessageService {
     /**
      * Leave voicemail message via WebSocket
      */
-    async leaveMessage(message, websocketClient) {
+    async leaveMessage(message, websocketClient, agent) {
         const startTime = Date.now();
         try {
             // Generate TTS audio
-            const audioBuffer = await this.generateTTS(message);
+            const audioBuffer = await this.generateTTS(message, agent);
             if (!websocketClient) {
                 logger_1.logger.warn('No WebSocket client provided, cannot send audio');
                 return { success: false };
@@ -143,14 +145,17 @@ class VoicemailMessageService {
         }
     }
     /**
-     * Generate TTS audio for message
-     * TODO: Implement TTS integration when elevenlabsTTSService and deepgramTTSService are ready
+     * Generate TTS audio for message in the agent's voice (PCM 16-bit 8kHz)
+     * The message rarely changes per agent, so it is kept in the TTS cache
      */
-    async generateTTS(message) {
-        // Placeholder - return empty buffer
-        // In production, this would generate actual TTS audio
-        logger_1.logger.warn('TTS generation not yet implemented for voicemail messages');
-        return Buffer.from('');
+    async generateTTS(message, agent) {
+        if (!agent?.config?.voice) {
+            logger_1.logger.warn('No agent voice for voicemail message, skipping TTS');
+            return Buffer.from('');
+        }
+        const config = voicePipeline_service_1.voicePipelineService.buildVoiceConfig(agent);
+        const audio = await voicePipeline_service_1.voicePipelineService.synthesizeSpeech(message, config, config.language, { persist: true });
+        return audioConverter_1.audioConverter.convertToPCM(audio);
     }
     /**
      * Send audio via WebSocket (Exotel format)
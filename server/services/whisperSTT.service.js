@@ -0,0 +1,287 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.whisperSTTService = exports.WhisperSTTService = exports.WhisperStream = void 0;
+const openai_1 = __importDefault(require("openai"));
+const env_1 = require("../config/env");
+const logger_1 = require("../utils/logger");
+const errors_1 = require("../utils/errors");
+const wav_1 = require("../utils/wav");
+const voiceActivityDetector_1 = require("../utils/voiceActivityDetector");
+const languageSupport_1 = require("../config/languageSupport");
+const openai_service_1 = require("./openai.service");
+const STREAM_DEFAULTS = {
+    partialIntervalMs: 1000, // Re-transcribe the open segment after this much new speech (0 = finals only)
+    endpointingMs: 500, // Silence that closes a segment
+    maxSegmentMs: 15000, // Long monologues are cut into segments of this length
+    minSegmentMs: 300, // Shorter bursts are dropped (Whisper hallucinates on clicks and breaths)
+    prerollMs: 300 // Audio kept from before the VAD fired, so first syllables aren't clipped
+};
+/**
+ * Whisper reports languages by name ("english") - the rest of the call pipeline uses codes
+ * Local servers usually return the code already
+ */
+function toLanguageCode(whisperLanguage) {
+    if (!whisperLanguage) {
+        return undefined;
+    }
+    const value = whisperLanguage.toLowerCase();
+    if (languageSupport_1.SUPPORTED_LANGUAGES[value]) {
+        return value;
+    }
+    if (value === 'tagalog') {
+        return 'fil';
+    }
+    const match = Object.values(languageSupport_1.SUPPORTED_LANGUAGES).find((language) => language.name.toLowerCase() === value);
+    if (match) {
+        return match.code;
+    }
+    return /^[a-z]{2,3}$/.test(value) ? value : undefined;
+}
+/**
+ * One call's caller audio, transcribed by Whisper in VAD-delimited segments
+ *
+ * Whisper has no live mode, so the stream fakes one:
+ * - speech_start opens a segment (with a short pre-roll)
+ * - while the caller keeps talking the segment so far is re-transcribed every
+ *   partialIntervalMs -> onTranscript({ isFinal: false }) (one request in flight at a time)
+ * - speech_end (or maxSegmentMs) closes it -> onTranscript({ isFinal: true }), onSpeechEnded()
+ * Finals are delivered in segment order; a partial that lands after its segment closed is dropped.
+ */
+class WhisperStream {
+    constructor(streamId, options = {}) {
+        this.streamId = streamId;
+        this.language = options.language;
+        this.sampleRate = options.sampleRate || 8000;
+        this.bytesPerMs = (this.sampleRate * 2) / 1000; // 16-bit mono
+        this.onTranscript = options.onTranscript || (() => { });
+        this.onSpeechEnded = options.onSpeechEnded || (() => { });
+        this.options = { ...STREAM_DEFAULTS };
+        for (const key of Object.keys(STREAM_DEFAULTS)) {
+            if (typeof options[key] === 'number') {
+                this.options[key] = options[key];
+            }
+        }
+        this.vad = new voiceActivityDetector_1.VoiceActivityDetector({
+            hangoverMs: this.options.endpointingMs,
+            sampleRate: this.sampleRate
+        });
+        this.preroll = [];
+        this.prerollBytes = 0;
+        this.segment = null;
+        this.segmentCount = 0;
+        this.partialInFlight = false;
+        this.finals = Promise.resolve();
+        this.closed = false;
+    }
+    /**
+     * Feed caller audio (16-bit PCM at the stream's sampleRate); returns false once the stream is closed
+     */
+    send(audioChunk) {
+        if (this.closed) {
+            return false;
+        }
+        if (this.segment) {
+            this.segment.chunks.push(audioChunk);
+            this.segment.bytes += audioChunk.length;
+        }
+        else {
+            this.addPreroll(audioChunk);
+        }
+        for (const event of this.vad.process(audioChunk)) {
+            if (event.type === 'speech_start' && !this.segment) {
+                this.openSegment();
+            }
+            else if (event.type === 'speech_end' && this.segment) {
+                this.closeSegment('speech_end');
+            }
+        }
+        if (this.segment) {
+            if (this.segment.bytes >= this.options.maxSegmentMs * this.bytesPerMs) {
+                this.closeSegment('max_length');
+                // Still talking - the rest of the monologue is the next segment
+                this.openSegment();
+            }
+            else {
+                this.maybeTranscribePartial();
+            }
+        }
+        return true;
+    }
+    close() {
+        this.closed = true;
+        this.segment = null;
+        this.preroll = [];
+    }
+    openSegment() {
+        this.segment = {
+            id: ++this.segmentCount,
+            chunks: this.preroll,
+            bytes: this.prerollBytes,
+            prerollBytes: this.prerollBytes,
+            transcribedBytes: this.prerollBytes
+        };
+        this.preroll = [];
+        this.prerollBytes = 0;
+    }
+    addPreroll(audioChunk) {
+        this.preroll.push(audioChunk);
+        this.prerollBytes += audioChunk.length;
+        while (this.preroll.length > 1 && this.prerollBytes - this.preroll[0].length >= this.options.prerollMs * this.bytesPerMs) {
+            this.prerollBytes -= this.preroll.shift().length;
+        }
+    }
+    maybeTranscribePartial() {
+        const segment = this.segment;
+        if (this.options.partialIntervalMs <= 0 ||
+            this.partialInFlight ||
+            segment.bytes - segment.transcribedBytes < this.options.partialIntervalMs * this.bytesPerMs) {
+            return;
+        }
+        segment.transcribedBytes = segment.bytes;
+        this.partialInFlight = true;
+        this.transcribe(Buffer.concat(segment.chunks))
+            .then((result) => {
+            // The caller may have finished (or hung up) while Whisper was working
+            if (this.segment !== segment || !result.text) {
+                return;
+            }
+            this.onTranscript({ text: result.text, isFinal: false });
+        })
+            .catch((error) => {
+            logger_1.logger.warn('Whisper partial transcription failed', {
+                streamId: this.streamId,
+                segment: segment.id,
+                error: error.message
+            });
+        })
+            .finally(() => {
+            this.partialInFlight = false;
+        });
+    }
+    closeSegment(reason) {
+        const segment = this.segment;
+        this.segment = null;
+        if (segment.bytes - segment.prerollBytes < this.options.minSegmentMs * this.bytesPerMs) {
+            logger_1.logger.debug('Dropping short Whisper segment', {
+                streamId: this.streamId,
+                segment: segment.id,
+                durationMs: Math.round(segment.bytes / this.bytesPerMs)
+            });
+            return;
+        }
+        const audio = Buffer.concat(segment.chunks);
+        this.finals = this.finals
+            .then(() => this.transcribe(audio))
+            .then((result) => {
+            if (this.closed || !result.text) {
+                return;
+            }
+            logger_1.logger.info('📝 Whisper segment transcribed', {
+                streamId: this.streamId,
+                segment: segment.id,
+                reason,
+                durationMs: Math.round(audio.length / this.bytesPerMs),
+                latencyMs: result.duration
+            });
+            this.onTranscript({
+                text: result.text,
+                isFinal: true,
+                // Only meaningful when Whisper was left to detect the language
+                detectedLanguage: this.language ? undefined : result.detectedLanguage,
+                confidence: result.confidence
+            });
+            // A segment cut at maxSegmentMs is not the end of the caller's turn
+            if (reason === 'speech_end') {
+                this.onSpeechEnded();
+            }
+        })
+            .catch((error) => {
+            logger_1.logger.error('Whisper segment transcription failed', {
+                streamId: this.streamId,
+                segment: segment.id,
+                error: error.message
+            });
+        });
+    }
+    async transcribe(pcm) {
+        const result = await exports.whisperSTTService.transcribe((0, wav_1.buildWav)(pcm, this.sampleRate), this.language);
+        return { ...result, text: (result.text || '').trim() };
+    }
+}
+exports.WhisperStream = WhisperStream;
+/**
+ * Whisper STT Service
+ * Batch transcription plus VAD-segmented pseudo-streaming (WhisperStream) for languages
+ * Deepgram and Sarvam don't cover
+ *
+ * Transcribes with OpenAI's whisper-1 by default; WHISPER_API_URL points it at any
+ * OpenAI-compatible /audio/transcriptions endpoint instead (e.g. a local
+ * faster-whisper or whisper.cpp server), with WHISPER_MODEL / WHISPER_API_KEY
+ */
+class WhisperSTTService {
+    constructor() {
+        this.client = null;
+        this.model = env_1.env.WHISPER_MODEL;
+        if (env_1.env.WHISPER_API_URL) {
+            this.client = new openai_1.default({
+                apiKey: env_1.env.WHISPER_API_KEY || 'not-needed', // Local servers usually take any key
+                baseURL: env_1.env.WHISPER_API_URL
+            });
+            logger_1.logger.info('Whisper STT using OpenAI-compatible endpoint', {
+                baseURL: env_1.env.WHISPER_API_URL,
+                model: this.model
+            });
+        }
+    }
+    /**
+     * Transcribe a WAV clip
+     * Returns { text, language, detectedLanguage (code), confidence, duration }
+     */
+    async transcribe(audioBuffer, language) {
+        if (!this.client) {
+            const result = await openai_service_1.openaiService.transcribeAudio(audioBuffer, language);
+            return { ...result, detectedLanguage: toLanguageCode(result.detectedLanguage) };
+        }
+        const startTime = Date.now();
+        try {
+            const response = await this.client.audio.transcriptions.create({
+                file: await (0, openai_1.toFile)(audioBuffer, 'audio.wav'),
+                model: this.model,
+                language: language || undefined,
+                response_format: 'verbose_json'
+            });
+            const detectedLanguage = toLanguageCode(response.language);
+            return {
+                text: response.text,
+                language,
+                detectedLanguage,
+                confidence: detectedLanguage ? 0.9 : undefined,
+                duration: Date.now() - startTime
+            };
+        }
+        catch (error) {
+            logger_1.logger.error('Failed to transcribe audio with Whisper endpoint', {
+                baseURL: env_1.env.WHISPER_API_URL,
+                error: error.message
+            });
+            throw new errors_1.ExternalServiceError('Failed to transcribe audio with Whisper', 'whisper');
+        }
+    }
+    /**
+     * Open a pseudo-streaming transcription for one call
+     */
+    createStream(streamId, options = {}) {
+        logger_1.logger.info('🎙️ Whisper segmented stream opened', {
+            streamId,
+            language: options.language || 'auto-detect',
+            endpoint: env_1.env.WHISPER_API_URL || 'openai'
+        });
+        return new WhisperStream(streamId, options);
+    }
+}
+exports.WhisperSTTService = WhisperSTTService;
+exports.whisperSTTService = new WhisperSTTService();
+//# sourceMappingURL=whisperSTT.service.js.map
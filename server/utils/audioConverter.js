@@ -1,24 +1,120 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.audioConverter = exports.AudioConverter = void 0;
+exports.audioConverter = exports.AudioConverter = exports.DEFAULT_AUDIO_FORMAT = exports.AUDIO_SAMPLE_RATES = exports.AUDIO_ENCODINGS = void 0;
+exports.parseMediaFormat = parseMediaFormat;
+exports.pcmBytesPerMs = pcmBytesPerMs;
 const child_process_1 = require("child_process");
+const alawmulaw_1 = require("alawmulaw");
 const util_1 = require("util");
 const promises_1 = require("fs/promises");
 const os_1 = require("os");
 const path_1 = require("path");
 const logger_1 = require("./logger");
+const wav_1 = require("./wav");
 const execPromise = (0, util_1.promisify)(child_process_1.exec);
+/**
+ * Media formats a call can be streamed in. Whatever the wire format, audio inside the
+ * gateway is 16-bit PCM mono at the call's sample rate (wideband when the carrier sends it)
+ */
+exports.AUDIO_ENCODINGS = ['pcm', 'mulaw', 'alaw'];
+exports.AUDIO_SAMPLE_RATES = [8000, 16000];
+exports.DEFAULT_AUDIO_FORMAT = { encoding: 'pcm', sampleRate: 8000 };
+const ENCODING_ALIASES = {
+    mulaw: ['mulaw', 'ulaw', 'audio/x-mulaw', 'audio/basic', 'pcmu', 'g711_ulaw'],
+    alaw: ['alaw', 'audio/x-alaw', 'pcma', 'g711_alaw'],
+    pcm: ['pcm', 'linear16', 'l16', 'audio/l16', 'pcm_s16le', 's16le', 'slin', 'raw']
+};
+/**
+ * Media format from a carrier's stream description, e.g.
+ * - Exotel start event: { encoding: 'base64', sample_rate: '16000', bit_rate: '256kbps' }
+ *   ('base64' is the transport - 8 bits per sample means G.711 μ-law)
+ * - Twilio-style: { encoding: 'audio/x-mulaw', sampleRate: 8000 }
+ * - a phone's audioFormat setting: { encoding: 'mulaw', sampleRate: 8000 }
+ * Returns undefined when the description names a rate or codec the gateway can't handle
+ */
+function parseMediaFormat(mediaFormat) {
+    if (!mediaFormat) {
+        return undefined;
+    }
+    const sampleRate = Number(mediaFormat.sampleRate ?? mediaFormat.sample_rate ?? exports.DEFAULT_AUDIO_FORMAT.sampleRate);
+    if (!exports.AUDIO_SAMPLE_RATES.includes(sampleRate)) {
+        return undefined;
+    }
+    const name = String(mediaFormat.encoding || '').toLowerCase();
+    let encoding = Object.keys(ENCODING_ALIASES).find((key) => ENCODING_ALIASES[key].includes(name));
+    if (!encoding) {
+        const bitRate = parseInt(String(mediaFormat.bit_rate ?? mediaFormat.bitRate ?? ''), 10); // kbps
+        encoding = bitRate && (bitRate * 1000) / sampleRate === 8 ? 'mulaw' : 'pcm';
+    }
+    return { encoding, sampleRate };
+}
+/**
+ * 16-bit mono PCM bytes per millisecond at a sample rate
+ */
+function pcmBytesPerMs(sampleRate) {
+    return (sampleRate * 2) / 1000;
+}
+/**
+ * 16-bit samples of a PCM buffer (copied when the buffer isn't 2-byte aligned)
+ */
+function toSamples(pcm) {
+    const aligned = pcm.byteOffset % 2 === 0 ? pcm : Buffer.from(pcm);
+    return new Int16Array(aligned.buffer, aligned.byteOffset, Math.floor(aligned.length / 2));
+}
 /**
  * Audio Converter Utility
  * Handles conversion between different audio formats for telephony
  */
 class AudioConverter {
     /**
-     * Convert audio to Linear PCM format (16-bit, 8kHz, mono, little-endian) for Exotel
+     * Caller audio from the wire -> 16-bit PCM (μ-law / A-law decoded; PCM passes through)
+     */
+    decodeFromWire(payload, format) {
+        if (format.encoding === 'mulaw' || format.encoding === 'alaw') {
+            const samples = alawmulaw_1[format.encoding].decode(payload);
+            return Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
+        }
+        return payload;
+    }
+    /**
+     * 16-bit PCM -> the call's wire encoding
+     */
+    encodeForWire(pcm, format) {
+        if (format.encoding === 'mulaw' || format.encoding === 'alaw') {
+            return Buffer.from(alawmulaw_1[format.encoding].encode(toSamples(pcm)));
+        }
+        return pcm;
+    }
+    /**
+     * Resample 16-bit mono PCM (linear interpolation - fine for speech between 8 and 24kHz)
+     */
+    resamplePCM(pcm, fromRate, toRate) {
+        if (fromRate === toRate || pcm.length < 2) {
+            return pcm;
+        }
+        const input = toSamples(pcm);
+        const outputLength = Math.floor((input.length * toRate) / fromRate);
+        const output = Buffer.alloc(outputLength * 2);
+        for (let i = 0; i < outputLength; i++) {
+            const position = (i * fromRate) / toRate;
+            const index = Math.floor(position);
+            const next = Math.min(index + 1, input.length - 1);
+            const sample = input[index] + (input[next] - input[index]) * (position - index);
+            output.writeInt16LE(Math.round(sample), i * 2);
+        }
+        return output;
+    }
+    /**
+     * Convert audio to Linear PCM format (16-bit, mono, little-endian) at the call's sample rate
      * Input: MP3/WAV from ElevenLabs or other TTS
      * Output: Raw PCM audio buffer
      */
-    async convertToPCM(inputBuffer) {
+    async convertToPCM(inputBuffer, sampleRate = 8000) {
+        // Already 16-bit mono PCM in a WAV container - strip the header (and resample if needed)
+        const wav = (0, wav_1.parseWav)(inputBuffer);
+        if (wav && wav.audioFormat === 1 && wav.bitsPerSample === 16 && wav.channels === 1) {
+            return this.resamplePCM(Buffer.from(wav.data), wav.sampleRate, sampleRate);
+        }
         const tempInputFile = (0, path_1.join)((0, os_1.tmpdir)(), `tts_${Date.now()}.mp3`);
         const tempOutputFile = (0, path_1.join)((0, os_1.tmpdir)(), `pcm_${Date.now()}.raw`);
         try {
@@ -28,12 +124,12 @@ class AudioConverter {
                 inputSize: inputBuffer.length,
                 tempFile: tempInputFile
             });
-            // Use ffmpeg to convert to Linear PCM (16-bit, 8kHz, mono, little-endian)
+            // Use ffmpeg to convert to Linear PCM (16-bit, mono, little-endian)
             // -acodec pcm_s16le: 16-bit signed little-endian PCM
-            // -ar 8000: Sample rate 8000 Hz
+            // -ar: Call sample rate (8000 / 16000 Hz)
             // -ac 1: Mono audio
             // -f s16le: Output format raw PCM
-            const ffmpegCommand = `ffmpeg -i "${tempInputFile}" -acodec pcm_s16le -ar 8000 -ac 1 -f s16le "${tempOutputFile}" -y 2>&1`;
+            const ffmpegCommand = `ffmpeg -i "${tempInputFile}" -acodec pcm_s16le -ar ${sampleRate} -ac 1 -f s16le "${tempOutputFile}" -y 2>&1`;
             const { stdout, stderr } = await execPromise(ffmpegCommand);
             logger_1.logger.info('ffmpeg conversion completed', {
                 success: true
@@ -44,7 +140,7 @@ class AudioConverter {
             logger_1.logger.info('Audio converted to PCM successfully', {
                 inputSize: inputBuffer.length,
                 outputSize: pcmBuffer.length,
-                format: '16-bit 8kHz mono PCM'
+                format: `16-bit ${sampleRate / 1000}kHz mono PCM`
             });
             return pcmBuffer;
         }
@@ -67,10 +163,10 @@ class AudioConverter {
     }
     /**
      * Convert Exotel PCM audio to WAV for STT (Whisper)
-     * Input: Raw PCM audio from Exotel (16-bit, 8kHz, mono, little-endian)
+     * Input: Raw PCM audio from Exotel (16-bit, 8kHz or 16kHz, mono, little-endian)
      * Output: WAV file buffer (16kHz, mono, 16-bit) for Whisper
      */
-    async convertExotelPCMToWAV(pcmBuffer) {
+    async convertExotelPCMToWAV(pcmBuffer, sampleRate = 8000) {
         const tempInputFile = (0, path_1.join)((0, os_1.tmpdir)(), `exotel_pcm_${Date.now()}.raw`);
         const tempOutputFile = (0, path_1.join)((0, os_1.tmpdir)(), `whisper_${Date.now()}.wav`);
         try {
@@ -78,14 +174,14 @@ class AudioConverter {
             await (0, promises_1.writeFile)(tempInputFile, pcmBuffer);
             logger_1.logger.info('Converting Exotel PCM to WAV for Whisper', {
                 inputSize: pcmBuffer.length,
-                inputFormat: '16-bit 8kHz mono PCM'
+                inputFormat: `16-bit ${sampleRate / 1000}kHz mono PCM`
             });
-            // Convert raw PCM (8kHz) to WAV (16kHz) for Whisper
+            // Convert raw PCM (call rate) to WAV (16kHz) for Whisper
             // -f s16le: Input is signed 16-bit little-endian PCM
-            // -ar 8000: Input sample rate is 8kHz
+            // -ar: Input sample rate (8kHz narrowband / 16kHz wideband)
             // -ac 1: Mono audio
             // -ar 16000: Output sample rate 16kHz (required by Whisper)
-            const ffmpegCommand = `ffmpeg -f s16le -ar 8000 -ac 1 -i "${tempInputFile}" -acodec pcm_s16le -ar 16000 -ac 1 "${tempOutputFile}" -y 2>&1`;
+            const ffmpegCommand = `ffmpeg -f s16le -ar ${sampleRate} -ac 1 -i "${tempInputFile}" -acodec pcm_s16le -ar 16000 -ac 1 "${tempOutputFile}" -y 2>&1`;
             const { stdout, stderr } = await execPromise(ffmpegCommand);
             // Read the output file
             const fs = require('fs').promises;
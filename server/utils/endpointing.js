@@ -0,0 +1,85 @@
+"use strict";
+/**
+ * Endpointing
+ * Decides how long to wait after the caller stops speaking before treating the turn as over
+ *
+ * A fixed silence timeout either cuts people off mid-number or makes every "yes" feel slow,
+ * so the wait depends on what was said:
+ * - unfinished: the transcript trails off ("my number is 98450...", "I want to book and")
+ * - answer: a short reply to a question the agent just asked ("yes", "haan", "tomorrow")
+ * - default: everything else
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.getEndpointDelay = getEndpointDelay;
+exports.isLikelyUnfinished = isLikelyUnfinished;
+exports.isShortAnswer = isShortAnswer;
+// Words a sentence doesn't end on (English + common Hinglish connectors and fillers)
+const TRAILING_WORD_REGEX = /\b(and|or|but|so|because|cause|the|a|an|to|of|for|with|in|on|at|from|my|your|is|are|was|like|um+|uh+|hmm+|er+|aur|ya|par|lekin|ki|ka|ke|ko|se|mein|toh|matlab|woh)$/i;
+// Punctuation an STT engine leaves on a phrase it heard trailing off
+const TRAILING_PUNCTUATION_REGEX = /(,|\.\.\.|…|-|–|—)$/;
+// A number being read out: 3-9 digits so far (phone numbers, PINs, amounts), or spelled-out digits
+const PARTIAL_DIGITS_REGEX = /(?:^|\D)\d(?:[\d\s-]*\d)?$/;
+const NUMBER_WORD_REGEX = /^(zero|oh|one|two|three|four|five|six|seven|eight|nine|double|triple|ek|do|teen|char|paanch|chhe|saat|aath|nau|shunya)$/i;
+const SHORT_ANSWER_REGEX = /^(yes|yeah|yep|yup|no|nope|nah|sure|okay|ok|right|correct|exactly|haan|haa|ha|han|ji|nahi|nahin|na|theek|thik|bilkul|accha|achha)\b/i;
+const SHORT_ANSWER_MAX_WORDS = 4;
+function normalizeTranscript(text) {
+    return (text || '').trim().replace(/\s+/g, ' ');
+}
+/**
+ * Does the caller sound like they're mid-sentence or mid-number?
+ */
+function isLikelyUnfinished(transcript) {
+    const text = normalizeTranscript(transcript);
+    if (!text) {
+        return false;
+    }
+    if (TRAILING_PUNCTUATION_REGEX.test(text)) {
+        return true;
+    }
+    const bare = text.replace(/[.!?।]+$/, '');
+    if (TRAILING_WORD_REGEX.test(bare)) {
+        return true;
+    }
+    const digits = bare.match(PARTIAL_DIGITS_REGEX);
+    if (digits) {
+        const count = digits[0].replace(/\D/g, '').length;
+        if (count >= 3 && count < 10) {
+            return true;
+        }
+    }
+    const words = bare.split(' ');
+    let numberWords = 0;
+    for (let i = words.length - 1; i >= 0 && NUMBER_WORD_REGEX.test(words[i]); i--) {
+        numberWords++;
+    }
+    return numberWords >= 2;
+}
+/**
+ * Is this a short reply to a question the agent just asked?
+ */
+function isShortAnswer(transcript, lastAgentText) {
+    const question = normalizeTranscript(lastAgentText);
+    if (!question.endsWith('?')) {
+        return false;
+    }
+    const text = normalizeTranscript(transcript).replace(/[.!?।]+$/, '');
+    if (!text) {
+        return false;
+    }
+    return SHORT_ANSWER_REGEX.test(text) || text.split(' ').length <= SHORT_ANSWER_MAX_WORDS;
+}
+/**
+ * Silence to wait (ms) before ending the caller's turn
+ *
+ * @param config - { endpointMs, unfinishedEndpointMs, answerEndpointMs }
+ */
+function getEndpointDelay(transcript, lastAgentText, config) {
+    if (isLikelyUnfinished(transcript)) {
+        return { delayMs: config.unfinishedEndpointMs, reason: 'unfinished' };
+    }
+    if (isShortAnswer(transcript, lastAgentText)) {
+        return { delayMs: config.answerEndpointMs, reason: 'answer' };
+    }
+    return { delayMs: config.endpointMs, reason: 'default' };
+}
+//# sourceMappingURL=endpointing.js.map
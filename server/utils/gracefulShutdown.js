@@ -15,6 +15,7 @@ const bullmqReconciler_service_1 = require("../services/bullmqReconciler.service
 const reconciliation_service_1 = require("../services/reconciliation.service");
 const invariantMonitor_service_1 = require("../services/invariantMonitor.service");
 const stuckCallMonitor_service_1 = require("../services/stuckCallMonitor.service");
+const callOwnership_service_1 = require("../services/callOwnership.service");
 /**
  * Graceful Shutdown Handler
  * Cleanly shuts down all services and preserves active call leases
@@ -80,7 +81,9 @@ async function gracefulShutdown(signal = 'SIGTERM') {
         // 5. Wait for active calls to complete (with timeout)
         logger_1.default.info('Waiting for active calls to complete (30s timeout)...');
         await waitForActiveCalls(30000);
-        // 6. Close queue
+        // 6. Leave the call ownership registry (other instances stop routing calls here)
+        await callOwnership_service_1.callOwnershipService.stop();
+        // 7. Close queue
         await campaignCalls_queue_1.campaignCallsQueue.close();
         logger_1.default.info('Queue closed');
         logger_1.default.info('✅ Graceful shutdown complete');
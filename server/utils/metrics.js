@@ -123,11 +123,16 @@ setInterval(() => {
  * - duplicate_enqueue: Duplicate contact enqueues
  * - orphaned_reservations_recovered: Reaps by janitor
  * - bullmq_waitlist_rebuilt: Reconciler rebuilds
+ * - stt_stream_lost: Live STT streams dropped mid-call (per provider)
+ * - provider_failover: Mid-call provider switches (per kind, from, to; from = to is a reconnect)
+ * - provider_failover_exhausted: No provider left - batch STT / call continues without TTS
+ * - gateway_instance_lost: Instances that stopped heartbeating (their calls were released)
  *
  * Histograms (ms):
  * - pre_to_active_upgrade_latency_ms: Pre-dial → active upgrade time
  * - promotion_latency_ms: Pop → promote time
  * - slot_wait_time_ms: Job enqueue → slot acquisition time
+ * - stt_stream_gap_ms: Time a call had no live STT stream (per provider)
  *
  * Gauges:
  * - waitlist_len: Current waitlist size (per campaign, per priority)
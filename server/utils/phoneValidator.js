@@ -7,6 +7,7 @@ Object.defineProperty(exports, "__esModule", { value: true });
 exports.validatePhoneNumber = validatePhoneNumber;
 exports.normalizePhoneNumber = normalizePhoneNumber;
 exports.formatPhoneNumber = formatPhoneNumber;
+exports.toContactKey = toContactKey;
 function validatePhoneNumber(phoneNumber) {
     if (!phoneNumber)
         return false;
@@ -36,4 +37,12 @@ function formatPhoneNumber(phoneNumber, countryCode = 'US') {
     // Future: Add country-specific formatting
     return phoneNumber;
 }
+/**
+ * Key that matches a number however the carrier wrote it (+91..., 0..., bare): its last 10 digits
+ * Returns undefined for numbers too short to identify anyone
+ */
+function toContactKey(phoneNumber) {
+    const digits = (phoneNumber || '').replace(/\D/g, '');
+    return digits.length >= 6 ? digits.slice(-10) : undefined;
+}
 //# sourceMappingURL=phoneValidator.js.map
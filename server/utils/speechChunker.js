@@ -0,0 +1,84 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.SpeechChunker = void 0;
+/**
+ * Speech Chunker
+ * Splits a streamed LLM response into speakable clauses for TTS
+ *
+ * Sentences are cut as soon as their closing punctuation is followed by whitespace
+ * (so "3.5" or "Dr. Rao" are not split), clauses at , ; : and dashes once they are
+ * long enough to sound natural. The first clause of a response is allowed to be
+ * shorter - it decides how fast the caller hears anything.
+ */
+// Sentence enders (incl. Devanagari danda) or clause breaks, followed by whitespace; or newlines
+const BOUNDARY_REGEX = /([.!?।…]+["')\]]*|[,;:—–])(?=\s)|\n+/g;
+const SENTENCE_END_REGEX = /[.!?।…\n]/;
+// Abbreviations that end in a period but don't end a sentence
+const ABBREVIATION_REGEX = /(?:^|\s)(?:mr|mrs|ms|dr|prof|sr|jr|st|vs|etc|e\.g|i\.e|a\.m|p\.m|no|approx|[a-z])\.$/i;
+class SpeechChunker {
+    constructor(options = {}) {
+        this.minSentenceChars = options.minSentenceChars ?? 4;
+        this.minFirstClauseChars = options.minFirstClauseChars ?? 20;
+        this.minClauseChars = options.minClauseChars ?? 40;
+        this.maxChunkChars = options.maxChunkChars ?? 200; // Hard split (at a space) for run-on text
+        this.buffer = '';
+        this.chunkCount = 0;
+    }
+    /**
+     * Add streamed text, returns the clauses completed by it (possibly none)
+     */
+    push(text) {
+        this.buffer += text;
+        const chunks = [];
+        let chunk;
+        while ((chunk = this.nextChunk()) !== null) {
+            chunks.push(chunk);
+        }
+        return chunks;
+    }
+    /**
+     * Remaining text once the stream has ended
+     */
+    flush() {
+        const rest = this.buffer.trim();
+        this.buffer = '';
+        if (rest) {
+            this.chunkCount++;
+        }
+        return rest;
+    }
+    nextChunk() {
+        const minClauseChars = this.chunkCount === 0 ? this.minFirstClauseChars : this.minClauseChars;
+        BOUNDARY_REGEX.lastIndex = 0;
+        let match;
+        while ((match = BOUNDARY_REGEX.exec(this.buffer)) !== null) {
+            const end = match.index + match[0].length;
+            const candidate = this.buffer.substring(0, end).trim();
+            const isSentenceEnd = SENTENCE_END_REGEX.test(match[0]);
+            const isSpeakable = isSentenceEnd
+                ? candidate.length >= this.minSentenceChars && !ABBREVIATION_REGEX.test(candidate)
+                : candidate.length >= minClauseChars;
+            if (isSpeakable) {
+                return this.take(end);
+            }
+        }
+        if (this.buffer.length > this.maxChunkChars) {
+            const lastSpace = this.buffer.lastIndexOf(' ', this.maxChunkChars);
+            if (lastSpace > 0) {
+                return this.take(lastSpace);
+            }
+        }
+        return null;
+    }
+    take(end) {
+        const chunk = this.buffer.substring(0, end).trim();
+        this.buffer = this.buffer.substring(end);
+        if (!chunk) {
+            return null;
+        }
+        this.chunkCount++;
+        return chunk;
+    }
+}
+exports.SpeechChunker = SpeechChunker;
+//# sourceMappingURL=speechChunker.js.map
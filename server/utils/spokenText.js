@@ -0,0 +1,285 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.normalizeSpokenText = normalizeSpokenText;
+/**
+ * Spoken Text Normalization
+ * Rewrites agent text into what the TTS voice should say - transcripts keep the original
+ *
+ * - Pronunciation lexicon (per agent): brand names and acronyms, whole words, any case
+ * - Currency: ₹1,25,000.50 -> "one lakh twenty-five thousand rupees and fifty paise"
+ * - Dates: 12/03/2024 -> "the twelfth of March twenty twenty-four" (month first for en-US)
+ * - Phone, account and OTP numbers: digit by digit
+ * - Other numbers: words - lakh/crore for Indian languages, en-IN, rupee amounts and
+ *   numbers grouped the Indian way (1,25,000), thousand/million otherwise
+ *
+ * Words exist for English and Hindi. Other languages only get the lexicon and the
+ * structural fixes (digit-by-digit reading, grouping commas dropped) and leave the
+ * numerals to the voice.
+ */
+const INDIAN_LANGUAGES = ['hi', 'bn', 'ta', 'te', 'mr', 'gu', 'kn', 'ml', 'pa', 'or', 'as', 'ur'];
+const EN_UNITS = [
+    'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+    'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'
+];
+const EN_TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const EN_ORDINALS = { one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth' };
+// Hindi numbers below 100 don't follow a tens + units pattern
+const HI_BELOW_100 = [
+    'शून्य', 'एक', 'दो', 'तीन', 'चार', 'पाँच', 'छह', 'सात', 'आठ', 'नौ',
+    'दस', 'ग्यारह', 'बारह', 'तेरह', 'चौदह', 'पंद्रह', 'सोलह', 'सत्रह', 'अठारह', 'उन्नीस',
+    'बीस', 'इक्कीस', 'बाईस', 'तेईस', 'चौबीस', 'पच्चीस', 'छब्बीस', 'सत्ताईस', 'अट्ठाईस', 'उनतीस',
+    'तीस', 'इकतीस', 'बत्तीस', 'तैंतीस', 'चौंतीस', 'पैंतीस', 'छत्तीस', 'सैंतीस', 'अड़तीस', 'उनतालीस',
+    'चालीस', 'इकतालीस', 'बयालीस', 'तैंतालीस', 'चवालीस', 'पैंतालीस', 'छियालीस', 'सैंतालीस', 'अड़तालीस', 'उनचास',
+    'पचास', 'इक्यावन', 'बावन', 'तिरपन', 'चौवन', 'पचपन', 'छप्पन', 'सत्तावन', 'अट्ठावन', 'उनसठ',
+    'साठ', 'इकसठ', 'बासठ', 'तिरसठ', 'चौंसठ', 'पैंसठ', 'छियासठ', 'सड़सठ', 'अड़सठ', 'उनहत्तर',
+    'सत्तर', 'इकहत्तर', 'बहत्तर', 'तिहत्तर', 'चौहत्तर', 'पचहत्तर', 'छिहत्तर', 'सतहत्तर', 'अठहत्तर', 'उन्यासी',
+    'अस्सी', 'इक्यासी', 'बयासी', 'तिरासी', 'चौरासी', 'पचासी', 'छियासी', 'सत्तासी', 'अट्ठासी', 'नवासी',
+    'नब्बे', 'इक्यानवे', 'बानवे', 'तिरानवे', 'चौरानवे', 'पचानवे', 'छियानवे', 'सत्तानवे', 'अट्ठानवे', 'निन्यानवे'
+];
+const LOCALES = {
+    en: {
+        below100: (n) => n < 20 ? EN_UNITS[n] : EN_TENS[Math.floor(n / 10)] + (n % 10 ? `-${EN_UNITS[n % 10]}` : ''),
+        scales: { hundred: 'hundred', thousand: 'thousand', lakh: 'lakh', crore: 'crore', million: 'million', billion: 'billion' },
+        point: 'point',
+        plus: 'plus',
+        and: 'and',
+        percent: 'percent',
+        // [one, many, one minor unit, many minor units]
+        currencies: {
+            INR: ['rupee', 'rupees', 'paisa', 'paise'],
+            USD: ['dollar', 'dollars', 'cent', 'cents'],
+            EUR: ['euro', 'euros', 'cent', 'cents'],
+            GBP: ['pound', 'pounds', 'penny', 'pence']
+        },
+        months: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+        date(day, month, year, monthFirst) {
+            const dayWords = englishOrdinal(this.below100(day));
+            const date = monthFirst ? `${this.months[month - 1]} ${dayWords}` : `the ${dayWords} of ${this.months[month - 1]}`;
+            return year === undefined ? date : `${date} ${englishYear(year)}`;
+        }
+    },
+    hi: {
+        below100: (n) => HI_BELOW_100[n],
+        scales: { hundred: 'सौ', thousand: 'हज़ार', lakh: 'लाख', crore: 'करोड़', million: 'मिलियन', billion: 'बिलियन' },
+        point: 'दशमलव',
+        plus: 'प्लस',
+        and: 'और',
+        percent: 'प्रतिशत',
+        currencies: {
+            INR: ['रुपया', 'रुपये', 'पैसा', 'पैसे'],
+            USD: ['डॉलर', 'डॉलर', 'सेंट', 'सेंट'],
+            EUR: ['यूरो', 'यूरो', 'सेंट', 'सेंट'],
+            GBP: ['पाउंड', 'पाउंड', 'पेंस', 'पेंस']
+        },
+        months: ['जनवरी', 'फ़रवरी', 'मार्च', 'अप्रैल', 'मई', 'जून', 'जुलाई', 'अगस्त', 'सितंबर', 'अक्टूबर', 'नवंबर', 'दिसंबर'],
+        date(day, month, year) {
+            const date = `${this.below100(day)} ${this.months[month - 1]}`;
+            return year === undefined ? date : `${date} ${integerToWords(year, this, true)}`;
+        }
+    }
+};
+const CURRENCY_CODES = {
+    '₹': 'INR', 'rs': 'INR', 'rs.': 'INR', 'inr': 'INR', '/-': 'INR',
+    '$': 'USD', 'usd': 'USD',
+    '€': 'EUR', 'eur': 'EUR',
+    '£': 'GBP', 'gbp': 'GBP'
+};
+const SCALE_WORDS = {
+    lakh: 'lakh', lakhs: 'lakh', lac: 'lakh', lacs: 'lakh',
+    crore: 'crore', crores: 'crore', cr: 'crore',
+    k: 'thousand', thousand: 'thousand',
+    million: 'million', mn: 'million',
+    billion: 'billion', bn: 'billion'
+};
+const AMOUNT = String.raw `\d{1,3}(?:,\d{2,3})+(?:\.\d+)?|\d+(?:\.\d+)?`;
+const SCALE = String.raw `(?:\s?(lakhs?|lacs?|crores?|cr|k|thousand|million|mn|billion|bn)\b)?`;
+const CURRENCY_PREFIX_REGEX = new RegExp(String.raw `(?<![A-Za-z])(₹|Rs\.?|INR|\$|USD|€|EUR|£|GBP)\s?(${AMOUNT})${SCALE}(?:\s?\/-)?`, 'gi');
+const CURRENCY_SUFFIX_REGEX = new RegExp(String.raw `(?<![\w.,])(${AMOUNT})${SCALE}\s?(\/-|INR|USD|EUR|GBP)(?![A-Za-z])`, 'gi');
+const ISO_DATE_REGEX = /(?<![\d/.-])(\d{4})-(\d{1,2})-(\d{1,2})(?![\d/-]|\.\d)/g;
+const FULL_DATE_REGEX = /(?<![\d/.-])(\d{1,2})([/.-])(\d{1,2})\2(\d{4}|\d{2})(?![\d/-]|\.\d)/g;
+const SHORT_DATE_REGEX = /(?<![\d/.,])(\d{1,2})\/(\d{1,2})(?![\d/]|[.,]\d)/g;
+const NOT_DATES = ['24/7'];
+// Numbers after these words are identifiers, not quantities
+const IDENTIFIER_REGEX = /\b(account|a\/c|acct|card|ending(?:\s+(?:in|with))?|otp|pin|policy|reference|ref|order|ticket|booking|customer\s+id|id)(\s*(?:no\.?|number|#)?\s*:?\s*)(\d{3,})\b/gi;
+const PHONE_REGEX = /(?<![\w+.,/])(\+?\d{1,4}(?:[\s-]\d{2,5}){1,4}|\+?\d{7,})(?![\d/]|[.,]\d)(?!\w)/g;
+const PERCENT_REGEX = /(?<![\w.,])(\d+(?:\.\d+)?)\s?%/g;
+const NUMBER_REGEX = /(?<![\w.,:/])(\d{1,3}(?:,\d{2,3})+|\d+)(\.\d+)?(?![\w:/]|[.,]\d)/g;
+const lexiconCache = new WeakMap();
+/**
+ * Spoken form of an agent's text
+ * @param text - Text as the LLM (or agent config) wrote it
+ * @param options - { language (e.g. 'hi', 'en-IN', 'en-US'), lexicon: [{ term, spoken, language? }] }
+ */
+function normalizeSpokenText(text, options = {}) {
+    if (!text) {
+        return text;
+    }
+    const [baseLanguage, region] = (options.language || 'en').toLowerCase().split('-');
+    const locale = LOCALES[baseLanguage];
+    const context = {
+        locale,
+        indian: INDIAN_LANGUAGES.includes(baseLanguage) || region === 'in',
+        monthFirst: baseLanguage === 'en' && region === 'us'
+    };
+    let spoken = applyLexicon(text, options.lexicon, baseLanguage);
+    spoken = spoken
+        .replace(CURRENCY_PREFIX_REGEX, (match, symbol, amount, scale) => currencyToWords(match, CURRENCY_CODES[symbol.toLowerCase()], amount, scale, context))
+        .replace(CURRENCY_SUFFIX_REGEX, (match, amount, scale, code) => currencyToWords(match, CURRENCY_CODES[code.toLowerCase()], amount, scale, context));
+    if (locale) {
+        spoken = spoken
+            .replace(ISO_DATE_REGEX, (match, year, month, day) => dateToWords(match, Number(day), Number(month), Number(year), context))
+            .replace(FULL_DATE_REGEX, (match, first, _separator, second, year) => {
+            const [day, month] = context.monthFirst ? [second, first] : [first, second];
+            return dateToWords(match, Number(day), Number(month), Number(year.length === 2 ? `20${year}` : year), context);
+        })
+            .replace(SHORT_DATE_REGEX, (match, first, second) => {
+            const [day, month] = context.monthFirst ? [second, first] : [first, second];
+            return NOT_DATES.includes(match) ? match : dateToWords(match, Number(day), Number(month), undefined, context);
+        });
+    }
+    spoken = spoken
+        .replace(IDENTIFIER_REGEX, (_match, keyword, separator, digits) => `${keyword}${separator}${digitsToWords(digits, locale)}`)
+        .replace(PHONE_REGEX, (match) => match.replace(/\D/g, '').length >= 7 ? digitsToWords(match, locale) : match);
+    if (!locale) {
+        // No number words - at least keep the voice from reading "1,25,000" as three numbers
+        return spoken.replace(NUMBER_REGEX, (match, integer, fraction) => `${integer.replace(/,/g, '')}${fraction || ''}`);
+    }
+    return spoken
+        .replace(PERCENT_REGEX, (_match, number) => `${decimalToWords(number, context)} ${locale.percent}`)
+        .replace(NUMBER_REGEX, (match, integer, fraction) => {
+        const digits = integer.replace(/,/g, '');
+        // Leading zeros and very long runs are codes, not quantities
+        if ((digits.length > 1 && digits.startsWith('0')) || digits.length > 15) {
+            return digitsToWords(match, locale);
+        }
+        return decimalToWords(`${digits}${fraction || ''}`, { ...context, indian: context.indian || isIndianGrouping(integer) });
+    });
+}
+/**
+ * Replace lexicon terms (whole words, any case) with how they should be said
+ * Entries with a language only apply to that language
+ */
+function applyLexicon(text, lexicon, baseLanguage) {
+    if (!lexicon?.length) {
+        return text;
+    }
+    let compiled = lexiconCache.get(lexicon);
+    if (!compiled) {
+        compiled = new Map();
+        lexiconCache.set(lexicon, compiled);
+    }
+    let entry = compiled.get(baseLanguage);
+    if (!entry) {
+        const spokenByTerm = new Map();
+        for (const item of lexicon) {
+            const language = item.language?.toLowerCase().split('-')[0];
+            if (item.term && item.spoken && (!language || language === baseLanguage)) {
+                // Language-specific entries win over general ones for the same term
+                if (language || !spokenByTerm.has(item.term.toLowerCase())) {
+                    spokenByTerm.set(item.term.toLowerCase(), item.spoken);
+                }
+            }
+        }
+        const terms = [...spokenByTerm.keys()]
+            .sort((a, b) => b.length - a.length) // "HDFC Bank" before "HDFC"
+            .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        entry = {
+            spokenByTerm,
+            regex: terms.length ? new RegExp(`(?<![\\p{L}\\p{N}_])(?:${terms.join('|')})(?![\\p{L}\\p{N}_])`, 'giu') : null
+        };
+        compiled.set(baseLanguage, entry);
+    }
+    return entry.regex
+        ? text.replace(entry.regex, (match) => entry.spokenByTerm.get(match.toLowerCase()) ?? match)
+        : text;
+}
+function currencyToWords(match, code, amount, scale, context) {
+    const { locale } = context;
+    if (!locale) {
+        return match.replace(/(\d),(?=\d)/g, '$1');
+    }
+    const [one, many, minorOne, minorMany] = locale.currencies[code];
+    const value = amount.replace(/,/g, '');
+    const amountContext = { ...context, indian: context.indian || code === 'INR' || isIndianGrouping(amount) };
+    if (scale) {
+        // "₹1.5 lakh" -> "one point five lakh rupees"
+        return `${decimalToWords(value, amountContext)} ${locale.scales[SCALE_WORDS[scale.toLowerCase()]]} ${many}`;
+    }
+    const [integer, fraction] = value.split('.');
+    const units = Number(integer);
+    let words = `${integerToWords(units, locale, amountContext.indian)} ${units === 1 ? one : many}`;
+    const minor = fraction ? Number(fraction.padEnd(2, '0').substring(0, 2)) : 0;
+    if (minor > 0) {
+        words += ` ${locale.and} ${integerToWords(minor, locale, amountContext.indian)} ${minor === 1 ? minorOne : minorMany}`;
+    }
+    return words;
+}
+function dateToWords(match, day, month, year, context) {
+    if (day < 1 || day > 31 || month < 1 || month > 12) {
+        return match;
+    }
+    return context.locale.date(day, month, year, context.monthFirst);
+}
+function digitsToWords(text, locale) {
+    return [...text]
+        .filter((char) => /[\d+]/.test(char))
+        .map((char) => char === '+' ? (locale?.plus ?? '+') : (locale ? locale.below100(Number(char)) : char))
+        .join(' ');
+}
+function decimalToWords(value, context) {
+    const [integer, fraction] = value.split('.');
+    const words = integerToWords(Number(integer), context.locale, context.indian);
+    return fraction
+        ? `${words} ${context.locale.point} ${digitsToWords(fraction, context.locale)}`
+        : words;
+}
+function integerToWords(value, locale, indian) {
+    if (value < 100) {
+        return locale.below100(value);
+    }
+    const scales = indian
+        ? [[1e7, 'crore'], [1e5, 'lakh'], [1e3, 'thousand']]
+        : [[1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand']];
+    const parts = [];
+    let rest = value;
+    for (const [size, name] of scales) {
+        if (rest >= size) {
+            parts.push(`${integerToWords(Math.floor(rest / size), locale, indian)} ${locale.scales[name]}`);
+            rest %= size;
+        }
+    }
+    if (rest >= 100) {
+        parts.push(`${locale.below100(Math.floor(rest / 100))} ${locale.scales.hundred}`);
+        rest %= 100;
+    }
+    if (rest > 0) {
+        parts.push(locale.below100(rest));
+    }
+    return parts.join(' ');
+}
+/**
+ * 1,25,000 / 12,34,56,789 - grouped in twos above the thousands
+ */
+function isIndianGrouping(number) {
+    return /^\d{1,2}(?:,\d{2})+,\d{3}(?:\.\d+)?$/.test(number);
+}
+function englishOrdinal(words) {
+    return words.replace(/[a-z]+$/, (last) => EN_ORDINALS[last] ||
+        (last.endsWith('y') ? `${last.slice(0, -1)}ieth` : `${last}th`));
+}
+/**
+ * 1998 -> "nineteen ninety-eight", 2005 -> "two thousand five", 2024 -> "twenty twenty-four"
+ */
+function englishYear(year) {
+    const locale = LOCALES.en;
+    if (year < 1100 || year > 9999 || (year >= 2000 && year < 2010)) {
+        return integerToWords(year, locale, false);
+    }
+    const century = Math.floor(year / 100);
+    const rest = year % 100;
+    if (rest === 0) {
+        return `${locale.below100(century)} hundred`;
+    }
+    return `${locale.below100(century)} ${rest < 10 ? `oh ${EN_UNITS[rest]}` : locale.below100(rest)}`;
+}
+//# sourceMappingURL=spokenText.js.map
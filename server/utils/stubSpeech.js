@@ -0,0 +1,149 @@
+"use strict";
+/**
+ * Stub Speech Codec
+ * Deterministic "speech" for offline end-to-end tests: text is FSK-modulated into audio
+ * (Bell 202 style tones, 10ms per bit) and demodulated back, so the stub TTS, the stub STT
+ * and the Exotel simulator can pass exact transcripts through the real audio path -
+ * VAD, endpointing, barge-in clears and recordings all see tone bursts that behave like speech.
+ *
+ * Each utterance: sync tone | UTF-8 bytes, LSB first | sync tone
+ * At 100 bits/s that is ~12 characters per second, close to a natural speaking rate.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.encodeText = encodeText;
+exports.decodeSpeech = decodeSpeech;
+const wav_1 = require("./wav");
+const MARK_HZ = 1200; // bit 1
+const SPACE_HZ = 2200; // bit 0
+const SYNC_HZ = 1700; // utterance start / end
+const BIT_MS = 10;
+const SYNC_MS = 40;
+const AMPLITUDE = 0.3;
+const ONSET_THRESHOLD = 0.08; // Well above line noise, well below the tone amplitude
+/**
+ * Text -> 16-bit mono PCM at sampleRate
+ */
+function encodeText(text, sampleRate = 8000) {
+    const bytes = Buffer.from(text, 'utf8');
+    const tones = [{ hz: SYNC_HZ, ms: SYNC_MS }];
+    for (const byte of bytes) {
+        for (let bit = 0; bit < 8; bit++) {
+            tones.push({ hz: (byte >> bit) & 1 ? MARK_HZ : SPACE_HZ, ms: BIT_MS });
+        }
+    }
+    tones.push({ hz: SYNC_HZ, ms: SYNC_MS });
+    const totalSamples = tones.reduce((sum, tone) => sum + (tone.ms * sampleRate) / 1000, 0);
+    const pcm = Buffer.alloc(totalSamples * 2);
+    let phase = 0; // Phase-continuous, so bit changes don't click
+    let offset = 0;
+    for (const tone of tones) {
+        const samples = (tone.ms * sampleRate) / 1000;
+        const step = (2 * Math.PI * tone.hz) / sampleRate;
+        for (let i = 0; i < samples; i++) {
+            pcm.writeInt16LE(Math.round(Math.sin(phase) * AMPLITUDE * 32767), offset);
+            phase += step;
+            offset += 2;
+        }
+    }
+    return pcm;
+}
+/**
+ * Audio -> utterances ({ text, startMs, endMs }) found in it
+ * Accepts a WAV file or raw 16-bit PCM at sampleRate; audio cut off mid-utterance
+ * (barge-in) decodes to the part that was played
+ */
+function decodeSpeech(audio, sampleRate = 8000) {
+    const wav = (0, wav_1.parseWav)(audio);
+    const rate = wav ? wav.sampleRate : sampleRate;
+    const pcm = wav ? wav.data : audio;
+    const samples = new Float64Array(Math.floor(pcm.length / 2));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = pcm.readInt16LE(i * 2) / 32768;
+    }
+    const bitLen = Math.round((BIT_MS * rate) / 1000);
+    const syncLen = Math.round((SYNC_MS * rate) / 1000);
+    const toMs = (index) => Math.round((index * 1000) / rate);
+    const utterances = [];
+    let position = 0;
+    while (position < samples.length) {
+        const onset = findOnset(samples, position);
+        if (onset < 0 || onset + syncLen > samples.length) {
+            break;
+        }
+        if (dominantTone(samples, onset + bitLen, onset + syncLen - bitLen, rate) !== SYNC_HZ) {
+            position = onset + bitLen; // Not one of ours (noise, real speech)
+            continue;
+        }
+        const dataStart = onset + syncLen;
+        const bits = [];
+        let end = dataStart;
+        for (let start = dataStart; start + bitLen <= samples.length; start += bitLen) {
+            const from = start + Math.round(bitLen * 0.2);
+            const to = start + Math.round(bitLen * 0.8);
+            end = start;
+            if (rms(samples, from, to) < ONSET_THRESHOLD / 2) {
+                break; // Cut off
+            }
+            const tone = dominantTone(samples, from, to, rate);
+            if (tone === SYNC_HZ) {
+                end = start + syncLen;
+                break;
+            }
+            bits.push(tone === MARK_HZ ? 1 : 0);
+            end = start + bitLen;
+        }
+        const bytes = Buffer.alloc(Math.floor(bits.length / 8));
+        for (let i = 0; i < bytes.length; i++) {
+            let byte = 0;
+            for (let bit = 0; bit < 8; bit++) {
+                byte |= bits[i * 8 + bit] << bit;
+            }
+            bytes[i] = byte;
+        }
+        const text = bytes.toString('utf8').replace(/�+$/, '').trim();
+        if (text) {
+            utterances.push({ text, startMs: toMs(onset), endMs: toMs(end) });
+        }
+        position = Math.max(end, onset + syncLen);
+    }
+    return utterances;
+}
+function findOnset(samples, from) {
+    for (let i = from; i < samples.length; i++) {
+        if (Math.abs(samples[i]) > ONSET_THRESHOLD) {
+            return i;
+        }
+    }
+    return -1;
+}
+function rms(samples, from, to) {
+    let sum = 0;
+    for (let i = from; i < to; i++) {
+        sum += samples[i] * samples[i];
+    }
+    return Math.sqrt(sum / Math.max(1, to - from)) * Math.SQRT2; // Scaled to peak amplitude for a sine
+}
+function dominantTone(samples, from, to, rate) {
+    let best = MARK_HZ;
+    let bestPower = -1;
+    for (const hz of [MARK_HZ, SPACE_HZ, SYNC_HZ]) {
+        const power = goertzel(samples, from, to, hz, rate);
+        if (power > bestPower) {
+            best = hz;
+            bestPower = power;
+        }
+    }
+    return best;
+}
+function goertzel(samples, from, to, hz, rate) {
+    const coefficient = 2 * Math.cos((2 * Math.PI * hz) / rate);
+    let previous = 0;
+    let beforePrevious = 0;
+    for (let i = from; i < to; i++) {
+        const current = samples[i] + coefficient * previous - beforePrevious;
+        beforePrevious = previous;
+        previous = current;
+    }
+    return previous * previous + beforePrevious * beforePrevious - coefficient * previous * beforePrevious;
+}
+//# sourceMappingURL=stubSpeech.js.map
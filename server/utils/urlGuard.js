@@ -0,0 +1,95 @@
+"use strict";
+/**
+ * Outbound URL Guard
+ * Keeps user-configured URLs (agent HTTP tools) from reaching loopback, private,
+ * link-local or cloud metadata addresses (SSRF)
+ */
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.isPrivateAddress = isPrivateAddress;
+exports.assertPublicUrl = assertPublicUrl;
+exports.publicOnlyLookup = publicOnlyLookup;
+const net_1 = __importDefault(require("net"));
+const dns_1 = __importDefault(require("dns"));
+const blockedAddresses = new net_1.default.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], // "This" network
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10], // Carrier-grade NAT
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16], // Link-local, incl. 169.254.169.254 metadata
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15], // Benchmarking
+    ['224.0.0.0', 4], // Multicast
+    ['240.0.0.0', 4] // Reserved + broadcast
+]) {
+    blockedAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+    ['::', 127], // Unspecified + loopback (IPv4-mapped addresses are checked against the IPv4 ranges)
+    ['64:ff9b::', 96], // NAT64
+    ['fc00::', 7], // Unique local
+    ['fe80::', 10], // Link-local
+    ['ff00::', 8] // Multicast
+]) {
+    blockedAddresses.addSubnet(network, prefix, 'ipv6');
+}
+/**
+ * Check whether an IP address is loopback, private, link-local or otherwise not publicly routable
+ * Anything that isn't an IP address counts as private
+ */
+function isPrivateAddress(address) {
+    const family = net_1.default.isIP(address);
+    if (family === 0) {
+        return true;
+    }
+    return blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+/**
+ * Resolve a URL's host and throw unless it is http(s) and every address it resolves to is public
+ */
+async function assertPublicUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    }
+    catch {
+        throw new Error('Invalid URL');
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new Error('URL must use http or https');
+    }
+    const hostname = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+    const addresses = net_1.default.isIP(hostname)
+        ? [{ address: hostname }]
+        : await dns_1.default.promises.lookup(hostname, { all: true }).catch(() => {
+            throw new Error(`Could not resolve ${hostname}`);
+        });
+    if (addresses.length === 0 || addresses.some((entry) => isPrivateAddress(entry.address))) {
+        throw new Error(`${hostname} resolves to a private or reserved address`);
+    }
+}
+/**
+ * dns.lookup for http(s) agents that refuses private addresses at connect time,
+ * so a hostname can't be re-pointed at an internal address after it was checked
+ */
+function publicOnlyLookup(hostname, options, callback) {
+    dns_1.default.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            return callback(error, address, family);
+        }
+        const entries = Array.isArray(address) ? address : [{ address, family }];
+        const blocked = entries.find((entry) => isPrivateAddress(entry.address));
+        if (blocked) {
+            const refused = new Error(`${hostname} resolves to a private or reserved address (${blocked.address})`);
+            refused.code = 'EADDRBLOCKED';
+            return callback(refused, address, family);
+        }
+        callback(null, address, family);
+    });
+}
+//# sourceMappingURL=urlGuard.js.map
@@ -2,6 +2,9 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.idParamSchema = exports.paginationSchema = exports.startCallSchema = exports.phoneIdSchema = exports.getPhonesSchema = exports.updateTagsSchema = exports.assignAgentSchema = exports.importPhoneSchema = exports.agentIdSchema = exports.getAgentsSchema = exports.updateAgentSchema = exports.createAgentSchema = exports.changePasswordSchema = exports.refreshTokenSchema = exports.loginSchema = exports.signupSchema = void 0;
 const zod_1 = require("zod");
+const providerRegistry_service_1 = require("../services/providerRegistry.service");
+const audioConverter_1 = require("./audioConverter");
+const urlGuard_1 = require("./urlGuard");
 // Auth validation schemas
 exports.signupSchema = {
     body: zod_1.z.object({
@@ -50,6 +53,124 @@ exports.changePasswordSchema = {
     })
 };
 // Agent validation schemas
+const dtmfConfigSchema = zod_1.z.object({
+    enabled: zod_1.z.boolean().optional(),
+    interDigitTimeoutMs: zod_1.z.number().min(500).max(15000).optional(),
+    terminator: zod_1.z.enum(['#', '*', '']).optional(),
+    maxDigits: zod_1.z.number().int().min(1).max(32).optional(),
+    menu: zod_1.z.array(zod_1.z.object({
+        digits: zod_1.z.string().regex(/^[0-9*#]{1,32}$/, 'Menu digits may only contain 0-9, * and #'),
+        action: zod_1.z.enum(['say', 'end_call', 'transfer', 'llm']).default('say'),
+        label: zod_1.z.string().max(200).optional(),
+        message: zod_1.z.string().max(500).optional(),
+        sensitive: zod_1.z.boolean().optional()
+    }).refine((option) => option.action === 'llm' || option.action === 'transfer' || !!option.message, {
+        message: "Menu options with action 'say' or 'end_call' need a message"
+    })).optional()
+});
+const transferConfigSchema = zod_1.z.object({
+    enabled: zod_1.z.boolean().optional(),
+    numbers: zod_1.z.array(zod_1.z.string().regex(/^\+?[1-9]\d{1,14}$/, 'Invalid transfer phone number')).max(10).optional(),
+    mode: zod_1.z.enum(['flow', 'api']).optional(),
+    whisper: zod_1.z.boolean().optional(),
+    handoffMessage: zod_1.z.string().max(500).optional(),
+    failureMessage: zod_1.z.string().max(500).optional(),
+    triggerPhrases: zod_1.z.array(zod_1.z.string().min(1)).optional(),
+    onNegativeSentiment: zod_1.z.boolean().optional()
+});
+const noInputConfigSchema = zod_1.z.object({
+    enabled: zod_1.z.boolean().optional(),
+    timeoutSec: zod_1.z.number().min(3).max(60).optional(),
+    reprompts: zod_1.z.array(zod_1.z.string().min(1).max(300)).max(10).optional(),
+    generateReprompts: zod_1.z.boolean().optional(),
+    maxReprompts: zod_1.z.number().int().min(0).max(5).optional(),
+    closingMessage: zod_1.z.string().max(500).optional()
+});
+const callerMemoryConfigSchema = zod_1.z.object({
+    enabled: zod_1.z.boolean().optional(),
+    maxCalls: zod_1.z.number().int().min(1).max(10).optional(),
+    lookbackDays: zod_1.z.number().int().min(1).max(365).optional()
+});
+const endCallConfigSchema = zod_1.z.object({
+    llm: zod_1.z.boolean().optional(),
+    keywordFallback: zod_1.z.boolean().optional(),
+    closingMessage: zod_1.z.string().max(500).optional()
+});
+const fillerConfigSchema = zod_1.z.object({
+    enabled: zod_1.z.boolean().optional(),
+    thresholdMs: zod_1.z.number().int().min(300).max(5000).optional(),
+    thinkingPhrases: zod_1.z.array(zod_1.z.string().min(1).max(100)).max(10).optional(),
+    lookupPhrases: zod_1.z.array(zod_1.z.string().min(1).max(100)).max(10).optional()
+});
+const vadConfigSchema = zod_1.z.object({
+    enabled: zod_1.z.boolean().optional(),
+    speechThresholdDb: zod_1.z.number().min(3).max(30).optional(),
+    minSpeechMs: zod_1.z.number().int().min(40).max(1000).optional(),
+    hangoverMs: zod_1.z.number().int().min(60).max(1000).optional(),
+    endpointMs: zod_1.z.number().int().min(100).max(5000).optional(),
+    unfinishedEndpointMs: zod_1.z.number().int().min(100).max(5000).optional(),
+    answerEndpointMs: zod_1.z.number().int().min(100).max(5000).optional(),
+    maxSpeechMs: zod_1.z.number().int().min(3000).max(60000).optional(),
+    echoCooldownMs: zod_1.z.number().int().min(0).max(5000).optional()
+});
+// Provider IDs registered at startup (providers/index.js)
+const providerIdSchema = (kind, extra = []) => zod_1.z.string().refine((id) => extra.includes(id) || providerRegistry_service_1.providerRegistry.has(kind, id), (id) => ({ message: `Unknown ${kind.toUpperCase()} provider: ${id}` }));
+const failoverConfigSchema = zod_1.z.object({
+    stt: zod_1.z.array(providerIdSchema('stt')).max(5).optional(),
+    tts: zod_1.z.array(zod_1.z.object({
+        provider: providerIdSchema('tts'),
+        voiceId: zod_1.z.string().min(1).optional()
+    })).max(5).optional()
+});
+/**
+ * An explicit llm.provider has to run llm.model - { provider: 'anthropic', model: 'gpt-4o' } would
+ * send an OpenAI model name to Anthropic (providers without modelPrefixes take any model)
+ */
+const llmModelMatchesProvider = (llm) => {
+    if (!llm.provider || !llm.model) {
+        return true;
+    }
+    const prefixes = providerRegistry_service_1.providerRegistry.get('llm', llm.provider)?.capabilities.modelPrefixes || [];
+    return prefixes.length === 0 || prefixes.some((prefix) => llm.model.startsWith(prefix));
+};
+const llmModelMismatch = (llm) => ({
+    message: `Model ${llm.model} is not available on LLM provider ${llm.provider}`,
+    path: ['model']
+});
+const languageVoicesSchema = zod_1.z.array(zod_1.z.object({
+    language: zod_1.z.string().min(2).max(10),
+    provider: providerIdSchema('tts'),
+    voiceId: zod_1.z.string().min(1, 'Voice ID is required')
+})).max(20).refine((entries) => new Set(entries.map((entry) => entry.language)).size === entries.length, 'Only one voice per language');
+const pronunciationsSchema = zod_1.z.array(zod_1.z.object({
+    term: zod_1.z.string().trim().min(1, 'Term is required').max(100),
+    spoken: zod_1.z.string().trim().min(1, 'Spoken form is required').max(200),
+    language: zod_1.z.string().min(2).max(10).optional()
+})).max(200);
+const agentToolSchema = zod_1.z.object({
+    name: zod_1.z.string().regex(/^[a-zA-Z0-9_-]{1,64}$/, 'Tool name may only contain letters, numbers, _ and - (max 64)').refine((name) => name !== 'transfer_call', 'transfer_call is a built-in tool name'),
+    description: zod_1.z.string().min(1, 'Tool description is required').max(1000),
+    parameters: zod_1.z.object({
+        type: zod_1.z.literal('object')
+    }).passthrough().optional(),
+    endpoint: zod_1.z.object({
+        method: zod_1.z.enum(['GET', 'POST', 'PUT', 'PATCH', 'DELETE']).default('POST'),
+        url: zod_1.z.string().min(1, 'Tool endpoint URL is required').refine((url) => /^https?:\/\//.test(url), 'Tool endpoint URL must start with http:// or https://').superRefine(async (url, ctx) => {
+            // Tools run server-side, so the host must not resolve to loopback, private or metadata addresses
+            if (!/^https?:\/\//.test(url)) {
+                return;
+            }
+            await (0, urlGuard_1.assertPublicUrl)(url).catch((error) => {
+                ctx.addIssue({ code: zod_1.z.ZodIssueCode.custom, message: `Tool endpoint URL is not allowed: ${error.message}` });
+            });
+        })
+    }),
+    headers: zod_1.z.record(zod_1.z.string()).optional(),
+    timeoutMs: zod_1.z.number().int().min(500).max(30000).optional(),
+    fillerMessage: zod_1.z.string().max(200).optional(),
+    enabled: zod_1.z.boolean().optional()
+});
+const agentToolsSchema = zod_1.z.array(agentToolSchema).max(20).refine((tools) => new Set(tools.map((tool) => tool.name)).size === tools.length, { message: 'Tool names must be unique' });
 exports.createAgentSchema = {
     body: zod_1.z.object({
         name: zod_1.z
@@ -77,7 +198,7 @@ exports.createAgentSchema = {
                 .max(500, 'Greeting message must not exceed 500 characters')
                 .optional(),
             voice: zod_1.z.object({
-                provider: zod_1.z.enum(['openai', 'elevenlabs', 'cartesia', 'deepgram', 'sarvam']),
+                provider: providerIdSchema('tts'),
                 voiceId: zod_1.z.string().min(1, 'Voice ID is required'),
                 model: zod_1.z.string().optional(),
                 settings: zod_1.z.record(zod_1.z.any()).optional()
@@ -87,8 +208,9 @@ exports.createAgentSchema = {
                 .min(2, 'Language code is required')
                 .max(10, 'Invalid language code'),
             enableAutoLanguageDetection: zod_1.z.boolean().optional(),
-            sttProvider: zod_1.z.enum(['auto', 'deepgram', 'sarvam', 'whisper']).optional(),
+            sttProvider: providerIdSchema('stt', ['auto']).optional(),
             llm: zod_1.z.object({
+                provider: providerIdSchema('llm').optional(),
                 model: zod_1.z.enum([
                     'gpt-4',
                     'gpt-3.5-turbo',
@@ -104,17 +226,32 @@ exports.createAgentSchema = {
                     .max(2, 'Temperature must be between 0 and 2')
                     .default(0.7),
                 maxTokens: zod_1.z.number().positive().optional()
-            }),
+            }).refine(llmModelMatchesProvider, llmModelMismatch),
             endCallPhrases: zod_1.z.array(zod_1.z.string()).optional(),
+            endCall: endCallConfigSchema.optional(),
+            callerMemory: callerMemoryConfigSchema.optional(),
             firstMessage: zod_1.z.string().max(500).optional(),
             sessionTimeout: zod_1.z.number().positive().optional(),
+            durationLimit: zod_1.z.object({
+                warningSec: zod_1.z.number().min(10).max(600).optional(),
+                closingMessage: zod_1.z.string().max(500).optional()
+            }).optional(),
+            filler: fillerConfigSchema.optional(),
+            vad: vadConfigSchema.optional(),
+            failover: failoverConfigSchema.optional(),
+            languageVoices: languageVoicesSchema.optional(),
+            pronunciations: pronunciationsSchema.optional(),
             flow: zod_1.z.object({
                 userStartFirst: zod_1.z.boolean().optional(),
                 interruption: zod_1.z.object({
                     allowed: zod_1.z.boolean()
                 }).optional(),
                 responseDelay: zod_1.z.number().min(0).optional()
-            }).optional()
+            }).optional(),
+            dtmf: dtmfConfigSchema.optional(),
+            transfer: transferConfigSchema.optional(),
+            noInput: noInputConfigSchema.optional(),
+            tools: agentToolsSchema.optional()
         })
     })
 };
@@ -138,15 +275,16 @@ exports.updateAgentSchema = {
             persona: zod_1.z.string().min(10).max(20000).optional(),
             greetingMessage: zod_1.z.string().min(5).max(500).optional(),
             voice: zod_1.z.object({
-                provider: zod_1.z.enum(['openai', 'elevenlabs', 'cartesia', 'deepgram', 'sarvam']).optional(),
+                provider: providerIdSchema('tts').optional(),
                 voiceId: zod_1.z.string().optional(),
                 model: zod_1.z.string().optional(),
                 settings: zod_1.z.record(zod_1.z.any()).optional()
             }).optional(),
             language: zod_1.z.string().optional(),
             enableAutoLanguageDetection: zod_1.z.boolean().optional(),
-            sttProvider: zod_1.z.enum(['auto', 'deepgram', 'sarvam', 'whisper']).optional(),
+            sttProvider: providerIdSchema('stt', ['auto']).optional(),
             llm: zod_1.z.object({
+                provider: providerIdSchema('llm').optional(),
                 model: zod_1.z.enum([
                     'gpt-4',
                     'gpt-3.5-turbo',
@@ -158,17 +296,32 @@ exports.updateAgentSchema = {
                 ]).optional(),
                 temperature: zod_1.z.number().min(0).max(2).optional(),
                 maxTokens: zod_1.z.number().positive().optional()
-            }).optional(),
+            }).refine(llmModelMatchesProvider, llmModelMismatch).optional(),
             endCallPhrases: zod_1.z.array(zod_1.z.string()).optional(),
+            endCall: endCallConfigSchema.optional(),
+            callerMemory: callerMemoryConfigSchema.optional(),
             firstMessage: zod_1.z.string().max(500).optional(),
             sessionTimeout: zod_1.z.number().positive().optional(),
+            durationLimit: zod_1.z.object({
+                warningSec: zod_1.z.number().min(10).max(600).optional(),
+                closingMessage: zod_1.z.string().max(500).optional()
+            }).optional(),
+            filler: fillerConfigSchema.optional(),
+            vad: vadConfigSchema.optional(),
+            failover: failoverConfigSchema.optional(),
+            languageVoices: languageVoicesSchema.optional(),
+            pronunciations: pronunciationsSchema.optional(),
             flow: zod_1.z.object({
                 userStartFirst: zod_1.z.boolean().optional(),
                 interruption: zod_1.z.object({
                     allowed: zod_1.z.boolean()
                 }).optional(),
                 responseDelay: zod_1.z.number().min(0).optional()
-            }).optional()
+            }).optional(),
+            dtmf: dtmfConfigSchema.optional(),
+            transfer: transferConfigSchema.optional(),
+            noInput: noInputConfigSchema.optional(),
+            tools: agentToolsSchema.optional()
         }).optional()
     })
 };
@@ -186,6 +339,12 @@ exports.agentIdSchema = {
     })
 };
 // Phone validation schemas
+const audioFormatSchema = zod_1.z.object({
+    encoding: zod_1.z.enum(audioConverter_1.AUDIO_ENCODINGS),
+    sampleRate: zod_1.z.number().refine((rate) => audioConverter_1.AUDIO_SAMPLE_RATES.includes(rate), {
+        message: `Sample rate must be one of ${audioConverter_1.AUDIO_SAMPLE_RATES.join(', ')}`
+    })
+});
 exports.importPhoneSchema = {
     body: zod_1.z.object({
         number: zod_1.z
@@ -207,7 +366,8 @@ exports.importPhoneSchema = {
         tags: zod_1.z
             .array(zod_1.z.string().min(1).max(30))
             .max(10, 'Maximum 10 tags allowed')
-            .optional()
+            .optional(),
+        audioFormat: audioFormatSchema.optional()
     })
 };
 exports.assignAgentSchema = {
@@ -227,7 +387,8 @@ exports.updateTagsSchema = {
             .array(zod_1.z.string().min(1).max(30))
             .max(10, 'Maximum 10 tags allowed')
             .optional(),
-        isActive: zod_1.z.boolean().optional()
+        isActive: zod_1.z.boolean().optional(),
+        audioFormat: audioFormatSchema.optional()
     })
 };
 exports.getPhonesSchema = {
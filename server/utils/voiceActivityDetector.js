@@ -0,0 +1,172 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.VoiceActivityDetector = void 0;
+/**
+ * Voice Activity Detector
+ * Energy + spectral VAD over the caller's 16-bit PCM (8 or 16kHz), one instance per call
+ *
+ * Each 20ms frame counts as speech when it is clearly louder than the call's noise floor
+ * AND its voice-band spectrum is not flat (speech is harmonic, hiss/line noise is not).
+ * The noise floor follows the quiet frames, so a noisy line raises the bar instead of
+ * looking like a caller who never stops talking.
+ *
+ * process() returns speech_start / speech_end events; deciding when the caller's *turn*
+ * is over (endpointing) is left to the gateway.
+ */
+const FRAME_MS = 20;
+const VOICE_BAND_HZ = [300, 3400];
+const MIN_ENERGY_DB = -90;
+class VoiceActivityDetector {
+    constructor(options = {}) {
+        this.speechThresholdDb = options.speechThresholdDb ?? 9; // dB above the noise floor
+        this.maxSpectralFlatness = options.maxSpectralFlatness ?? 0.5; // 0 = pure tone, ~0.56 = white noise
+        this.minSpeechMs = options.minSpeechMs ?? 120; // Voiced run needed to start speech (ignores clicks)
+        this.hangoverMs = options.hangoverMs ?? 200; // Silence needed to end speech (bridges pauses between words)
+        this.noiseFloorDb = options.initialNoiseFloorDb ?? -60;
+        this.sampleRate = options.sampleRate ?? 8000;
+        this.frameSamples = (this.sampleRate * FRAME_MS) / 1000;
+        this.fftSize = 2 ** Math.ceil(Math.log2(this.frameSamples)); // 256 at 8kHz, 512 at 16kHz
+        this.isSpeaking = false;
+        this.speechStartAt = undefined;
+        this.lastSpeechAt = undefined;
+        this.speechRunMs = 0;
+        this.silenceRunMs = 0;
+        this.pending = Buffer.alloc(0);
+        this.window = new Float64Array(this.fftSize);
+        for (let i = 0; i < this.frameSamples; i++) {
+            this.window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (this.frameSamples - 1)); // Hann
+        }
+        // Same telephone voice band at any rate, so thresholds mean the same on wideband calls
+        this.bandStart = Math.floor((VOICE_BAND_HZ[0] * this.fftSize) / this.sampleRate);
+        this.bandEnd = Math.ceil((VOICE_BAND_HZ[1] * this.fftSize) / this.sampleRate);
+    }
+    /**
+     * Feed caller audio; returns the speech_start / speech_end events it caused
+     */
+    process(chunk, now = Date.now()) {
+        const events = [];
+        const data = this.pending.length > 0 ? Buffer.concat([this.pending, chunk]) : chunk;
+        const frameBytes = this.frameSamples * 2;
+        const frameCount = Math.floor(data.length / frameBytes);
+        for (let f = 0; f < frameCount; f++) {
+            // Frames of this chunk end at `now`; date each one accordingly
+            const frameEndAt = now - (frameCount - 1 - f) * FRAME_MS;
+            const event = this.processFrame(data, f * frameBytes, frameEndAt);
+            if (event) {
+                events.push(event);
+            }
+        }
+        this.pending = Buffer.from(data.subarray(frameCount * frameBytes));
+        return events;
+    }
+    processFrame(data, offset, frameEndAt) {
+        const samples = new Float64Array(this.fftSize);
+        let sumSquares = 0;
+        for (let i = 0; i < this.frameSamples; i++) {
+            const sample = data.readInt16LE(offset + i * 2) / 32768;
+            sumSquares += sample * sample;
+            samples[i] = sample * this.window[i];
+        }
+        const rms = Math.sqrt(sumSquares / this.frameSamples);
+        const energyDb = rms > 0 ? Math.max(MIN_ENERGY_DB, 20 * Math.log10(rms)) : MIN_ENERGY_DB;
+        const isLoud = energyDb > this.noiseFloorDb + this.speechThresholdDb;
+        const isVoiced = isLoud && this.spectralFlatness(samples) < this.maxSpectralFlatness;
+        this.updateNoiseFloor(energyDb, isVoiced);
+        if (isVoiced) {
+            this.speechRunMs += FRAME_MS;
+            this.silenceRunMs = 0;
+            if (this.isSpeaking) {
+                this.lastSpeechAt = frameEndAt;
+            }
+            else if (this.speechRunMs >= this.minSpeechMs) {
+                this.isSpeaking = true;
+                this.speechStartAt = frameEndAt - this.speechRunMs;
+                this.lastSpeechAt = frameEndAt;
+                return { type: 'speech_start', at: this.speechStartAt, noiseFloorDb: this.noiseFloorDb };
+            }
+            return null;
+        }
+        this.speechRunMs = 0;
+        if (!this.isSpeaking) {
+            return null;
+        }
+        this.silenceRunMs += FRAME_MS;
+        if (this.silenceRunMs < this.hangoverMs) {
+            return null;
+        }
+        this.isSpeaking = false;
+        this.silenceRunMs = 0;
+        return {
+            type: 'speech_end',
+            at: this.lastSpeechAt,
+            speechMs: this.lastSpeechAt - this.speechStartAt,
+            noiseFloorDb: this.noiseFloorDb
+        };
+    }
+    /**
+     * Track background level from non-speech frames: fall fast, rise slowly
+     * (and very slowly during "speech", so a steady tone can't lock the detector on)
+     */
+    updateNoiseFloor(energyDb, isVoiced) {
+        const rate = isVoiced ? 0.002 : energyDb < this.noiseFloorDb ? 0.3 : 0.05;
+        this.noiseFloorDb += (energyDb - this.noiseFloorDb) * rate;
+    }
+    /**
+     * Geometric / arithmetic mean of the voice-band power spectrum
+     */
+    spectralFlatness(samples) {
+        const real = samples;
+        const imag = new Float64Array(this.fftSize);
+        fft(real, imag);
+        let logSum = 0;
+        let sum = 0;
+        const bins = this.bandEnd - this.bandStart;
+        for (let k = this.bandStart; k < this.bandEnd; k++) {
+            const power = real[k] * real[k] + imag[k] * imag[k] + 1e-12;
+            logSum += Math.log(power);
+            sum += power;
+        }
+        return Math.exp(logSum / bins) / (sum / bins);
+    }
+}
+exports.VoiceActivityDetector = VoiceActivityDetector;
+/**
+ * In-place iterative radix-2 FFT (length must be a power of two)
+ */
+function fft(real, imag) {
+    const n = real.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+        if (i < j) {
+            [real[i], real[j]] = [real[j], real[i]];
+            [imag[i], imag[j]] = [imag[j], imag[i]];
+        }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = (-2 * Math.PI) / size;
+        const wReal = Math.cos(angle);
+        const wImag = Math.sin(angle);
+        for (let start = 0; start < n; start += size) {
+            let curReal = 1;
+            let curImag = 0;
+            for (let k = 0; k < size / 2; k++) {
+                const a = start + k;
+                const b = a + size / 2;
+                const tReal = real[b] * curReal - imag[b] * curImag;
+                const tImag = real[b] * curImag + imag[b] * curReal;
+                real[b] = real[a] - tReal;
+                imag[b] = imag[a] - tImag;
+                real[a] += tReal;
+                imag[a] += tImag;
+                const nextReal = curReal * wReal - curImag * wImag;
+                curImag = curReal * wImag + curImag * wReal;
+                curReal = nextReal;
+            }
+        }
+    }
+}
+//# sourceMappingURL=voiceActivityDetector.js.map
@@ -0,0 +1,59 @@
+"use strict";
+/**
+ * WAV helpers (16-bit PCM)
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.parseWav = parseWav;
+exports.buildWav = buildWav;
+/**
+ * PCM WAV -> { sampleRate, channels, bitsPerSample, data } (null if not a WAV file)
+ */
+function parseWav(buffer) {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        return null;
+    }
+    let format;
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+        const chunkId = buffer.toString('ascii', offset, offset + 4);
+        const chunkSize = buffer.readUInt32LE(offset + 4);
+        const body = offset + 8;
+        if (chunkId === 'fmt ') {
+            format = {
+                audioFormat: buffer.readUInt16LE(body),
+                channels: buffer.readUInt16LE(body + 2),
+                sampleRate: buffer.readUInt32LE(body + 4),
+                bitsPerSample: buffer.readUInt16LE(body + 14)
+            };
+        }
+        else if (chunkId === 'data' && format) {
+            return {
+                ...format,
+                data: buffer.subarray(body, Math.min(buffer.length, body + chunkSize))
+            };
+        }
+        offset = body + chunkSize + (chunkSize % 2);
+    }
+    return null;
+}
+/**
+ * 16-bit PCM -> WAV file
+ */
+function buildWav(pcm, sampleRate = 8000, channels = 1) {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + pcm.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * channels * 2, 28);
+    header.writeUInt16LE(channels * 2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(pcm.length, 40);
+    return Buffer.concat([header, pcm]);
+}
+//# sourceMappingURL=wav.js.map